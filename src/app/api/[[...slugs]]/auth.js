@@ -1,27 +1,9 @@
 import { redis } from "@/lib/redis"
+import { isRoomMember } from "@/lib/room-membership"
 import Elysia from "elysia"
 
 const SECURE_COOKIE_PREFIX = "room-secure-"
 
-/**
- * @param {unknown} raw
- */
-function parseConnected(raw) {
-    if (!raw) return []
-    if (Array.isArray(raw)) {
-        return raw.filter((value) => typeof value === "string")
-    }
-    if (typeof raw === "string") {
-        try {
-            const parsed = JSON.parse(raw)
-            return Array.isArray(parsed) ? parsed.filter((value) => typeof value === "string") : []
-        } catch {
-            return []
-        }
-    }
-    return []
-}
-
 class AuthError extends Error {
     constructor(message) {
         super(message)
@@ -50,34 +32,31 @@ export const authMiddleware = new Elysia({
             const secureMetaKey = `meta:${roomId}:secure`
             const secureCookieName = `${SECURE_COOKIE_PREFIX}${roomId}`
 
-            const [secureRaw, legacyRaw] = await Promise.all([
-                redis.hget(secureMetaKey, "connected"),
-                redis.hget(`meta:${roomId}`, "connected"),
+            const [secureExists, legacyExists] = await Promise.all([
+                redis.exists(secureMetaKey),
+                redis.exists(`meta:${roomId}`),
             ])
 
-            const isSecure = Boolean(secureRaw)
+            const isSecure = Boolean(secureExists)
             const metaKey = isSecure ? secureMetaKey : `meta:${roomId}`
-            const raw = secureRaw || legacyRaw
             const token = isSecure
                 ? (typeof cookie?.[secureCookieName]?.value === "string"
                     ? cookie[secureCookieName].value
                     : (typeof cookie?.["x-auth-token"]?.value === "string" ? cookie["x-auth-token"].value : undefined))
                 : (typeof cookie?.["x-auth-token"]?.value === "string" ? cookie["x-auth-token"].value : undefined)
 
-            if (!raw) {
+            if (!secureExists && !legacyExists) {
                 throw new AuthError("Room not found or expired")
             }
             if (!token) {
                 throw new AuthError("Missing token")
             }
 
-            const connected = parseConnected(raw)
-
-            if (!connected.includes(token)) {
+            if (!(await isRoomMember(metaKey, token))) {
                 throw new AuthError("Invalid Token")
             }
 
-            return { auth: { roomId, token, connected, isSecure, metaKey } }
+            return { auth: { roomId, token, isSecure, metaKey } }
         } catch (e) {
             if (e instanceof AuthError) throw e
             console.error("[Auth] Unexpected error:", e)
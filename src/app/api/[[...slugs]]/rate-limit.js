@@ -0,0 +1,182 @@
+import { redis } from '@/lib/redis'
+import Elysia from "elysia"
+import { nanoid } from "nanoid"
+
+const ENV = /** @type {Record<string, string | undefined>} */ ((/** @type {any} */ (globalThis)).process?.env ?? {})
+
+/**
+ * @param {string} name
+ * @param {number} fallback
+ */
+function envInt(name, fallback) {
+    const parsed = parseInt(ENV[name] ?? "", 10)
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+/** @typedef {{ limit: number, windowSeconds: number }} RateLimitRule */
+
+/**
+ * Thresholds per endpoint family. Verification, panic and login rules are
+ * cleared on success, so only failed attempts pile up; the username check and
+ * blob uploads (per room member) count every request.
+ */
+export const RATE_LIMIT_RULES = /** @type {const} */ ({
+    roomVerify: {
+        limit: envInt("RATE_LIMIT_ROOM_VERIFY_MAX", 5),
+        windowSeconds: envInt("RATE_LIMIT_ROOM_VERIFY_WINDOW_SECONDS", 15 * 60),
+    },
+    roomPanic: {
+        limit: envInt("RATE_LIMIT_PANIC_MAX", 5),
+        windowSeconds: envInt("RATE_LIMIT_PANIC_WINDOW_SECONDS", 15 * 60),
+    },
+    login: {
+        limit: envInt("RATE_LIMIT_LOGIN_MAX", 10),
+        windowSeconds: envInt("RATE_LIMIT_LOGIN_WINDOW_SECONDS", 15 * 60),
+    },
+    usernameCheck: {
+        limit: envInt("RATE_LIMIT_USERNAME_CHECK_MAX", 30),
+        windowSeconds: envInt("RATE_LIMIT_USERNAME_CHECK_WINDOW_SECONDS", 60),
+    },
+    blobUpload: {
+        limit: envInt("RATE_LIMIT_BLOB_UPLOAD_MAX", 30),
+        windowSeconds: envInt("RATE_LIMIT_BLOB_UPLOAD_WINDOW_SECONDS", 10 * 60),
+    },
+})
+
+/** Failed panic attempts (from any client) that destroy the room. 0 disables. */
+export const PANIC_NUKE_AFTER_FAILURES = envInt("PANIC_NUKE_AFTER_FAILURES", 0)
+
+/**
+ * Reverse proxies in front of the app, each appending one X-Forwarded-For
+ * entry. 0 means clients connect directly and X-Forwarded-For is ignored.
+ */
+const TRUSTED_PROXY_HOPS = envInt("TRUSTED_PROXY_HOPS", 1)
+
+/** @typedef {keyof typeof RATE_LIMIT_RULES} RateLimitRuleName */
+
+export class RateLimitError extends Error {
+    /** @param {number} retryAfterSeconds */
+    constructor(retryAfterSeconds) {
+        super("Too many attempts")
+        this.name = "RateLimitError"
+        this.retryAfterSeconds = retryAfterSeconds
+    }
+}
+
+/**
+ * The address our outermost trusted proxy saw. Clients can send any
+ * X-Forwarded-For they like and proxies append to it, so only the last
+ * TRUSTED_PROXY_HOPS entries are ours. Without proxies the socket address
+ * is used where the runtime exposes it, else the platform's X-Real-IP.
+ * @param {Headers} headers
+ * @param {string | undefined} socketIp
+ */
+function getClientIp(headers, socketIp) {
+    if (TRUSTED_PROXY_HOPS > 0) {
+        const hops = (headers.get("x-forwarded-for") ?? "").split(",").map((hop) => hop.trim()).filter(Boolean)
+        if (hops.length > 0) return hops[Math.max(hops.length - TRUSTED_PROXY_HOPS, 0)]
+    }
+    return socketIp || headers.get("x-real-ip")?.trim() || "unknown"
+}
+
+/**
+ * @param {RateLimitRuleName} rule
+ * @param {string} client
+ * @param {string} subject
+ */
+function limiterKey(rule, client, subject) {
+    return `ratelimit:${rule}:${client}:${subject.toLowerCase()}`
+}
+
+/**
+ * Drop entries older than the window and return the ones left.
+ * @param {string} key
+ * @param {number} windowSeconds
+ * @param {number} now
+ */
+async function slideWindow(key, windowSeconds, now) {
+    await redis.zremrangebyscore(key, 0, now - windowSeconds * 1000)
+    return redis.zcard(key)
+}
+
+/**
+ * Sliding-window limiter backed by a sorted set of attempt timestamps per
+ * rule, client IP and subject (room id, email, ...).
+ *
+ *   await rateLimit.attempt("roomVerify", roomId)   // counts it; 429 past the limit
+ *   if (ok) await rateLimit.clear("roomVerify", roomId)
+ *
+ * Pass `{ shared: true }` to count across all clients, e.g. per room.
+ */
+export const rateLimit = new Elysia({
+    name: "rate-limit"
+})
+    .error({ RateLimitError })
+    .onError(({ code, error, set }) => {
+        if (code === "RateLimitError") {
+            set.status = 429
+            set.headers["Retry-After"] = String(error.retryAfterSeconds)
+            return { error: "Too many attempts. Try again later.", retryAfter: error.retryAfterSeconds }
+        }
+    })
+    .derive({ as: "scoped" }, ({ request, server }) => {
+        const client = getClientIp(request.headers, server?.requestIP(request)?.address)
+
+        /**
+         * @param {RateLimitRuleName} rule
+         * @param {string} subject
+         * @param {{ shared?: boolean }} [options]
+         */
+        const keyFor = (rule, subject, options) => limiterKey(rule, options?.shared ? "*" : client, subject)
+
+        return {
+            rateLimit: {
+                /**
+                 * Record an attempt, then throw RateLimitError if it went past
+                 * the limit. Recording first means concurrent requests can't
+                 * all pass a check made before any of them counted. A rejected
+                 * attempt is taken back so the lockout ends with the window.
+                 * @param {RateLimitRuleName} rule
+                 * @param {string} subject
+                 * @param {{ shared?: boolean }} [options]
+                 */
+                async attempt(rule, subject, options) {
+                    const { limit, windowSeconds } = RATE_LIMIT_RULES[rule]
+                    if (limit === 0) return
+                    const key = keyFor(rule, subject, options)
+                    const now = Date.now()
+                    const member = `${now}-${nanoid(6)}`
+                    await redis.zadd(key, { score: now, member })
+                    await redis.expire(key, windowSeconds)
+                    if (await slideWindow(key, windowSeconds, now) <= limit) return
+
+                    await redis.zrem(key, member)
+                    const oldest = /** @type {unknown[]} */ (await redis.zrange(key, 0, 0, { withScores: true }))
+                    const oldestAt = Number(oldest[1]) || now
+                    throw new RateLimitError(Math.max(1, Math.ceil((oldestAt + windowSeconds * 1000 - now) / 1000)))
+                },
+                /**
+                 * Record an attempt and return how many fall inside the window.
+                 * @param {RateLimitRuleName} rule
+                 * @param {string} subject
+                 * @param {{ shared?: boolean }} [options]
+                 */
+                async hit(rule, subject, options) {
+                    const { windowSeconds } = RATE_LIMIT_RULES[rule]
+                    const key = keyFor(rule, subject, options)
+                    const now = Date.now()
+                    await redis.zadd(key, { score: now, member: `${now}-${nanoid(6)}` })
+                    await redis.expire(key, windowSeconds)
+                    return slideWindow(key, windowSeconds, now)
+                },
+                /**
+                 * @param {RateLimitRuleName} rule
+                 * @param {string} subject
+                 * @param {{ shared?: boolean }} [options]
+                 */
+                async clear(rule, subject, options) {
+                    await redis.del(keyFor(rule, subject, options))
+                },
+            },
+        }
+    })
@@ -2,9 +2,22 @@ import { redis } from '@/lib/redis'
 import { Elysia, t } from 'elysia'
 import { nanoid } from 'nanoid'
 import { authMiddleware } from './auth'
+import { claimMemberDisplayName, emptyMembershipFields, findRoomMember, getMemberDisplayName, getRoomRole, getRoomRoster, isIdentityRevoked, joinRoom, leaveRoom, listRoomMembers, markRoomPresence, renameMember, revokeIdentities, roomMemberId, setRoomOwner, setRoomRole, succeedAbsentOwner } from '@/lib/room-membership'
+import { consumeInvite, createInvite, getRoomInviteKeys, listInvites, revokeInvite } from '@/lib/room-invites'
+import { decideKnock, getKnockStatus, knock, listKnocks, roomLobbyKey, takeApproval } from '@/lib/room-lobby'
+import { ROOM_VERIFIED_TTL_SECONDS, issueRoomVerification, isRoomVerified, roomVerifiedCookie } from '@/lib/room-verification'
+import { messageExpiresAt, roomVanishKey, scheduleVanish, sweepVanished } from '@/lib/message-expiry'
+import { claimSend, releaseSend, settleSend } from '@/lib/send-idempotency'
+import { DEFAULT_RETAIN_MESSAGES, HISTORY_PAGE_SIZE, appendHistory, dropMessageIndex, findRoomMessage, parseHistoryCursor, parseRetention, readHistoryPage, roomMessageIndexKey, trimHistory } from '@/lib/message-history'
+import { applyEdits, dropEdits, recordEdit, roomEditsKey } from '@/lib/message-edits'
+import { addReaction, dropReactions, getReactions, removeReaction, roomReactionsKey } from '@/lib/message-reactions'
+import { BLOB_CHUNK_BYTES, BLOB_MAX_BYTES, parseBlobRefPacket } from '@/lib/blob-store'
+import { burnSettledViewOnce, dropViewOnce, getViewOnceReceipts, revealViewOnce, roomViewOnceKey, storeViewOnce } from '@/lib/view-once'
+import { VOTE_POLICIES, castBallot, getOpenVote, openVote, parseVotePolicy, roomVoteKey } from '@/lib/room-votes'
+import { PANIC_NUKE_AFTER_FAILURES, RateLimitError, rateLimit } from './rate-limit'
 import z from 'zod'
-import { realtime } from '@/lib/realtime'
-import { createUser, authenticateUser, authenticateGoogleUser, createSession, getUserFromSession, deleteSession, addRoomToUser, getUserRooms, checkUsernameAvailable, updateUsername, updateAvatar } from '@/lib/auth-store'
+import { STREAM_ID_PATTERN, realtime, schema as realtimeSchema } from '@/lib/realtime'
+import { createPasswordHash, verifyPassword, createUser, authenticateUser, authenticateGoogleUser, createSession, getUserFromSession, deleteSession, addRoomToUser, getUserRooms, checkUsernameAvailable, updateUsername, updateAvatar } from '@/lib/auth-store'
 import { timingSafeEqual } from 'node:crypto'
 
 const DEFAULT_TTL_MINUTES = 10
@@ -12,18 +25,39 @@ const MIN_TTL_MINUTES = 0  // 0 = permanent (no expiry)
 const MAX_TTL_MINUTES = 60
 const MIN_PARTICIPANTS = 2
 const MAX_PARTICIPANTS = 10
+const MAX_RETAIN_MESSAGES = 10_000
+const MAX_RETAIN_DAYS = 365
 const PERMANENT_ROOMS_KEY = "rooms:permanent"
 const GOOGLE_STATE_COOKIE = "x-google-oauth-state"
 const ROOM_LIFECYCLE_STREAM_TTL_SECONDS = 120
 const SECURE_ROOM_TTL_SECONDS = 60 * 60
 const SECURE_STREAM_MAXLEN = 50
+const SECURE_HISTORY_PAGE_SIZE = 50
+// Each stored chunk is base64(iv || ciphertext || tag).
+const BLOB_CHUNK_MAX_BASE64 = Math.ceil((BLOB_CHUNK_BYTES + 12 + 16) / 3) * 4
+const BLOB_MAX_PER_ROOM = 200
+// Declared bytes a room, and any one member of it, may have stored at once.
+const BLOB_ROOM_MAX_BYTES = 256 * 1024 * 1024
+const BLOB_MEMBER_MAX_BYTES = 64 * 1024 * 1024
 const SECURE_ROOM_COOKIE_PREFIX = "room-secure-"
+// Single-use invite handed to the creator of an invite-only room.
+const CREATOR_INVITE_TTL_SECONDS = 10 * 60
+const MAX_INVITE_TTL_MINUTES = 24 * 60
 const GUEST_PARTICIPANT_COOKIE = "x-participant-id"
+// Namespaces clients may relay through /realtime/emit. chat.* stays server-only;
+// keys.* is only accepted from members of secure rooms.
+const SIGNAL_EVENT_NAMESPACES = new Set(["presence", "file", "keys"])
+// Lobby events inside an allowed namespace that only the server may emit.
+const SERVER_ONLY_SIGNAL_EVENTS = new Set(["presence.knock", "presence.knock-resolved"])
+// Relayed live but never written to the secure signal stream for replay.
+const EPHEMERAL_SIGNAL_EVENTS = new Set(["presence.typing", "presence.receipts"])
 const ENV = /** @type {Record<string, string | undefined>} */ ((/** @type {any} */ (globalThis)).process?.env ?? {})
 const GOOGLE_OAUTH_AUTHORIZE_URL = ENV.GOOGLE_OAUTH_AUTHORIZE_URL || "https://accounts.google.com/o/oauth2/v2/auth"
 const GOOGLE_OAUTH_TOKEN_URL = ENV.GOOGLE_OAUTH_TOKEN_URL || "https://oauth2.googleapis.com/token"
 const GOOGLE_OAUTH_USERINFO_URL = ENV.GOOGLE_OAUTH_USERINFO_URL || "https://openidconnect.googleapis.com/v1/userinfo"
 
+const VOTE_POLICY_ERROR = "This room decides by vote. Start a vote instead."
+
 const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]).{8,}$/
 
 const createRoomSchema = z.object({
@@ -33,11 +67,21 @@ const createRoomSchema = z.object({
     }).optional(),
     panicPassword: z.string().min(4).max(128).optional(),
     ttlMinutes: z.number().int().min(MIN_TTL_MINUTES).max(MAX_TTL_MINUTES).default(DEFAULT_TTL_MINUTES),
+    votePolicy: z.enum(VOTE_POLICIES).default("owner"),
+    inviteOnly: z.boolean().default(false),
+    lobby: z.boolean().default(false),
+    receipts: z.boolean().default(true),
+    // Permanent rooms only: keep the last N messages and/or the last X days.
+    retainMessages: z.number().int().min(10).max(MAX_RETAIN_MESSAGES).optional(),
+    retainDays: z.number().int().min(1).max(MAX_RETAIN_DAYS).optional(),
     securityQuestion: z.string().max(500).optional(),
     securityAnswer: z.string().max(500).optional(),
 }).refine(
     (data) => !data.securityQuestion || data.securityAnswer,
     { message: "Security answer is required when a security question is set" }
+).refine(
+    (data) => data.ttlMinutes === 0 || (data.retainMessages === undefined && data.retainDays === undefined),
+    { message: "Retention only applies to permanent rooms" }
 ).refine(
     (data) => !data.panicPassword || !data.password || data.panicPassword !== data.password,
     { message: "Panic password must be different from room password" }
@@ -55,28 +99,115 @@ const createSecureRoomSchema = z.object({
     kdfIterations: z.number().int().min(100_000).max(500_000).default(100_000),
     gatekeeperVerifierHex: z.string().regex(/^[0-9a-fA-F]{64}$/),
     maxParticipants: z.number().int().min(MIN_PARTICIPANTS).max(MAX_PARTICIPANTS).default(MIN_PARTICIPANTS),
+    votePolicy: z.enum(VOTE_POLICIES).default("owner"),
+    inviteOnly: z.boolean().default(false),
+    lobby: z.boolean().default(false),
+    receipts: z.boolean().default(true),
 })
 
 const verifyProofSchema = z.object({
     roomId: z.string().min(1).max(128),
     proofHex: z.string().regex(/^[0-9a-fA-F]{64}$/),
+    invite: z.string().max(64).optional(),
+})
+
+const knockSchema = z.object({
+    roomId: z.string().min(1).max(128),
+    codename: z.string().trim().min(1).max(64),
+    proofHex: z.string().regex(/^[0-9a-fA-F]{64}$/).optional(),
+})
+
+const decideKnockSchema = z.object({
+    knockId: z.string().min(1).max(32),
+    approve: z.boolean(),
+})
+
+const displayNameSchema = z.string().trim().min(1).max(64)
+
+const createInviteSchema = z.object({
+    maxUses: z.number().int().min(1).max(50).default(1),
+    expiresInMinutes: z.number().int().min(1).max(MAX_INVITE_TTL_MINUTES).default(60),
+    displayName: displayNameSchema.optional(),
+})
+
+const claimNameSchema = z.object({
+    name: displayNameSchema.optional(),
+})
+
+const renameSchema = z.object({
+    name: displayNameSchema,
 })
 
+const memberTargetSchema = z.object({
+    memberId: z.string().regex(/^[0-9a-f]{16}$/),
+})
+
+const promoteMemberSchema = memberTargetSchema.extend({
+    role: z.enum(["admin", "member"]).default("admin"),
+})
+
+const startVoteSchema = z.discriminatedUnion("kind", [
+    z.object({ kind: z.literal("destroy"), requesterName: z.string().min(1).max(64).optional() }),
+    z.object({ kind: z.literal("extend"), minutes: z.number().int().min(1).max(60), requesterName: z.string().min(1).max(64).optional() }),
+])
+
+const ballotSchema = z.object({
+    voteId: z.string().min(1).max(32),
+    approve: z.boolean(),
+})
+
+const removeMemberSchema = z.object({
+    memberId: z.string().regex(/^[0-9a-f]{16}$/),
+    // Secure rooms only: tell the remaining members to drop the target's devices and rotate sender keys.
+    rotateKeys: z.boolean().optional(),
+})
+
+// Largest cipherHex accepted per envelope kind. Hex doubles the plaintext, so
+// these are roughly twice the packet budgets the room page enforces.
+const SECURE_ENVELOPE_BUDGETS = {
+    text: 200_000,
+    stego: 1_000_000,
+    audio: 1_500_000,
+    "file-notice": 500_000,
+    system: 4_000,
+    reaction: 2_000,
+}
+
+// v2 envelopes are sealed with per-sender ratchet keys; the ids let peers pick the chain.
 const encryptedEnvelopeSchema = z.object({
-    v: z.literal(1),
-    kind: z.literal("text"),
+    v: z.literal(2),
+    kind: z.enum(["text", "stego", "audio", "file-notice", "system", "reaction"]),
+    senderKeyId: z.string().regex(/^[0-9a-f]{32}$/),
+    deviceId: z.string().regex(/^[0-9a-f]{32}$/),
+    n: z.number().int().min(0),
     ivHex: z.string().regex(/^[0-9a-fA-F]{24}$/),
     cipherHex: z.string().regex(/^[0-9a-fA-F]+$/).max(1_500_000),
-    aadHex: z.string().regex(/^[0-9a-fA-F]*$/).optional(),
+    aadHex: z.string().regex(/^[0-9a-f]+$/).max(512),
     createdAt: z.number().int(),
 }).refine((value) => value.cipherHex.length % 2 === 0, {
     message: "cipherHex must be even-length hex",
     path: ["cipherHex"],
 })
 
+/**
+ * The AAD is opaque to AES-GCM but not secret. Checking it here stops an
+ * envelope lifted from another room before it reaches anyone's screen.
+ * @param {{ aadHex: string, senderKeyId: string, n: number, kind: string }} envelope
+ * @param {string} roomId
+ */
+function envelopeBoundToRoom(envelope, roomId) {
+    const expected = `${roomId}|${envelope.senderKeyId}|${envelope.n}|${envelope.kind}`
+    const bytes = new Uint8Array((envelope.aadHex.match(/../g) ?? []).map((pair) => parseInt(pair, 16)))
+    return new TextDecoder().decode(bytes) === expected
+}
+
+// Picked by the client and reused on every retry of the same send.
+const clientMessageIdSchema = z.string().regex(/^[\w-]{8,64}$/)
+
 const encryptedMessageSchema = z.object({
     roomId: z.string().optional(),
     envelope: encryptedEnvelopeSchema,
+    clientMessageId: clientMessageIdSchema.optional(),
 })
 
 /** @param {unknown} value */
@@ -84,46 +215,18 @@ function asString(value) {
     return typeof value === "string" ? value : undefined
 }
 
-/** @param {unknown} value */
-function parseStringArray(value) {
-    if (!Array.isArray(value)) return []
-    return value.filter((item) => typeof item === "string")
-}
-
-/** @param {unknown} rawValue */
-function parseConnectedTokens(rawValue) {
-    if (Array.isArray(rawValue)) return parseStringArray(rawValue)
-    if (typeof rawValue !== "string") return []
-    try {
-        const parsed = JSON.parse(rawValue)
-        return parseStringArray(parsed)
-    } catch {
-        return []
-    }
-}
-
-/** @param {unknown} rawValue */
-function parseParticipantIdentityMap(rawValue) {
-    if (typeof rawValue !== "string") return {}
-    try {
-        const parsed = JSON.parse(rawValue)
-        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {}
-        return Object.fromEntries(
-            Object.entries(parsed).filter(([key, value]) => typeof key === "string" && typeof value === "string")
-        )
-    } catch {
-        return {}
-    }
-}
-
-/** @param {unknown} rawValue */
-function parseRevokedParticipants(rawValue) {
-    if (typeof rawValue !== "string") return new Set()
+/**
+ * Envelopes are stored as JSON strings; the storage client usually hands them back parsed.
+ * @param {unknown} rawValue
+ */
+function parseStoredEnvelope(rawValue) {
+    if (rawValue && typeof rawValue === "object") return rawValue
+    if (typeof rawValue !== "string") return null
     try {
         const parsed = JSON.parse(rawValue)
-        return new Set(parseStringArray(parsed))
+        return parsed && typeof parsed === "object" ? parsed : null
     } catch {
-        return new Set()
+        return null
     }
 }
 
@@ -151,6 +254,81 @@ function secureSignalStreamKey(roomId) {
     return `stream:room:${roomId}:signal`
 }
 
+/** @param {string} roomId */
+function blobIndexKey(roomId) {
+    return `blobs:${roomId}`
+}
+
+/**
+ * Declared blob bytes: `total` for the room, `member:<memberId>` per uploader.
+ * @param {string} roomId
+ */
+function blobUsageKey(roomId) {
+    return `blob-usage:${roomId}`
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} blobId
+ */
+function blobMetaKey(roomId, blobId) {
+    return `blob:${roomId}:${blobId}`
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} blobId
+ * @param {number} index
+ */
+function blobChunkKey(roomId, blobId, index) {
+    return `blob:${roomId}:${blobId}:${index}`
+}
+
+/**
+ * Every key holding a blob for the room, including the index itself.
+ * @param {string} roomId
+ */
+async function getRoomBlobKeys(roomId) {
+    const blobIds = /** @type {string[]} */ (await redis.smembers(blobIndexKey(roomId)))
+    const metas = await Promise.all(blobIds.map((blobId) => redis.hget(blobMetaKey(roomId, blobId), "chunks")))
+    const keys = [blobIndexKey(roomId), blobUsageKey(roomId)]
+    blobIds.forEach((blobId, i) => {
+        keys.push(blobMetaKey(roomId, blobId))
+        const chunks = Number(metas[i]) || 0
+        for (let index = 0; index < chunks; index++) keys.push(blobChunkKey(roomId, blobId, index))
+    })
+    return keys
+}
+
+/**
+ * Delete the blob behind a burned view-once payload, if it is a blob ref to
+ * one the sender uploaded, and give its bytes back to the sender's budget.
+ * Whoever deletes the meta key does the rest, so racing burns count it once.
+ * @param {string} roomId
+ * @param {{ payload: string, senderId: string }} burned
+ */
+async function dropViewOnceBlob(roomId, { payload, senderId }) {
+    const ref = parseBlobRefPacket(payload)
+    if (!ref) return
+    const meta = /** @type {Record<string, unknown> | null} */ (await redis.hgetall(blobMetaKey(roomId, ref.id)))
+    if (typeof meta?.ownerToken !== "string" || await roomMemberId(meta.ownerToken) !== senderId) return
+    if (!(await redis.del(blobMetaKey(roomId, ref.id)))) return
+    const chunkKeys = []
+    for (let index = 0; index < (Number(meta.chunks) || 0); index++) chunkKeys.push(blobChunkKey(roomId, ref.id, index))
+    if (chunkKeys.length > 0) await redis.del(...chunkKeys)
+    await redis.srem(blobIndexKey(roomId), ref.id)
+    await releaseBlobBytes(roomId, senderId, Number(meta.size) || 0)
+}
+
+/**
+ * Burn view-once payloads nobody seated is waiting on any more.
+ * @param {string} roomId
+ * @param {string} metaKey
+ */
+async function burnSettledViewOnceBlobs(roomId, metaKey) {
+    for (const burned of await burnSettledViewOnce(roomId, metaKey)) await dropViewOnceBlob(roomId, burned)
+}
+
 /**
  * @param {string} roomId
  */
@@ -205,6 +383,16 @@ function getOrCreateParticipantIdentity(cookie) {
     return { identityKey: `guest:${guestId}`, guestId, shouldSetGuestCookie: true }
 }
 
+/**
+ * Account key for a session-backed identity, so bans follow the user across sessions.
+ * @param {string} identityKey
+ */
+async function getAccountKey(identityKey) {
+    if (!identityKey.startsWith("session:")) return ""
+    const user = await getUserFromSession(identityKey.slice("session:".length))
+    return user?.userId ? `account:${user.userId}` : ""
+}
+
 /**
  * @param {Record<string, any>} cookie
  * @param {string} roomId
@@ -263,6 +451,37 @@ async function appendSecureStream(roomId, streamKey, entries) {
     return streamId
 }
 
+/**
+ * Read one entry of a secure room's message stream.
+ * @param {string} roomId
+ * @param {string} messageId
+ * @returns {Promise<Record<string, any> | null>}
+ */
+async function readSecureMessage(roomId, messageId) {
+    if (!STREAM_ID_PATTERN.test(messageId)) return null
+    const entries = await redis.xrange(secureMessageStreamKey(roomId), messageId, messageId, 1)
+    return entries?.[messageId] ?? null
+}
+
+/**
+ * Checks every envelope a client posts must pass before it is stored.
+ * @param {z.infer<typeof encryptedMessageSchema>} payload
+ * @param {string} roomId
+ * @returns {{ status: number, error: string } | null}
+ */
+function rejectEncryptedPayload(payload, roomId) {
+    if (payload.roomId && payload.roomId !== roomId) {
+        return { status: 400, error: "roomId mismatch" }
+    }
+    if (!envelopeBoundToRoom(payload.envelope, roomId)) {
+        return { status: 400, error: "Envelope is not bound to this room" }
+    }
+    if (payload.envelope.cipherHex.length > SECURE_ENVELOPE_BUDGETS[payload.envelope.kind]) {
+        return { status: 413, error: `Encrypted ${payload.envelope.kind} message is too large` }
+    }
+    return null
+}
+
 /** @param {string} requestUrl */
 function getRequestOrigin(requestUrl) {
     return new URL(requestUrl).origin
@@ -329,6 +548,62 @@ async function emitLifecycleEventWithStreamExpiry(roomId, event, data) {
     await syncRoomStreamExpiry(roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
 }
 
+// Plaintext field written by older builds -> salted PBKDF2 hash field.
+const ROOM_SECRET_FIELDS = /** @type {const} */ ([
+    ["password", "passwordHash"],
+    ["panicPassword", "panicPasswordHash"],
+    ["securityAnswer", "securityAnswerHash"],
+])
+
+/** @param {string} answer */
+function normalizeSecurityAnswer(answer) {
+    return answer.toLowerCase().trim()
+}
+
+/**
+ * @param {Record<string, unknown> | null | undefined} meta
+ * @param {"password" | "panicPassword" | "securityAnswer"} field
+ */
+function hasRoomSecret(meta, field) {
+    return Boolean(meta?.[`${field}Hash`] || meta?.[field])
+}
+
+/**
+ * A missing hash never verifies, so a secret that wasn't migrated fails closed.
+ * @param {unknown} storedHash
+ * @param {string | undefined} candidate
+ */
+async function verifyRoomSecret(storedHash, candidate) {
+    if (typeof storedHash !== "string" || typeof candidate !== "string") return false
+    return verifyPassword(candidate, storedHash)
+}
+
+/**
+ * Rooms created before secrets were hashed still hold them in plaintext.
+ * Hash them in place the first time the room is read and return the
+ * updated meta. Storage decodes numeric-looking values, so "1990" comes
+ * back as a number and is stringified before hashing.
+ * @param {string} metaKey
+ * @param {Record<string, unknown>} meta
+ */
+async function migrateLegacyRoomSecrets(metaKey, meta) {
+    const legacy = ROOM_SECRET_FIELDS.filter(([plainField]) => meta[plainField] !== undefined && meta[plainField] !== null && meta[plainField] !== "")
+    if (legacy.length === 0) return meta
+
+    /** @type {Record<string, string>} */
+    const hashed = {}
+    for (const [plainField, hashField] of legacy) {
+        const value = String(meta[plainField])
+        hashed[hashField] = await createPasswordHash(plainField === "securityAnswer" ? normalizeSecurityAnswer(value) : value)
+    }
+    await redis.hset(metaKey, hashed)
+    await redis.hdel(metaKey, ...legacy.map(([plainField]) => plainField))
+
+    const next = { ...meta, ...hashed }
+    for (const [plainField] of legacy) delete next[plainField]
+    return next
+}
+
 /**
  * @param {string} roomId
  */
@@ -341,27 +616,45 @@ async function getRoomMode(roomId) {
         return { mode: "secure", meta: secureMeta, metaKey: secureMetaKey(roomId) }
     }
     if (legacyMeta && Object.keys(legacyMeta).length > 0) {
-        return { mode: "legacy", meta: legacyMeta, metaKey: `meta:${roomId}` }
+        const meta = await migrateLegacyRoomSecrets(`meta:${roomId}`, legacyMeta)
+        return { mode: "legacy", meta, metaKey: `meta:${roomId}` }
     }
     return { mode: "missing", meta: null, metaKey: "" }
 }
 
 /**
+ * Delete everything stored for a room, legacy or secure, including blobs and
+ * invites. Every way of destroying a room goes through here.
  * @param {string} roomId
- * @param {string} [reason]
  */
-async function nukeRoom(roomId, reason = "destroy") {
+async function wipeRoomKeys(roomId) {
     await Promise.all([
         redis.del(roomId),
         redis.del(`meta:${roomId}`),
         redis.del(secureMetaKey(roomId)),
         redis.del(`messages:${roomId}`),
+        redis.del(roomMessageIndexKey(roomId)),
         redis.del(`history:${roomId}`),
+        redis.del(roomVanishKey(roomId)),
+        redis.del(roomViewOnceKey(roomId)),
+        redis.del(roomEditsKey(roomId)),
+        redis.del(roomReactionsKey(roomId)),
         redis.del(secureMessageStreamKey(roomId)),
         redis.del(secureSignalStreamKey(roomId)),
+        redis.del(roomVoteKey(roomId)),
+        redis.del(roomLobbyKey(roomId)),
         redis.zrem(PERMANENT_ROOMS_KEY, roomId),
     ])
+    const blobKeys = [...await getRoomBlobKeys(roomId), ...await getRoomInviteKeys(roomId)]
+    await Promise.all(blobKeys.map((key) => redis.del(key)))
+}
 
+/**
+ * @param {string} roomId
+ * @param {string} [reason]
+ */
+async function nukeRoom(roomId, reason = "destroy") {
+    await wipeRoomKeys(roomId)
     await realtime.channel(roomId).emit("chat.self_destruct", {
         roomId,
         reason,
@@ -370,6 +663,302 @@ async function nukeRoom(roomId, reason = "destroy") {
     await realtime.channel(roomId).emit("chat.destroy", { isDestroyed: true })
 }
 
+/**
+ * The caller's bound display name, or null when the request claims to be
+ * someone else. A seat without a name yet binds the claimed one if it is free.
+ * Senders are always stamped from this, never from the body.
+ * @param {{ metaKey: string, token: string }} auth
+ * @param {unknown} claimed
+ */
+async function resolveSender(auth, claimed) {
+    const preferred = displayNameSchema.safeParse(claimed)
+    const name = await claimMemberDisplayName(auth.metaKey, auth.token, preferred.success ? preferred.data : "")
+    return claimed === undefined || claimed === name ? name : null
+}
+
+/**
+ * Current names of seated members by member id, so messages and reactions
+ * show a renamed sender under their new name.
+ * @param {string} metaKey
+ * @returns {Promise<Map<string, string>>}
+ */
+async function memberNamesById(metaKey) {
+    const named = (await listRoomMembers(metaKey)).filter((member) => member.displayName)
+    return new Map(await Promise.all(named.map(async (member) => /** @type {[string, string]} */ ([await roomMemberId(member.token), member.displayName]))))
+}
+
+/**
+ * Emit a room event and keep it replayable: secure rooms append it to the
+ * signal stream, legacy rooms realign the stream key's TTL.
+ * @param {{ roomId: string, isSecure: boolean }} auth
+ * @param {string} event
+ * @param {Record<string, any>} data
+ */
+async function broadcastRoomEvent(auth, event, data) {
+    await realtime.channel(auth.roomId).emit(/** @type {any} */(event), data)
+    if (auth.isSecure) {
+        await appendSecureStream(auth.roomId, secureSignalStreamKey(auth.roomId), {
+            event,
+            payload: JSON.stringify(data),
+        })
+    } else {
+        await syncRoomStreamExpiry(auth.roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+    }
+}
+
+/**
+ * Tell clients who the owner and admins are after any role change.
+ * @param {{ roomId: string, isSecure: boolean, metaKey: string }} auth
+ */
+async function broadcastRoles(auth) {
+    await broadcastRoomEvent(auth, "chat.roles-changed", { ...await getRoomRoster(auth.metaKey), timestamp: Date.now() })
+}
+
+/** @param {string} metaKey */
+async function getVotePolicy(metaKey) {
+    return parseVotePolicy(await redis.hget(metaKey, "votePolicy"))
+}
+
+/**
+ * Wipe the room and tell every client, as the owner's destroy button does.
+ * @param {{ roomId: string, isSecure: boolean }} auth
+ * @param {string} reason
+ */
+async function destroyRoom(auth, reason) {
+    if (auth.isSecure) {
+        await nukeRoom(auth.roomId, reason)
+        return
+    }
+    await wipeRoomKeys(auth.roomId)
+    await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.destroy", { isDestroyed: true })
+}
+
+/**
+ * Push a legacy room's expiry out by `minutes`. Permanent rooms have no timer.
+ * @param {{ roomId: string, metaKey: string }} auth
+ * @param {number} minutes
+ * @returns {Promise<{ newTtl?: number, error?: string }>}
+ */
+async function extendRoomTimer(auth, minutes) {
+    const currentTtl = await redis.ttl(auth.metaKey)
+    if (currentTtl === -1) return { error: "Permanent rooms don't have a timer to extend" }
+
+    const newTtl = Math.max(currentTtl, 0) + minutes * 60
+    const keys = [auth.metaKey, `messages:${auth.roomId}`, roomMessageIndexKey(auth.roomId), `history:${auth.roomId}`, roomVanishKey(auth.roomId), roomViewOnceKey(auth.roomId), roomEditsKey(auth.roomId), roomReactionsKey(auth.roomId), auth.roomId, ...await getRoomBlobKeys(auth.roomId)]
+    await Promise.all(keys.map(k => redis.expire(k, newTtl)))
+
+    await realtime.channel(auth.roomId).emit("chat.timer-extended", { newTtl })
+    await syncRoomStreamExpiry(auth.roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+    return { newTtl }
+}
+
+/**
+ * Clear what a legacy room keeps beside messages that left its list, and tell
+ * clients which ones went.
+ * @param {string} roomId
+ * @param {string[]} ids
+ */
+async function forgetMessages(roomId, ids) {
+    if (ids.length === 0) return
+    await dropMessageIndex(roomId, ids)
+    await dropViewOnce(roomId, ids)
+    await dropEdits(roomId, ids)
+    await dropReactions(roomId, ids)
+    await emitLifecycleEventWithStreamExpiry(roomId, "chat.message-expired", { ids, timestamp: Date.now() })
+}
+
+/**
+ * Drop vanished messages from a legacy room.
+ * @param {string} roomId
+ */
+async function sweepExpiredMessages(roomId) {
+    await forgetMessages(roomId, await sweepVanished(roomId))
+}
+
+/**
+ * Trim a permanent room's history down to its retention policy.
+ * @param {{ roomId: string, metaKey: string }} auth
+ */
+async function enforceRetention(auth) {
+    const retention = parseRetention({
+        retainMessages: await redis.hget(auth.metaKey, "retainMessages"),
+        retainDays: await redis.hget(auth.metaKey, "retainDays"),
+    })
+    if (!retention) return
+    const ids = await trimHistory(auth.roomId, retention)
+    if (ids.length > 0) await redis.zrem(roomVanishKey(auth.roomId), ...ids)
+    await forgetMessages(auth.roomId, ids)
+}
+
+/**
+ * Store a sender's re-encrypted text as a new stream entry pointing at the
+ * original. Peers decrypt it on its own chain slot, so nothing is reused.
+ * @param {{ roomId: string, token: string, metaKey: string }} auth
+ * @param {string} messageId
+ * @param {unknown} body
+ * @param {{ status?: number | string }} set
+ */
+async function editSecureMessage(auth, messageId, body, set) {
+    const payload = encryptedMessageSchema.parse(body ?? {})
+    const rejected = rejectEncryptedPayload(payload, auth.roomId)
+    if (rejected) {
+        set.status = rejected.status
+        return { error: rejected.error }
+    }
+
+    const original = await readSecureMessage(auth.roomId, messageId)
+    if (!original || typeof original.editOf === "string" || typeof original.deletes === "string") {
+        set.status = 404
+        return { error: "Message not found" }
+    }
+    if (original.senderToken !== auth.token) {
+        set.status = 403
+        return { error: "Only the sender can edit this message" }
+    }
+    if (payload.envelope.kind !== "text" || parseStoredEnvelope(original.envelope)?.kind !== "text") {
+        set.status = 400
+        return { error: "Only text messages can be edited" }
+    }
+
+    const acceptedAt = Date.now()
+    const id = await appendSecureStream(auth.roomId, secureMessageStreamKey(auth.roomId), {
+        senderToken: auth.token,
+        acceptedAt,
+        envelope: JSON.stringify(payload.envelope),
+        editOf: messageId,
+    })
+    await realtime.channel(auth.roomId).emit("chat.encrypted-edited", {
+        id,
+        editOf: messageId,
+        roomId: auth.roomId,
+        envelope: payload.envelope,
+        timestamp: acceptedAt,
+    })
+    return { id, acceptedAt }
+}
+
+/**
+ * Delete a secure message and its edits from the stream, leaving a tombstone
+ * that names the chain slots they used.
+ * @param {{ roomId: string, token: string }} auth
+ * @param {string} messageId
+ * @param {{ status?: number | string }} set
+ */
+async function unsendSecureMessage(auth, messageId, set) {
+    const original = await readSecureMessage(auth.roomId, messageId)
+    if (!original || typeof original.editOf === "string" || typeof original.deletes === "string"
+        || parseStoredEnvelope(original.envelope)?.kind === "reaction") {
+        set.status = 404
+        return { error: "Message not found" }
+    }
+    if (original.senderToken !== auth.token) {
+        set.status = 403
+        return { error: "Only the sender can unsend this message" }
+    }
+
+    const streamKey = secureMessageStreamKey(auth.roomId)
+    const doomed = Object.entries(await redis.xrange(streamKey, "-", "+"))
+        .filter(([id, fields]) => id === messageId || fields.editOf === messageId)
+    /** @type {Array<{ senderKeyId: string, n: number }>} */
+    const slots = doomed.flatMap(([, fields]) => {
+        const envelope = /** @type {any} */ (parseStoredEnvelope(fields.envelope))
+        return typeof envelope?.senderKeyId === "string" && Number.isInteger(envelope?.n)
+            ? [{ senderKeyId: envelope.senderKeyId, n: envelope.n }]
+            : []
+    })
+    await Promise.all(doomed.map(([id]) => redis.xdel(streamKey, id)))
+
+    const timestamp = Date.now()
+    await appendSecureStream(auth.roomId, streamKey, {
+        senderToken: auth.token,
+        acceptedAt: timestamp,
+        deletes: messageId,
+        slots: JSON.stringify(slots),
+    })
+    await realtime.channel(auth.roomId).emit("chat.message-deleted", { id: messageId, slots, timestamp })
+    return { success: true }
+}
+
+/** @param {import("@/lib/room-votes").VoteState} state */
+function voteTally(state) {
+    const { voteId, kind, minutes, yes, no, eligible, needed } = state
+    return { voteId, kind, minutes, yes, no, eligible, needed, timestamp: Date.now() }
+}
+
+/**
+ * @param {{ roomId: string, isSecure: boolean }} auth
+ * @param {import("@/lib/room-votes").VoteState} state
+ */
+async function broadcastVote(auth, state) {
+    await broadcastRoomEvent(auth, "chat.vote-updated", {
+        ...voteTally(state),
+        policy: state.policy,
+        requestedBy: state.requestedBy,
+        requesterName: state.requesterName,
+        expiresAt: state.expiresAt,
+        votedIds: state.votedIds,
+    })
+}
+
+/**
+ * Announce a closed vote and carry it out if it passed.
+ * @param {{ roomId: string, isSecure: boolean, metaKey: string }} auth
+ * @param {{ outcome: import("@/lib/room-votes").VoteOutcome, state: import("@/lib/room-votes").VoteState } | null | undefined} closed
+ */
+async function settleVote(auth, closed) {
+    if (!closed) return
+    await broadcastRoomEvent(auth, "chat.vote-closed", { ...voteTally(closed.state), outcome: closed.outcome })
+    if (closed.outcome !== "passed") return
+    if (closed.state.kind === "destroy") await destroyRoom(auth, "destroy-voted")
+    else await extendRoomTimer(auth, closed.state.minutes ?? 0)
+}
+
+/**
+ * Removal behind /room/kick and /room/ban. Both drop the target's seat and
+ * revoke its identity; a ban also revokes the signed-in account. Admins may
+ * only remove plain members.
+ * @param {{ roomId: string, token: string, isSecure: boolean, metaKey: string }} auth
+ * @param {unknown} body
+ * @param {{ status?: number | string }} set
+ * @param {boolean} banned
+ */
+async function removeParticipant(auth, body, set, banned) {
+    const role = await getRoomRole(auth.metaKey, auth.token)
+    if (role === "member") {
+        set.status = 403
+        return { error: `Only the room owner or an admin can ${banned ? "ban" : "kick"} participants` }
+    }
+
+    const { memberId, rotateKeys } = removeMemberSchema.parse(body ?? {})
+    const target = await findRoomMember(auth.metaKey, memberId)
+    if (!target) {
+        set.status = 404
+        return { error: "Participant not found" }
+    }
+    const targetRole = await getRoomRole(auth.metaKey, target.token)
+    if (targetRole === "owner") {
+        set.status = 400
+        return { error: "The room owner cannot be removed" }
+    }
+    if (targetRole === "admin" && role !== "owner") {
+        set.status = 403
+        return { error: "Only the room owner can remove an admin" }
+    }
+
+    await leaveRoom(auth.metaKey, target.token, { revokeIdentity: true })
+    await burnSettledViewOnceBlobs(auth.roomId, auth.metaKey)
+    if (banned) {
+        const accountKey = await getAccountKey(target.identityKey)
+        await revokeIdentities(auth.metaKey, [accountKey])
+        if (accountKey) await redis.zrem(`user:${accountKey.slice("account:".length)}:rooms`, auth.roomId)
+    }
+
+    await broadcastRoomEvent(auth, "chat.kicked", { memberId, banned, rotateKeys: auth.isSecure && rotateKeys === true, timestamp: Date.now() })
+    if (targetRole === "admin") await broadcastRoles(auth)
+
+    return { success: true }
+}
+
 /**
  * @param {Record<string, any>} cookie
  * @param {string} sessionId
@@ -395,6 +984,7 @@ function clearSessionCookie(cookie) {
 }
 
 const rooms = new Elysia({ prefix: "/room" })
+    .use(rateLimit)
     .post("/create", async ({ body }) => {
         const config = createRoomSchema.parse(body ?? {})
         const roomId = nanoid()
@@ -403,16 +993,25 @@ const rooms = new Elysia({ prefix: "/room" })
 
         /** @type {Record<string, string | number>} */
         const meta = {
-            connected: JSON.stringify([]),
+            ...emptyMembershipFields(),
             createdAt,
             maxParticipants: config.maxParticipants,
             ttlMinutes: config.ttlMinutes,
+            votePolicy: config.votePolicy,
+        }
+        if (config.inviteOnly) meta.inviteOnly = 1
+        if (config.lobby) meta.lobby = 1
+        if (!config.receipts) meta.noReceipts = 1
+        if (ttlSeconds === 0) {
+            // A permanent room keeps a bounded history even if no policy was picked.
+            if (config.retainMessages || !config.retainDays) meta.retainMessages = config.retainMessages ?? DEFAULT_RETAIN_MESSAGES
+            if (config.retainDays) meta.retainDays = config.retainDays
         }
 
-        if (config.password) meta.password = config.password
-        if (config.panicPassword) meta.panicPassword = config.panicPassword
+        if (config.password) meta.passwordHash = await createPasswordHash(config.password)
+        if (config.panicPassword) meta.panicPasswordHash = await createPasswordHash(config.panicPassword)
         if (config.securityQuestion) meta.securityQuestion = config.securityQuestion
-        if (config.securityAnswer) meta.securityAnswer = config.securityAnswer.toLowerCase().trim()
+        if (config.securityAnswer) meta.securityAnswerHash = await createPasswordHash(normalizeSecurityAnswer(config.securityAnswer))
 
         await redis.hset(`meta:${roomId}`, meta)
 
@@ -423,7 +1022,10 @@ const rooms = new Elysia({ prefix: "/room" })
             await redis.zadd(PERMANENT_ROOMS_KEY, { score: createdAt, member: roomId })
         }
 
-        return { roomId }
+        // The creator's invite lets them past their own lobby.
+        if (!config.inviteOnly && !config.lobby) return { roomId }
+        const invite = await createInvite(roomId, { maxUses: 1, ttlSeconds: CREATOR_INVITE_TTL_SECONDS })
+        return { roomId, invite: invite.token }
     })
     .get("/ttl", async ({ query }) => {
         const { roomId } = query
@@ -452,6 +1054,10 @@ const rooms = new Elysia({ prefix: "/room" })
                 roomSaltHex: mode.meta.roomSaltHex || null,
                 kdfIterations: Number(mode.meta.kdfIterations || 100_000),
                 maxParticipants: Number(mode.meta.maxParticipants || MIN_PARTICIPANTS),
+                votePolicy: parseVotePolicy(mode.meta.votePolicy),
+                inviteOnly: Number(mode.meta.inviteOnly) === 1,
+                lobby: Number(mode.meta.lobby) === 1,
+                receipts: Number(mode.meta.noReceipts) !== 1,
                 hasPassword: false,
                 hasPanicPassword: false,
             }
@@ -461,9 +1067,14 @@ const rooms = new Elysia({ prefix: "/room" })
         return {
             exists: true,
             secure: false,
-            hasPassword: !!meta.password,
-            hasPanicPassword: !!meta.panicPassword,
+            hasPassword: hasRoomSecret(meta, "password"),
+            hasPanicPassword: hasRoomSecret(meta, "panicPassword"),
             securityQuestion: meta.securityQuestion || null,
+            votePolicy: parseVotePolicy(meta.votePolicy),
+            inviteOnly: Number(meta.inviteOnly) === 1,
+            lobby: Number(meta.lobby) === 1,
+            receipts: Number(meta.noReceipts) !== 1,
+            retention: parseRetention(meta),
         }
     })
     .post("/create-secure", async ({ body, set }) => {
@@ -476,12 +1087,14 @@ const rooms = new Elysia({ prefix: "/room" })
 
         await redis.hset(secureMetaKey(roomId), {
             mode: "secure-v2",
-            connected: JSON.stringify([]),
-            participants: JSON.stringify({}),
-            revokedParticipants: JSON.stringify([]),
+            ...emptyMembershipFields(),
             createdAt,
             expiresAt,
             maxParticipants: config.maxParticipants,
+            votePolicy: config.votePolicy,
+            ...(config.inviteOnly ? { inviteOnly: 1 } : {}),
+            ...(config.lobby ? { lobby: 1 } : {}),
+            ...(config.receipts ? {} : { noReceipts: 1 }),
             securityQuestion: config.securityQuestion.trim(),
             roomSaltHex: saltHex,
             kdfIterations: config.kdfIterations,
@@ -490,10 +1103,13 @@ const rooms = new Elysia({ prefix: "/room" })
         await redis.expire(secureMetaKey(roomId), SECURE_ROOM_TTL_SECONDS)
 
         set.status = 201
-        return { roomId, expiresAt, ttlSeconds: SECURE_ROOM_TTL_SECONDS }
+        if (!config.inviteOnly && !config.lobby) return { roomId, expiresAt, ttlSeconds: SECURE_ROOM_TTL_SECONDS }
+        const invite = await createInvite(roomId, { maxUses: 1, ttlSeconds: CREATOR_INVITE_TTL_SECONDS })
+        return { roomId, expiresAt, ttlSeconds: SECURE_ROOM_TTL_SECONDS, invite: invite.token }
     })
-    .post("/verify-proof", async ({ body, cookie, set }) => {
-        const { roomId, proofHex } = verifyProofSchema.parse(body ?? {})
+    .post("/verify-proof", async ({ body, cookie, set, rateLimit }) => {
+        const { roomId, proofHex, invite } = verifyProofSchema.parse(body ?? {})
+        await rateLimit.attempt("roomVerify", roomId)
         const meta = await redis.hgetall(secureMetaKey(roomId))
         if (!meta || Object.keys(meta).length === 0) {
             set.status = 404
@@ -504,44 +1120,46 @@ const rooms = new Elysia({ prefix: "/room" })
             set.status = 403
             return { error: "Invalid proof" }
         }
+        await rateLimit.clear("roomVerify", roomId)
 
         const { identityKey, guestId, shouldSetGuestCookie } = getOrCreateParticipantIdentity(cookie)
-        const connected = parseConnectedTokens(meta.connected)
-        const participants = parseParticipantIdentityMap(meta.participants)
-        const revokedParticipants = parseRevokedParticipants(meta.revokedParticipants)
-
-        if (revokedParticipants.has(identityKey)) {
-            set.status = 403
-            return { error: "Room access denied" }
-        }
-
-        const maxParticipants = parseInt(`${meta.maxParticipants ?? ""}`, 10) || MIN_PARTICIPANTS
-        let joinToken = participants[identityKey]
-
-        if (!joinToken && connected.length >= maxParticipants) {
-            set.status = 403
-            return { error: "Room is full" }
-        }
-        if (!joinToken) {
-            joinToken = nanoid()
-        }
-
-        const nextConnected = connected.includes(joinToken) ? connected : [...connected, joinToken]
-        const nextParticipants = {
-            ...participants,
-            [identityKey]: joinToken,
-        }
-
-        /** @type {Record<string, string>} */
-        const updates = {
-            connected: JSON.stringify(nextConnected),
-            participants: JSON.stringify(nextParticipants),
+        /** @type {import("@/lib/room-invites").RoomInvite | null} */
+        let spentInvite = null
+        let waitInLobby = false
+        const joined = await joinRoom(secureMetaKey(roomId), {
+            identityKey,
+            accountKey: await getAccountKey(identityKey),
+            maxParticipants: parseInt(`${meta.maxParticipants ?? ""}`, 10) || MIN_PARTICIPANTS,
+            admit: async () => {
+                spentInvite = invite ? await consumeInvite(roomId, invite) : null
+                if (spentInvite) return true
+                if (Number(meta.inviteOnly) === 1) return false
+                if (Number(meta.lobby) !== 1 || await takeApproval(roomId, identityKey)) return true
+                waitInLobby = true
+                return false
+            },
+        })
+        if (waitInLobby) {
+            // No token yet: the client knocks at /room/knock and retries once approved.
+            set.status = 202
+            return { ok: false, pending: true }
         }
-        if (!asString(meta.creatorToken)) {
-            updates.creatorToken = joinToken
+        if (!joined.ok) {
+            set.status = joined.reason === "missing" ? 404 : 403
+            return {
+                error: joined.reason === "missing"
+                    ? "Room not found"
+                    : joined.reason === "full"
+                        ? "Room is full"
+                        : joined.reason === "uninvited" ? "This room is invite-only. Ask for a new invite link." : "Room access denied",
+            }
         }
+        const joinToken = joined.token
+        // Bind the invite's name, else the account's; guests claim theirs from the room page.
+        const account = identityKey.startsWith("session:") ? await getUserFromSession(identityKey.slice("session:".length)) : null
+        const boundName = spentInvite?.displayName || account?.username
+        if (boundName) await claimMemberDisplayName(secureMetaKey(roomId), joinToken, boundName)
 
-        await redis.hset(secureMetaKey(roomId), updates)
         await syncSecureKeyExpiry(roomId, [secureMetaKey(roomId), secureMessageStreamKey(roomId), secureSignalStreamKey(roomId)])
         setSecureRoomTokenCookies(cookie, roomId, joinToken)
 
@@ -558,8 +1176,9 @@ const rooms = new Elysia({ prefix: "/room" })
 
         return { ok: true, joinToken, expiresAt: Number(meta.expiresAt || Date.now() + SECURE_ROOM_TTL_SECONDS * 1000) }
     })
-    .post("/verify", async ({ body, set }) => {
+    .post("/verify", async ({ body, cookie, set, rateLimit }) => {
         const { roomId, password, securityAnswer } = verifyRoomSchema.parse(body)
+        await rateLimit.attempt("roomVerify", roomId)
 
         const secureMeta = await redis.hgetall(secureMetaKey(roomId))
         if (secureMeta && Object.keys(secureMeta).length > 0) {
@@ -567,100 +1186,265 @@ const rooms = new Elysia({ prefix: "/room" })
             return { error: "Use /api/room/verify-proof for secure rooms" }
         }
 
-        const meta = await redis.hgetall(`meta:${roomId}`)
+        const storedMeta = await redis.hgetall(`meta:${roomId}`)
+        if (!storedMeta || Object.keys(storedMeta).length === 0) {
+            set.status = 404
+            return { error: "Room not found" }
+        }
+        const meta = await migrateLegacyRoomSecrets(`meta:${roomId}`, storedMeta)
+
+        if (hasRoomSecret(meta, "password") && !(await verifyRoomSecret(meta.passwordHash, password))) {
+            set.status = 403
+            return { error: "Incorrect password" }
+        }
+
+        if ((hasRoomSecret(meta, "securityAnswer") || meta.securityQuestion) && !(await verifyRoomSecret(meta.securityAnswerHash, securityAnswer && normalizeSecurityAnswer(securityAnswer)))) {
+            set.status = 403
+            return { error: "Incorrect security answer" }
+        }
+
+        await rateLimit.clear("roomVerify", roomId)
+        cookie[roomVerifiedCookie(roomId)].set({
+            value: await issueRoomVerification(roomId),
+            path: "/",
+            httpOnly: true,
+            secure: ENV.NODE_ENV === "production",
+            sameSite: "strict",
+            maxAge: ROOM_VERIFIED_TTL_SECONDS,
+        })
+        return { success: true }
+    })
+    .post("/knock", async ({ body, cookie, set, rateLimit }) => {
+        const { roomId, codename, proofHex } = knockSchema.parse(body ?? {})
+        // Each knock pages the moderators, so every one counts, not just wrong answers.
+        await rateLimit.attempt("roomVerify", roomId)
+        const mode = await getRoomMode(roomId)
+        if (mode.mode === "missing" || !mode.meta) {
+            set.status = 404
+            return { error: "Room not found" }
+        }
+        if (Number(mode.meta.lobby) !== 1) {
+            set.status = 400
+            return { error: "This room has no lobby" }
+        }
+
+        // Knocking takes the same answer a direct join would.
+        if (mode.mode === "secure") {
+            if (!proofHex || !timingSafeHexEquals(asString(mode.meta.gatekeeperVerifierHex) || "", proofHex)) {
+                set.status = 403
+                return { error: "Invalid proof" }
+            }
+        } else if ((hasRoomSecret(mode.meta, "password") || mode.meta.securityQuestion) && !(await isRoomVerified(roomId, cookie[roomVerifiedCookie(roomId)]?.value))) {
+            set.status = 403
+            return { error: "Verify the room password first" }
+        }
+
+        const { identityKey, guestId, shouldSetGuestCookie } = getOrCreateParticipantIdentity(cookie)
+        const accountKey = await getAccountKey(identityKey)
+        if (await isIdentityRevoked(mode.metaKey, identityKey) || await isIdentityRevoked(mode.metaKey, accountKey)) {
+            set.status = 403
+            return { error: "Room access denied" }
+        }
+
+        const knocked = await knock(roomId, { identityKey, codename })
+        if (knocked.created) {
+            const auth = { roomId, isSecure: mode.mode === "secure" }
+            await broadcastRoomEvent(auth, "presence.knock", { knockId: knocked.knockId, codename, timestamp: Date.now() })
+        }
+
+        if (shouldSetGuestCookie) {
+            cookie[GUEST_PARTICIPANT_COOKIE].set({
+                value: guestId,
+                path: "/",
+                httpOnly: true,
+                secure: ENV.NODE_ENV === "production",
+                sameSite: "strict",
+                maxAge: 30 * 24 * 60 * 60,
+            })
+        }
+        return { status: knocked.status }
+    })
+    .get("/knock", async ({ query, cookie }) => {
+        const { identityKey } = getOrCreateParticipantIdentity(cookie)
+        return { status: await getKnockStatus(query.roomId, identityKey) }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .use(authMiddleware)
+    .post("/exit", async ({ auth, cookie, set }) => {
+        const meta = await redis.hgetall(auth.metaKey)
         if (!meta || Object.keys(meta).length === 0) {
             set.status = 404
             return { error: "Room not found" }
         }
-
-        if (meta.password && meta.password !== password) {
+
+        const identityKey = getParticipantIdentityKey(cookie)
+        const sessionId = asString(cookie?.["x-session"]?.value)
+
+        // An owner leaving hands the room to the longest-present admin (or member).
+        const role = await getRoomRole(auth.metaKey, auth.token)
+        await leaveRoom(auth.metaKey, auth.token, { identityKey, revokeIdentity: true })
+        await burnSettledViewOnceBlobs(auth.roomId, auth.metaKey)
+        if (role !== "member") await broadcastRoles(auth)
+
+        if (sessionId) {
+            const user = await getUserFromSession(sessionId)
+            if (user?.userId) {
+                await redis.zrem(`user:${user.userId}:rooms`, auth.roomId)
+            }
+        }
+
+        cookie["x-auth-token"].set({
+            value: "",
+            path: "/",
+            maxAge: 0,
+        })
+        if (auth.isSecure) {
+            clearSecureRoomTokenCookie(cookie, auth.roomId)
+        }
+
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/kick", ({ auth, body, set }) => removeParticipant(auth, body, set, false), {
+        query: t.Object({ roomId: t.String() }),
+    })
+    .post("/ban", ({ auth, body, set }) => removeParticipant(auth, body, set, true), {
+        query: t.Object({ roomId: t.String() }),
+    })
+    .post("/transfer-ownership", async ({ auth, body, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) !== "owner") {
+            set.status = 403
+            return { error: "Only the room owner can transfer ownership" }
+        }
+        const { memberId } = memberTargetSchema.parse(body ?? {})
+        const target = await findRoomMember(auth.metaKey, memberId)
+        if (!target) {
+            set.status = 404
+            return { error: "Participant not found" }
+        }
+        if (target.token === auth.token) {
+            set.status = 400
+            return { error: "You already own this room" }
+        }
+
+        await setRoomOwner(auth.metaKey, target.token)
+        await broadcastRoles(auth)
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/promote", async ({ auth, body, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) !== "owner") {
+            set.status = 403
+            return { error: "Only the room owner can change admins" }
+        }
+        const { memberId, role } = promoteMemberSchema.parse(body ?? {})
+        const target = await findRoomMember(auth.metaKey, memberId)
+        if (!target) {
+            set.status = 404
+            return { error: "Participant not found" }
+        }
+        if (target.token === auth.token) {
+            set.status = 400
+            return { error: "The owner's role can only change through a transfer" }
+        }
+
+        await setRoomRole(auth.metaKey, target.token, role)
+        await broadcastRoles(auth)
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .get("/role", async ({ auth }) => {
+        return {
+            role: await getRoomRole(auth.metaKey, auth.token),
+            memberId: await roomMemberId(auth.token),
+            displayName: await getMemberDisplayName(auth.metaKey, auth.token) || null,
+            ...await getRoomRoster(auth.metaKey),
+        }
+    }, { query: t.Object({ roomId: t.String() }) })
+    // Bind the caller's codename on first visit; a name bound at join (invite
+    // or account) wins, and a taken name gets a suffix.
+    .post("/name", async ({ auth, body }) => {
+        const { name } = claimNameSchema.parse(body ?? {})
+        return { displayName: await claimMemberDisplayName(auth.metaKey, auth.token, name) }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/rename", async ({ auth, body, set }) => {
+        const { name } = renameSchema.parse(body ?? {})
+        const renamed = await renameMember(auth.metaKey, auth.token, name)
+        if (!renamed.ok) {
+            set.status = 409
+            return { error: "Someone in this room already goes by that name" }
+        }
+        if (renamed.previous !== name) {
+            await broadcastRoomEvent(auth, "chat.member-renamed", {
+                memberId: await roomMemberId(auth.token),
+                previous: renamed.previous,
+                name,
+                timestamp: Date.now(),
+            })
+        }
+        return { displayName: name }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .get("/invites", async ({ auth, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
+            set.status = 403
+            return { error: "Only the room owner or an admin can see invites" }
+        }
+        return {
+            inviteOnly: Number(await redis.hget(auth.metaKey, "inviteOnly")) === 1,
+            invites: await listInvites(auth.roomId),
+        }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/invites", async ({ auth, body, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Incorrect password" }
+            return { error: "Only the room owner or an admin can create invites" }
         }
+        const { maxUses, expiresInMinutes, displayName } = createInviteSchema.parse(body ?? {})
+        // An invite never outlives the room it opens.
+        const roomTtl = await redis.ttl(auth.metaKey)
+        const ttlSeconds = roomTtl > 0 ? Math.min(roomTtl, expiresInMinutes * 60) : expiresInMinutes * 60
 
-        if (meta.securityAnswer && meta.securityAnswer !== securityAnswer?.toLowerCase()?.trim()) {
+        set.status = 201
+        return { invite: await createInvite(auth.roomId, { maxUses, ttlSeconds, displayName }) }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .delete("/invites/:inviteId", async ({ auth, params, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Incorrect security answer" }
+            return { error: "Only the room owner or an admin can revoke invites" }
         }
-
-        return { success: true }
-    })
-    .use(authMiddleware)
-    .post("/exit", async ({ auth, cookie, set }) => {
-        const meta = await redis.hgetall(auth.metaKey)
-        if (!meta || Object.keys(meta).length === 0) {
+        if (!(await revokeInvite(auth.roomId, params.inviteId))) {
             set.status = 404
-            return { error: "Room not found" }
+            return { error: "Invite not found or already used" }
         }
-
-        const creatorToken = asString(meta.creatorToken)
-        if (creatorToken && creatorToken === auth.token) {
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .get("/knocks", async ({ auth, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Room creator cannot exit this room" }
-        }
-
-        const connected = parseConnectedTokens(meta.connected)
-        const participants = parseParticipantIdentityMap(meta.participants)
-        const revokedParticipants = parseRevokedParticipants(meta.revokedParticipants)
-        const identityKey = getParticipantIdentityKey(cookie)
-        const sessionId = asString(cookie?.["x-session"]?.value)
-
-        const nextConnected = connected.filter((token) => token !== auth.token)
-        const nextParticipants = Object.fromEntries(
-            Object.entries(participants).filter(([, token]) => token !== auth.token)
-        )
-        if (identityKey) {
-            revokedParticipants.add(identityKey)
-            delete nextParticipants[identityKey]
+            return { error: "Only the room owner or an admin can see the lobby" }
         }
-
-        await redis.hset(auth.metaKey, {
-            connected: JSON.stringify(nextConnected),
-            participants: JSON.stringify(nextParticipants),
-            revokedParticipants: JSON.stringify(Array.from(revokedParticipants)),
-        })
-
-        if (sessionId) {
-            const user = await getUserFromSession(sessionId)
-            if (user?.userId) {
-                await redis.zrem(`user:${user.userId}:rooms`, auth.roomId)
-            }
+        return { knocks: await listKnocks(auth.roomId) }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/knocks/decide", async ({ auth, body, set }) => {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
+            set.status = 403
+            return { error: "Only the room owner or an admin can answer the lobby" }
         }
-
-        cookie["x-auth-token"].set({
-            value: "",
-            path: "/",
-            maxAge: 0,
-        })
-        if (auth.isSecure) {
-            clearSecureRoomTokenCookie(cookie, auth.roomId)
+        const { knockId, approve } = decideKnockSchema.parse(body ?? {})
+        if (!(await decideKnock(auth.roomId, knockId, approve))) {
+            set.status = 404
+            return { error: "Knock not found or already answered" }
         }
-
+        await broadcastRoomEvent(auth, "presence.knock-resolved", { knockId, approved: approve, timestamp: Date.now() })
         return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
-    .get("/role", async ({ auth }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        return { role: creatorToken === auth.token ? "creator" : "member" }
-    }, { query: t.Object({ roomId: t.String() }) })
     .delete("/", async ({ auth, set }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        if (creatorToken !== auth.token) {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Only the room creator can destroy the room" }
+            return { error: "Only the room owner or an admin can destroy the room" }
         }
-
-        if (auth.isSecure) {
-            await nukeRoom(auth.roomId, "destroy")
-        } else {
-            await Promise.all([
-                redis.del(auth.roomId),
-                redis.del(`meta:${auth.roomId}`),
-                redis.del(`messages:${auth.roomId}`),
-                redis.zrem(PERMANENT_ROOMS_KEY, auth.roomId),
-            ])
-            await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.destroy", { isDestroyed: true })
+        if (await getVotePolicy(auth.metaKey) !== "owner") {
+            set.status = 409
+            return { error: VOTE_POLICY_ERROR }
         }
 
+        await destroyRoom(auth, "destroy")
         return { success: true }
     }, {
         query: t.Object({
@@ -668,10 +1452,13 @@ const rooms = new Elysia({ prefix: "/room" })
         })
     })
     .post("/request-destroy", async ({ auth, body, set }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        if (creatorToken === auth.token) {
+        if (await getRoomRole(auth.metaKey, auth.token) !== "member") {
             set.status = 400
-            return { error: "Creator can destroy directly" }
+            return { error: "Owners and admins can destroy directly" }
+        }
+        if (await getVotePolicy(auth.metaKey) !== "owner") {
+            set.status = 409
+            return { error: VOTE_POLICY_ERROR }
         }
 
         const { requesterId, requesterName } = z.object({
@@ -701,31 +1488,26 @@ const rooms = new Elysia({ prefix: "/room" })
         return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
     .post("/approve-destroy", async ({ auth, set }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        if (creatorToken !== auth.token) {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Only the room creator can approve destruction" }
+            return { error: "Only the room owner or an admin can approve destruction" }
         }
-
-        if (auth.isSecure) {
-            await nukeRoom(auth.roomId, "destroy-approved")
-        } else {
-            await Promise.all([
-                redis.del(auth.roomId),
-                redis.del(`meta:${auth.roomId}`),
-                redis.del(`messages:${auth.roomId}`),
-                redis.zrem(PERMANENT_ROOMS_KEY, auth.roomId),
-            ])
-            await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.destroy", { isDestroyed: true })
+        if (await getVotePolicy(auth.metaKey) !== "owner") {
+            set.status = 409
+            return { error: VOTE_POLICY_ERROR }
         }
 
+        await destroyRoom(auth, "destroy-approved")
         return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
     .post("/deny-destroy", async ({ auth, body, set }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        if (creatorToken !== auth.token) {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Only the room creator can deny destruction" }
+            return { error: "Only the room owner or an admin can deny destruction" }
+        }
+        if (await getVotePolicy(auth.metaKey) !== "owner") {
+            set.status = 409
+            return { error: VOTE_POLICY_ERROR }
         }
 
         const { requesterId } = z.object({
@@ -752,71 +1534,145 @@ const rooms = new Elysia({ prefix: "/room" })
         return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
     .post("/extend-timer", async ({ body, auth, set }) => {
-        const creatorToken = await redis.hget(auth.metaKey, "creatorToken")
-        if (creatorToken !== auth.token) {
+        if (await getRoomRole(auth.metaKey, auth.token) === "member") {
             set.status = 403
-            return { error: "Only the room creator can extend the timer" }
+            return { error: "Only the room owner or an admin can extend the timer" }
         }
         if (auth.isSecure) {
             set.status = 400
             return { error: "Secure rooms have a fixed 1-hour TTL and cannot be extended" }
         }
+        if (await getVotePolicy(auth.metaKey) !== "owner") {
+            set.status = 409
+            return { error: VOTE_POLICY_ERROR }
+        }
 
         const { minutes } = z.object({ minutes: z.number().int().min(1).max(60) }).parse(body)
-        const currentTtl = await redis.ttl(auth.metaKey)
+        const { newTtl, error } = await extendRoomTimer(auth, minutes)
+        if (error) {
+            set.status = 400
+            return { error }
+        }
 
-        // If room is permanent (ttl = -1), can't extend
-        if (currentTtl === -1) {
+        return { success: true, newTtl }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .get("/votes", async ({ auth }) => {
+        const { open, closed } = await getOpenVote(auth.roomId, auth.metaKey)
+        await settleVote(auth, closed)
+        return { votePolicy: await getVotePolicy(auth.metaKey), vote: open }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/votes", async ({ auth, body, set }) => {
+        const policy = await getVotePolicy(auth.metaKey)
+        if (policy === "owner") {
             set.status = 400
-            return { error: "Permanent rooms don't have a timer to extend" }
+            return { error: "This room is run by its owner; there is nothing to vote on" }
         }
 
-        const newTtl = Math.max(currentTtl, 0) + minutes * 60
-        const keys = [auth.metaKey, `messages:${auth.roomId}`, `history:${auth.roomId}`, auth.roomId]
-        await Promise.all(keys.map(k => redis.expire(k, newTtl)))
+        const request = startVoteSchema.parse(body ?? {})
+        if (request.kind === "extend") {
+            if (auth.isSecure) {
+                set.status = 400
+                return { error: "Secure rooms have a fixed 1-hour TTL and cannot be extended" }
+            }
+            if (await redis.ttl(auth.metaKey) === -1) {
+                set.status = 400
+                return { error: "Permanent rooms don't have a timer to extend" }
+            }
+        }
 
-        await realtime.channel(auth.roomId).emit("chat.timer-extended", { newTtl })
-        await syncRoomStreamExpiry(auth.roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+        await settleVote(auth, (await getOpenVote(auth.roomId, auth.metaKey)).closed)
+        const opened = await openVote(auth.roomId, auth.metaKey, {
+            kind: request.kind,
+            minutes: request.kind === "extend" ? request.minutes : undefined,
+            policy,
+            requesterToken: auth.token,
+            requesterName: request.requesterName || "a participant",
+        })
+        if (!opened.ok || !opened.state) {
+            set.status = 409
+            return { error: "Another vote is already in progress" }
+        }
 
-        return { success: true, newTtl }
+        await broadcastVote(auth, opened.state)
+        await settleVote(auth, opened.closed)
+        return { success: true, vote: opened.state, outcome: opened.closed?.outcome ?? null }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/votes/ballot", async ({ auth, body, set }) => {
+        const { voteId, approve } = ballotSchema.parse(body ?? {})
+        const cast = await castBallot(auth.roomId, auth.metaKey, { voteId, token: auth.token, approve })
+        if (!cast.ok || !cast.state) {
+            set.status = cast.reason === "missing" ? 404 : cast.reason === "ineligible" ? 403 : 409
+            return {
+                error: cast.reason === "missing"
+                    ? "This vote is no longer open"
+                    : cast.reason === "ineligible" ? "You joined after this vote opened" : "You already voted",
+            }
+        }
+
+        await broadcastVote(auth, cast.state)
+        await settleVote(auth, cast.closed)
+        return { success: true, outcome: cast.closed?.outcome ?? null }
     }, { query: t.Object({ roomId: t.String() }) })
-    .post("/panic", async ({ body, auth, set }) => {
+    .post("/panic", async ({ body, auth, set, rateLimit }) => {
         if (auth.isSecure) {
             set.status = 403
             return { error: "Panic password is not available in secure mode" }
         }
         const { panicPassword } = z.object({ panicPassword: z.string() }).parse(body)
-        const storedPanic = await redis.hget(auth.metaKey, "panicPassword")
+        await rateLimit.attempt("roomPanic", auth.roomId)
+        const meta = await migrateLegacyRoomSecrets(auth.metaKey, (await redis.hgetall(auth.metaKey)) ?? {})
 
-        if (!storedPanic) {
+        if (!hasRoomSecret(meta, "panicPassword")) {
             set.status = 400
             return { error: "This room has no panic password configured" }
         }
 
-        if (storedPanic !== panicPassword) {
+        if (!(await verifyRoomSecret(meta.panicPasswordHash, panicPassword))) {
+            // Repeated wrong guesses from anyone suggest the room is being probed.
+            if (PANIC_NUKE_AFTER_FAILURES > 0) {
+                const failures = await rateLimit.hit("roomPanic", auth.roomId, { shared: true })
+                if (failures >= PANIC_NUKE_AFTER_FAILURES) {
+                    await rateLimit.clear("roomPanic", auth.roomId, { shared: true })
+                    await nukeRoom(auth.roomId, "panic-lockout")
+                    set.status = 403
+                    return { error: "Too many failed panic attempts. The room has been destroyed." }
+                }
+            }
             set.status = 403
             return { error: "Incorrect panic password" }
         }
 
         // Destroy everything silently
-        const roomId = auth.roomId
-        await Promise.all([
-            redis.del(roomId),
-            redis.del(`meta:${roomId}`),
-            redis.del(`messages:${roomId}`),
-            redis.zrem(PERMANENT_ROOMS_KEY, roomId),
-        ])
-
-        await emitLifecycleEventWithStreamExpiry(roomId, "chat.panic", { triggered: true })
+        await wipeRoomKeys(auth.roomId)
+        await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.panic", { triggered: true })
 
         return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
 
 const bodySchema = z.object({
-    sender: z.string().max(1_000_000),
+    // Optional: the server stamps the sender, this only has to agree with it.
+    sender: z.string().max(100).optional(),
     text: z.string().max(1_000_000),
     vanishAfter: z.number().int().min(5).max(300).optional(),
     type: z.enum(["text", "stego", "audio", "file"]).default("text"),
+    viewOnce: z.boolean().optional(),
+    replyTo: z.string().min(1).max(64).optional(),
+    clientMessageId: clientMessageIdSchema.optional(),
+}).refine(
+    (data) => !data.viewOnce || data.type !== "audio",
+    { message: "Voice notes can't be sent view-once" }
+)
+
+const editMessageSchema = z.object({
+    text: z.string().min(1).max(1_000_000),
+})
+
+// A single emoji, possibly with skin-tone or ZWJ sequences.
+const reactionEmojiSchema = z.string().min(1).max(16).regex(/^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u)
+
+const reactionSchema = z.object({
+    emoji: reactionEmojiSchema,
+    sender: z.string().max(100).optional(),
 })
 
 const messages = new Elysia({ prefix: "/messages" })
@@ -826,7 +1682,7 @@ const messages = new Elysia({ prefix: "/messages" })
             set.status = 400
             return { error: "Use /api/messages/encrypted for secure rooms" }
         }
-        const { sender, text, vanishAfter, type } = bodySchema.parse(body)
+        const { sender: claimedSender, text, vanishAfter, type, viewOnce, replyTo, clientMessageId } = bodySchema.parse(body)
         const { roomId } = auth
 
         const roomExists = await redis.exists(auth.metaKey)
@@ -834,22 +1690,54 @@ const messages = new Elysia({ prefix: "/messages" })
         if (!roomExists)
             throw new Error("Room does not exist.")
 
+        const sender = await resolveSender(auth, claimedSender)
+        if (!sender) {
+            set.status = 403
+            return { error: "You can only send messages under your own name" }
+        }
+
+        const senderId = await roomMemberId(auth.token)
+        if (clientMessageId) {
+            const send = await claimSend(roomId, senderId, clientMessageId)
+            if (!send.claimed) {
+                if (send.result) return { success: true, ...send.result, duplicate: true }
+                set.status = 409
+                return { error: "This message is still being sent" }
+            }
+        }
+
         const message = {
             id: nanoid(),
             sender,
-            text,
+            senderId,
+            // View-once text is kept apart and only handed out by /reveal.
+            text: viewOnce ? "" : text,
             timestamp: Date.now(),
             roomId,
             ...(vanishAfter ? { vanishAfter } : {}),
             ...(type !== "text" ? { type } : {}),
+            ...(viewOnce ? { viewOnce: true } : {}),
+            ...(replyTo ? { replyTo } : {}),
         }
+        try {
+            // With nobody else seated there is no one to reveal it to.
+            if (viewOnce && !(await storeViewOnce(roomId, auth.metaKey, { messageId: message.id, payload: text, senderToken: auth.token }))) {
+                await dropViewOnceBlob(roomId, { payload: text, senderId })
+            }
 
-        // Now we have the message that has been sent in the memory 
-        // So we then add this message to the chat history to view it
-        await redis.rpush(`messages:${roomId}`, {
-            ...message,
-            token: auth.token,
-        })
+            // Now we have the message that has been sent in the memory 
+            // So we then add this message to the chat history to view it
+            await appendHistory(roomId, {
+                ...message,
+                token: auth.token,
+            })
+        } catch (error) {
+            if (clientMessageId) await releaseSend(roomId, senderId, clientMessageId)
+            throw error
+        }
+        if (clientMessageId) await settleSend(roomId, senderId, clientMessageId, { id: message.id, timestamp: message.timestamp })
+        const expiresAt = messageExpiresAt(message)
+        if (expiresAt) await scheduleVanish(roomId, message.id, expiresAt)
 
         await realtime.channel(roomId).emit("chat.message", message)
 
@@ -857,11 +1745,16 @@ const messages = new Elysia({ prefix: "/messages" })
         const remTime = await redis.ttl(`meta:${roomId}`)
         if (remTime > 0) {
             await redis.expire(`messages:${roomId}`, remTime)
+            await redis.expire(roomMessageIndexKey(roomId), remTime)
             await redis.expire(`history:${roomId}`, remTime)
+            if (expiresAt) await redis.expire(roomVanishKey(roomId), remTime)
+            if (viewOnce) await redis.expire(roomViewOnceKey(roomId), remTime)
         }
         await syncRoomStreamExpiry(roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+        await sweepExpiredMessages(roomId)
+        await enforceRetention(auth)
 
-        return { success: true }
+        return { success: true, id: message.id, timestamp: message.timestamp }
     })
     .post("/encrypted", async ({ body, auth, set }) => {
         if (!auth.isSecure) {
@@ -870,9 +1763,10 @@ const messages = new Elysia({ prefix: "/messages" })
         }
 
         const payload = encryptedMessageSchema.parse(body ?? {})
-        if (payload.roomId && payload.roomId !== auth.roomId) {
-            set.status = 400
-            return { error: "roomId mismatch" }
+        const rejected = rejectEncryptedPayload(payload, auth.roomId)
+        if (rejected) {
+            set.status = rejected.status
+            return { error: rejected.error }
         }
 
         const secureMeta = await redis.hgetall(auth.metaKey)
@@ -880,16 +1774,39 @@ const messages = new Elysia({ prefix: "/messages" })
             set.status = 404
             return { error: "Secure room not found" }
         }
+        // Members see system notices as coming from the room itself.
+        if (payload.envelope.kind === "system" && await getRoomRole(auth.metaKey, auth.token) !== "owner") {
+            set.status = 403
+            return { error: "Only the room owner can post system notices" }
+        }
+
+        const { clientMessageId } = payload
+        const senderId = await roomMemberId(auth.token)
+        if (clientMessageId) {
+            const send = await claimSend(auth.roomId, senderId, clientMessageId)
+            if (!send.claimed) {
+                if (send.result) return { id: send.result.id, acceptedAt: send.result.timestamp, duplicate: true }
+                set.status = 409
+                return { error: "This message is still being sent" }
+            }
+        }
 
-        const messageId = nanoid()
         const acceptedAt = Date.now()
 
-        await appendSecureStream(auth.roomId, secureMessageStreamKey(auth.roomId), {
-            id: messageId,
-            senderToken: auth.token,
-            acceptedAt,
-            envelope: JSON.stringify(payload.envelope),
-        })
+        // The stream id doubles as the message id so history backfill and
+        // realtime delivery dedupe against each other.
+        let messageId
+        try {
+            messageId = await appendSecureStream(auth.roomId, secureMessageStreamKey(auth.roomId), {
+                senderToken: auth.token,
+                acceptedAt,
+                envelope: JSON.stringify(payload.envelope),
+            })
+        } catch (error) {
+            if (clientMessageId) await releaseSend(auth.roomId, senderId, clientMessageId)
+            throw error
+        }
+        if (clientMessageId) await settleSend(auth.roomId, senderId, clientMessageId, { id: messageId, timestamp: acceptedAt })
 
         await realtime.channel(auth.roomId).emit("chat.encrypted", {
             id: messageId,
@@ -900,35 +1817,369 @@ const messages = new Elysia({ prefix: "/messages" })
 
         return { id: messageId, acceptedAt }
     }, { query: t.Object({ roomId: t.String() }) })
-    .get("/", async ({ auth }) => {
+    .get("/encrypted", async ({ auth, query, set }) => {
+        if (!auth.isSecure) {
+            set.status = 400
+            return { error: "Encrypted history is only available in secure rooms" }
+        }
+        if (query.after && !STREAM_ID_PATTERN.test(query.after)) {
+            set.status = 400
+            return { error: "Invalid cursor" }
+        }
+        const limit = Math.min(Math.max(Number(query.limit) || SECURE_HISTORY_PAGE_SIZE, 1), SECURE_HISTORY_PAGE_SIZE)
+
+        // Fetch one extra entry to learn whether another page exists.
+        const start = query.after ? `(${query.after}` : "-"
+        const entries = Object.entries(await redis.xrange(secureMessageStreamKey(auth.roomId), start, "+", limit + 1))
+        const page = entries.slice(0, limit)
+
+        // Edits and unsend tombstones ride along so a backfilling client can
+        // apply them to the messages it already holds.
+        const messages = page.flatMap(/** @returns {Record<string, unknown>[]} */ ([id, fields]) => {
+            const acceptedAt = Number(fields.acceptedAt)
+            const timestamp = Number.isFinite(acceptedAt) ? acceptedAt : Date.now()
+            if (typeof fields.deletes === "string") {
+                const slots = parseStoredEnvelope(fields.slots)
+                return [{ id, deletes: fields.deletes, slots: Array.isArray(slots) ? slots : [], timestamp }]
+            }
+            const envelope = parseStoredEnvelope(fields.envelope)
+            if (!envelope) return []
+            return [{ id, envelope, ...(typeof fields.editOf === "string" ? { editOf: fields.editOf } : {}), timestamp }]
+        })
+
+        return {
+            messages,
+            nextCursor: entries.length > limit ? page[page.length - 1][0] : null,
+        }
+    }, {
+        query: t.Object({
+            roomId: t.String(),
+            after: t.Optional(t.String()),
+            limit: t.Optional(t.String()),
+        }),
+    })
+    .get("/", async ({ auth, query, set }) => {
         if (auth.isSecure) {
-            return { secure: true, messages: [] }
+            return { secure: true, messages: [], nextCursor: null }
         }
-        const messages = await redis.lrange(`messages:${auth.roomId}`, 0, -1)
+        const before = query.before ? parseHistoryCursor(query.before) : null
+        if (query.before && !before) {
+            set.status = 400
+            return { error: "Invalid cursor" }
+        }
+        const limit = Math.min(Math.max(Number(query.limit) || HISTORY_PAGE_SIZE, 1), HISTORY_PAGE_SIZE)
+
+        await sweepExpiredMessages(auth.roomId)
+        if (!before) await enforceRetention(auth)
+        const now = Date.now()
+        const page = await readHistoryPage(auth.roomId, { before, limit })
+        const messages = await applyEdits(auth.roomId, page.messages
+            // A sweep racing this read may not have removed them yet.
+            .filter((m) => (messageExpiresAt(m) ?? Infinity) > now))
+        const receipts = await getViewOnceReceipts(
+            auth.roomId,
+            auth.metaKey,
+            messages.filter((m) => m.viewOnce).map((m) => m.id),
+            await roomMemberId(auth.token),
+        )
+        const reactions = await getReactions(auth.roomId, messages.map((m) => m.id))
+        const names = await memberNamesById(auth.metaKey)
 
         return {
-            messages: messages.map((raw) => {
-                const m = typeof raw === 'string' ? JSON.parse(raw) : raw
-                return {
-                    ...m,
-                    token: m.token === auth.token ? auth.token : undefined
-                }
+            messages: messages.map((m) => ({
+                ...m,
+                sender: names.get(m.senderId) ?? m.sender,
+                ...(m.viewOnce ? receipts.get(m.id) : {}),
+                ...(reactions.has(m.id) ? {
+                    reactions: reactions.get(m.id)?.map(({ emoji, name, memberId }) => ({ emoji, name: names.get(memberId) ?? name })),
+                } : {}),
+                token: m.token === auth.token ? auth.token : undefined
+            })),
+            nextCursor: page.nextCursor,
+        }
+    }, {
+        query: t.Object({
+            roomId: t.String(),
+            before: t.Optional(t.String()),
+            limit: t.Optional(t.String()),
+        }),
+    })
+    .post("/:messageId/reveal", async ({ auth, params, set }) => {
+        if (auth.isSecure) {
+            set.status = 400
+            return { error: "View-once messages are only supported in standard rooms" }
+        }
+        const revealed = await revealViewOnce(auth.roomId, auth.metaKey, { messageId: params.messageId, token: auth.token })
+        if (!revealed.ok || !revealed.receipt) {
+            set.status = revealed.reason === "ineligible" ? 403 : 410
+            return {
+                error: revealed.reason === "ineligible"
+                    ? "This message wasn't sent to you"
+                    : "This message has already been viewed",
+            }
+        }
+
+        if (revealed.burned) await dropViewOnceBlob(auth.roomId, revealed.burned)
+
+        const { memberId, viewedBy, recipients } = revealed.receipt
+        await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.viewed", {
+            messageId: params.messageId,
+            memberId,
+            viewedBy,
+            recipients,
+            timestamp: Date.now(),
+        })
+        return { payload: revealed.payload }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .patch("/:messageId", async ({ body, auth, params, set }) => {
+        if (auth.isSecure) return editSecureMessage(auth, params.messageId, body, set)
+
+        const { text } = editMessageSchema.parse(body ?? {})
+        const found = await findRoomMessage(auth.roomId, params.messageId)
+        if (!found || (messageExpiresAt(found.message) ?? Infinity) <= Date.now()) {
+            set.status = 404
+            return { error: "Message not found" }
+        }
+        if (found.message.token !== auth.token) {
+            set.status = 403
+            return { error: "Only the sender can edit this message" }
+        }
+        if (found.message.type || found.message.viewOnce) {
+            set.status = 400
+            return { error: "Only text messages can be edited" }
+        }
+
+        const editedAt = await recordEdit(auth.roomId, params.messageId, text)
+        const remTime = await redis.ttl(auth.metaKey)
+        if (remTime > 0) await redis.expire(roomEditsKey(auth.roomId), remTime)
+        await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.message-edited", { id: params.messageId, text, editedAt })
+        return { id: params.messageId, editedAt }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .delete("/:messageId", async ({ auth, params, set }) => {
+        if (auth.isSecure) return unsendSecureMessage(auth, params.messageId, set)
+
+        const found = await findRoomMessage(auth.roomId, params.messageId)
+        if (!found) {
+            set.status = 404
+            return { error: "Message not found" }
+        }
+        if (found.message.token !== auth.token) {
+            set.status = 403
+            return { error: "Only the sender can unsend this message" }
+        }
+
+        // Only the caller whose LREM lands reports the unsend.
+        if (!(await redis.lrem(`messages:${auth.roomId}`, 1, found.raw))) {
+            set.status = 404
+            return { error: "Message not found" }
+        }
+        await Promise.all([
+            redis.zrem(roomVanishKey(auth.roomId), params.messageId),
+            dropMessageIndex(auth.roomId, [params.messageId]),
+            dropEdits(auth.roomId, [params.messageId]),
+            dropReactions(auth.roomId, [params.messageId]),
+            dropViewOnce(auth.roomId, [params.messageId]),
+        ])
+        await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.message-deleted", { id: params.messageId, timestamp: Date.now() })
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/:messageId/reactions", async ({ body, auth, params, set }) => {
+        if (auth.isSecure) {
+            set.status = 400
+            return { error: "Secure rooms send reactions as encrypted envelopes" }
+        }
+        const { emoji, sender: claimedSender } = reactionSchema.parse(body ?? {})
+        const sender = await resolveSender(auth, claimedSender)
+        if (!sender) {
+            set.status = 403
+            return { error: "You can only react under your own name" }
+        }
+        const found = await findRoomMessage(auth.roomId, params.messageId)
+        if (!found || (messageExpiresAt(found.message) ?? Infinity) <= Date.now()) {
+            set.status = 404
+            return { error: "Message not found" }
+        }
+
+        const memberId = await roomMemberId(auth.token)
+        if (await addReaction(auth.roomId, { messageId: params.messageId, emoji, memberId, name: sender })) {
+            const remTime = await redis.ttl(auth.metaKey)
+            if (remTime > 0) await redis.expire(roomReactionsKey(auth.roomId), remTime)
+            await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.reaction-added", {
+                messageId: params.messageId,
+                emoji,
+                memberId,
+                name: sender,
+                timestamp: Date.now(),
             })
         }
+        return { success: true }
     }, { query: t.Object({ roomId: t.String() }) })
+    .delete("/:messageId/reactions", async ({ auth, params, query, set }) => {
+        if (auth.isSecure) {
+            set.status = 400
+            return { error: "Secure rooms send reactions as encrypted envelopes" }
+        }
+        const emoji = reactionEmojiSchema.parse(query.emoji)
+        const memberId = await roomMemberId(auth.token)
+        const name = await removeReaction(auth.roomId, { messageId: params.messageId, emoji, memberId })
+        if (name !== null) {
+            await emitLifecycleEventWithStreamExpiry(auth.roomId, "chat.reaction-removed", {
+                messageId: params.messageId,
+                emoji,
+                memberId,
+                name,
+                timestamp: Date.now(),
+            })
+        }
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String(), emoji: t.String() }) })
     .get("/participants", async ({ auth }) => {
         if (auth.isSecure) {
             return { participants: [] }
         }
-        const rawMessages = await redis.lrange(`messages:${auth.roomId}`, 0, -1)
-        const senders = new Set()
-        for (const raw of rawMessages) {
-            const m = typeof raw === "string" ? JSON.parse(raw) : raw
-            if (typeof m?.sender === "string" && m.sender.length > 0) {
-                senders.add(m.sender)
-            }
+        // Only names the server bound to a seat, not whatever a message claimed.
+        const members = await listRoomMembers(auth.metaKey)
+        return { participants: members.map((member) => member.displayName).filter(Boolean) }
+    }, { query: t.Object({ roomId: t.String() }) })
+
+/**
+ * Count a new blob against the room's and the uploader's byte budgets. The
+ * bytes are added before the check and taken back if either budget is blown,
+ * so concurrent uploads can't all pass a check made before any of them counted.
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {number} size
+ * @returns {Promise<"room" | "member" | null>} the budget that was exceeded
+ */
+async function reserveBlobBytes(roomId, memberId, size) {
+    const key = blobUsageKey(roomId)
+    const [total, own] = await Promise.all([
+        redis.hincrby(key, "total", size),
+        redis.hincrby(key, `member:${memberId}`, size),
+    ])
+    if (total <= BLOB_ROOM_MAX_BYTES && own <= BLOB_MEMBER_MAX_BYTES) return null
+    await releaseBlobBytes(roomId, memberId, size)
+    return total > BLOB_ROOM_MAX_BYTES ? "room" : "member"
+}
+
+/**
+ * Take a blob's bytes back off the room's and the uploader's budgets.
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {number} size
+ */
+async function releaseBlobBytes(roomId, memberId, size) {
+    if (size <= 0) return
+    const key = blobUsageKey(roomId)
+    await Promise.all([
+        redis.hincrby(key, "total", -size),
+        redis.hincrby(key, `member:${memberId}`, -size),
+    ])
+}
+
+/**
+ * Give blob keys the room's remaining lifetime. Blobs in permanent rooms live
+ * until the room is nuked.
+ * @param {string} metaKey
+ * @param {string[]} keys
+ */
+async function syncBlobExpiry(metaKey, keys) {
+    const ttl = await redis.ttl(metaKey)
+    if (ttl > 0) await Promise.all(keys.map((key) => redis.expire(key, ttl)))
+}
+
+const blobParamsSchema = z.object({
+    blobId: z.string().regex(/^[A-Za-z0-9_-]{1,64}$/),
+    index: z.coerce.number().int().min(0),
+})
+
+// Client-encrypted attachments (voice notes, hidden payloads). The server only
+// ever sees ciphertext chunks; the key travels inside the chat message.
+const blobs = new Elysia({ prefix: "/blobs" })
+    .use(authMiddleware)
+    .use(rateLimit)
+    .post("/", async ({ body, auth, set, rateLimit }) => {
+        const { size, chunks } = z.object({
+            size: z.number().int().min(1).max(BLOB_MAX_BYTES),
+            chunks: z.number().int().min(1),
+        }).parse(body ?? {})
+        if (chunks !== Math.ceil(size / BLOB_CHUNK_BYTES)) {
+            set.status = 400
+            return { error: "Chunk count does not match size" }
+        }
+
+        const [roomExists, blobCount] = await Promise.all([
+            redis.exists(auth.metaKey),
+            redis.scard(blobIndexKey(auth.roomId)),
+        ])
+        if (!roomExists) {
+            set.status = 404
+            return { error: "Room not found" }
+        }
+        if (blobCount >= BLOB_MAX_PER_ROOM) {
+            set.status = 413
+            return { error: "This room has reached its attachment limit" }
+        }
+
+        const memberId = await roomMemberId(auth.token)
+        await rateLimit.attempt("blobUpload", `${auth.roomId}:${memberId}`, { shared: true })
+        const exceeded = await reserveBlobBytes(auth.roomId, memberId, size)
+        if (exceeded) {
+            set.status = 413
+            return { error: exceeded === "room" ? "This room has run out of attachment space" : "You have used up your attachment space in this room" }
+        }
+
+        const blobId = nanoid()
+        await redis.hset(blobMetaKey(auth.roomId, blobId), {
+            size,
+            chunks,
+            ownerToken: auth.token,
+            createdAt: Date.now(),
+        })
+        await redis.sadd(blobIndexKey(auth.roomId), blobId)
+        await syncBlobExpiry(auth.metaKey, [blobMetaKey(auth.roomId, blobId), blobIndexKey(auth.roomId), blobUsageKey(auth.roomId)])
+
+        return { blobId }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .post("/:blobId/chunks/:index", async ({ body, params, auth, set }) => {
+        const { blobId, index } = blobParamsSchema.parse(params)
+        const { data } = z.object({
+            data: z.string().min(1).max(BLOB_CHUNK_MAX_BASE64).regex(/^[A-Za-z0-9+/]+={0,2}$/),
+        }).parse(body ?? {})
+
+        const meta = await redis.hgetall(blobMetaKey(auth.roomId, blobId))
+        if (!meta) {
+            set.status = 404
+            return { error: "Blob not found" }
+        }
+        if (meta.ownerToken !== auth.token) {
+            set.status = 403
+            return { error: "Only the uploader can add chunks" }
+        }
+        if (index >= Number(meta.chunks)) {
+            set.status = 400
+            return { error: "Chunk index out of range" }
+        }
+
+        // Chunks are write-once so a finished blob cannot be swapped underneath a message.
+        const chunkKey = blobChunkKey(auth.roomId, blobId, index)
+        const stored = await redis.set(chunkKey, { data }, { nx: true })
+        if (!stored) {
+            set.status = 409
+            return { error: "Chunk already uploaded" }
+        }
+        await syncBlobExpiry(auth.metaKey, [chunkKey])
+
+        return { success: true }
+    }, { query: t.Object({ roomId: t.String() }) })
+    .get("/:blobId/chunks/:index", async ({ params, auth, set }) => {
+        const { blobId, index } = blobParamsSchema.parse(params)
+        const chunk = /** @type {{ data?: unknown } | null} */ (await redis.get(blobChunkKey(auth.roomId, blobId, index)))
+        if (!chunk || typeof chunk.data !== "string") {
+            set.status = 404
+            return { error: "Chunk not found" }
         }
-        return { participants: Array.from(senders) }
+        return { data: chunk.data }
     }, { query: t.Object({ roomId: t.String() }) })
 
 
@@ -941,6 +2192,7 @@ class AuthError extends Error {
 }
 
 const auth = new Elysia({ prefix: "/auth" })
+    .use(rateLimit)
     .post("/signup", async ({ body, set, cookie }) => {
         const { username, email, password } = z.object({
             username: z.string().min(3).max(30),
@@ -960,17 +2212,19 @@ const auth = new Elysia({ prefix: "/auth" })
 
         return { success: true, username: normalizedUsername }
     })
-    .post("/login", async ({ body, set, cookie }) => {
+    .post("/login", async ({ body, set, cookie, rateLimit }) => {
         const { email, password } = z.object({
             email: z.email(),
             password: z.string(),
         }).parse(body)
+        await rateLimit.attempt("login", email)
 
         const result = await authenticateUser({ email, password })
         if (!result.success) {
             set.status = 401
             return { error: result.error }
         }
+        await rateLimit.clear("login", email)
 
         const sessionId = await createSession(result.userId, result.username)
         setSessionCookie(cookie, sessionId)
@@ -1109,7 +2363,8 @@ const auth = new Elysia({ prefix: "/auth" })
         const userData = await redis.hgetall(`user:${user.userId}`)
         return { authenticated: true, username: user.username, userId: user.userId, avatar: userData?.avatar || null }
     })
-    .get("/check-username", async ({ query }) => {
+    .get("/check-username", async ({ query, rateLimit }) => {
+        await rateLimit.attempt("usernameCheck", "")
         const username = typeof query?.username === "string" ? query.username.trim() : ""
         if (!username || username.length < 3 || username.length > 30) {
             return { available: false }
@@ -1159,7 +2414,7 @@ const auth = new Elysia({ prefix: "/auth" })
                     roomId,
                     createdAt: meta.createdAt,
                     maxParticipants: meta.maxParticipants,
-                    hasPassword: !!meta.password,
+                    hasPassword: hasRoomSecret(meta, "password"),
                 })
             }
         }
@@ -1194,7 +2449,7 @@ const auth = new Elysia({ prefix: "/auth" })
                 roomId,
                 createdAt: meta.createdAt,
                 maxParticipants: meta.maxParticipants,
-                hasPassword: !!meta.password,
+                hasPassword: hasRoomSecret(meta, "password"),
             })
         }
 
@@ -1219,47 +2474,112 @@ const auth = new Elysia({ prefix: "/auth" })
         return { success: true }
     })
 
+/**
+ * Resolve the realtime schema for a client-relayed event, or undefined when
+ * the event is outside the signaling allowlist.
+ * @param {string} event
+ */
+function getSignalEventSchema(event) {
+    const [ns, ...evParts] = event.split(".")
+    const ev = evParts.join(".")
+    if (!ns || !ev || !SIGNAL_EVENT_NAMESPACES.has(ns) || SERVER_ONLY_SIGNAL_EVENTS.has(event)) return undefined
+    const group = /** @type {Record<string, any>} */ (realtimeSchema)[ns]
+    if (!group || !Object.hasOwn(group, ev)) return undefined
+    return /** @type {z.ZodType} */ (group[ev])
+}
+
 const signaling = new Elysia({ prefix: "/realtime" })
-    .post("/emit", async ({ body, set }) => {
+    .use(authMiddleware)
+    .get("/", async ({ auth, request, query }) => {
+        // EventSource resends the last seen id on reconnect; the query param covers manual reconnects.
+        const lastEventId = request.headers.get("last-event-id") || query.lastEventId
+        const memberId = await roomMemberId(auth.token)
+        return realtime.stream(auth.roomId, {
+            lastEventId,
+            signal: request.signal,
+            // A removed member's stream ends with the event removing them; auth refuses the reconnect.
+            closeAfter: ({ event, data }) => event === "chat.kicked" && /** @type {any} */ (data)?.memberId === memberId,
+        })
+    }, { query: t.Object({ roomId: t.String(), lastEventId: t.Optional(t.String()) }) })
+    .post("/emit", async ({ body, auth, set }) => {
         const { channel, event, data } = z.object({
-            channel: z.string(),
-            event: z.string(),
-            data: z.any(),
-        }).parse(body)
+            channel: z.string().optional(),
+            event: z.string().min(1).max(64),
+            data: z.unknown(),
+        }).parse(body ?? {})
 
-        const room = await getRoomMode(channel)
-        if (room.mode === "missing") {
-            set.status = 404
-            return { error: "Room not found" }
+        if (channel && channel !== auth.roomId) {
+            set.status = 400
+            return { error: "channel mismatch" }
         }
 
-        // Parse event name into namespace.event format for realtime
-        const [ns, ...evParts] = event.split(".")
-        const ev = evParts.join(".")
-        if (ns && ev) {
-            const eventName = `${ns}.${ev}`
-            await realtime.channel(channel).emit(/** @type {any} */(eventName), data)
-            if (room.mode === "secure") {
-                await appendSecureStream(channel, secureSignalStreamKey(channel), {
-                    event: eventName,
-                    timestamp: Date.now(),
-                    payload: JSON.stringify(data),
-                })
-            } else {
-                await syncRoomStreamExpiry(channel, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+        const eventSchema = getSignalEventSchema(event)
+        if (!eventSchema || (event.startsWith("keys.") && !auth.isSecure)) {
+            set.status = 403
+            return { error: "Event not allowed" }
+        }
+
+        const parsed = eventSchema.safeParse(data)
+        if (!parsed.success) {
+            set.status = 422
+            return { error: "Invalid event payload" }
+        }
+        if (event === "presence.receipts") {
+            if (Number(await redis.hget(auth.metaKey, "noReceipts")) === 1) {
+                set.status = 403
+                return { error: "Read receipts are turned off in this room" }
+            }
+            const { sealed, delivered, read } = parsed.data
+            if (auth.isSecure ? !sealed || delivered || read : sealed) {
+                set.status = 422
+                return { error: auth.isSecure ? "Secure rooms only accept sealed receipts" : "Invalid event payload" }
             }
         }
+        // Stamp who sent presence and device announcements so the creator can
+        // target a participant and peers can drop a removed member's devices.
+        if (event.startsWith("presence.") || event === "keys.announce") {
+            parsed.data = { ...parsed.data, memberId: await roomMemberId(auth.token) }
+        }
+        // ...and under the name bound to their seat rather than the one they sent.
+        if (event.startsWith("presence.")) {
+            const username = await resolveSender(auth, parsed.data.username) ?? await getMemberDisplayName(auth.metaKey, auth.token)
+            parsed.data = { ...parsed.data, username }
+        }
+        // Presence heartbeats double as the owner's liveness signal.
+        if (event === "presence.announce" || event === "presence.request") {
+            await markRoomPresence(auth.metaKey, auth.token)
+            if (await succeedAbsentOwner(auth.metaKey)) await broadcastRoles(auth)
+            // ...and as the clock that closes votes nobody finished and sweeps vanished messages.
+            await settleVote(auth, (await getOpenVote(auth.roomId, auth.metaKey)).closed)
+            if (!auth.isSecure) await sweepExpiredMessages(auth.roomId)
+        }
+
+        await realtime.channel(auth.roomId).emit(/** @type {any} */(event), parsed.data)
+        if (!auth.isSecure) {
+            await syncRoomStreamExpiry(auth.roomId, ROOM_LIFECYCLE_STREAM_TTL_SECONDS)
+        } else if (!EPHEMERAL_SIGNAL_EVENTS.has(event)) {
+            await appendSecureStream(auth.roomId, secureSignalStreamKey(auth.roomId), {
+                event,
+                timestamp: Date.now(),
+                payload: JSON.stringify(parsed.data),
+            })
+        }
 
         return { success: true }
-    })
+    }, { query: t.Object({ roomId: t.String() }) })
 
 export const app = new Elysia({ prefix: '/api' })
-    .error({ AuthError })
+    .error({ AuthError, RateLimitError })
     .onError(({ code, error, set }) => {
         if (code === "AuthError") {
             set.status = 401
             return { error: "Unauthorized" }
         }
+        if (code === "RateLimitError") {
+            set.status = 429
+            set.headers["Retry-After"] = String(error.retryAfterSeconds)
+            return { error: "Too many attempts. Try again later.", retryAfter: error.retryAfterSeconds }
+        }
         if (code === "VALIDATION") {
             set.status = 422
             return {
@@ -1271,9 +2591,11 @@ export const app = new Elysia({ prefix: '/api' })
     })
     .use(rooms)
     .use(messages)
+    .use(blobs)
     .use(auth)
     .use(signaling)
 
 export const GET = app.fetch
 export const POST = app.fetch
 export const DELETE = app.fetch
+export const PATCH = app.fetch
@@ -1,4 +0,0 @@
-import { handle } from "@upstash/realtime"
-import { realtime } from "@/lib/realtime"
-
-export const GET = handle({ realtime })
@@ -0,0 +1,164 @@
+"use client"
+
+import { useUsername } from "@/hooks/use-username"
+import { deriveGatekeeperProofHex, readRoomKey } from "@/lib/secure-crypto"
+import { DUR_SLOW, EASE_STANDARD } from "@/lib/motion-tokens"
+import { motion } from "framer-motion"
+import Link from "next/link"
+import { useParams, useRouter } from "next/navigation"
+import { useEffect, useState } from "react"
+
+const POLL_INTERVAL_MS = 2000
+
+/** @typedef {"knocking" | "pending" | "approved" | "denied" | "expired" | "error"} LobbyPhase */
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ */
+async function fetchJson(url, init) {
+    const res = await fetch(url, { credentials: "include", ...init })
+    return { ok: res.ok, status: res.status, data: await res.json().catch(() => ({})) }
+}
+
+/**
+ * @param {string} url
+ * @param {Record<string, unknown>} body
+ */
+function postJson(url, body) {
+    return fetchJson(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    })
+}
+
+const Page = () => {
+    const params = useParams()
+    const roomId = typeof params.roomId === "string" ? params.roomId : ""
+    const router = useRouter()
+    const { username } = useUsername()
+    const [phase, setPhase] = useState(/** @type {LobbyPhase} */ ("knocking"))
+    const [error, setError] = useState("")
+
+    useEffect(() => {
+        if (!roomId || !username) return
+        let cancelled = false
+        /** @type {ReturnType<typeof setTimeout> | undefined} */
+        let timer
+
+        /** @param {string} message */
+        const fail = (message) => {
+            if (cancelled) return
+            setError(message)
+            setPhase("error")
+        }
+
+        // Secure rooms knock with the same proof verify-proof checked.
+        const roomKeyHex = readRoomKey(roomId)
+        const proofPromise = roomKeyHex ? deriveGatekeeperProofHex(roomKeyHex) : Promise.resolve("")
+
+        const enterRoom = async () => {
+            const proofHex = await proofPromise
+            if (proofHex) {
+                const verified = await postJson("/api/room/verify-proof", { roomId, proofHex })
+                if (!verified.ok || verified.data?.ok !== true) {
+                    fail(verified.data?.error || "Could not take your seat")
+                    return
+                }
+            }
+            if (!cancelled) router.replace(`/room/${roomId}`)
+        }
+
+        /** @param {unknown} status */
+        const applyStatus = (status) => {
+            if (cancelled) return
+            if (status === "approved") {
+                setPhase("approved")
+                enterRoom().catch(() => fail("Network error. Please try again."))
+            } else if (status === "denied") {
+                setPhase("denied")
+            } else if (status === "pending") {
+                setPhase("pending")
+                timer = setTimeout(poll, POLL_INTERVAL_MS)
+            } else {
+                setPhase("expired")
+            }
+        }
+
+        const poll = async () => {
+            try {
+                const res = await fetchJson(`/api/room/knock?roomId=${encodeURIComponent(roomId)}`)
+                applyStatus(res.data?.status)
+            } catch {
+                if (!cancelled) timer = setTimeout(poll, POLL_INTERVAL_MS)
+            }
+        }
+
+        const start = async () => {
+            const proofHex = await proofPromise
+            const res = await postJson("/api/room/knock", { roomId, codename: username, ...(proofHex ? { proofHex } : {}) })
+            if (!res.ok) {
+                if (res.status === 404) {
+                    router.replace("/?error=room-not-found")
+                    return
+                }
+                fail(res.data?.error || "Could not knock on this room")
+                return
+            }
+            applyStatus(res.data?.status)
+        }
+
+        start().catch(() => fail("Network error. Please try again."))
+        return () => {
+            cancelled = true
+            clearTimeout(timer)
+        }
+    }, [roomId, username, router])
+
+    const title = phase === "denied" ? "ENTRY DENIED"
+        : phase === "expired" ? "KNOCK EXPIRED"
+            : phase === "error" ? "CAN'T KNOCK"
+                : phase === "approved" ? "ADMITTED"
+                    : "WAITING IN LOBBY"
+    const description = phase === "denied" ? "A moderator turned down your request to join."
+        : phase === "expired" ? "Nobody answered in time. Go back and try joining again."
+            : phase === "error" ? error
+                : phase === "approved" ? "You're in. Opening the room…"
+                    : "The room owner has been told you're here. This page opens the room as soon as they let you in."
+
+    return (
+        <main className="min-h-screen flex items-center justify-center landing-grid-bg px-4">
+            <motion.div
+                className="w-full max-w-sm border border-zinc-800 bg-zinc-950/80 rounded-sm p-6 text-center"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: DUR_SLOW, ease: EASE_STANDARD }}
+            >
+                <p className="text-[10px] text-zinc-500 font-bold uppercase tracking-widest mb-2">Room {roomId}</p>
+                <h1 className={`font-bold text-lg tracking-wide mb-3 ${phase === "denied" || phase === "error" ? "text-red-400" : "text-green-400"}`}>
+                    {title}
+                </h1>
+                {(phase === "knocking" || phase === "pending") && (
+                    <motion.div
+                        className="mx-auto mb-4 h-2 w-2 rounded-full bg-green-500"
+                        animate={{ opacity: [0.3, 1, 0.3] }}
+                        transition={{ duration: 1.6, repeat: Infinity, ease: "easeInOut" }}
+                    />
+                )}
+                <p className="text-zinc-400 text-xs leading-relaxed mb-4">{description}</p>
+                {username && (phase === "knocking" || phase === "pending") && (
+                    <p className="text-[11px] font-mono text-zinc-500 mb-4">Knocking as {username}</p>
+                )}
+                <Link
+                    href="/"
+                    className="inline-block px-4 py-2 rounded-sm border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 text-zinc-300 text-[11px] font-bold uppercase tracking-wider transition-colors"
+                >
+                    {phase === "denied" || phase === "expired" || phase === "error" ? "Back home" : "Leave lobby"}
+                </Link>
+            </motion.div>
+        </main>
+    )
+}
+
+export default Page
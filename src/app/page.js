@@ -48,6 +48,14 @@ const shortcutFromKeyboardEvent = (event) => {
   return parts.join("+")
 }
 
+// History kept by a permanent room, as sent to /room/create.
+const RETENTION_OPTIONS = [
+  ["Last 100", { retainMessages: 100 }],
+  ["Last 1000", { retainMessages: 1000 }],
+  ["7 days", { retainDays: 7 }],
+  ["30 days", { retainDays: 30 }],
+]
+
 /* ── Reusable styled input ── */
 const StyledInput = ({ label = null, icon = null, ...props }) => (
   <div className="space-y-1.5">
@@ -64,11 +72,31 @@ const StyledInput = ({ label = null, icon = null, ...props }) => (
   </div>
 )
 
+/**
+ * The join box takes a bare room ID or a full invite link.
+ * @param {string} value
+ */
+function parseJoinInput(value) {
+  try {
+    const url = new URL(value)
+    const match = url.pathname.match(/^\/room\/([^/]+)$/)
+    if (match) return { id: match[1], invite: url.searchParams.get("invite") ?? "" }
+  } catch {
+    // Not a URL: treat it as a room ID.
+  }
+  return { id: value, invite: "" }
+}
+
 /* ── Room Creation Modal ── */
 function CreateRoomModal({ isOpen, onClose, onSubmit, isPending }) {
   const [ttlMinutes, setTtlMinutes] = useState(10)
   const [isPermanent, setIsPermanent] = useState(false)
+  const [retention, setRetention] = useState(1)
   const [maxParticipants, setMaxParticipants] = useState(2)
+  const [votePolicy, setVotePolicy] = useState("owner")
+  const [inviteOnly, setInviteOnly] = useState(false)
+  const [lobby, setLobby] = useState(false)
+  const [receipts, setReceipts] = useState(true)
   const [password, setPassword] = useState("")
   const [showPassword, setShowPassword] = useState(false)
   const [securityQuestion, setSecurityQuestion] = useState("")
@@ -89,7 +117,8 @@ function CreateRoomModal({ isOpen, onClose, onSubmit, isPending }) {
   const pwColor = pwStrength <= 1 ? 'bg-red-500' : pwStrength <= 3 ? 'bg-amber-500' : pwStrength <= 4 ? 'bg-yellow-400' : 'bg-green-500'
 
   const handleSubmit = () => {
-    const config = { ttlMinutes: isPermanent ? 0 : ttlMinutes, maxParticipants }
+    const config = { ttlMinutes: isPermanent ? 0 : ttlMinutes, maxParticipants, votePolicy, inviteOnly, lobby, receipts }
+    if (isPermanent) Object.assign(config, RETENTION_OPTIONS[retention][1])
     if (password.trim()) config.password = password.trim()
     if (panicShortcut.trim()) config.panicPassword = panicShortcut.trim()
     const question = securityQuestion.trim()
@@ -212,6 +241,23 @@ function CreateRoomModal({ isOpen, onClose, onSubmit, isPending }) {
                   </div>
                   Permanent Room (no expiry)
                 </button>
+                {isPermanent && (
+                  <div className="space-y-1.5">
+                    <p className="text-[10px] text-zinc-600">Keep history for</p>
+                    <div className="grid grid-cols-4 gap-1.5">
+                      {RETENTION_OPTIONS.map(([label], index) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => setRetention(index)}
+                          className={`py-1.5 text-[11px] font-bold rounded-sm border transition-colors ${retention === index ? "border-green-500/50 bg-green-950/40 text-green-400" : "border-zinc-800 bg-zinc-950 text-zinc-500 hover:text-zinc-300"}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Max Participants */}
@@ -238,6 +284,95 @@ function CreateRoomModal({ isOpen, onClose, onSubmit, isPending }) {
                 </div>
               </div>
 
+              {/* Decision Policy */}
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-zinc-500 text-[10px] uppercase tracking-widest font-bold">
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="text-amber-400">
+                    <path d="M9 11l3 3L22 4" /><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11" />
+                  </svg>
+                  Destroy &amp; Extend
+                </label>
+                <div className="grid grid-cols-3 gap-1.5">
+                  {[
+                    ["owner", "Owner"],
+                    ["majority", "Majority"],
+                    ["unanimous", "Unanimous"],
+                  ].map(([value, label]) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setVotePolicy(value)}
+                      className={`py-1.5 text-[11px] font-bold rounded-sm border transition-colors ${votePolicy === value ? "border-green-500/50 bg-green-950/40 text-green-400" : "border-zinc-800 bg-zinc-950 text-zinc-500 hover:text-zinc-300"}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-[10px] text-zinc-600">
+                  {votePolicy === "owner" ? "The owner and admins decide; others can ask." : votePolicy === "majority" ? "Anyone can call a vote; more than half must agree." : "Anyone can call a vote; everyone must agree."}
+                </p>
+              </div>
+
+              {/* Invite-only toggle */}
+              <button
+                type="button"
+                onClick={() => setInviteOnly(!inviteOnly)}
+                className={`flex items-center gap-2 w-full px-3 py-2 rounded-sm border text-[11px] font-bold uppercase tracking-wider transition-all ${inviteOnly
+                  ? 'border-green-500/40 bg-green-950/30 text-green-400'
+                  : 'border-zinc-800 bg-zinc-900/30 text-zinc-500 hover:border-zinc-700 hover:text-zinc-400'
+                  }`}
+              >
+                <div className={`w-3.5 h-3.5 rounded-sm border flex items-center justify-center transition-all ${inviteOnly ? 'border-green-500/60 bg-green-500/20' : 'border-zinc-600'
+                  }`}>
+                  {inviteOnly && (
+                    <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" className="text-green-400">
+                      <polyline points="20 6 9 17 4 12" />
+                    </svg>
+                  )}
+                </div>
+                Invite Only (room ID alone won&apos;t get anyone in)
+              </button>
+
+              {/* Lobby toggle */}
+              <button
+                type="button"
+                onClick={() => setLobby(!lobby)}
+                className={`flex items-center gap-2 w-full px-3 py-2 rounded-sm border text-[11px] font-bold uppercase tracking-wider transition-all ${lobby
+                  ? 'border-green-500/40 bg-green-950/30 text-green-400'
+                  : 'border-zinc-800 bg-zinc-900/30 text-zinc-500 hover:border-zinc-700 hover:text-zinc-400'
+                  }`}
+              >
+                <div className={`w-3.5 h-3.5 rounded-sm border flex items-center justify-center transition-all ${lobby ? 'border-green-500/60 bg-green-500/20' : 'border-zinc-600'
+                  }`}>
+                  {lobby && (
+                    <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" className="text-green-400">
+                      <polyline points="20 6 9 17 4 12" />
+                    </svg>
+                  )}
+                </div>
+                Lobby (approve each joiner before they get in)
+              </button>
+
+              {/* Read receipts toggle */}
+              <button
+                type="button"
+                onClick={() => setReceipts(!receipts)}
+                className={`flex items-center gap-2 w-full px-3 py-2 rounded-sm border text-[11px] font-bold uppercase tracking-wider transition-all ${receipts
+                  ? 'border-green-500/40 bg-green-950/30 text-green-400'
+                  : 'border-zinc-800 bg-zinc-900/30 text-zinc-500 hover:border-zinc-700 hover:text-zinc-400'
+                  }`}
+              >
+                <div className={`w-3.5 h-3.5 rounded-sm border flex items-center justify-center transition-all ${receipts ? 'border-green-500/60 bg-green-500/20' : 'border-zinc-600'
+                  }`}>
+                  {receipts && (
+                    <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" className="text-green-400">
+                      <polyline points="20 6 9 17 4 12" />
+                    </svg>
+                  )}
+                </div>
+                Read Receipts (off: nobody can prove they saw a message)
+              </button>
+
               {/* Divider */}
               <div className="border-t border-zinc-800/60" />
 
@@ -424,7 +559,7 @@ function CreateRoomModal({ isOpen, onClose, onSubmit, isPending }) {
 }
 
 /* ── Room Verification Modal ── */
-function VerifyRoomModal({ isOpen, onClose, roomId, hasPassword, securityQuestion, secure = false, roomSaltHex = "", kdfIterations = 100_000, onVerified }) {
+function VerifyRoomModal({ isOpen, onClose, roomId, invite = "", hasPassword, securityQuestion, secure = false, roomSaltHex = "", kdfIterations = 100_000, onVerified, onPending }) {
   const [password, setPassword] = useState("")
   const [answer, setAnswer] = useState("")
   const [error, setError] = useState("")
@@ -444,10 +579,16 @@ function VerifyRoomModal({ isOpen, onClose, roomId, hasPassword, securityQuestio
         const secureRes = await fetch("/api/room/verify-proof", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ roomId, proofHex }),
+          body: JSON.stringify({ roomId, proofHex, ...(invite ? { invite } : {}) }),
           credentials: "include",
         })
         const secureData = await secureRes.json()
+        // Lobby rooms park the joiner until a moderator lets them in.
+        if (secureData?.pending === true) {
+          persistRoomKey(roomId, roomKeyHex)
+          onPending()
+          return
+        }
         if (!secureRes.ok || secureData?.ok !== true) {
           setError(secureData?.error || "Secure verification failed")
           return
@@ -473,8 +614,7 @@ function VerifyRoomModal({ isOpen, onClose, roomId, hasPassword, securityQuestio
         return
       }
 
-      // Set verified cookie so proxy lets us through
-      document.cookie = `room-verified-${roomId}=true; path=/; max-age=3600; SameSite=Strict`
+      // The response set the verified cookie the proxy checks.
       onVerified()
     } catch {
       setError("Network error. Please try again.")
@@ -617,6 +757,7 @@ function HomeContent() {
   const [verifyModal, setVerifyModal] = useState({
     open: false,
     roomId: "",
+    invite: "",
     hasPassword: false,
     securityQuestion: null,
     secure: false,
@@ -628,7 +769,8 @@ function HomeContent() {
   const wasDestroyed = searchParams.get("destroyed") === "true"
   const error = searchParams.get("error")
   const authRoomId = searchParams.get("roomId")
-  const hasTransientAlert = wasDestroyed || error === "room-not-found" || error === "room-full" || error === "room-expired" || error === "room-access-denied"
+  const authInvite = searchParams.get("invite") ?? ""
+  const hasTransientAlert = wasDestroyed || error === "room-not-found" || error === "room-full" || error === "room-expired" || error === "room-access-denied" || error === "room-removed" || error === "room-banned" || error === "room-invite-required"
 
   // Show toast notifications for errors — use unique IDs to prevent duplicates
   useEffect(() => {
@@ -663,7 +805,28 @@ function HomeContent() {
     if (error === "room-access-denied") {
       toast.error("ACCESS DENIED", {
         id: "room-access-denied",
-        description: "You exited this room and can no longer re-enter it.",
+        description: "You left or were removed from this room and can no longer re-enter it.",
+        duration: 5000,
+      })
+    }
+    if (error === "room-removed") {
+      toast.error("REMOVED FROM ROOM", {
+        id: "room-removed",
+        description: "The room creator removed you from this room.",
+        duration: 5000,
+      })
+    }
+    if (error === "room-invite-required") {
+      toast.error("INVITE REQUIRED", {
+        id: "room-invite-required",
+        description: "This room is invite-only, and your invite is missing, expired or used up.",
+        duration: 5000,
+      })
+    }
+    if (error === "room-banned") {
+      toast.error("BANNED FROM ROOM", {
+        id: "room-banned",
+        description: "The room creator banned you from this room.",
         duration: 5000,
       })
     }
@@ -684,6 +847,7 @@ function HomeContent() {
             setVerifyModal({
               open: true,
               roomId: authRoomId,
+              invite: authInvite,
               hasPassword: data.hasPassword,
               securityQuestion: data.securityQuestion,
               secure: data.secure === true,
@@ -696,7 +860,7 @@ function HomeContent() {
         })
         .catch(() => toast.error("Failed to load room info"))
     }
-  }, [error, authRoomId])
+  }, [error, authRoomId, authInvite])
 
   useEffect(() => {
     if (!hasTransientAlert && error !== "room-auth-required") return
@@ -730,6 +894,10 @@ function HomeContent() {
             kdfIterations,
             gatekeeperVerifierHex,
             maxParticipants: Number(config.maxParticipants || 2),
+            votePolicy: config.votePolicy,
+            inviteOnly: config.inviteOnly === true,
+            lobby: config.lobby === true,
+            receipts: config.receipts !== false,
           }),
         })
         const secureCreateData = await secureCreateRes.json()
@@ -742,7 +910,7 @@ function HomeContent() {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           credentials: "include",
-          body: JSON.stringify({ roomId, proofHex }),
+          body: JSON.stringify({ roomId, proofHex, ...(secureCreateData?.invite ? { invite: secureCreateData.invite } : {}) }),
         })
         const verifyData = await verifyRes.json()
         if (!verifyRes.ok || verifyData?.ok !== true) {
@@ -780,7 +948,9 @@ function HomeContent() {
           }).catch(() => { /* ignore tracking errors */ })
         }
 
-        router.push(`/room/${newRoomId}`)
+        // Invite-only and lobby rooms hand the creator their own single-use invite.
+        const creatorInvite = res.data?.invite
+        router.push(creatorInvite ? `/room/${newRoomId}?invite=${encodeURIComponent(creatorInvite)}` : `/room/${newRoomId}`)
       }
     },
     onError: (error) => {
@@ -791,8 +961,9 @@ function HomeContent() {
 
   // Join room flow
   const handleJoinRoom = useCallback(async () => {
-    const id = joinRoomId.trim()
+    const { id, invite } = parseJoinInput(joinRoomId.trim())
     if (!id) return
+    const roomPath = invite ? `/room/${id}?invite=${encodeURIComponent(invite)}` : `/room/${id}`
 
     setIsJoining(true)
     try {
@@ -804,11 +975,17 @@ function HomeContent() {
         return
       }
 
+      if (data.inviteOnly && !invite) {
+        toast.error("INVITE REQUIRED", { description: "This room is invite-only. Paste the full invite link instead.", duration: 4000 })
+        return
+      }
+
       // If room needs verification, show modal
       if (data.hasPassword || data.securityQuestion) {
         setVerifyModal({
           open: true,
           roomId: id,
+          invite,
           hasPassword: data.hasPassword,
           securityQuestion: data.securityQuestion,
           secure: data.secure === true,
@@ -819,7 +996,7 @@ function HomeContent() {
       }
 
       // No verification needed — go directly
-      router.push(`/room/${id}`)
+      router.push(roomPath)
     } catch {
       toast.error("Error", { description: "Failed to check room. Try again.", duration: 4000 })
     } finally {
@@ -1201,7 +1378,7 @@ function HomeContent() {
                 value={joinRoomId}
                 onChange={(e) => setJoinRoomId(e.target.value)}
                 onKeyDown={(e) => e.key === "Enter" && handleJoinRoom()}
-                placeholder="Enter Room ID"
+                placeholder="Room ID or invite link"
                 className="flex-1 bg-zinc-950 border border-zinc-800 focus:border-green-500/40 p-2.5 text-sm text-zinc-300 font-mono rounded-sm outline-none transition-colors placeholder:text-zinc-600"
               />
               <motion.button
@@ -1261,6 +1438,7 @@ function HomeContent() {
         isOpen={verifyModal.open}
         onClose={() => setVerifyModal(v => ({ ...v, open: false }))}
         roomId={verifyModal.roomId}
+        invite={verifyModal.invite}
         hasPassword={verifyModal.hasPassword}
         securityQuestion={verifyModal.securityQuestion}
         secure={verifyModal.secure}
@@ -1268,7 +1446,11 @@ function HomeContent() {
         kdfIterations={verifyModal.kdfIterations}
         onVerified={() => {
           setVerifyModal(v => ({ ...v, open: false }))
-          router.push(`/room/${verifyModal.roomId}`)
+          router.push(verifyModal.invite ? `/room/${verifyModal.roomId}?invite=${encodeURIComponent(verifyModal.invite)}` : `/room/${verifyModal.roomId}`)
+        }}
+        onPending={() => {
+          setVerifyModal(v => ({ ...v, open: false }))
+          router.push(`/lobby/${verifyModal.roomId}`)
         }}
       />
     </main>
@@ -4,34 +4,66 @@ import { useUsername } from "@/hooks/use-username"
 import { useAuth } from "@/hooks/use-auth"
 import { client } from "@/lib/client"
 import { useRealtime } from "@/lib/realtime-client"
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query"
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query"
 import { format } from "date-fns"
 import { motion, AnimatePresence, useAnimationControls, useReducedMotion } from "framer-motion"
 import { toast } from "sonner"
+import Image from "next/image"
 import Link from "next/link"
 import { useParams, useRouter } from "next/navigation"
 import { useEffect, useRef, useState, useCallback, useMemo } from "react"
 import { List, useListRef } from "react-window"
 import { nanoid } from "nanoid"
+import { STREAM_ID_PATTERN, compareStreamIds } from "@/lib/storage/shared"
 import { FileSender, FileReceiver } from "@/lib/file-transfer"
 import { FileSendModal, TransferProgress, FileOfferToast } from "@/components/file-share-modal"
+import { RoomMembersMenu } from "@/components/room-members-menu"
+import { RoomBallot } from "@/components/room-ballot"
+import { RoomInvitesMenu } from "@/components/room-invites-menu"
+import { RoomNameMenu } from "@/components/room-name-menu"
+import { RoomKnockQueue } from "@/components/room-knock-queue"
 import { NukeController } from "@/components/nuke/nuke-controller"
 import { useNukeCapabilities } from "@/hooks/use-nuke-capabilities"
+import { useLazyBlob } from "@/hooks/use-lazy-blob"
+import { buildBlobRefPacket, parseBlobRefPacket, uploadEncryptedBlob } from "@/lib/blob-store"
+import { OUTBOX_MAX_ATTEMPTS, clearOutbox, deleteOutboxEntry, loadOutbox, outboxRetryDelay, saveOutboxEntry } from "@/lib/message-outbox"
 import { CyberCanvas } from "@/components/cyber-canvas"
-import { clearRoomKey, decryptJsonEnvelope, encryptJsonEnvelope, readRoomKey } from "@/lib/secure-crypto"
+import { clearRoomKey, openJson, readRoomKey, receiptsAadHex, sealJson } from "@/lib/secure-crypto"
+import { SecureEnvelopeError, SecureRoomSession } from "@/lib/secure-session"
 import { DUR_BASE, DUR_FAST, DUR_SLOW, EASE_STANDARD } from "@/lib/motion-tokens"
 
 /* ── Shared easing ── */
 const ease = EASE_STANDARD
 const PRESENCE_TTL_MS = 25000
 const PRESENCE_HEARTBEAT_MS = 8000
+// Typing pings repeat while the composer is busy and lapse if they stop.
+const TYPING_REFRESH_MS = 3000
+const TYPING_IDLE_MS = 4000
+const TYPING_TTL_MS = 6000
+const RECEIPT_FLUSH_MS = 1500
+const RECEIPT_BATCH_MAX = 200
 const DISK_STREAM_THRESHOLD_BYTES = 100 * 1024 * 1024
 
 const SECURE_CACHE_MAX = 50
+const SECURE_PARKED_MAX = 200
+const SECURE_BACKFILL_MAX_PAGES = 10
+// Message type -> secure envelope kind. The kind is part of the envelope AAD,
+// so the receiver restores the type from it rather than from the plaintext.
+const SECURE_ENVELOPE_KIND_BY_TYPE = {
+    text: "text",
+    stego: "stego",
+    audio: "audio",
+    file: "file-notice",
+    system: "system",
+    reaction: "reaction",
+}
+// The server only takes system envelopes from the owner; keep them to a short notice.
+const SECURE_SYSTEM_TEXT_MAX = 500
 const STEGO_PACKET_PREFIX = "STEGO_PACKET_V1:"
 const STEGO_PACKET_MAX_BYTES = 450 * 1024
 const STEGO_IMAGE_BUDGET_BYTES = 220 * 1024
 const FILE_PACKET_PREFIX = "FILE_PACKET_V1:"
+const STEGO_BLOB_MIME = "application/x-stego-packet"
 const FILE_IMAGE_PREVIEW_BUDGET_BYTES = 180 * 1024
 const FILE_IMAGE_PREVIEW_MAX_DIMENSION = 1080
 const FILE_IMAGE_PREVIEW_SOURCE_MAX_BYTES = 15 * 1024 * 1024
@@ -62,6 +94,11 @@ const FILE_IMAGE_PREVIEW_STEPS = [
     { scale: 0.46, quality: 0.48 },
 ]
 const VANISH_OPTIONS = [0, 5, 10, 30, 60, 300]
+// Legacy-room events answered by refetching the message list.
+const LEGACY_REFETCH_EVENTS = new Set(["chat.message", "chat.viewed", "chat.message-edited", "chat.reaction-added", "chat.reaction-removed", "chat.member-renamed"])
+const REACTION_EMOJIS = ["👍", "❤️", "😂", "😮", "😢", "🔥"]
+// Matches the server's check on legacy reactions: one emoji, modifiers allowed.
+const REACTION_EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u
 const SEND_FX_ACTIVE_MS = 1300
 /** @type {[number, number, number, number]} */
 const SEND_FX_EASE = [0.16, 1, 0.3, 1]
@@ -401,6 +438,113 @@ function parseFilePacket(raw) {
     }
 }
 
+/**
+ * One line summarising a message for reply quotes. Attachments and view-once
+ * payloads are named rather than shown.
+ * @param {{ text?: string, type?: string, viewOnce?: boolean }} msg
+ */
+function replyPreviewText(msg) {
+    if (msg.viewOnce) return "👁 View-once message"
+    if (msg.type === "stego") return "🖼 Hidden payload"
+    if (msg.type === "audio") return "🎙 Voice note"
+    const text = typeof msg.text === "string" ? msg.text : ""
+    const file = parseFilePacket(text) || parseLegacyFileNotice(text)
+    if (msg.type === "file" || file) return `📄 ${file?.filename ?? "File"}`
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text
+}
+
+/**
+ * Show a renamed member's earlier messages and reactions under their new name.
+ * Display names are unique within a room, so the old name identifies them.
+ * @param {any} message
+ * @param {string} previous
+ * @param {string} name
+ */
+function renameSender(message, previous, name) {
+    const reactions = Array.isArray(message.reactions)
+        ? message.reactions.map((/** @type {{ emoji: string, name: string }} */ r) => (r.name === previous ? { ...r, name } : r))
+        : message.reactions
+    return { ...message, sender: message.sender === previous ? name : message.sender, reactions }
+}
+
+/**
+ * A queued message; serverId is set once the server has accepted it. In
+ * secure rooms, envelope is the copy sealed by this tab's session, kept in
+ * memory only so retries reuse its chain slot.
+ * @typedef {import("@/lib/message-outbox").OutboxEntry & { serverId?: string, envelope?: Record<string, any> }} OutboxItem
+ */
+
+/**
+ * The plaintext a secure envelope carries for a queued message.
+ * @param {Record<string, any>} message
+ */
+function secureOutboxPayload(message) {
+    return {
+        sender: message.sender,
+        text: message.text,
+        type: typeof message.type === "string" ? message.type : "text",
+        timestamp: message.timestamp,
+        ...(message.vanishAfter ? { vanishAfter: message.vanishAfter } : {}),
+        ...(message.replyTo ? { replyTo: message.replyTo } : {}),
+    }
+}
+
+/**
+ * Whether a failed send is worth retrying: the server was unreachable, busy,
+ * or still storing an earlier attempt. Other errors won't change on retry.
+ * @param {number} status
+ */
+function isRetryableSendStatus(status) {
+    return !status || status >= 500 || status === 408 || status === 409 || status === 429
+}
+
+/**
+ * Tick for one of your own messages from the peers that acknowledged it.
+ * @param {Array<{ name: string, read: boolean }>} readers
+ */
+function receiptTick(readers) {
+    if (readers.length === 0) return { mark: "✓", read: false, title: "Sent" }
+    const readBy = readers.filter((r) => r.read).map((r) => r.name)
+    const deliveredTo = readers.filter((r) => !r.read).map((r) => r.name)
+    const title = [
+        readBy.length > 0 ? `Read by ${readBy.join(", ")}` : "",
+        deliveredTo.length > 0 ? `Delivered to ${deliveredTo.join(", ")}` : "",
+    ].filter(Boolean).join(" · ")
+    return { mark: "✓✓", read: readBy.length > 0, title }
+}
+
+/** @param {string[]} names */
+function typingLabel(names) {
+    if (names.length === 0) return ""
+    if (names.length === 1) return `${names[0]} is typing…`
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`
+    return `${names.length} people are typing…`
+}
+
+/**
+ * Apply one add or remove to a message's reactions. A reactor holds each emoji once.
+ * @param {Array<{ emoji: string, name: string }>} reactions
+ * @param {{ emoji: string, name: string, action: "add" | "remove" }} change
+ */
+function applyReactionChange(reactions, { emoji, name, action }) {
+    const rest = reactions.filter((r) => !(r.emoji === emoji && r.name === name))
+    return action === "add" ? [...rest, { emoji, name }] : rest
+}
+
+/**
+ * Validate a decrypted secure-room reaction.
+ * @param {any} decrypted
+ * @returns {{ messageId: string, emoji: string, name: string, action: "add" | "remove" } | null}
+ */
+function parseReactionChange(decrypted) {
+    const { messageId, emoji, action, sender } = decrypted ?? {}
+    if (typeof messageId !== "string" || messageId.length === 0 || messageId.length > 64) return null
+    if (typeof emoji !== "string" || emoji.length > 16 || !REACTION_EMOJI_PATTERN.test(emoji)) return null
+    if (action !== "add" && action !== "remove") return null
+    if (typeof sender !== "string" || !sender) return null
+    return { messageId, emoji, name: sender, action }
+}
+
 let _messageDustRenderer = null
 async function loadMessageDustRenderer() {
     if (_messageDustRenderer) return _messageDustRenderer
@@ -579,8 +723,17 @@ function secureEnvelopeCacheKey(roomId) {
     return `secure-room-cache:${roomId}`
 }
 
+/**
+ * Cached entries hold stream entries as they arrived, never plaintext. Ratchet
+ * keys are discarded after use, so v2 envelopes keep the per-message key they
+ * were opened with; v1 envelopes reopen with the room key. Unsend tombstones
+ * and renames need no key.
+ * @typedef {{ id: string, timestamp: number, envelope?: any, messageKeyHex?: string, editOf?: string, deletes?: string, slots?: unknown, renamed?: { previous: string, name: string } }} SecureCacheEntry
+ */
+
 /**
  * @param {string} roomId
+ * @returns {SecureCacheEntry[]}
  */
 function loadSecureEnvelopeCache(roomId) {
     if (typeof window === "undefined") return []
@@ -590,7 +743,11 @@ function loadSecureEnvelopeCache(roomId) {
         const parsed = JSON.parse(raw)
         if (!Array.isArray(parsed)) return []
         return parsed
-            .filter((item) => item && typeof item.id === "string" && item.envelope && typeof item.envelope === "object")
+            .filter((item) => item && typeof item.id === "string" && (
+                (item.envelope && typeof item.envelope === "object" && (item.envelope.v === 1 || typeof item.messageKeyHex === "string")) ||
+                typeof item.deletes === "string" ||
+                (item.renamed && typeof item.renamed.previous === "string" && typeof item.renamed.name === "string")
+            ))
             .slice(-SECURE_CACHE_MAX)
     } catch {
         return []
@@ -599,7 +756,7 @@ function loadSecureEnvelopeCache(roomId) {
 
 /**
  * @param {string} roomId
- * @param {Array<{ id: string, envelope: any, timestamp: number }>} entries
+ * @param {SecureCacheEntry[]} entries
  */
 function saveSecureEnvelopeCache(roomId, entries) {
     if (typeof window === "undefined") return
@@ -607,6 +764,90 @@ function saveSecureEnvelopeCache(roomId, entries) {
     sessionStorage.setItem(secureEnvelopeCacheKey(roomId), JSON.stringify(next))
 }
 
+/**
+ * Append an entry, replacing one with the same id. A newer edit of a message
+ * replaces the older one too.
+ * @param {string} roomId
+ * @param {SecureCacheEntry} entry
+ */
+function cacheSecureEntry(roomId, entry) {
+    const existing = loadSecureEnvelopeCache(roomId).filter((cached) => (
+        cached.id !== entry.id && !(entry.editOf && cached.editOf === entry.editOf)
+    ))
+    saveSecureEnvelopeCache(roomId, [...existing, entry])
+}
+
+/**
+ * @param {unknown} kind
+ * @returns {string | null}
+ */
+function messageTypeForEnvelopeKind(kind) {
+    const match = Object.entries(SECURE_ENVELOPE_KIND_BY_TYPE).find(([, value]) => value === kind)
+    return match ? match[0] : null
+}
+
+/**
+ * Reject decrypted bodies that do not look like their declared type, so a
+ * malformed packet never reaches the stego, file or audio renderers.
+ * @param {string} type
+ * @param {string} text
+ */
+function isRenderableSecureBody(type, text) {
+    if (type === "stego") return parseStegoPacket(text) !== null || parseBlobRefPacket(text)?.mime === STEGO_BLOB_MIME
+    if (type === "file") return parseFilePacket(text) !== null
+    if (type === "audio") return text.startsWith("data:audio/") || Boolean(parseBlobRefPacket(text)?.mime.startsWith("audio/"))
+    if (type === "system") return text.length > 0 && text.length <= SECURE_SYSTEM_TEXT_MAX
+    return true
+}
+
+/**
+ * Later of two stream ids ("<ms>-<seq>"). Non-stream ids, such as ones cached
+ * before messages were keyed by stream id, never move the cursor.
+ * @param {string | null} current
+ * @param {unknown} candidate
+ */
+function laterStreamId(current, candidate) {
+    if (typeof candidate !== "string") return current
+    if (!STREAM_ID_PATTERN.test(candidate)) return current
+    if (!current || !STREAM_ID_PATTERN.test(current)) return candidate
+    return compareStreamIds(candidate, current) > 0 ? candidate : current
+}
+
+/**
+ * Drop the room key, the message cache and unsent messages for a room.
+ * @param {string} roomId
+ */
+function forgetSecureRoom(roomId) {
+    clearRoomKey(roomId)
+    if (typeof window === "undefined") return
+    sessionStorage.removeItem(secureEnvelopeCacheKey(roomId))
+    void clearOutbox(roomId).catch(() => {})
+}
+
+const SECURE_ENVELOPE_WARNINGS = {
+    replay: "Blocked a replayed message in this secure room",
+    "cross-room": "Blocked a message sealed for a different room",
+    tampered: "Blocked a message that failed integrity checks",
+    gap: "Some secure messages never arrived. Someone may be withholding them.",
+    "unknown-sender": "Some secure messages are waiting for their sender's key",
+}
+
+/**
+ * Surface a rejected or suspicious envelope. One toast per reason, so a burst
+ * of replays does not flood the screen.
+ * @param {string} reason
+ * @param {number} [count]
+ */
+function warnSecureEnvelope(reason, count = 1) {
+    const message = SECURE_ENVELOPE_WARNINGS[reason]
+    if (!message) return
+    toast.error(count > 1 ? `${message} (${count})` : message, {
+        id: `secure-envelope-${reason}`,
+        duration: 4000,
+        style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+    })
+}
+
 function AudioBubble({ src, isOwn }) {
     const audioRef = useRef(null)
     const [isPlaying, setIsPlaying] = useState(false)
@@ -697,18 +938,68 @@ function AudioBubble({ src, isOwn }) {
     )
 }
 
-function MessageRow({ index, style, messages, username, onVanish, reducedMotion = false }) {
+/**
+ * Body of the hidden-payload reveal modal, shared by stego and view-once messages.
+ * @param {{ text: string, image: string }} props
+ */
+function HiddenPayloadBody({ text, image }) {
+    return (
+        <>
+            {text ? (
+                <div className="rounded-sm border border-zinc-700/60 bg-zinc-900/50 p-3">
+                    <p className="text-[9px] text-purple-300 font-bold uppercase tracking-wider mb-1">Hidden Message</p>
+                    <p className="text-sm text-zinc-200 font-mono whitespace-pre-wrap break-words">{text}</p>
+                </div>
+            ) : null}
+            {image ? (
+                <div className="rounded-sm border border-zinc-700/60 bg-zinc-900/40 p-2">
+                    <p className="text-[9px] text-purple-300 font-bold uppercase tracking-wider px-1 pt-1">Hidden Image</p>
+                    <Image
+                        src={image}
+                        alt="Hidden"
+                        width={0}
+                        height={0}
+                        unoptimized
+                        className="max-w-full max-h-[62vh] w-full h-auto object-contain rounded-sm border border-purple-900/40 bg-black mt-1"
+                    />
+                </div>
+            ) : null}
+        </>
+    )
+}
+
+function MessageRow({ index, style, messages, username, onVanish, onReveal, onEdit, onUnsend, onReply, onReact, onJumpTo, onRetry, onDiscard, unsentIds, highlightedId, receipts, hasOlder = false, reducedMotion = false }) {
     const msg = messages?.[index]
+    const isUnsent = Boolean(msg?.id && unsentIds?.has(msg.id))
+    // The quoted original, or null once it has vanished or been unsent.
+    const replyTo = msg?.replyTo
+    const quoted = useMemo(() => {
+        if (typeof replyTo !== "string" || unsentIds?.has(replyTo)) return null
+        return messages?.find((m) => m.id === replyTo) ?? null
+    }, [messages, replyTo, unsentIds])
     const vanishDuration = msg?.vanishAfter ? Number(msg.vanishAfter) : 0
     const [vanishRemaining, setVanishRemaining] = useState(null)
     const [isVanished, setIsVanished] = useState(false)
     const [isDissolving, setIsDissolving] = useState(false)
     const [showStegoRevealModal, setShowStegoRevealModal] = useState(false)
     const [showFilePreviewModal, setShowFilePreviewModal] = useState(false)
+    // View-once content only exists client-side while its reveal modal is open.
+    const [revealedText, setRevealedText] = useState(/** @type {string | null} */ (null))
+    const [isRevealing, setIsRevealing] = useState(false)
+    const [wasOpened, setWasOpened] = useState(false)
+    const [showReactionPicker, setShowReactionPicker] = useState(false)
     const rowVisualRef = useRef(null)
     const vanishStartedRef = useRef(false)
-    const stegoPacket = useMemo(() => parseStegoPacket(msg?.text), [msg?.text])
-    const filePacket = useMemo(() => parseFilePacket(msg?.text) || parseLegacyFileNotice(msg?.text), [msg?.text])
+    const contentText = revealedText ?? msg?.text
+    // Audio and stego payloads live in the blob store; the message only holds a reference.
+    const blobRef = useMemo(() => parseBlobRefPacket(contentText), [contentText])
+    const blob = useLazyBlob(msg?.roomId, blobRef, rowVisualRef)
+    const stegoBlobText = useMemo(() => {
+        if (blobRef?.mime !== STEGO_BLOB_MIME || !blob.bytes) return null
+        return new TextDecoder().decode(blob.bytes)
+    }, [blob.bytes, blobRef])
+    const stegoPacket = useMemo(() => parseStegoPacket(stegoBlobText ?? contentText), [stegoBlobText, contentText])
+    const filePacket = useMemo(() => parseFilePacket(contentText) || parseLegacyFileNotice(contentText), [contentText])
 
     useEffect(() => {
         setIsVanished(false)
@@ -716,9 +1007,32 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
         setShowStegoRevealModal(false)
         setShowFilePreviewModal(false)
         setVanishRemaining(null)
+        setRevealedText(null)
+        setWasOpened(false)
+        setShowReactionPicker(false)
         vanishStartedRef.current = false
     }, [msg?.id])
 
+    // One chip per emoji, listing who reacted with it.
+    const reactions = msg?.reactions
+    const reactionGroups = useMemo(() => {
+        /** @type {Map<string, string[]>} */
+        const groups = new Map()
+        for (const reaction of Array.isArray(reactions) ? reactions : []) {
+            groups.set(reaction.emoji, [...(groups.get(reaction.emoji) ?? []), reaction.name])
+        }
+        return Array.from(groups, ([emoji, names]) => ({ emoji, names, mine: names.includes(username) }))
+    }, [reactions, username])
+
+    const revealOnce = async () => {
+        if (!msg?.id || !onReveal || isRevealing) return
+        setIsRevealing(true)
+        const payload = await onReveal(msg.id)
+        setIsRevealing(false)
+        setWasOpened(true)
+        if (typeof payload === "string") setRevealedText(payload)
+    }
+
     const runTimedVanish = useCallback(async () => {
         if (!msg?.id || vanishStartedRef.current) return
         vanishStartedRef.current = true
@@ -736,6 +1050,11 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
         }
     }, [msg?.id, onVanish, reducedMotion])
 
+    // An unsent message leaves the same way a vanishing one does.
+    useEffect(() => {
+        if (isUnsent) void runTimedVanish()
+    }, [isUnsent, runTimedVanish])
+
     // Start vanish countdown based on message timestamp (survives react-window re-mounts)
     useEffect(() => {
         if (!vanishDuration || !msg?.timestamp) return
@@ -762,7 +1081,19 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
 
     if (!msg || isVanished) return <div style={style} />
 
-    const isOwn = msg.sender === username
+    if (msg.type === "system") {
+        return (
+            <div style={style} className="flex items-center justify-center px-4">
+                <span className="text-[10px] text-zinc-500 uppercase tracking-wider text-center">{msg.text}</span>
+            </div>
+        )
+    }
+
+    // Set on messages still in the outbox: "pending", "failed" or "sent".
+    const outboxState = typeof msg.outbox === "string" ? msg.outbox : null
+    const isOwn = msg.sender === username || Boolean(outboxState)
+    const isViewOnce = msg.viewOnce === true
+    const canReveal = isViewOnce && !isOwn && msg.revealable === true && !wasOpened
     const isStegoMsg = msg.type === "stego"
     const isFileMsg = msg.type === "file" || Boolean(filePacket)
     const isAudioMsg = msg.type === "audio"
@@ -770,14 +1101,25 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
     const stegoHiddenImage = stegoPacket?.hiddenImage || ""
     const stegoHiddenText = stegoPacket?.secretText || ""
     const hasStegoHiddenPayload = Boolean(stegoHiddenImage || stegoHiddenText)
+    const blobPending = Boolean(blobRef) && (blob.status === "idle" || blob.status === "loading")
+    const blobFailed = Boolean(blobRef) && blob.status === "error"
     const messageTimestamp = typeof msg.timestamp === "number" ? msg.timestamp : new Date(msg.timestamp).getTime()
     const isFreshMessage = Number.isFinite(messageTimestamp) && (Date.now() - messageTimestamp) < 2200
+    const canEdit = isOwn && !outboxState && !isViewOnce && !msg.type && !filePacket && typeof onEdit === "function"
+    const canUnsend = isOwn && !outboxState && !isDissolving && typeof onUnsend === "function"
+    const canReply = !outboxState && !isDissolving && typeof onReply === "function"
+    const canReact = !outboxState && !isDissolving && typeof onReact === "function"
+    const tick = !isOwn || outboxState === "failed"
+        ? null
+        : outboxState === "pending"
+            ? { mark: "◷", read: false, title: "Sending…" }
+            : receiptTick(receipts && !outboxState ? Object.values(receipts.get(msg.id) ?? {}) : [])
 
     return (
         <div style={style}>
             <motion.div
                 ref={rowVisualRef}
-                className={`flex px-3 sm:px-4 py-1.5 ${isOwn ? "justify-end pr-4 sm:pr-6" : "justify-start"} ${isDissolving ? "pointer-events-none" : ""}`}
+                className={`group flex px-3 sm:px-4 py-1.5 transition-colors duration-500 ${isOwn ? "justify-end pr-4 sm:pr-6" : "justify-start"} ${outboxState === "pending" ? "opacity-70" : ""} ${highlightedId === msg.id ? "bg-green-950/25" : ""} ${isDissolving ? "pointer-events-none" : ""}`}
                 initial={isFreshMessage ? { opacity: 0, y: 12, scale: 0.985, filter: "blur(2px)" } : false}
                 animate={{ opacity: 1, y: 0, scale: 1, filter: "blur(0px)" }}
                 transition={{ duration: isFreshMessage ? 0.28 : 0.16, ease }}
@@ -788,13 +1130,206 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
                             {isOwn ? "YOU" : msg.sender}
                         </span>
                         <span className="text-[9px] text-zinc-600">{format(msg.timestamp, "hh:mm a")}</span>
+                        {tick && (
+                            <span className={`text-[9px] font-bold tracking-tighter ${tick.read ? "text-green-400" : "text-zinc-600"}`} title={tick.title}>
+                                {tick.mark}
+                            </span>
+                        )}
+                        {outboxState === "failed" && (
+                            <span className="flex items-center gap-2 text-[9px] font-bold uppercase tracking-wider">
+                                <span className="text-red-400">Not sent</span>
+                                <button
+                                    type="button"
+                                    onClick={() => onRetry?.(msg.id)}
+                                    className="text-zinc-500 hover:text-green-400 transition-colors cursor-pointer"
+                                >
+                                    Retry
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => onDiscard?.(msg.id)}
+                                    className="text-zinc-500 hover:text-red-400 transition-colors cursor-pointer"
+                                >
+                                    Discard
+                                </button>
+                            </span>
+                        )}
+                        {msg.editedAt && (
+                            <span className="text-[9px] text-zinc-500 italic" title={`Edited ${format(msg.editedAt, "hh:mm a")}`}>edited</span>
+                        )}
                         {vanishDuration > 0 && vanishRemaining !== null && (
                             <span className="text-[9px] text-orange-400 font-bold flex items-center gap-0.5" title="Vanishing message">
                                 🔥 {vanishRemaining}s
                             </span>
                         )}
+                        {(canReply || canReact || canEdit || canUnsend) && (
+                            <span className={`relative flex items-center gap-2 ${showReactionPicker ? "" : "sm:opacity-0"} sm:group-hover:opacity-100 focus-within:opacity-100 transition-opacity`}>
+                                {canReact && (
+                                    <button
+                                        type="button"
+                                        onClick={() => setShowReactionPicker((open) => !open)}
+                                        className="text-[9px] font-bold uppercase tracking-wider text-zinc-600 hover:text-yellow-400 transition-colors cursor-pointer"
+                                    >
+                                        React
+                                    </button>
+                                )}
+                                <AnimatePresence>
+                                    {showReactionPicker && (
+                                        <motion.div
+                                            className={`absolute top-full mt-1 z-30 flex gap-0.5 rounded-full border border-zinc-700/60 bg-zinc-900/95 px-1.5 py-1 shadow-xl shadow-black/40 ${isOwn ? "right-0" : "left-0"}`}
+                                            initial={{ opacity: 0, y: -4, scale: 0.95 }}
+                                            animate={{ opacity: 1, y: 0, scale: 1 }}
+                                            exit={{ opacity: 0, y: -4, scale: 0.95 }}
+                                            transition={{ duration: DUR_FAST, ease }}
+                                        >
+                                            {REACTION_EMOJIS.map((emoji) => {
+                                                const mine = reactionGroups.some((group) => group.emoji === emoji && group.mine)
+                                                return (
+                                                    <button
+                                                        key={emoji}
+                                                        type="button"
+                                                        onClick={() => {
+                                                            setShowReactionPicker(false)
+                                                            onReact(msg.id, emoji, !mine)
+                                                        }}
+                                                        className={`w-7 h-7 flex items-center justify-center rounded-full text-sm transition-colors cursor-pointer ${mine ? "bg-green-900/40" : "hover:bg-zinc-800"}`}
+                                                    >
+                                                        {emoji}
+                                                    </button>
+                                                )
+                                            })}
+                                        </motion.div>
+                                    )}
+                                </AnimatePresence>
+                                {canReply && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onReply(msg)}
+                                        className="text-[9px] font-bold uppercase tracking-wider text-zinc-600 hover:text-teal-400 transition-colors cursor-pointer"
+                                    >
+                                        Reply
+                                    </button>
+                                )}
+                                {canEdit && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onEdit(msg)}
+                                        className="text-[9px] font-bold uppercase tracking-wider text-zinc-600 hover:text-green-400 transition-colors cursor-pointer"
+                                    >
+                                        Edit
+                                    </button>
+                                )}
+                                {canUnsend && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onUnsend(msg.id)}
+                                        className="text-[9px] font-bold uppercase tracking-wider text-zinc-600 hover:text-red-400 transition-colors cursor-pointer"
+                                    >
+                                        Unsend
+                                    </button>
+                                )}
+                            </span>
+                        )}
                     </div>
-                    {isStegoMsg ? (
+                    {typeof msg.replyTo === "string" && (
+                        <div className={`flex mb-1 ${isOwn ? "justify-end" : "justify-start"}`}>
+                            {quoted ? (
+                                <button
+                                    type="button"
+                                    onClick={() => onJumpTo?.(quoted.id)}
+                                    className="max-w-full min-w-0 flex flex-col items-start gap-0.5 border-l-2 border-teal-500/60 bg-zinc-900/60 hover:bg-zinc-800/60 pl-2 pr-3 py-1 rounded-sm text-left transition-colors cursor-pointer"
+                                    title="Jump to the original message"
+                                >
+                                    <span className="text-[9px] font-bold uppercase tracking-wider text-teal-400">
+                                        {quoted.sender === username ? "YOU" : quoted.sender}
+                                    </span>
+                                    <span className="max-w-full text-[11px] text-zinc-400 truncate">{replyPreviewText(quoted)}</span>
+                                </button>
+                            ) : (
+                                <span className="border-l-2 border-zinc-700 bg-zinc-900/30 pl-2 pr-3 py-1 rounded-sm text-[10px] italic text-zinc-500">
+                                    {unsentIds?.has(msg.replyTo)
+                                        ? "Original message was unsent"
+                                        : hasOlder ? "Original message is further up" : "Original message has vanished"}
+                                </span>
+                            )}
+                        </div>
+                    )}
+                    {isViewOnce ? (
+                        <>
+                            {/* View-once card: the payload is fetched (and burned) on reveal */}
+                            <button
+                                type="button"
+                                onClick={() => void revealOnce()}
+                                disabled={!canReveal || isRevealing}
+                                className={`message-bubble px-3.5 py-2.5 rounded-sm text-[10px] font-bold uppercase tracking-wider border flex items-center gap-2 ${isOwn
+                                    ? "bg-green-950/20 border-green-900/30 text-green-400"
+                                    : canReveal
+                                        ? "bg-purple-950/30 border-purple-700/40 text-purple-300 hover:bg-purple-900/30 cursor-pointer"
+                                        : "bg-zinc-800/30 border-zinc-700/30 text-zinc-500 cursor-default"
+                                    }`}
+                            >
+                                <span className="text-sm">👁</span>
+                                {isOwn
+                                    ? `View once · opened ${msg.viewedBy ?? 0}/${msg.recipients ?? 0}`
+                                    : canReveal ? (isRevealing ? "Opening..." : "View once · tap to open") : "Opened"}
+                            </button>
+
+                            <AnimatePresence>
+                                {revealedText !== null && (
+                                    <motion.div
+                                        className="fixed inset-0 z-[120] bg-black/85 backdrop-blur-sm flex items-center justify-center px-4"
+                                        initial={{ opacity: 0 }}
+                                        animate={{ opacity: 1 }}
+                                        exit={{ opacity: 0 }}
+                                        onClick={() => setRevealedText(null)}
+                                    >
+                                        <motion.div
+                                            className="w-full max-w-lg max-h-[86vh] overflow-hidden rounded-sm border border-purple-700/50 bg-zinc-950 shadow-2xl"
+                                            initial={{ scale: 0.94, opacity: 0, y: 12 }}
+                                            animate={{ scale: 1, opacity: 1, y: 0 }}
+                                            exit={{ scale: 0.96, opacity: 0, y: 10 }}
+                                            transition={{ type: "spring", stiffness: 320, damping: 26 }}
+                                            onClick={(event) => event.stopPropagation()}
+                                        >
+                                            <div className="px-4 py-3 border-b border-zinc-800 flex items-center justify-between">
+                                                <p className="text-xs font-bold uppercase tracking-wider text-purple-300">View Once · gone when closed</p>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setRevealedText(null)}
+                                                    className="text-zinc-500 hover:text-zinc-200 text-sm font-bold cursor-pointer"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </div>
+                                            <div className="p-4 space-y-3 overflow-y-auto max-h-[70vh] custom-scrollbar">
+                                                {isStegoMsg ? (
+                                                    hasStegoHiddenPayload ? (
+                                                        <HiddenPayloadBody text={stegoHiddenText} image={stegoHiddenImage} />
+                                                    ) : (
+                                                        <p className="text-[10px] text-zinc-500 font-bold uppercase tracking-wider">
+                                                            {blobPending ? "Decrypting payload..." : "Payload unavailable"}
+                                                        </p>
+                                                    )
+                                                ) : filePacket ? (
+                                                    filePacket.previewImage ? (
+                                                        <img
+                                                            src={filePacket.previewImage}
+                                                            alt={filePacket.filename}
+                                                            className="w-full max-h-[62vh] object-contain rounded-sm border border-zinc-800/70 bg-black"
+                                                        />
+                                                    ) : (
+                                                        <p className="text-xs font-mono text-zinc-300">{filePacket.filename} · {formatFileSize(filePacket.fileSize)}</p>
+                                                    )
+                                                ) : (
+                                                    <p className="text-sm text-zinc-200 whitespace-pre-wrap break-words">{revealedText}</p>
+                                                )}
+                                            </div>
+                                        </motion.div>
+                                    </motion.div>
+                                )}
+                            </AnimatePresence>
+                        </>
+                    ) : isStegoMsg ? (
                         <>
                             {/* Hidden payload card: preview image + reveal modal trigger */}
                             <div className={`message-card rounded-sm border overflow-hidden ${isOwn ? "border-green-900/30" : "border-zinc-700/30"}`}>
@@ -816,7 +1351,7 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
                                     </button>
                                 ) : (
                                     <div className="px-3 py-4 text-[10px] text-zinc-500 font-bold uppercase tracking-wider bg-black">
-                                        Invalid preview image payload
+                                        {blobPending ? "Decrypting payload..." : blobFailed ? "Payload unavailable" : "Invalid preview image payload"}
                                     </div>
                                 )}
                             </div>
@@ -849,22 +1384,7 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
                                                 </button>
                                             </div>
                                             <div className="p-4 space-y-3 overflow-y-auto max-h-[70vh] custom-scrollbar">
-                                                {stegoHiddenText ? (
-                                                    <div className="rounded-sm border border-zinc-700/60 bg-zinc-900/50 p-3">
-                                                        <p className="text-[9px] text-purple-300 font-bold uppercase tracking-wider mb-1">Hidden Message</p>
-                                                        <p className="text-sm text-zinc-200 font-mono whitespace-pre-wrap break-words">{stegoHiddenText}</p>
-                                                    </div>
-                                                ) : null}
-                                                {stegoHiddenImage ? (
-                                                    <div className="rounded-sm border border-zinc-700/60 bg-zinc-900/40 p-2">
-                                                        <p className="text-[9px] text-purple-300 font-bold uppercase tracking-wider px-1 pt-1">Hidden Image</p>
-                                                        <img
-                                                            src={stegoHiddenImage}
-                                                            alt="Hidden"
-                                                            className="max-w-full max-h-[62vh] w-full object-contain rounded-sm border border-purple-900/40 bg-black mt-1"
-                                                        />
-                                                    </div>
-                                                ) : null}
+                                                <HiddenPayloadBody text={stegoHiddenText} image={stegoHiddenImage} />
                                             </div>
                                         </motion.div>
                                     </motion.div>
@@ -959,7 +1479,13 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
                         )
                     ) : isAudioMsg ? (
                         /* Audio message: voice note player */
-                        <AudioBubble src={msg.text} isOwn={isOwn} />
+                        blobRef && !blob.url ? (
+                            <div className={`message-bubble px-3.5 py-2.5 rounded-sm text-[10px] font-bold uppercase tracking-wider border text-zinc-500 ${isOwn ? "bg-green-950/20 border-green-900/30" : "bg-zinc-800/30 border-zinc-700/30"}`}>
+                                {blobFailed ? "Voice note unavailable" : "Decrypting voice note..."}
+                            </div>
+                        ) : (
+                            <AudioBubble src={blob.url ?? msg.text} isOwn={isOwn} />
+                        )
                     ) : (
                         /* Normal text message */
                         <div className={`message-bubble px-3.5 py-2.5 rounded-sm text-sm leading-relaxed break-all border ${isOwn
@@ -969,6 +1495,26 @@ function MessageRow({ index, style, messages, username, onVanish, reducedMotion
                             {msg.text}
                         </div>
                     )}
+                    {reactionGroups.length > 0 && (
+                        <div className={`flex flex-wrap gap-1 mt-1 ${isOwn ? "justify-end" : "justify-start"}`}>
+                            {reactionGroups.map(({ emoji, names, mine }) => (
+                                <button
+                                    key={emoji}
+                                    type="button"
+                                    onClick={() => onReact?.(msg.id, emoji, !mine)}
+                                    disabled={!canReact}
+                                    title={names.map((name) => (name === username ? "You" : name)).join(", ")}
+                                    className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full border text-[11px] transition-colors cursor-pointer ${mine
+                                        ? "border-green-600/50 bg-green-950/40 text-green-300"
+                                        : "border-zinc-700/50 bg-zinc-900/60 text-zinc-400 hover:border-zinc-600"
+                                        }`}
+                                >
+                                    <span>{emoji}</span>
+                                    <span className="font-mono text-[10px]">{names.length}</span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
             </motion.div>
         </div>
@@ -982,12 +1528,18 @@ const Page = () => {
     const [input, setInput] = useState("")
     const [isSecureRoom, setIsSecureRoom] = useState(false)
     const [secureRoomKey, setSecureRoomKey] = useState("")
+    const [secureSession, setSecureSession] = useState(/** @type {SecureRoomSession | null} */ (null))
     const [secureMessages, setSecureMessages] = useState([])
+    // Backfilled envelopes sealed before this tab was handed the sender's key.
+    const [unavailableHistoryCount, setUnavailableHistoryCount] = useState(0)
     const inputRef = useRef(null)
 
     const router = useRouter()
 
-    const { username } = useUsername()
+    const { username: storedUsername } = useUsername()
+    // A name pre-assigned by the invite this member joined with wins over the local codename.
+    const [assignedName, setAssignedName] = useState("")
+    const username = assignedName || storedUsername
     const { user: authUser } = useAuth()
     const [isCopied, setIsCopied] = useState(false)
     const endTimeRef = useRef(null)
@@ -1002,10 +1554,15 @@ const Page = () => {
     const sendTrailControls = useAnimationControls()
     const sendWindControls = useAnimationControls()
     const isDestroyingRef = useRef(false)
-    const [userRole, setUserRole] = useState(null) // "creator" | "member"
+    const [userRole, setUserRole] = useState(null) // "owner" | "admin" | "member"
+    const [roomRoster, setRoomRoster] = useState(/** @type {{ ownerId: string | null, adminIds: string[] }} */ ({ ownerId: null, adminIds: [] }))
+    const canModerate = userRole === "owner" || userRole === "admin"
     const [showDestroyRequest, setShowDestroyRequest] = useState(false)
     const [pendingDestroyRequester, setPendingDestroyRequester] = useState(null)
     const [destroyRequestPending, setDestroyRequestPending] = useState(false)
+    const [votePolicy, setVotePolicy] = useState("owner") // "owner" | "majority" | "unanimous"
+    const [activeVote, setActiveVote] = useState(/** @type {import("@/components/room-ballot").BallotVote | null} */ (null))
+    const decidesByVote = votePolicy !== "owner"
     const [showExtendPopover, setShowExtendPopover] = useState(false)
     const [showPanicModal, setShowPanicModal] = useState(false)
     const [panicInput, setPanicInput] = useState("")
@@ -1019,6 +1576,7 @@ const Page = () => {
     const [transferState, setTransferState] = useState({ status: "idle", progress: 0, filename: "", direction: "" })
     // Vanish timer state
     const [vanishAfter, setVanishAfter] = useState(0) // 0 = off, else seconds
+    const [viewOnce, setViewOnce] = useState(false) // standard rooms only; the server holds the payload
     const [showVanishPicker, setShowVanishPicker] = useState(false)
     const [showInputMenu, setShowInputMenu] = useState(false)
     // Stego modal state
@@ -1040,6 +1598,12 @@ const Page = () => {
     const audioStreamRef = useRef(/** @type {MediaStream | null} */(null))
     // Vanished messages (local removal)
     const [vanishedIds, setVanishedIds] = useState(new Set())
+    // Unsent messages stay listed until their row finishes dissolving.
+    const [unsentIds, setUnsentIds] = useState(new Set())
+    const [editingMessage, setEditingMessage] = useState(/** @type {{ id: string, timestamp: number } | null} */ (null))
+    const [replyingTo, setReplyingTo] = useState(/** @type {{ id: string, sender: string, text?: string, type?: string, viewOnce?: boolean } | null} */ (null))
+    const [highlightedId, setHighlightedId] = useState(/** @type {string | null} */ (null))
+    const highlightTimeoutRef = useRef(/** @type {ReturnType<typeof setTimeout> | null} */ (null))
     const activeSendersRef = useRef(new Map())
     const activeReceiversRef = useRef(new Map())
     const pendingOfferToastIdsRef = useRef(new Map())
@@ -1050,17 +1614,35 @@ const Page = () => {
     if (!requesterClientIdRef.current) {
         requesterClientIdRef.current = `requester_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`
     }
-    const presenceClientIdRef = useRef("")
-    if (!presenceClientIdRef.current) {
-        presenceClientIdRef.current = `presence_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`
-    }
+    const [presenceClientId] = useState(() => `presence_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`)
     const [presenceMap, setPresenceMap] = useState({})
+    const [typingPeers, setTypingPeers] = useState(/** @type {Record<string, { username: string, until: number }>} */ ({}))
+    const lastTypingSentRef = useRef(0)
+    const [receiptsEnabled, setReceiptsEnabled] = useState(true)
+    // Peers' acknowledgements of each message, keyed by member.
+    const [messageReceipts, setMessageReceipts] = useState(/** @type {Map<string, Record<string, { name: string, read: boolean }>>} */ (new Map()))
+    // Our own acknowledgements: what each message has been acked as, and what is still queued.
+    const ackedReceiptsRef = useRef(/** @type {Map<string, "delivered" | "read">} */ (new Map()))
+    const pendingReceiptsRef = useRef({ delivered: new Set(), read: new Set() })
+    const receiptFlushTimeoutRef = useRef(/** @type {ReturnType<typeof setTimeout> | null} */ (null))
+    const [pageVisible, setPageVisible] = useState(true)
+    const [ownMemberId, setOwnMemberId] = useState("")
+    const ownMemberIdRef = useRef("")
     const [nukeState, setNukeState] = useState("idle")
     const nukeTargetPathRef = useRef("")
     const nukeRunningRef = useRef(false)
     const nukeReasonRef = useRef("destroy")
     const nukeOriginRef = useRef(null)
     const secureSeenMessageIdsRef = useRef(new Set())
+    const secureDecryptingIdsRef = useRef(new Set())
+    // Envelopes whose sender key hasn't reached us yet, by sender key id.
+    const secureParkedRef = useRef(/** @type {Map<string, any[]>} */ (new Map()))
+    // Latest edit per message id, kept in case it decrypts before the original.
+    const securePendingEditsRef = useRef(/** @type {Map<string, { text: string, editedAt: number }>} */ (new Map()))
+    // Reactions to messages that have not been decrypted yet, replayed on arrival.
+    const securePendingReactionsRef = useRef(/** @type {Map<string, Array<{ emoji: string, name: string, action: "add" | "remove" }>>} */ (new Map()))
+    const secureHistoryCursorRef = useRef(/** @type {string | null} */ (null))
+    const secureBackfillRunningRef = useRef(false)
     const { reduced } = useNukeCapabilities()
     const reducedMotion = useReducedMotion()
     const shouldReduceMotion = reduced || reducedMotion
@@ -1071,8 +1653,18 @@ const Page = () => {
         expiredFromServerRef.current = false
         endTimeRef.current = null
         setPresenceMap({})
+        setTypingPeers({})
+        setMessageReceipts(new Map())
+        ackedReceiptsRef.current = new Map()
+        pendingReceiptsRef.current = { delivered: new Set(), read: new Set() }
         setSecureMessages([])
+        setUnavailableHistoryCount(0)
         secureSeenMessageIdsRef.current = new Set()
+        secureDecryptingIdsRef.current = new Set()
+        secureParkedRef.current = new Map()
+        securePendingEditsRef.current = new Map()
+        securePendingReactionsRef.current = new Map()
+        secureHistoryCursorRef.current = null
 
         const fetchTTL = async () => {
             try {
@@ -1100,6 +1692,8 @@ const Page = () => {
                 const data = await res.json()
                 const secure = data?.secure === true
                 setIsSecureRoom(secure)
+                setVotePolicy(data?.votePolicy ?? "owner")
+                setReceiptsEnabled(data?.receipts !== false)
                 if (!secure) {
                     setSecureRoomKey("")
                     setHasPanicPassword(Boolean(data?.hasPanicPassword))
@@ -1126,19 +1720,46 @@ const Page = () => {
         const fetchRole = async () => {
             try {
                 const res = await client.room.role.get({ query: { roomId } })
+                ownMemberIdRef.current = res?.data?.memberId ?? ""
+                setOwnMemberId(ownMemberIdRef.current)
+                if (res?.data?.displayName) setAssignedName(res.data.displayName)
                 setUserRole(res?.data?.role ?? "member")
+                setRoomRoster({ ownerId: res?.data?.ownerId ?? null, adminIds: res?.data?.adminIds ?? [] })
             } catch {
                 setUserRole("member")
             }
         }
 
+        const fetchVote = async () => {
+            try {
+                const res = await client.room.votes.get({ query: { roomId } })
+                setActiveVote(/** @type {any} */ (res?.data)?.vote ?? null)
+            } catch {
+                setActiveVote(null)
+            }
+        }
+
         if (roomId) {
             fetchRoomInfo()
             fetchTTL()
-            fetchRole()
+            fetchRole().then(fetchVote)
         }
     }, [roomId, router])
 
+    // The server stamps senders with the name bound to our seat. Offer our
+    // stored codename; a name from the invite or account (or a suffixed one,
+    // if ours is taken) comes back instead.
+    useEffect(() => {
+        if (!roomId || !storedUsername) return
+        let cancelled = false
+        client.room.name.post({ name: storedUsername }, { query: { roomId } })
+            .then((/** @type {any} */ res) => {
+                if (!cancelled && res?.data?.displayName) setAssignedName(res.data.displayName)
+            })
+            .catch(() => { /* the first message or presence ping binds it instead */ })
+        return () => { cancelled = true }
+    }, [roomId, storedUsername])
+
     const persistPanicShortcutConfig = useCallback((combo, password) => {
         if (typeof window === "undefined" || !roomId) return
         const key = panicShortcutStorageKey(roomId)
@@ -1271,10 +1892,7 @@ const Page = () => {
     const handleNukeComplete = useCallback(() => {
         const target = nukeTargetPathRef.current || "/"
         if (isSecureRoom) {
-            clearRoomKey(roomId)
-            if (typeof window !== "undefined") {
-                sessionStorage.removeItem(secureEnvelopeCacheKey(roomId))
-            }
+            forgetSecureRoom(roomId)
         }
         if (typeof window !== "undefined") {
             sessionStorage.removeItem(panicShortcutStorageKey(roomId))
@@ -1311,10 +1929,17 @@ const Page = () => {
         }
     }, [])
 
-    const appendSecureMessage = useCallback((message, cacheEntry) => {
-        if (!message?.id) return
-        if (secureSeenMessageIdsRef.current.has(message.id)) return
-        secureSeenMessageIdsRef.current.add(message.id)
+    const appendSecureMessage = useCallback((original) => {
+        if (!original?.id) return
+        if (secureSeenMessageIdsRef.current.has(original.id)) return
+        secureSeenMessageIdsRef.current.add(original.id)
+        const edit = securePendingEditsRef.current.get(original.id)
+        const edited = edit && !(original.editedAt >= edit.editedAt) ? { ...original, ...edit } : original
+        const pendingReactions = securePendingReactionsRef.current.get(original.id)
+        securePendingReactionsRef.current.delete(original.id)
+        const message = pendingReactions
+            ? { ...edited, reactions: pendingReactions.reduce(applyReactionChange, edited.reactions ?? []) }
+            : edited
         setSecureMessages((prev) => {
             const next = [...prev, message].sort((a, b) => {
                 const aTs = typeof a.timestamp === "number" ? a.timestamp : 0
@@ -1323,30 +1948,145 @@ const Page = () => {
             })
             return next.slice(-SECURE_CACHE_MAX)
         })
-        if (cacheEntry) {
-            const existing = loadSecureEnvelopeCache(roomId).filter((entry) => entry.id !== cacheEntry.id)
-            saveSecureEnvelopeCache(roomId, [...existing, cacheEntry])
+    }, [])
+
+    const applySecureEdit = useCallback((/** @type {string} */ messageId, /** @type {string} */ text, /** @type {number} */ editedAt) => {
+        const previous = securePendingEditsRef.current.get(messageId)
+        if (previous && previous.editedAt >= editedAt) return
+        securePendingEditsRef.current.set(messageId, { text, editedAt })
+        setSecureMessages((prev) => prev.map((m) => (m.id === messageId ? { ...m, text, editedAt } : m)))
+    }, [])
+
+    const applySecureReaction = useCallback((/** @type {{ messageId: string, emoji: string, name: string, action: "add" | "remove" }} */ { messageId, ...change }) => {
+        if (!secureSeenMessageIdsRef.current.has(messageId)) {
+            const pending = securePendingReactionsRef.current.get(messageId) ?? []
+            securePendingReactionsRef.current.set(messageId, [...pending, change])
+            return
         }
+        setSecureMessages((prev) => prev.map((m) => (
+            m.id === messageId ? { ...m, reactions: applyReactionChange(m.reactions ?? [], change) } : m
+        )))
+    }, [])
+
+    const applySecureRename = useCallback((/** @type {string} */ previous, /** @type {string} */ name, cached = false) => {
+        setSecureMessages((prev) => prev.map((m) => renameSender(m, previous, name)))
+        if (!cached) cacheSecureEntry(roomId, { id: `rename:${nanoid()}`, renamed: { previous, name }, timestamp: Date.now() })
     }, [roomId])
 
-    const handleEncryptedEnvelope = useCallback(async (payload) => {
-        if (!isSecureRoom || !secureRoomKey) return
+    // Secure rooms also get the chain slots the unsent message used, so the
+    // hole it leaves is not mistaken for withheld messages.
+    const markMessageUnsent = useCallback((/** @type {string} */ messageId, /** @type {unknown} */ slots) => {
+        setUnsentIds((prev) => new Set([...prev, messageId]))
+        setEditingMessage((prev) => (prev?.id === messageId ? null : prev))
+        setReplyingTo((prev) => (prev?.id === messageId ? null : prev))
+        if (!isSecureRoom) return
+        if (Array.isArray(slots) && slots.length > 0) void secureSession?.retract(slots)
+        saveSecureEnvelopeCache(roomId, loadSecureEnvelopeCache(roomId).filter((entry) => entry.id !== messageId))
+    }, [isSecureRoom, roomId, secureSession])
+
+    // Record a peer's batch of acknowledgements; secure rooms receive it sealed.
+    const handleReceipts = useCallback(async (/** @type {any} */ batch) => {
+        const clientId = typeof batch?.clientId === "string" ? batch.clientId : ""
+        if (!clientId || clientId === presenceClientId) return
+        let acks = batch
+        if (isSecureRoom) {
+            if (!secureRoomKey || !batch?.sealed) return
+            try {
+                acks = await openJson(secureRoomKey, batch.sealed, receiptsAadHex(roomId, clientId))
+            } catch {
+                return
+            }
+        }
+        const ids = (/** @type {unknown} */ value) => Array.isArray(value) ? value.filter((id) => typeof id === "string") : []
+        const readerKey = typeof batch.memberId === "string" && batch.memberId ? batch.memberId : clientId
+        const name = normalizeParticipantName(batch.username) || "Someone"
+        setMessageReceipts((prev) => {
+            const next = new Map(prev)
+            for (const id of ids(acks?.delivered)) {
+                const readers = next.get(id) ?? {}
+                if (!readers[readerKey]) next.set(id, { ...readers, [readerKey]: { name, read: false } })
+            }
+            for (const id of ids(acks?.read)) {
+                next.set(id, { ...(next.get(id) ?? {}), [readerKey]: { name, read: true } })
+            }
+            return next
+        })
+    }, [isSecureRoom, presenceClientId, roomId, secureRoomKey])
+
+    // `cached` entries come from the session cache: v2 envelopes reopen with
+    // their stored message key and are not cached again.
+    const handleEncryptedEnvelope = useCallback(async (payload, cached = false) => {
+        if (!isSecureRoom || !secureSession) return
         const envelope = payload?.envelope
         const id = typeof payload?.id === "string" ? payload.id : nanoid()
+        // Unsend tombstones come from history backfill and carry no envelope.
+        if (typeof payload?.deletes === "string") {
+            secureHistoryCursorRef.current = laterStreamId(secureHistoryCursorRef.current, id)
+            if (secureSeenMessageIdsRef.current.has(id)) return
+            secureSeenMessageIdsRef.current.add(id)
+            markMessageUnsent(payload.deletes, payload.slots)
+            if (!cached) {
+                const timestamp = typeof payload.timestamp === "number" ? payload.timestamp : Date.now()
+                cacheSecureEntry(roomId, { id, deletes: payload.deletes, slots: payload.slots, timestamp })
+            }
+            return
+        }
         if (!envelope || typeof envelope !== "object") return
-        if (secureSeenMessageIdsRef.current.has(id)) return
+        secureHistoryCursorRef.current = laterStreamId(secureHistoryCursorRef.current, id)
+        // The sender sees its own message twice (POST response and realtime echo);
+        // only the first may consume the slot or the second reads as a replay.
+        if (secureSeenMessageIdsRef.current.has(id) || secureDecryptingIdsRef.current.has(id)) return
+        secureDecryptingIdsRef.current.add(id)
 
         try {
-            const decrypted = await decryptJsonEnvelope(secureRoomKey, envelope)
+            const { payload: decrypted, messageKeyHex } = cached && envelope.v !== 1
+                ? { payload: await secureSession.reopen(envelope, payload.messageKeyHex), messageKeyHex: payload.messageKeyHex }
+                : await secureSession.decrypt(envelope)
+            /** @param {number} timestamp */
+            const remember = (timestamp) => {
+                if (cached) return
+                cacheSecureEntry(roomId, {
+                    id,
+                    envelope,
+                    timestamp,
+                    ...(messageKeyHex ? { messageKeyHex } : {}),
+                    ...(typeof payload?.editOf === "string" ? { editOf: payload.editOf } : {}),
+                })
+            }
             const sender = typeof decrypted?.sender === "string" ? decrypted.sender : "anonymous"
             const text = typeof decrypted?.text === "string" ? decrypted.text : ""
             const timestamp = typeof decrypted?.timestamp === "number"
                 ? decrypted.timestamp
                 : (typeof payload?.timestamp === "number" ? payload.timestamp : Date.now())
-            const type = typeof decrypted?.type === "string" ? decrypted.type : "text"
+            // v1 envelopes predate kinds and were all sealed as "text". Nothing
+            // checked who sent them, so they can't claim to be system notices.
+            const claimedType = typeof decrypted?.type === "string" ? decrypted.type : "text"
+            const type = envelope.v === 1
+                ? (claimedType !== "system" && Object.hasOwn(SECURE_ENVELOPE_KIND_BY_TYPE, claimedType) ? claimedType : null)
+                : messageTypeForEnvelopeKind(envelope.kind)
+            if (!type) return
+            if (envelope.v !== 1 && typeof decrypted?.type === "string" && decrypted.type !== type) return
+            if (type === "reaction") {
+                const change = parseReactionChange(decrypted)
+                if (!change) return
+                secureSeenMessageIdsRef.current.add(id)
+                applySecureReaction(change)
+                remember(timestamp)
+                return
+            }
+            if (!isRenderableSecureBody(type, text)) return
+            if (typeof payload?.editOf === "string") {
+                if (type !== "text") return
+                const editedAt = typeof payload?.timestamp === "number" ? payload.timestamp : Date.now()
+                secureSeenMessageIdsRef.current.add(id)
+                applySecureEdit(payload.editOf, text, editedAt)
+                remember(editedAt)
+                return
+            }
             const vanishAfter = typeof decrypted?.vanishAfter === "number" ? decrypted.vanishAfter : undefined
+            const replyTo = typeof decrypted?.replyTo === "string" && decrypted.replyTo.length <= 64 ? decrypted.replyTo : undefined
 
-            appendSecureMessage({
+            const message = {
                 id,
                 sender,
                 text,
@@ -1354,26 +2094,48 @@ const Page = () => {
                 roomId,
                 ...(vanishAfter ? { vanishAfter } : {}),
                 ...(type !== "text" ? { type } : {}),
-            }, {
-                id,
-                envelope,
-                timestamp,
-            })
-        } catch {
-            // Ignore malformed or undecryptable envelopes.
+                ...(replyTo ? { replyTo } : {}),
+            }
+            appendSecureMessage(message)
+            remember(timestamp)
+        } catch (error) {
+            if (error instanceof SecureEnvelopeError && error.reason === "unavailable") {
+                secureSeenMessageIdsRef.current.add(id)
+                setUnavailableHistoryCount((count) => count + 1)
+            } else if (error instanceof SecureEnvelopeError && error.reason === "unknown-sender") {
+                // The key can trail its message by a lot; retry once it lands.
+                const parked = secureParkedRef.current
+                parked.set(envelope.senderKeyId, [...(parked.get(envelope.senderKeyId) ?? []), payload])
+                let total = Array.from(parked.values()).reduce((sum, entries) => sum + entries.length, 0)
+                for (const [senderKeyId, entries] of parked) {
+                    if (total <= SECURE_PARKED_MAX) break
+                    parked.delete(senderKeyId)
+                    total -= entries.length
+                }
+                warnSecureEnvelope(error.reason)
+            } else if (error instanceof SecureEnvelopeError) {
+                warnSecureEnvelope(error.reason)
+            }
+            // Anything else is malformed or undecryptable; drop it.
+        } finally {
+            secureDecryptingIdsRef.current.delete(id)
         }
-    }, [appendSecureMessage, isSecureRoom, roomId, secureRoomKey])
+    }, [appendSecureMessage, applySecureEdit, applySecureReaction, isSecureRoom, markMessageUnsent, roomId, secureSession])
 
     useEffect(() => {
-        if (!isSecureRoom || !secureRoomKey || !roomId) return
+        if (!isSecureRoom || !secureSession || !roomId) return
         const cached = loadSecureEnvelopeCache(roomId)
         if (cached.length === 0) return
+        for (const entry of cached) {
+            secureHistoryCursorRef.current = laterStreamId(secureHistoryCursorRef.current, entry.id)
+        }
 
         let cancelled = false
         const hydrate = async () => {
             for (const entry of cached) {
                 if (cancelled) break
-                await handleEncryptedEnvelope(entry)
+                if (entry.renamed) applySecureRename(entry.renamed.previous, entry.renamed.name, true)
+                else await handleEncryptedEnvelope(entry, true)
             }
         }
         void hydrate()
@@ -1381,7 +2143,44 @@ const Page = () => {
         return () => {
             cancelled = true
         }
-    }, [handleEncryptedEnvelope, isSecureRoom, roomId, secureRoomKey])
+    }, [applySecureRename, handleEncryptedEnvelope, isSecureRoom, roomId, secureSession])
+
+    // Retry parked envelopes when their sender key finally arrives.
+    useEffect(() => {
+        if (!secureSession) return
+        return secureSession.onSenderKey((senderKeyId) => {
+            const parked = secureParkedRef.current.get(senderKeyId)
+            if (!parked) return
+            secureParkedRef.current.delete(senderKeyId)
+            parked.forEach((payload) => void handleEncryptedEnvelope(payload))
+        })
+    }, [handleEncryptedEnvelope, secureSession])
+
+    // Pull envelopes stored after the cursor. Runs on join and after every
+    // reconnect; ids already rendered are skipped by handleEncryptedEnvelope.
+    const backfillSecureHistory = useCallback(async () => {
+        if (!isSecureRoom || !secureSession || !roomId) return
+        if (secureBackfillRunningRef.current) return
+        secureBackfillRunningRef.current = true
+        try {
+            for (let page = 0; page < SECURE_BACKFILL_MAX_PAGES; page++) {
+                const params = new URLSearchParams({ roomId })
+                if (secureHistoryCursorRef.current) params.set("after", secureHistoryCursorRef.current)
+                const response = await fetch(`/api/messages/encrypted?${params}`, { credentials: "include" })
+                if (!response.ok) return
+                const data = await response.json()
+                const entries = Array.isArray(data?.messages) ? data.messages : []
+                // Decrypt a page concurrently so entries waiting on a sender key share the wait.
+                await Promise.all(entries.map((entry) => handleEncryptedEnvelope(entry)))
+                if (!data?.nextCursor) return
+                secureHistoryCursorRef.current = laterStreamId(secureHistoryCursorRef.current, data.nextCursor)
+            }
+        } catch {
+            // Realtime keeps delivering new messages; the next reconnect retries.
+        } finally {
+            secureBackfillRunningRef.current = false
+        }
+    }, [handleEncryptedEnvelope, isSecureRoom, roomId, secureSession])
 
     // Focus input on any key press
     useEffect(() => {
@@ -1407,37 +2206,294 @@ const Page = () => {
         return () => window.removeEventListener("keydown", handleKeyDown)
     }, [])
 
-    const { data: messages, refetch } = useQuery({
+    // Pages run newest first; each names the cursor for the one before it.
+    const {
+        data: messagePages,
+        refetch,
+        fetchNextPage: fetchOlderMessages,
+        hasNextPage: hasOlderMessages,
+        isFetchingNextPage: isFetchingOlderMessages,
+    } = useInfiniteQuery({
         queryKey: ["messages", roomId],
         retry: 2,
         enabled: Boolean(roomId) && !isSecureRoom,
-        queryFn: async () => {
-            const res = await client.messages.get({ query: { roomId } })
+        initialPageParam: /** @type {string | null} */ (null),
+        queryFn: async ({ pageParam }) => {
+            const res = await client.messages.get({ query: { roomId, ...(pageParam ? { before: pageParam } : {}) } })
             if (res.error) throw new Error("Failed to fetch messages")
             return res.data
         },
+        getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
+    })
+
+    /** @type {{ messages: { post: (body: { sender: string, text: string, vanishAfter?: number, type?: string, viewOnce?: boolean, replyTo?: string, clientMessageId?: string }, options: { query: { roomId: string } }) => Promise<any> } }} */
+    const api = /** @type {any} */ (client)
+
+    const queryClient = useQueryClient()
+
+    // Unsent messages, oldest first. The delivery loop reads the ref; the
+    // state mirrors it for rendering.
+    const [outbox, setOutbox] = useState(/** @type {OutboxItem[]} */ ([]))
+    const outboxRef = useRef(/** @type {OutboxItem[]} */ ([]))
+    const outboxFlushingRef = useRef(false)
+    const outboxTimerRef = useRef(/** @type {ReturnType<typeof setTimeout> | null} */ (null))
+
+    const updateOutbox = useCallback((/** @type {(items: OutboxItem[]) => OutboxItem[]} */ update) => {
+        outboxRef.current = update(outboxRef.current)
+        setOutbox(outboxRef.current)
+    }, [])
+
+    // The sealed envelope stays behind: a reload starts a new sender chain.
+    const persistOutboxItem = useCallback((/** @type {OutboxItem} */ { envelope, serverId, ...entry }) => (
+        saveOutboxEntry(entry, isSecureRoom ? secureRoomKey : undefined).catch(() => {
+            // Without IndexedDB the message is only queued for this page.
+        })
+    ), [isSecureRoom, secureRoomKey])
+
+    // One attempt at handing a queued message to the server. Its client id
+    // rides along, so retrying a send that did land returns the stored copy.
+    const deliverOutboxItem = useCallback(async (/** @type {OutboxItem} */ item) => {
+        try {
+            if (isSecureRoom) {
+                const response = await fetch(`/api/messages/encrypted?roomId=${encodeURIComponent(roomId)}`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    credentials: "include",
+                    body: JSON.stringify({ roomId, envelope: item.envelope, clientMessageId: item.id }),
+                })
+                const data = await response.json().catch(() => null)
+                if (response.ok) return { ok: true, id: String(data?.id), timestamp: Number(data?.acceptedAt) || Date.now(), duplicate: Boolean(data?.duplicate) }
+                return { ok: false, retry: isRetryableSendStatus(response.status), error: data?.error || "Failed to send encrypted message" }
+            }
+            const res = await api.messages.post(/** @type {any} */ ({ ...item.payload.request, clientMessageId: item.id }), { query: { roomId } })
+            if (!res.error) return { ok: true, id: String(res.data?.id), timestamp: Number(res.data?.timestamp) || Date.now() }
+            return { ok: false, retry: isRetryableSendStatus(res.error.status), error: res.error.value?.error || "Failed to send message" }
+        } catch {
+            return { ok: false, retry: true, error: "Failed to send message" }
+        }
+    }, [api, isSecureRoom, roomId])
+
+    // Send queued messages in order, one at a time. A message that keeps
+    // failing waits out an exponential backoff, and is given up on (left for
+    // a manual retry) after OUTBOX_MAX_ATTEMPTS or a response retrying can't fix.
+    // Secure messages are sealed when first sent, so each takes the next slot
+    // of this session's chain, and a failed one holds back the rest: sending
+    // past it would show receivers a gap.
+    const flushOutbox = useCallback(async () => {
+        if (outboxFlushingRef.current) return
+        outboxFlushingRef.current = true
+        try {
+            for (;;) {
+                const queued = outboxRef.current.filter((entry) => entry.roomId === roomId && !entry.serverId)
+                let item = isSecureRoom ? queued[0] : queued.find((entry) => !entry.failed)
+                if (!item || item.failed || navigator.onLine === false) return
+                const wait = item.retryAt - Date.now()
+                if (wait > 0) {
+                    if (outboxTimerRef.current) clearTimeout(outboxTimerRef.current)
+                    outboxTimerRef.current = setTimeout(() => void flushOutbox(), wait)
+                    return
+                }
+                if (isSecureRoom && item.envelope?.deviceId !== secureSession?.deviceId) {
+                    if (!secureSession) return
+                    const payload = secureOutboxPayload(item.payload.message)
+                    const envelope = await secureSession.encrypt(payload, SECURE_ENVELOPE_KIND_BY_TYPE[payload.type] ?? "text")
+                    const sealed = { ...item, envelope }
+                    updateOutbox((items) => items.map((entry) => (entry.id === sealed.id ? sealed : entry)))
+                    item = sealed
+                }
+
+                const outcome = await deliverOutboxItem(item)
+                if (outcome.ok) {
+                    void deleteOutboxEntry(item.id).catch(() => {})
+                    updateOutbox((items) => items.map((entry) => (entry.id === item.id ? { ...entry, serverId: outcome.id } : entry)))
+                    if (isSecureRoom) {
+                        const message = { ...item.payload.message, id: outcome.id, roomId }
+                        appendSecureMessage(message)
+                        // Only this tab's session still holds the key to a message it sealed.
+                        // A duplicate was stored from an earlier sealing, under another key.
+                        const { envelope } = item
+                        const messageKeyHex = outcome.duplicate ? null : secureSession?.ownMessageKey(envelope)
+                        if (messageKeyHex) cacheSecureEntry(roomId, { id: outcome.id, envelope, messageKeyHex, timestamp: message.timestamp })
+                    } else {
+                        queryClient.invalidateQueries({ queryKey: ["messages", roomId] })
+                    }
+                    continue
+                }
+
+                const attempts = item.attempts + 1
+                const next = {
+                    ...item,
+                    attempts,
+                    failed: !outcome.retry || attempts >= OUTBOX_MAX_ATTEMPTS,
+                    retryAt: Date.now() + outboxRetryDelay(attempts),
+                }
+                updateOutbox((items) => items.map((entry) => (entry.id === item.id ? next : entry)))
+                void persistOutboxItem(next)
+                if (next.failed) {
+                    toast.error(outcome.error, {
+                        style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+                    })
+                }
+            }
+        } finally {
+            outboxFlushingRef.current = false
+        }
+    }, [appendSecureMessage, deliverOutboxItem, isSecureRoom, persistOutboxItem, queryClient, roomId, secureSession, updateOutbox])
+
+    // Queue a message. It shows at once as pending and is delivered by flushOutbox.
+    const queueMessage = useCallback(async (/** @type {{ text: string, vanishAfter?: number, type?: string, viewOnce?: boolean, replyTo?: string }} */{ text, vanishAfter: va, type: t, viewOnce: vo, replyTo }) => {
+        const timestamp = Date.now()
+        const message = {
+            sender: username,
+            text,
+            timestamp,
+            ...(va ? { vanishAfter: va } : {}),
+            ...(t && t !== "text" ? { type: t } : {}),
+            ...(vo ? { viewOnce: true } : {}),
+            ...(replyTo ? { replyTo } : {}),
+        }
+        try {
+            /** @type {Record<string, any>} */
+            let request
+            if (isSecureRoom) {
+                if (!secureSession) {
+                    throw new Error("Secure session is not ready yet")
+                }
+                // flushOutbox seals the message itself when it is sent.
+                request = {}
+            } else {
+                request = { sender: username, text, ...(va ? { vanishAfter: va } : {}), ...(t ? { type: t } : {}), ...(vo ? { viewOnce: true } : {}), ...(replyTo ? { replyTo } : {}) }
+            }
+            /** @type {OutboxItem} */
+            const item = { id: nanoid(), roomId, createdAt: timestamp, attempts: 0, failed: false, retryAt: 0, payload: { request, message } }
+            updateOutbox((items) => [...items, item])
+            await persistOutboxItem(item)
+            void flushOutbox()
+        } catch (error) {
+            toast.error(error instanceof Error ? error.message : "Failed to send message", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        }
+    }, [flushOutbox, isSecureRoom, persistOutboxItem, roomId, secureSession, updateOutbox, username])
+
+    const retryOutboxItem = useCallback((/** @type {string} */ id) => {
+        const item = outboxRef.current.find((entry) => entry.id === id)
+        if (!item) return
+        const next = { ...item, failed: false, attempts: 0, retryAt: 0 }
+        updateOutbox((items) => items.map((entry) => (entry.id === id ? next : entry)))
+        void persistOutboxItem(next).then(() => flushOutbox())
+    }, [flushOutbox, persistOutboxItem, updateOutbox])
+
+    const discardOutboxItem = useCallback((/** @type {string} */ id) => {
+        updateOutbox((items) => items.filter((entry) => entry.id !== id))
+        void deleteOutboxEntry(id).catch(() => {})
+    }, [updateOutbox])
+
+    // Pick up messages an earlier visit left unsent. Secure entries need the
+    // room key to open.
+    useEffect(() => {
+        if (!roomId || (isSecureRoom && !secureRoomKey)) return
+        let cancelled = false
+        loadOutbox(roomId, isSecureRoom ? secureRoomKey : undefined)
+            .catch(() => [])
+            .then((entries) => {
+                if (cancelled) return
+                updateOutbox((items) => {
+                    const current = items.filter((entry) => entry.roomId === roomId)
+                    const known = new Set(current.map((entry) => entry.id))
+                    return [...current, ...entries.filter((entry) => !known.has(entry.id)).map((entry) => ({ ...entry, retryAt: 0 }))]
+                        .sort((a, b) => a.createdAt - b.createdAt)
+                })
+                void flushOutbox()
+            })
+        return () => {
+            cancelled = true
+        }
+    }, [flushOutbox, isSecureRoom, roomId, secureRoomKey, updateOutbox])
+
+    // Coming back online skips whatever backoff is left.
+    useEffect(() => {
+        const retryNow = () => {
+            updateOutbox((items) => items.map((entry) => (entry.failed || entry.serverId ? entry : { ...entry, retryAt: 0 })))
+            void flushOutbox()
+        }
+        window.addEventListener("online", retryNow)
+        return () => {
+            window.removeEventListener("online", retryNow)
+            if (outboxTimerRef.current) clearTimeout(outboxTimerRef.current)
+        }
+    }, [flushOutbox, updateOutbox])
+
+    const { mutate: editMessage } = useMutation({
+        mutationFn: async (/** @type {{ id: string, text: string, timestamp: number }} */ { id, text, timestamp }) => {
+            if (isSecureRoom) {
+                if (!secureSession) {
+                    throw new Error("Secure session is not ready yet")
+                }
+                // The edit is a fresh envelope on our chain; peers swap it in for the original.
+                const envelope = await secureSession.encrypt({ sender: username, text, type: "text", timestamp }, "text")
+                const response = await fetch(`/api/messages/${encodeURIComponent(id)}?roomId=${encodeURIComponent(roomId)}`, {
+                    method: "PATCH",
+                    headers: { "Content-Type": "application/json" },
+                    credentials: "include",
+                    body: JSON.stringify({ roomId, envelope }),
+                })
+                const data = await response.json()
+                if (!response.ok) {
+                    throw new Error(data?.error || "Failed to edit message")
+                }
+                await handleEncryptedEnvelope({
+                    id: data?.id || nanoid(),
+                    editOf: id,
+                    envelope,
+                    timestamp: data?.acceptedAt || Date.now(),
+                })
+                return
+            }
+
+            const res = await client.messages({ messageId: id }).patch({ text }, { query: { roomId } })
+            if (res.error) throw new Error(res.error.value?.error || "Failed to edit message")
+        },
+        onSettled: () => {
+            if (!isSecureRoom) {
+                queryClient.invalidateQueries({ queryKey: ["messages", roomId] })
+            }
+        },
+        onError: (error) => {
+            toast.error(error instanceof Error ? error.message : "Failed to edit message", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
     })
 
-    /** @type {{ messages: { post: (body: { sender: string, text: string, vanishAfter?: number, type?: string }, options: { query: { roomId: string } }) => Promise<unknown> } }} */
-    const api = /** @type {any} */ (client)
-
-    const queryClient = useQueryClient()
+    const { mutate: unsendMessage } = useMutation({
+        mutationFn: async (/** @type {string} */ messageId) => {
+            const res = await client.messages({ messageId }).delete(null, { query: { roomId } })
+            if (res.error) throw new Error(res.error.value?.error || "Failed to unsend message")
+            return messageId
+        },
+        onSuccess: (messageId) => markMessageUnsent(messageId),
+        onError: (error) => {
+            toast.error(error instanceof Error ? error.message : "Failed to unsend message", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
 
-    const { mutate, isPending } = useMutation({
-        mutationFn: async (/** @type {{ text: string, vanishAfter?: number, type?: string }} */{ text, vanishAfter: va, type: t }) => {
+    const { mutate: reactToMessage } = useMutation({
+        mutationFn: async (/** @type {{ messageId: string, emoji: string, add: boolean }} */ { messageId, emoji, add }) => {
             if (isSecureRoom) {
-                if (!secureRoomKey) {
-                    throw new Error("Secure room key is unavailable")
+                if (!secureSession) {
+                    throw new Error("Secure session is not ready yet")
                 }
-
-                const decryptedPayload = {
+                const envelope = await secureSession.encrypt({
                     sender: username,
-                    text,
-                    type: t || "text",
+                    type: "reaction",
+                    messageId,
+                    emoji,
+                    action: add ? "add" : "remove",
                     timestamp: Date.now(),
-                    ...(va ? { vanishAfter: va } : {}),
-                }
-                const envelope = await encryptJsonEnvelope(secureRoomKey, decryptedPayload, "text")
+                }, "reaction")
                 const response = await fetch(`/api/messages/encrypted?roomId=${encodeURIComponent(roomId)}`, {
                     method: "POST",
                     headers: { "Content-Type": "application/json" },
@@ -1446,7 +2502,7 @@ const Page = () => {
                 })
                 const data = await response.json()
                 if (!response.ok) {
-                    throw new Error(data?.error || "Failed to send encrypted message")
+                    throw new Error(data?.error || "Failed to react")
                 }
                 await handleEncryptedEnvelope({
                     id: data?.id || nanoid(),
@@ -1456,7 +2512,10 @@ const Page = () => {
                 return
             }
 
-            await api.messages.post({ sender: username, text, ...(va ? { vanishAfter: va } : {}), ...(t ? { type: t } : {}) }, { query: { roomId } })
+            const res = add
+                ? await client.messages({ messageId }).reactions.post({ emoji, sender: username }, { query: { roomId } })
+                : await client.messages({ messageId }).reactions.delete(null, { query: { roomId, emoji } })
+            if (res.error) throw new Error(res.error.value?.error || "Failed to react")
         },
         onSettled: () => {
             if (!isSecureRoom) {
@@ -1464,8 +2523,7 @@ const Page = () => {
             }
         },
         onError: (error) => {
-            const message = error instanceof Error ? error.message : "Failed to send message"
-            toast.error(message, {
+            toast.error(error instanceof Error ? error.message : "Failed to react", {
                 style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
             })
         },
@@ -1473,8 +2531,19 @@ const Page = () => {
 
     const currentMessages = useMemo(() => {
         if (isSecureRoom) return secureMessages
-        return messages?.messages || []
-    }, [isSecureRoom, messages?.messages, secureMessages])
+        // A page boundary can shift between fetches, so drop repeats.
+        const seen = new Set()
+        /** @type {any[]} */
+        const merged = []
+        for (const page of [...(messagePages?.pages ?? [])].reverse()) {
+            for (const message of page?.messages ?? []) {
+                if (seen.has(message.id)) continue
+                seen.add(message.id)
+                merged.push(message)
+            }
+        }
+        return merged
+    }, [isSecureRoom, messagePages, secureMessages])
 
     const messageParticipants = useMemo(() => {
         if (!currentMessages || currentMessages.length === 0) return []
@@ -1525,21 +2594,54 @@ const Page = () => {
         return Array.from(merged.values()).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }))
     }, [messageParticipants, serverParticipants, presenceMap, username])
 
-    useRealtime({
+    // Online participants a moderator can manage, one entry per member.
+    const removableMembers = useMemo(() => {
+        const members = new Map()
+        for (const [clientId, entry] of Object.entries(presenceMap)) {
+            if (clientId === presenceClientId) continue
+            const memberId = typeof entry?.memberId === "string" ? entry.memberId : ""
+            if (!memberId || memberId === ownMemberId || members.has(memberId)) continue
+            const role = memberId === roomRoster.ownerId
+                ? "owner"
+                : roomRoster.adminIds.includes(memberId) ? "admin" : "member"
+            members.set(memberId, { memberId, username: entry.username, role })
+        }
+        return Array.from(members.values())
+    }, [ownMemberId, presenceClientId, presenceMap, roomRoster])
+
+    const { status: realtimeStatus } = useRealtime({
         channels: [roomId],
         // @ts-ignore — file.* events are defined in realtime schema but TS can't infer them
         events: [
             "chat.message",
             "chat.encrypted",
+            "chat.encrypted-edited",
+            "chat.message-edited",
+            "chat.message-deleted",
+            "chat.reaction-added",
+            "chat.reaction-removed",
             "chat.destroy",
             "chat.self_destruct",
             "chat.destroy-request",
             "chat.destroy-denied",
             "chat.timer-extended",
+            "chat.message-expired",
+            "chat.viewed",
             "chat.panic",
+            "chat.kicked",
+            "chat.roles-changed",
+            "chat.member-renamed",
+            "chat.vote-updated",
+            "chat.vote-closed",
             "presence.request",
             "presence.announce",
             "presence.leave",
+            "presence.typing",
+            "presence.receipts",
+            "presence.knock",
+            "presence.knock-resolved",
+            "keys.announce",
+            "keys.sender-key",
             "file.offer",
             "file.accepted",
             "file.reject",
@@ -1549,24 +2651,29 @@ const Page = () => {
             "file.ice-candidate",
         ],
         onData: ({ event, data }) => {
-            if (event === "chat.message" && !isSecureRoom) refetch()
-            if (event === "chat.encrypted") {
+            if (LEGACY_REFETCH_EVENTS.has(event) && !isSecureRoom) refetch()
+            if (event === "chat.encrypted" || event === "chat.encrypted-edited") {
                 void handleEncryptedEnvelope(data)
                 return
             }
+            if (event === "chat.message-deleted") {
+                const { id, slots } = /** @type {any} */ (data) ?? {}
+                if (typeof id === "string") markMessageUnsent(id, slots)
+                return
+            }
             if (event === "chat.self_destruct") {
                 if (nukeRunningRef.current) return
-                clearRoomKey(roomId)
+                forgetSecureRoom(roomId)
                 startNukeThenNavigate("/?destroyed=true", "remote", "destroy")
                 return
             }
             if (event === "chat.destroy") {
                 if (nukeRunningRef.current) return
-                if (isSecureRoom) clearRoomKey(roomId)
+                if (isSecureRoom) forgetSecureRoom(roomId)
                 startNukeThenNavigate("/?destroyed=true", "remote", "destroy")
                 return
             }
-            if (event === "chat.destroy-request" && userRole === "creator") {
+            if (event === "chat.destroy-request" && canModerate) {
                 const requesterId = typeof /** @type {any} */ (data)?.requesterId === "string"
                     ? /** @type {any} */ (data).requesterId
                     : null
@@ -1598,23 +2705,106 @@ const Page = () => {
                     })
                 }
             }
+            if (event === "chat.message-expired") {
+                const ids = /** @type {any} */ (data)?.ids
+                if (Array.isArray(ids) && ids.length > 0) setVanishedIds((prev) => new Set([...prev, ...ids]))
+                return
+            }
             if (event === "chat.panic") {
                 if (nukeRunningRef.current) return
-                if (userRole === "creator") {
-                    if (isSecureRoom) clearRoomKey(roomId)
+                if (canModerate) {
+                    if (isSecureRoom) forgetSecureRoom(roomId)
                     startNukeThenNavigate("/?error=room-not-found", "remote", "panic")
                     return
                 }
-                if (isSecureRoom) clearRoomKey(roomId)
+                if (isSecureRoom) forgetSecureRoom(roomId)
                 router.push("/?error=room-not-found")
             }
+            if (event === "chat.kicked") {
+                const removed = /** @type {any} */ (data)
+                const removedMemberId = typeof removed?.memberId === "string" ? removed.memberId : ""
+                if (!removedMemberId) return
+                if (removedMemberId === ownMemberIdRef.current) {
+                    if (nukeRunningRef.current) return
+                    forgetSecureRoom(roomId)
+                    queryClient.removeQueries({ queryKey: ["messages", roomId] })
+                    startNukeThenNavigate(`/?error=${removed.banned ? "room-banned" : "room-removed"}`, "remote", "removed")
+                    return
+                }
+                if (removed.rotateKeys) void secureSession?.removeMember(removedMemberId)
+                setPresenceMap((prev) => {
+                    const next = Object.fromEntries(Object.entries(prev).filter(([, entry]) => entry?.memberId !== removedMemberId))
+                    return Object.keys(next).length === Object.keys(prev).length ? prev : next
+                })
+                return
+            }
+            if (event === "chat.roles-changed") {
+                const roster = /** @type {any} */ (data)
+                const ownerId = typeof roster?.ownerId === "string" ? roster.ownerId : null
+                const adminIds = Array.isArray(roster?.adminIds) ? roster.adminIds : []
+                const ownId = ownMemberIdRef.current
+                const nextRole = ownId && ownId === ownerId ? "owner" : adminIds.includes(ownId) ? "admin" : "member"
+                setRoomRoster({ ownerId, adminIds })
+                if (userRole && userRole !== nextRole && nextRole !== "member") {
+                    toast.success(nextRole === "owner" ? "You are now the room owner" : "You are now a room admin", {
+                        style: { background: "#18181b", color: "#86efac", border: "1px solid #14532d" },
+                        duration: 3000,
+                    })
+                }
+                setUserRole(nextRole)
+                return
+            }
+
+            if (event === "chat.member-renamed") {
+                const { memberId, previous, name } = /** @type {any} */ (data) ?? {}
+                if (typeof memberId !== "string" || typeof name !== "string" || !name) return
+                if (memberId === ownMemberIdRef.current) setAssignedName(name)
+                setPresenceMap((prev) => Object.fromEntries(Object.entries(prev).map(([clientId, entry]) => (
+                    [clientId, entry?.memberId === memberId ? { ...entry, username: name } : entry]
+                ))))
+                if (isSecureRoom && typeof previous === "string" && previous) applySecureRename(previous, name)
+                return
+            }
+
+            if (event === "chat.vote-updated") {
+                setActiveVote(/** @type {any} */ (data))
+                return
+            }
+            if (event === "chat.vote-closed") {
+                const closed = /** @type {any} */ (data)
+                setActiveVote((prev) => (prev?.voteId === closed?.voteId ? null : prev))
+                if (closed?.outcome === "passed") return
+                const subject = closed?.kind === "extend" ? "Timer extension" : "Destroy vote"
+                toast(closed?.outcome === "expired" ? `${subject} timed out` : `${subject} was voted down (${closed?.yes ?? 0}/${closed?.needed ?? 0})`, {
+                    style: { background: "#18181b", color: "#a1a1aa", border: "1px solid #3f3f46" },
+                    duration: 3000,
+                })
+                return
+            }
 
             const evt = /** @type {string} */ (event)
             const d = /** @type {any} */ (data)
 
+            if (evt === "presence.knock" || evt === "presence.knock-resolved") {
+                queryClient.invalidateQueries({ queryKey: ["knocks", roomId] })
+                if (evt === "presence.knock" && canModerate) {
+                    toast(`${normalizeParticipantName(d?.codename) || "Someone"} is knocking`, {
+                        style: { background: "#18181b", color: "#86efac", border: "1px solid #14532d" },
+                        duration: 3000,
+                    })
+                }
+                return
+            }
+
+            if (evt === "keys.announce" || evt === "keys.sender-key") {
+                void secureSession?.handleSignal(evt, d)
+                return
+            }
+
             if (evt === "presence.request") {
                 const requesterId = typeof d?.clientId === "string" ? d.clientId : ""
                 const requesterUsername = normalizeParticipantName(d?.username)
+                const requesterMemberId = typeof d?.memberId === "string" ? d.memberId : ""
                 const seenAt = Date.now()
                 if (requesterId && requesterUsername) {
                     setPresenceMap((prev) => {
@@ -1626,13 +2816,13 @@ const Page = () => {
                         ) return prev
                         return {
                             ...prev,
-                            [requesterId]: { username: requesterUsername, lastSeen: seenAt },
+                            [requesterId]: { username: requesterUsername, memberId: requesterMemberId, lastSeen: seenAt },
                         }
                     })
                 }
-                if (!username || !requesterId || requesterId === presenceClientIdRef.current) return
+                if (!username || !requesterId || requesterId === presenceClientId) return
                 emitSignal("presence.announce", {
-                    clientId: presenceClientIdRef.current,
+                    clientId: presenceClientId,
                     username: normalizeParticipantName(username),
                     timestamp: Date.now(),
                 })
@@ -1642,6 +2832,7 @@ const Page = () => {
             if (evt === "presence.announce") {
                 const clientId = typeof d?.clientId === "string" ? d.clientId : ""
                 const announcedUsername = normalizeParticipantName(d?.username)
+                const announcedMemberId = typeof d?.memberId === "string" ? d.memberId : ""
                 if (!clientId || !announcedUsername) return
                 // Use local receipt time; remote clocks can drift and cause false pruning.
                 const lastSeen = Date.now()
@@ -1656,7 +2847,7 @@ const Page = () => {
                     }
                     return {
                         ...prev,
-                        [clientId]: { username: announcedUsername, lastSeen },
+                        [clientId]: { username: announcedUsername, memberId: announcedMemberId, lastSeen },
                     }
                 })
                 return
@@ -1665,12 +2856,41 @@ const Page = () => {
             if (evt === "presence.leave") {
                 const clientId = typeof d?.clientId === "string" ? d.clientId : ""
                 if (!clientId) return
+                // A member left: move to fresh keys they never received.
+                if (clientId !== presenceClientId) void secureSession?.rotate()
                 setPresenceMap((prev) => {
                     if (!prev[clientId]) return prev
                     const next = { ...prev }
                     delete next[clientId]
                     return next
                 })
+                setTypingPeers((prev) => {
+                    if (!prev[clientId]) return prev
+                    const next = { ...prev }
+                    delete next[clientId]
+                    return next
+                })
+                return
+            }
+
+            if (evt === "presence.typing") {
+                const clientId = typeof d?.clientId === "string" ? d.clientId : ""
+                const typingUsername = normalizeParticipantName(d?.username)
+                if (!clientId || clientId === presenceClientId) return
+                setTypingPeers((prev) => {
+                    if (d?.typing === true && typingUsername) {
+                        return { ...prev, [clientId]: { username: typingUsername, until: Date.now() + TYPING_TTL_MS } }
+                    }
+                    if (!prev[clientId]) return prev
+                    const next = { ...prev }
+                    delete next[clientId]
+                    return next
+                })
+                return
+            }
+
+            if (evt === "presence.receipts") {
+                void handleReceipts(d)
                 return
             }
 
@@ -1806,6 +3026,11 @@ const Page = () => {
         }
     })
 
+    useEffect(() => {
+        if (realtimeStatus !== "connected") return
+        void backfillSecureHistory()
+    }, [backfillSecureHistory, realtimeStatus])
+
     const { mutate: destroyRoom } = useMutation({
         mutationFn: async () => {
             isDestroyingRef.current = true
@@ -1814,7 +3039,7 @@ const Page = () => {
             })
         },
         onSuccess: () => {
-            if (isSecureRoom) clearRoomKey(roomId)
+            if (isSecureRoom) forgetSecureRoom(roomId)
             startNukeThenNavigate("/?destroyed=true", "local", "destroy")
         },
         onError: () => {
@@ -1852,7 +3077,7 @@ const Page = () => {
             await client.room["approve-destroy"].post(null, { query: { roomId } })
         },
         onSuccess: () => {
-            if (isSecureRoom) clearRoomKey(roomId)
+            if (isSecureRoom) forgetSecureRoom(roomId)
             startNukeThenNavigate("/?destroyed=true", "local", "destroy")
         },
         onError: () => {
@@ -1880,6 +3105,38 @@ const Page = () => {
         }
     })
 
+    const { mutate: startVote, isPending: isStartingVote } = useMutation({
+        mutationFn: async (/** @type {{ kind: "destroy" } | { kind: "extend", minutes: number }} */ request) => {
+            setShowExtendPopover(false)
+            const res = await client.room.votes.post({ ...request, requesterName: username || undefined }, { query: { roomId } })
+            if (res.error) throw res.error
+            return /** @type {any} */ (res.data)
+        },
+        onSuccess: (data) => {
+            if (data?.vote && !data.outcome) setActiveVote(data.vote)
+        },
+        onError: (error) => {
+            toast.error(/** @type {any} */ (error)?.value?.error || "Failed to start vote", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
+    const { mutate: castVote, isPending: isCastingVote } = useMutation({
+        mutationFn: async (/** @type {boolean} */ approve) => {
+            if (!activeVote) return
+            const res = await client.room.votes.ballot.post({ voteId: activeVote.voteId, approve }, { query: { roomId } })
+            if (res.error) throw res.error
+        },
+        onError: () => {
+            toast.error("Your vote was not counted", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
+    const clearExpiredVote = useCallback(() => setActiveVote(null), [])
+
     const { mutate: triggerPanic } = useMutation({
         mutationFn: async (/** @type {string} */ panicPassword) => {
             isDestroyingRef.current = true
@@ -1889,12 +3146,12 @@ const Page = () => {
             await client.room.panic.post({ panicPassword }, { query: { roomId } })
         },
         onSuccess: () => {
-            if (userRole === "creator") {
-                if (isSecureRoom) clearRoomKey(roomId)
+            if (canModerate) {
+                if (isSecureRoom) forgetSecureRoom(roomId)
                 startNukeThenNavigate("/?error=room-not-found", "local", "panic")
                 return
             }
-            if (isSecureRoom) clearRoomKey(roomId)
+            if (isSecureRoom) forgetSecureRoom(roomId)
             router.push("/?error=room-not-found")
         },
         onError: (error) => {
@@ -2005,7 +3262,7 @@ const Page = () => {
             await client.room.exit.post(null, { query: { roomId } })
         },
         onSuccess: () => {
-            if (isSecureRoom) clearRoomKey(roomId)
+            if (isSecureRoom) forgetSecureRoom(roomId)
             startNukeThenNavigate("/", "local", "exit")
         },
         onError: () => {
@@ -2015,17 +3272,70 @@ const Page = () => {
         },
     })
 
+    const { mutate: removeParticipant } = useMutation({
+        mutationFn: async (/** @type {{ memberId: string, banned: boolean, rotateKeys: boolean }} */ { memberId, banned, rotateKeys }) => {
+            const endpoint = banned ? client.room.ban : client.room.kick
+            const res = await endpoint.post({ memberId, rotateKeys }, { query: { roomId } })
+            if (res.error) throw res.error
+            return banned
+        },
+        onSuccess: (banned) => {
+            toast.success(banned ? "Participant banned" : "Participant removed", {
+                style: { background: "#18181b", color: "#86efac", border: "1px solid #14532d" },
+                duration: 2500,
+            })
+        },
+        onError: () => {
+            toast.error("Failed to remove participant", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
+    const { mutate: changeMemberRole } = useMutation({
+        mutationFn: async (/** @type {{ memberId: string, role: "owner" | "admin" | "member" }} */ { memberId, role }) => {
+            const res = role === "owner"
+                ? await client.room["transfer-ownership"].post({ memberId }, { query: { roomId } })
+                : await client.room.promote.post({ memberId, role }, { query: { roomId } })
+            if (res.error) throw res.error
+            return role
+        },
+        onSuccess: (role) => {
+            if (role === "owner") setUserRole("admin")
+            toast.success(role === "owner" ? "Ownership transferred" : role === "admin" ? "Participant promoted to admin" : "Admin rights removed", {
+                style: { background: "#18181b", color: "#86efac", border: "1px solid #14532d" },
+                duration: 2500,
+            })
+        },
+        onError: () => {
+            toast.error("Failed to change role", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
     /** Emit a signaling event via the relay API */
     const emitSignal = useCallback(async (/** @type {string} */ evt, /** @type {any} */ payload) => {
         try {
-            await fetch(`/api/realtime/emit`, {
+            await fetch(`/api/realtime/emit?roomId=${encodeURIComponent(roomId)}`, {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
+                credentials: "include",
                 body: JSON.stringify({ channel: roomId, event: evt, data: payload }),
             })
         } catch { /* ignore relay errors */ }
     }, [roomId])
 
+    useEffect(() => {
+        if (!isSecureRoom || !secureRoomKey || !roomId) return
+        const session = new SecureRoomSession({ roomId, roomKeyHex: secureRoomKey, emitSignal, onWarning: warnSecureEnvelope })
+        setSecureSession(session)
+        return () => {
+            session.dispose()
+            setSecureSession(null)
+        }
+    }, [emitSignal, isSecureRoom, roomId, secureRoomKey])
+
     const cancelOutgoingTransfers = useCallback(async () => {
         const senders = Array.from(activeSendersRef.current.values())
         if (senders.length === 0) return
@@ -2051,7 +3361,7 @@ const Page = () => {
         const ownUsername = normalizeParticipantName(username)
         if (!roomId || !ownUsername) return
 
-        const clientId = presenceClientIdRef.current
+        const clientId = presenceClientId
         const announce = () => {
             emitSignal("presence.announce", {
                 clientId,
@@ -2107,7 +3417,7 @@ const Page = () => {
                     event: "presence.leave",
                     data: { clientId, username: ownUsername, timestamp: Date.now() },
                 })
-                navigator.sendBeacon("/api/realtime/emit", new Blob([payload], { type: "application/json" }))
+                navigator.sendBeacon(`/api/realtime/emit?roomId=${encodeURIComponent(roomId)}`, new Blob([payload], { type: "application/json" }))
             } catch {
                 // Ignore unload transport failures.
             }
@@ -2134,7 +3444,70 @@ const Page = () => {
                 return next
             })
         }
-    }, [emitSignal, roomId, username])
+    }, [emitSignal, presenceClientId, roomId, username])
+
+    // Tell peers we're typing: refreshed while the composer has text, cleared
+    // when it empties (including on send) or goes idle.
+    useEffect(() => {
+        const ownUsername = normalizeParticipantName(username)
+        if (!roomId || !ownUsername) return
+        const clientId = presenceClientId
+        const emitTyping = (/** @type {boolean} */ typing) => {
+            lastTypingSentRef.current = typing ? Date.now() : 0
+            emitSignal("presence.typing", { clientId, username: ownUsername, typing, timestamp: Date.now() })
+        }
+        if (input.trim().length === 0) {
+            if (lastTypingSentRef.current) emitTyping(false)
+            return
+        }
+        if (Date.now() - lastTypingSentRef.current >= TYPING_REFRESH_MS) emitTyping(true)
+        const idleTimer = setTimeout(() => emitTyping(false), TYPING_IDLE_MS)
+        return () => clearTimeout(idleTimer)
+    }, [emitSignal, input, presenceClientId, roomId, username])
+
+    // Drop typing indicators whose sender went quiet without clearing them.
+    useEffect(() => {
+        const expiries = Object.values(typingPeers).map((peer) => peer.until)
+        if (expiries.length === 0) return
+        const timer = setTimeout(() => {
+            setTypingPeers((prev) => Object.fromEntries(Object.entries(prev).filter(([, peer]) => peer.until > Date.now())))
+        }, Math.max(0, Math.min(...expiries) - Date.now()) + 50)
+        return () => clearTimeout(timer)
+    }, [typingPeers])
+
+    useEffect(() => {
+        const onVisibilityChange = () => setPageVisible(document.visibilityState === "visible")
+        onVisibilityChange()
+        document.addEventListener("visibilitychange", onVisibilityChange)
+        return () => document.removeEventListener("visibilitychange", onVisibilityChange)
+    }, [])
+
+    /**
+     * Send the next batch of queued acknowledgements, sealed under the room key
+     * in secure rooms. The batch leaves the queue before anything is awaited.
+     */
+    const flushReceipts = useCallback(async () => {
+        const pending = pendingReceiptsRef.current
+        const read = Array.from(pending.read).slice(0, RECEIPT_BATCH_MAX)
+        const delivered = Array.from(pending.delivered).slice(0, RECEIPT_BATCH_MAX)
+        read.forEach((id) => pending.read.delete(id))
+        delivered.forEach((id) => pending.delivered.delete(id))
+        if (read.length === 0 && delivered.length === 0) return
+
+        const clientId = presenceClientId
+        const batch = { clientId, username: normalizeParticipantName(username), timestamp: Date.now() }
+        if (!isSecureRoom) {
+            await emitSignal("presence.receipts", { ...batch, delivered, read })
+            return
+        }
+        if (!secureRoomKey) return
+        const sealed = await sealJson(secureRoomKey, { delivered, read }, receiptsAadHex(roomId, clientId))
+        await emitSignal("presence.receipts", { ...batch, sealed })
+    }, [emitSignal, isSecureRoom, presenceClientId, roomId, secureRoomKey, username])
+
+    useEffect(() => () => {
+        if (receiptFlushTimeoutRef.current) clearTimeout(receiptFlushTimeoutRef.current)
+    }, [])
 
     /** Send a file to selected peers via WebRTC */
     const handleSendFile = useCallback(async (
@@ -2183,7 +3556,7 @@ const Page = () => {
                 }
             }
 
-            mutate({
+            void queueMessage({
                 text: buildFilePacket({
                     file,
                     recipientCount,
@@ -2192,6 +3565,7 @@ const Page = () => {
                 }),
                 type: "file",
                 ...(vanishSeconds > 0 ? { vanishAfter: vanishSeconds } : {}),
+                ...(viewOnce && !isSecureRoom ? { viewOnce } : {}),
             })
         }
 
@@ -2245,7 +3619,7 @@ const Page = () => {
             // Step 1: Send metadata offer only — connection starts on receiver acceptance
             await sender.sendOffer()
         }
-    }, [emitSignal, mutate, roomId, username, vanishAfter])
+    }, [emitSignal, isSecureRoom, queueMessage, roomId, username, vanishAfter, viewOnce])
 
     const hasDraggedFiles = useCallback((event) => {
         const types = event?.dataTransfer?.types
@@ -2459,8 +3833,22 @@ const Page = () => {
         const text = input.trim()
         if (!text || !roomId) return
 
-        mutate({ text, ...(vanishAfter > 0 ? { vanishAfter } : {}) })
+        if (editingMessage) {
+            editMessage({ ...editingMessage, text })
+            setEditingMessage(null)
+            setInput("")
+            inputRef.current?.focus()
+            return
+        }
+
+        void queueMessage({
+            text,
+            ...(vanishAfter > 0 ? { vanishAfter } : {}),
+            ...(viewOnce && !isSecureRoom ? { viewOnce } : {}),
+            ...(replyingTo ? { replyTo: replyingTo.id } : {}),
+        })
         void triggerSendFx()
+        setReplyingTo(null)
         setInput("")
         inputRef.current?.focus()
     }
@@ -2505,21 +3893,18 @@ const Page = () => {
                     cleanupRecording()
                     return
                 }
-                const blob = new Blob(chunks, { type: recorder.mimeType || "audio/webm" })
-                const reader = new FileReader()
-                reader.onloadend = () => {
-                    const dataUrl = /** @type {string} */ (reader.result)
-                    if (dataUrl && typeof dataUrl === "string" && dataUrl.startsWith("data:")) {
-                        mutate({ text: dataUrl, type: "audio", ...(vanishAfter > 0 ? { vanishAfter } : {}) })
+                const mime = recorder.mimeType || "audio/webm"
+                const blob = new Blob(chunks, { type: mime })
+                cleanupRecording()
+                blob.arrayBuffer()
+                    .then((buffer) => uploadEncryptedBlob(roomId, new Uint8Array(buffer), mime))
+                    .then((ref) => {
+                        void queueMessage({ text: buildBlobRefPacket(ref), type: "audio", ...(vanishAfter > 0 ? { vanishAfter } : {}) })
                         void triggerSendFx()
-                    }
-                    cleanupRecording()
-                }
-                reader.onerror = () => {
-                    toast.error("Failed to encode audio", { duration: 2500 })
-                    cleanupRecording()
-                }
-                reader.readAsDataURL(blob)
+                    })
+                    .catch((err) => {
+                        toast.error(err instanceof Error && err.message ? err.message : "Failed to upload voice note", { duration: 2500 })
+                    })
             }
 
             recorder.onerror = () => {
@@ -2538,7 +3923,7 @@ const Page = () => {
             toast.error(message, { duration: 3000 })
             cleanupRecording()
         }
-    }, [cleanupRecording, mutate, triggerSendFx, vanishAfter])
+    }, [cleanupRecording, queueMessage, roomId, triggerSendFx, vanishAfter])
 
     const stopRecording = useCallback(() => {
         if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
@@ -2565,6 +3950,42 @@ const Page = () => {
         cleanupRecording()
     }, [cleanupRecording])
 
+    const handleRevealViewOnce = useCallback(async (/** @type {string} */ messageId) => {
+        const res = await client.messages({ messageId }).reveal.post(null, { query: { roomId } })
+        if (res.error) {
+            toast.error(res.error.value?.error || "This message has already been viewed", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+            return null
+        }
+        return typeof res.data?.payload === "string" ? res.data.payload : null
+    }, [roomId])
+
+    const handleEditMessage = useCallback((/** @type {{ id: string, text: string, timestamp: number }} */ msg) => {
+        setReplyingTo(null)
+        setEditingMessage({ id: msg.id, timestamp: msg.timestamp })
+        setInput(msg.text)
+        inputRef.current?.focus()
+    }, [])
+
+    const handleReplyToMessage = useCallback((/** @type {{ id: string, sender: string, text?: string, type?: string, viewOnce?: boolean }} */ msg) => {
+        if (editingMessage) {
+            setEditingMessage(null)
+            setInput("")
+        }
+        setReplyingTo({ id: msg.id, sender: msg.sender, text: msg.text, type: msg.type, viewOnce: msg.viewOnce })
+        inputRef.current?.focus()
+    }, [editingMessage])
+
+    const handleReactToMessage = useCallback((/** @type {string} */ messageId, /** @type {string} */ emoji, /** @type {boolean} */ add) => {
+        reactToMessage({ messageId, emoji, add })
+    }, [reactToMessage])
+
+    const cancelEditing = useCallback(() => {
+        setEditingMessage(null)
+        setInput("")
+    }, [])
+
     const handleVanishMessage = useCallback((msgId) => {
         setVanishedIds(prev => {
             const next = new Set(prev)
@@ -2757,7 +4178,8 @@ const Page = () => {
                 throw new Error("Selected content is too large. Try smaller images or shorter secret text.")
             }
 
-            mutate({ text: selectedPacket, type: "stego", ...(vanishAfter > 0 ? { vanishAfter } : {}) })
+            const ref = await uploadEncryptedBlob(roomId, new TextEncoder().encode(selectedPacket), STEGO_BLOB_MIME)
+            void queueMessage({ text: buildBlobRefPacket(ref), type: "stego", ...(vanishAfter > 0 ? { vanishAfter } : {}), ...(viewOnce && !isSecureRoom ? { viewOnce } : {}) })
             void triggerSendFx()
             closeStegoModal()
 
@@ -2779,8 +4201,11 @@ const Page = () => {
         stegoSecret,
         stegoSecretImage,
         stegoEncoding,
-        mutate,
+        queueMessage,
+        roomId,
         vanishAfter,
+        viewOnce,
+        isSecureRoom,
         closeStegoModal,
         buildImageCandidates,
         triggerSendFx,
@@ -2815,48 +4240,156 @@ const Page = () => {
     }, [handleStegoImageFile])
 
     const listRef = useListRef(null)
+    const visibleRowsRef = useRef({ startIndex: 0, stopIndex: 0 })
+    const listEdgeRef = useRef({ firstId: /** @type {string | null} */ (null), count: 0 })
+    // Set once the list has been scrolled to the newest message, so the
+    // first render at the top doesn't page in older history.
+    const historySettledRef = useRef(false)
     const hasInput = input.trim().length > 0
     const isSendArmed = hasInput || isSendFxActive
 
-    // Filter out vanished messages
+    // Filter out vanished messages, then add queued ones until the server's copy shows up
     const visibleMessages = useMemo(() => {
-        if (!currentMessages || vanishedIds.size === 0) return currentMessages || []
-        return currentMessages.filter(m => !vanishedIds.has(m.id))
-    }, [currentMessages, vanishedIds])
+        const shown = !currentMessages || vanishedIds.size === 0 ? currentMessages || [] : currentMessages.filter(m => !vanishedIds.has(m.id))
+        const queued = outbox.filter((item) => item.roomId === roomId)
+        if (queued.length === 0) return shown
+        const shownIds = new Set(shown.map((m) => m.id))
+        return [
+            ...shown,
+            ...queued
+                .filter((item) => !item.serverId || !shownIds.has(item.serverId))
+                .map((item) => ({
+                    ...item.payload.message,
+                    // Vanish countdowns start from the server's copy.
+                    vanishAfter: undefined,
+                    id: item.id,
+                    roomId,
+                    outbox: item.serverId ? "sent" : item.failed ? "failed" : "pending",
+                })),
+        ]
+    }, [currentMessages, outbox, roomId, vanishedIds])
+
+    // Drop sent outbox entries once the server's copy is listed.
+    useEffect(() => {
+        if (!outbox.some((item) => item.serverId)) return
+        const listed = new Set(currentMessages.map((m) => m.id))
+        if (!outbox.some((item) => item.serverId && listed.has(item.serverId))) return
+        updateOutbox((items) => items.filter((item) => !item.serverId || !listed.has(item.serverId)))
+    }, [currentMessages, outbox, updateOutbox])
+
+    // Queue acknowledgements for peers' messages: read while the page is in
+    // view, otherwise delivered until it is.
+    useEffect(() => {
+        if (!receiptsEnabled || !username) return
+        const acked = ackedReceiptsRef.current
+        const pending = pendingReceiptsRef.current
+        let queued = false
+        for (const msg of visibleMessages) {
+            if (!msg?.id || msg.type === "system" || msg.outbox || msg.sender === username) continue
+            const level = acked.get(msg.id)
+            if (level === "read" || (level === "delivered" && !pageVisible)) continue
+            if (pageVisible) {
+                acked.set(msg.id, "read")
+                pending.delivered.delete(msg.id)
+                pending.read.add(msg.id)
+            } else {
+                acked.set(msg.id, "delivered")
+                pending.delivered.add(msg.id)
+            }
+            queued = true
+        }
+        if (!queued || receiptFlushTimeoutRef.current) return
+        // One batch per tick until the queue is empty.
+        const flushLater = () => {
+            receiptFlushTimeoutRef.current = setTimeout(() => {
+                receiptFlushTimeoutRef.current = null
+                void flushReceipts()
+                const { read, delivered } = pendingReceiptsRef.current
+                if (read.size > 0 || delivered.size > 0) flushLater()
+            }, RECEIPT_FLUSH_MS)
+        }
+        flushLater()
+    }, [flushReceipts, pageVisible, receiptsEnabled, username, visibleMessages])
+
+    const typingText = useMemo(() => typingLabel(Array.from(new Set(
+        Object.values(typingPeers).map((peer) => peer.username).filter((name) => name !== username),
+    ))), [typingPeers, username])
 
     // Estimate row height based on message text length
     const getRowHeight = useCallback((index) => {
         const msg = visibleMessages?.[index]
         if (!msg) return 72
+        // Quoted reply preview and reaction chips sit above and below the bubble.
+        const extraHeight = (msg.replyTo ? 44 : 0) + (Array.isArray(msg.reactions) && msg.reactions.length > 0 ? 28 : 0)
+        if (msg.viewOnce) return 80 + extraHeight
         if (msg.type === "stego") {
-            return 390
+            return 390 + extraHeight
         }
         if (msg.type === "file") {
             const hasImagePreview = typeof msg.text === "string" && msg.text.includes("\"p\":\"data:image/")
-            return hasImagePreview ? 380 : 124
+            return (hasImagePreview ? 380 : 124) + extraHeight
         }
-        if (parseLegacyFileNotice(msg.text)) return 124
-        if (msg.type === "audio") return 80 // voice note player
+        if (parseLegacyFileNotice(msg.text)) return 124 + extraHeight
+        if (msg.type === "audio") return 80 + extraHeight // voice note player
+        if (msg.type === "system") return 32
         const charsPerLine = 60
         const lineCount = Math.ceil(msg.text.length / charsPerLine)
-        return Math.max(72, 48 + lineCount * 22)
+        return Math.max(72, 48 + lineCount * 22) + extraHeight
     }, [visibleMessages])
 
+    // Scroll a quoted original into view and flash it briefly.
+    const handleJumpToMessage = useCallback((/** @type {string} */ messageId) => {
+        const index = visibleMessages.findIndex((m) => m.id === messageId)
+        if (index < 0 || !listRef.current) return
+        listRef.current.scrollToRow({ index, align: "center", behavior: shouldReduceMotion ? "instant" : "smooth" })
+        setHighlightedId(messageId)
+        if (highlightTimeoutRef.current) clearTimeout(highlightTimeoutRef.current)
+        highlightTimeoutRef.current = setTimeout(() => setHighlightedId(null), 1600)
+    }, [listRef, shouldReduceMotion, visibleMessages])
+
     const messageRowProps = useMemo(() => ({
         messages: visibleMessages,
         username,
         onVanish: handleVanishMessage,
+        onReveal: handleRevealViewOnce,
+        onEdit: handleEditMessage,
+        onUnsend: unsendMessage,
+        onReply: handleReplyToMessage,
+        onReact: handleReactToMessage,
+        onJumpTo: handleJumpToMessage,
+        onRetry: retryOutboxItem,
+        onDiscard: discardOutboxItem,
+        unsentIds,
+        highlightedId,
+        receipts: receiptsEnabled ? messageReceipts : null,
+        hasOlder: !isSecureRoom && Boolean(hasOlderMessages),
         reducedMotion: shouldReduceMotion,
-    }), [handleVanishMessage, shouldReduceMotion, username, visibleMessages])
+    }), [discardOutboxItem, handleEditMessage, handleJumpToMessage, handleReactToMessage, handleReplyToMessage, handleRevealViewOnce, handleVanishMessage, hasOlderMessages, highlightedId, isSecureRoom, messageReceipts, receiptsEnabled, retryOutboxItem, shouldReduceMotion, unsendMessage, unsentIds, username, visibleMessages])
 
-    // Auto-scroll to bottom on new messages
+    // Auto-scroll to bottom on new messages, but keep the reader in place
+    // when older history is prepended above them.
     useEffect(() => {
         const count = visibleMessages?.length ?? 0
-        if (count > 0 && listRef.current) {
-            listRef.current.scrollToRow({ index: count - 1, align: "end" })
+        const previous = listEdgeRef.current
+        listEdgeRef.current = { firstId: visibleMessages[0]?.id ?? null, count }
+        if (count === 0 || !listRef.current) return
+
+        const prepended = previous.firstId ? visibleMessages.findIndex((m) => m.id === previous.firstId) : -1
+        if (prepended > 0 && historySettledRef.current) {
+            listRef.current.scrollToRow({ index: visibleRowsRef.current.startIndex + prepended, align: "start" })
+            return
         }
+        listRef.current.scrollToRow({ index: count - 1, align: "end" })
+        historySettledRef.current = true
     }, [visibleMessages, listRef])
 
+    const handleRowsRendered = useCallback((/** @type {{ startIndex: number, stopIndex: number }} */ visibleRows) => {
+        visibleRowsRef.current = visibleRows
+        if (visibleRows.startIndex === 0 && historySettledRef.current && hasOlderMessages && !isFetchingOlderMessages) {
+            void fetchOlderMessages()
+        }
+    }, [fetchOlderMessages, hasOlderMessages, isFetchingOlderMessages])
+
 
     return (
         <main
@@ -2954,7 +4487,7 @@ const Page = () => {
 
                         {/* Mobile: Action buttons row */}
                         <div className="flex items-center justify-center gap-1.5 flex-wrap md:hidden">
-                            {userRole === "creator" && timeRemaining !== -1 && timeRemaining !== null && (
+                            {(canModerate || (decidesByVote && !isSecureRoom)) && timeRemaining !== -1 && timeRemaining !== null && (
                                 <div className="relative">
                                     <motion.button
                                         onClick={() => setShowExtendPopover(!showExtendPopover)}
@@ -2976,7 +4509,7 @@ const Page = () => {
                                                 {[5, 10, 15, 30].map((m) => (
                                                     <button
                                                         key={m}
-                                                        onClick={() => extendTimer(m)}
+                                                        onClick={() => (decidesByVote ? startVote({ kind: "extend", minutes: m }) : extendTimer(m))}
                                                         className="block w-full text-left px-2 py-1.5 text-xs text-zinc-300 hover:text-green-400 hover:bg-zinc-800/50 rounded-sm transition-colors font-mono"
                                                     >
                                                         +{m} min
@@ -2987,6 +4520,21 @@ const Page = () => {
                                     </AnimatePresence>
                                 </div>
                             )}
+                            <RoomNameMenu roomId={roomId} name={assignedName} disabled={isNukeRunning} compact onRenamed={setAssignedName} />
+                            {canModerate && (
+                                <RoomInvitesMenu roomId={roomId} disabled={isNukeRunning} compact />
+                            )}
+                            {canModerate && (
+                                <RoomMembersMenu
+                                    members={removableMembers}
+                                    isSecureRoom={isSecureRoom}
+                                    disabled={isNukeRunning}
+                                    compact
+                                    viewerRole={userRole}
+                                    onRemove={(memberId, options) => removeParticipant({ memberId, ...options })}
+                                    onChangeRole={(memberId, role) => changeMemberRole({ memberId, role })}
+                                />
+                            )}
                             <motion.button
                                 onClick={openPanicModal}
                                 disabled={isNukeRunning || isSecureRoom}
@@ -2996,7 +4544,7 @@ const Page = () => {
                             >
                                 🚨
                             </motion.button>
-                            {userRole === "creator" ? (
+                            {canModerate && !decidesByVote ? (
                                 <motion.button
                                     onClick={(event) => {
                                         setNukeOriginFromTrigger(event.currentTarget)
@@ -3011,24 +4559,22 @@ const Page = () => {
                                 </motion.button>
                             ) : (
                                 <motion.button
-                                    onClick={() => requestDestroy()}
-                                    disabled={destroyRequestPending || isNukeRunning}
+                                    onClick={() => (decidesByVote ? startVote({ kind: "destroy" }) : requestDestroy())}
+                                    disabled={(decidesByVote ? Boolean(activeVote) || isStartingVote : destroyRequestPending) || isNukeRunning}
                                     className="flex items-center gap-1 border border-amber-900/60 bg-amber-950/40 hover:bg-amber-900/50 px-2.5 py-1.5 rounded-sm text-[11px] font-bold text-amber-400 hover:text-amber-300 transition-colors hover-shake disabled:opacity-50 disabled:cursor-not-allowed"
                                     whileTap={{ scale: 0.94 }}
                                 >
-                                    ⚠️ <span className="hidden xs:inline">{destroyRequestPending ? "PENDING" : "REQUEST"}</span>
-                                </motion.button>
-                            )}
-                            {userRole !== "creator" && (
-                                <motion.button
-                                    onClick={() => leaveRoom()}
-                                    disabled={isNukeRunning || isLeavingRoom}
-                                    className="flex items-center gap-1 border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 px-2.5 py-1.5 rounded-sm text-[11px] font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                                    whileTap={{ scale: 0.94 }}
-                                >
-                                    ↩ <span className="hidden xs:inline">EXIT</span>
+                                    ⚠️ <span className="hidden xs:inline">{decidesByVote ? "VOTE" : destroyRequestPending ? "PENDING" : "REQUEST"}</span>
                                 </motion.button>
                             )}
+                            <motion.button
+                                onClick={() => leaveRoom()}
+                                disabled={isNukeRunning || isLeavingRoom}
+                                className="flex items-center gap-1 border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 px-2.5 py-1.5 rounded-sm text-[11px] font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                whileTap={{ scale: 0.94 }}
+                            >
+                                ↩ <span className="hidden xs:inline">EXIT</span>
+                            </motion.button>
                         </div>
 
                         {/* Desktop: Left — Identity Badge */}
@@ -3091,7 +4637,7 @@ const Page = () => {
                                 >
                                     🚨
                                 </motion.button>
-                                {userRole === "creator" ? (
+                                {canModerate && !decidesByVote ? (
                                     <motion.button
                                         onClick={(event) => {
                                             setNukeOriginFromTrigger(event.currentTarget)
@@ -3114,35 +4660,33 @@ const Page = () => {
                                         <span className="hidden sm:inline">DESTROY NOW</span>
                                     </motion.button>
                                 ) : (
-                                    <>
-                                        <motion.button
-                                            onClick={() => requestDestroy()}
-                                            disabled={destroyRequestPending || isNukeRunning}
-                                            className="flex items-center gap-1.5 border border-amber-900/60 bg-amber-950/40 hover:bg-amber-900/50 px-3 py-2 rounded-sm text-[13px] font-bold text-amber-400 hover:text-amber-300 transition-colors group hover-shake disabled:opacity-50 disabled:cursor-not-allowed"
-                                            whileTap={{ scale: 0.94 }}
-                                            transition={{ type: "spring", stiffness: 400, damping: 25 }}
-                                        >
-                                            <motion.span
-                                                className="text-sm"
-                                                animate={{ rotate: [0, 0, 0] }}
-                                                whileHover={{ rotate: [0, -10, 10, -5, 5, 0] }}
-                                                transition={{ duration: 0.5 }}
-                                            >
-                                                ⚠️
-                                            </motion.span>
-                                            <span className="hidden sm:inline">{destroyRequestPending ? "PENDING..." : "REQUEST DESTROY"}</span>
-                                        </motion.button>
-                                        <motion.button
-                                            onClick={() => leaveRoom()}
-                                            disabled={isNukeRunning || isLeavingRoom}
-                                            className="flex items-center gap-1.5 border border-zinc-700/70 bg-zinc-900/60 hover:bg-zinc-800/70 px-3 py-2 rounded-sm text-[12px] font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                                            whileTap={{ scale: 0.94 }}
-                                            transition={{ type: "spring", stiffness: 400, damping: 25 }}
+                                    <motion.button
+                                        onClick={() => (decidesByVote ? startVote({ kind: "destroy" }) : requestDestroy())}
+                                        disabled={(decidesByVote ? Boolean(activeVote) || isStartingVote : destroyRequestPending) || isNukeRunning}
+                                        className="flex items-center gap-1.5 border border-amber-900/60 bg-amber-950/40 hover:bg-amber-900/50 px-3 py-2 rounded-sm text-[13px] font-bold text-amber-400 hover:text-amber-300 transition-colors group hover-shake disabled:opacity-50 disabled:cursor-not-allowed"
+                                        whileTap={{ scale: 0.94 }}
+                                        transition={{ type: "spring", stiffness: 400, damping: 25 }}
+                                    >
+                                        <motion.span
+                                            className="text-sm"
+                                            animate={{ rotate: [0, 0, 0] }}
+                                            whileHover={{ rotate: [0, -10, 10, -5, 5, 0] }}
+                                            transition={{ duration: 0.5 }}
                                         >
-                                            ↩ <span className="hidden sm:inline">EXIT ROOM</span>
-                                        </motion.button>
-                                    </>
+                                            ⚠️
+                                        </motion.span>
+                                        <span className="hidden sm:inline">{decidesByVote ? "VOTE TO DESTROY" : destroyRequestPending ? "PENDING..." : "REQUEST DESTROY"}</span>
+                                    </motion.button>
                                 )}
+                                <motion.button
+                                    onClick={() => leaveRoom()}
+                                    disabled={isNukeRunning || isLeavingRoom}
+                                    className="flex items-center gap-1.5 border border-zinc-700/70 bg-zinc-900/60 hover:bg-zinc-800/70 px-3 py-2 rounded-sm text-[12px] font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                    whileTap={{ scale: 0.94 }}
+                                    transition={{ type: "spring", stiffness: 400, damping: 25 }}
+                                >
+                                    ↩ <span className="hidden sm:inline">EXIT ROOM</span>
+                                </motion.button>
                             </div>
 
                             <div className="flex items-center gap-3 border border-zinc-700/50 rounded-sm px-3 py-2.5">
@@ -3178,7 +4722,7 @@ const Page = () => {
                                         )}
                                     </div>
                                 </div>
-                                {userRole === "creator" && timeRemaining !== -1 && timeRemaining !== null && (
+                                {(canModerate || (decidesByVote && !isSecureRoom)) && timeRemaining !== -1 && timeRemaining !== null && (
                                     <div className="relative">
                                         <motion.button
                                             onClick={() => setShowExtendPopover(!showExtendPopover)}
@@ -3200,7 +4744,7 @@ const Page = () => {
                                                     {[5, 10, 15, 30].map((m) => (
                                                         <button
                                                             key={m}
-                                                            onClick={() => extendTimer(m)}
+                                                            onClick={() => (decidesByVote ? startVote({ kind: "extend", minutes: m }) : extendTimer(m))}
                                                             className="block w-full text-left px-2 py-1.5 text-xs text-zinc-300 hover:text-green-400 hover:bg-zinc-800/50 rounded-sm transition-colors font-mono"
                                                         >
                                                             +{m} min
@@ -3211,6 +4755,20 @@ const Page = () => {
                                         </AnimatePresence>
                                     </div>
                                 )}
+                                <RoomNameMenu roomId={roomId} name={assignedName} disabled={isNukeRunning} onRenamed={setAssignedName} />
+                                {canModerate && (
+                                    <RoomInvitesMenu roomId={roomId} disabled={isNukeRunning} />
+                                )}
+                                {canModerate && (
+                                    <RoomMembersMenu
+                                        members={removableMembers}
+                                        isSecureRoom={isSecureRoom}
+                                        disabled={isNukeRunning}
+                                        viewerRole={userRole}
+                                        onRemove={(memberId, options) => removeParticipant({ memberId, ...options })}
+                                        onChangeRole={(memberId, role) => changeMemberRole({ memberId, role })}
+                                    />
+                                )}
                             </div>
                         </motion.div>
                     </div>
@@ -3280,7 +4838,19 @@ const Page = () => {
             </motion.header>
 
             {/* ═══════════════════ MESSAGES AREA ═══════════════════ */}
-            <div data-nuke-el="messages" className="flex-1 overflow-hidden custom-scrollbar cyber-grid-bg">
+            <div data-nuke-el="messages" className="relative flex-1 overflow-hidden custom-scrollbar cyber-grid-bg">
+
+                {unavailableHistoryCount > 0 && (
+                    <div className="absolute top-2 left-1/2 -translate-x-1/2 z-10 px-2.5 py-1 rounded-sm border border-zinc-800 bg-zinc-950/90 text-[10px] text-zinc-500 font-mono tracking-wide whitespace-nowrap">
+                        History unavailable: {unavailableHistoryCount} earlier {unavailableHistoryCount === 1 ? "message predates" : "messages predate"} this tab&apos;s keys
+                    </div>
+                )}
+
+                {isFetchingOlderMessages && (
+                    <div className="absolute top-2 left-1/2 -translate-x-1/2 z-10 px-2.5 py-1 rounded-sm border border-zinc-800 bg-zinc-950/90 text-[10px] text-zinc-500 font-mono tracking-wide">
+                        Loading earlier messages…
+                    </div>
+                )}
 
                 {/* Empty state */}
                 <AnimatePresence>
@@ -3330,6 +4900,7 @@ const Page = () => {
                         rowCount={visibleMessages.length}
                         rowHeight={getRowHeight}
                         overscanCount={5}
+                        onRowsRendered={handleRowsRendered}
                         className="custom-scrollbar"
                         style={{ height: '100%' }}
                         rowComponent={/** @type {any} */ (MessageRow)}
@@ -3346,6 +4917,45 @@ const Page = () => {
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ duration: 0.5, delay: 0.3, ease }}
             >
+                {typingText && (
+                    <div className="mb-1.5 px-3 text-[10px] text-zinc-500 italic" aria-live="polite">{typingText}</div>
+                )}
+                {editingMessage && !isRecording && (
+                    <div className="flex items-center justify-between gap-2 mb-2 px-3 py-1.5 rounded-sm border border-green-900/40 bg-green-950/10">
+                        <span className="text-[10px] text-green-400 font-bold uppercase tracking-wider">Editing message</span>
+                        <button
+                            type="button"
+                            onClick={cancelEditing}
+                            className="text-zinc-500 hover:text-zinc-200 text-xs font-bold cursor-pointer"
+                            title="Cancel edit"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                )}
+                {replyingTo && !isRecording && (
+                    <div className="flex items-center justify-between gap-2 mb-2 px-3 py-1.5 rounded-sm border-l-2 border-teal-500/60 bg-zinc-900/60">
+                        <button
+                            type="button"
+                            onClick={() => handleJumpToMessage(replyingTo.id)}
+                            className="min-w-0 flex-1 text-left cursor-pointer"
+                            title="Jump to the message you're replying to"
+                        >
+                            <span className="block text-[10px] text-teal-400 font-bold uppercase tracking-wider">
+                                Replying to {replyingTo.sender === username ? "yourself" : replyingTo.sender}
+                            </span>
+                            <span className="block text-[11px] text-zinc-400 truncate">{replyPreviewText(replyingTo)}</span>
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setReplyingTo(null)}
+                            className="text-zinc-500 hover:text-zinc-200 text-xs font-bold cursor-pointer"
+                            title="Cancel reply"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                )}
                 <div className="flex items-center gap-2 sm:gap-3">
 
                     {isRecording ? (
@@ -3484,6 +5094,22 @@ const Page = () => {
                                                     )}
                                                 </AnimatePresence>
                                             </div>
+
+                                            {/* View-once toggle */}
+                                            {!isSecureRoom && (
+                                                <motion.button
+                                                    onClick={() => setViewOnce((on) => !on)}
+                                                    className={`micro-btn w-10 h-10 flex items-center justify-center rounded-lg transition-colors ${viewOnce
+                                                        ? "bg-purple-600/20 text-purple-300 hover:bg-purple-600/30"
+                                                        : "bg-zinc-800/60 text-zinc-500 hover:text-zinc-300 hover:bg-zinc-700/40"
+                                                        }`}
+                                                    whileHover={{ scale: 1.1 }}
+                                                    whileTap={{ scale: 0.9 }}
+                                                    title={viewOnce ? "View once: on" : "View once"}
+                                                >
+                                                    <span className="text-sm">👁</span>
+                                                </motion.button>
+                                            )}
                                         </motion.div>
                                     )}
                                 </AnimatePresence>
@@ -3543,6 +5169,21 @@ const Page = () => {
                                         )}
                                     </AnimatePresence>
                                 </div>
+
+                                {!isSecureRoom && (
+                                    <motion.button
+                                        onClick={() => setViewOnce((on) => !on)}
+                                        className={`micro-btn w-10 h-10 flex items-center justify-center rounded-lg transition-colors ${viewOnce
+                                            ? "bg-purple-600/20 text-purple-300 hover:bg-purple-600/30"
+                                            : "bg-zinc-800/60 text-zinc-500 hover:text-zinc-300 hover:bg-zinc-700/40"
+                                            }`}
+                                        whileHover={{ scale: 1.06 }}
+                                        whileTap={{ scale: 0.92 }}
+                                        title={viewOnce ? "View once: on" : "View once"}
+                                    >
+                                        <span className="text-sm">👁</span>
+                                    </motion.button>
+                                )}
                             </div>
 
                             {/* Input field */}
@@ -3612,7 +5253,7 @@ const Page = () => {
                                 <motion.button
                                     key="send-btn"
                                     onClick={sendMessage}
-                                    disabled={(!hasInput && !isSendFxActive) || isPending}
+                                    disabled={(!hasInput && !isSendFxActive)}
                                     className={`micro-btn relative w-[3.75rem] h-[2.75rem] sm:w-[4.25rem] sm:h-[3rem] lg:w-[4.75rem] lg:h-[3.25rem] flex items-center justify-center rounded-md border overflow-hidden transition-colors cursor-pointer ${isSendArmed
                                         ? "bg-green-950/35 hover:bg-green-900/35 border-green-500/70 text-green-400"
                                         : "bg-zinc-900 border-zinc-700/50 text-zinc-500"
@@ -3688,7 +5329,7 @@ const Page = () => {
 
             {/* ═══════════════════ DESTROY REQUEST MODAL (Creator Only) ═══════════════════ */}
             <AnimatePresence>
-                {showDestroyRequest && userRole === "creator" && (
+                {showDestroyRequest && canModerate && (
                     <motion.div
                         className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm"
                         initial={{ opacity: 0 }}
@@ -3738,6 +5379,22 @@ const Page = () => {
                 )}
             </AnimatePresence>
 
+            {/* ═══════════════════ LOBBY KNOCKS (moderators) ═══════════════════ */}
+            {canModerate && <RoomKnockQueue roomId={roomId} disabled={isNukeRunning} />}
+
+            {/* ═══════════════════ LIVE BALLOT (vote policies) ═══════════════════ */}
+            <AnimatePresence>
+                {activeVote && (
+                    <RoomBallot
+                        vote={activeVote}
+                        ownMemberId={ownMemberId}
+                        disabled={isCastingVote || isNukeRunning}
+                        onVote={(approve) => castVote(approve)}
+                        onExpire={clearExpiredVote}
+                    />
+                )}
+            </AnimatePresence>
+
             {/* ═══════════════════ PANIC MODE MODAL ═══════════════════ */}
             <AnimatePresence>
                 {showPanicModal && (
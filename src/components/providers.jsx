@@ -2,7 +2,7 @@
 
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query"
 import { useState } from "react"
-import { RealtimeProvider } from "@upstash/realtime/client"
+import { RealtimeProvider } from "@/lib/realtime-client"
 import { Toaster } from "sonner"
 import { AuthProvider } from "@/hooks/use-auth"
 import { Sidebar } from "@/components/sidebar"
@@ -0,0 +1,97 @@
+"use client"
+
+import { motion } from "framer-motion"
+import { useEffect, useState } from "react"
+
+/**
+ * @typedef {{
+ *   voteId: string,
+ *   kind: "destroy" | "extend",
+ *   minutes: number | null,
+ *   policy: "majority" | "unanimous",
+ *   requesterName: string,
+ *   expiresAt: number,
+ *   yes: number,
+ *   no: number,
+ *   eligible: number,
+ *   needed: number,
+ *   votedIds: string[],
+ * }} BallotVote
+ */
+
+/**
+ * Live ballot for a destroy or extend vote. Shows the running tally and a
+ * countdown; hides its buttons once this member has voted.
+ *
+ * @param {{
+ *   vote: BallotVote,
+ *   ownMemberId: string,
+ *   disabled?: boolean,
+ *   onVote: (approve: boolean) => void,
+ *   onExpire: () => void,
+ * }} props
+ */
+export function RoomBallot({ vote, ownMemberId, disabled = false, onVote, onExpire }) {
+    const [now, setNow] = useState(() => Date.now())
+    const secondsLeft = Math.max(0, Math.ceil((vote.expiresAt - now) / 1000))
+    const hasVoted = vote.votedIds.includes(ownMemberId)
+    const title = vote.kind === "destroy" ? "DESTROY VOTE" : `EXTEND +${vote.minutes ?? 0} MIN`
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(interval)
+    }, [])
+
+    useEffect(() => {
+        if (secondsLeft === 0) onExpire()
+    }, [secondsLeft, onExpire])
+
+    return (
+        <motion.div
+            className={`fixed bottom-24 right-4 z-40 w-72 border rounded-sm bg-zinc-950 p-4 shadow-2xl ${vote.kind === "destroy" ? "border-red-900/60" : "border-green-900/60"}`}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            transition={{ type: "spring", stiffness: 400, damping: 30 }}
+        >
+            <div className="flex items-center justify-between mb-2">
+                <h3 className={`font-bold text-sm tracking-wide ${vote.kind === "destroy" ? "text-red-400" : "text-green-400"}`}>{title}</h3>
+                <span className="text-[11px] font-mono text-zinc-500 tabular-nums">{secondsLeft}s</span>
+            </div>
+            <p className="text-zinc-400 text-xs mb-3 leading-relaxed">
+                {vote.requesterName || "A participant"} called a vote. Needs {vote.needed} of {vote.eligible} ({vote.policy === "unanimous" ? "everyone" : "majority"}).
+            </p>
+            <div className="flex h-1.5 mb-1.5 overflow-hidden rounded-sm bg-zinc-800">
+                <div className="bg-green-500 transition-all" style={{ width: `${vote.eligible ? (vote.yes / vote.eligible) * 100 : 0}%` }} />
+                <div className="bg-red-500 transition-all" style={{ width: `${vote.eligible ? (vote.no / vote.eligible) * 100 : 0}%` }} />
+            </div>
+            <div className="flex justify-between text-[10px] font-mono text-zinc-500 mb-3">
+                <span className="text-green-400">{vote.yes} yes</span>
+                <span>{vote.eligible - vote.yes - vote.no} pending</span>
+                <span className="text-red-400">{vote.no} no</span>
+            </div>
+            {hasVoted ? (
+                <p className="text-[11px] text-zinc-500 text-center">Vote recorded. Waiting for the others…</p>
+            ) : (
+                <div className="flex gap-2">
+                    <motion.button
+                        onClick={() => onVote(true)}
+                        disabled={disabled}
+                        className="flex-1 py-2 rounded-sm border border-green-900/60 bg-green-950/40 hover:bg-green-900/50 text-green-400 font-bold text-xs tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        ✓ YES
+                    </motion.button>
+                    <motion.button
+                        onClick={() => onVote(false)}
+                        disabled={disabled}
+                        className="flex-1 py-2 rounded-sm border border-zinc-700/60 bg-zinc-800/40 hover:bg-zinc-700/50 text-zinc-400 font-bold text-xs tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        ✕ NO
+                    </motion.button>
+                </div>
+            )}
+        </motion.div>
+    )
+}
@@ -0,0 +1,164 @@
+"use client"
+
+import { motion, AnimatePresence } from "framer-motion"
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query"
+import { useState } from "react"
+import { toast } from "sonner"
+import { client } from "@/lib/client"
+
+const USE_OPTIONS = [1, 5, 10]
+const EXPIRY_OPTIONS = [[15, "15 min"], [60, "1 hour"], [24 * 60, "1 day"]]
+
+/**
+ * @param {string} roomId
+ * @param {string} token
+ */
+function inviteLink(roomId, token) {
+    return `${window.location.origin}/room/${roomId}?invite=${encodeURIComponent(token)}`
+}
+
+/** @param {number} expiresAt */
+function formatRemaining(expiresAt) {
+    const minutes = Math.max(0, Math.round((expiresAt - Date.now()) / 60_000))
+    return minutes >= 60 ? `${Math.round(minutes / 60)}h` : `${minutes}m`
+}
+
+/**
+ * Moderator popover for minting, copying and revoking invite links.
+ *
+ * @param {{ roomId: string, disabled?: boolean, compact?: boolean }} props
+ */
+export function RoomInvitesMenu({ roomId, disabled = false, compact = false }) {
+    const queryClient = useQueryClient()
+    const [open, setOpen] = useState(false)
+    const [maxUses, setMaxUses] = useState(1)
+    const [expiresInMinutes, setExpiresInMinutes] = useState(60)
+    const [displayName, setDisplayName] = useState("")
+
+    const { data: invites = [] } = useQuery({
+        queryKey: ["invites", roomId],
+        enabled: open,
+        queryFn: async () => {
+            const res = await client.room.invites.get({ query: { roomId } })
+            return Array.isArray(res.data?.invites) ? res.data.invites : []
+        },
+    })
+
+    const { mutate: createInvite, isPending } = useMutation({
+        mutationFn: async () => {
+            const name = displayName.trim()
+            const res = await client.room.invites.post(
+                { maxUses, expiresInMinutes, ...(name ? { displayName: name } : {}) },
+                { query: { roomId } },
+            )
+            if (res.error) throw res.error
+            return res.data.invite
+        },
+        onSuccess: async (invite) => {
+            setDisplayName("")
+            await navigator.clipboard.writeText(inviteLink(roomId, invite.token)).catch(() => { })
+            toast.success("Invite link copied", {
+                style: { background: "#18181b", color: "#86efac", border: "1px solid #14532d" },
+                duration: 2500,
+            })
+            queryClient.invalidateQueries({ queryKey: ["invites", roomId] })
+        },
+        onError: () => {
+            toast.error("Failed to create invite", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
+    const { mutate: revokeInvite } = useMutation({
+        mutationFn: async (/** @type {string} */ inviteId) => {
+            await client.room.invites({ inviteId }).delete(null, { query: { roomId } })
+        },
+        onSettled: () => queryClient.invalidateQueries({ queryKey: ["invites", roomId] }),
+    })
+
+    return (
+        <div className="relative">
+            <motion.button
+                onClick={() => setOpen(!open)}
+                disabled={disabled}
+                className={`flex items-center gap-1 border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 rounded-sm font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${compact ? "px-2 py-1.5 text-[10px]" : "px-2 py-1.5 text-[11px]"}`}
+                whileTap={{ scale: 0.95 }}
+                title="Invite links"
+            >
+                ✉ <span className={compact ? "hidden" : ""}>INVITE</span>
+            </motion.button>
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        className="absolute top-full right-0 mt-1 z-50 border border-zinc-700/60 bg-zinc-950 rounded-sm p-2 shadow-2xl w-[260px]"
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        transition={{ duration: 0.15 }}
+                    >
+                        <p className="text-[9px] text-zinc-500 font-bold uppercase tracking-wider mb-1.5">New invite</p>
+                        <div className="flex gap-1.5 mb-1.5">
+                            <select
+                                value={maxUses}
+                                onChange={(event) => setMaxUses(Number(event.target.value))}
+                                className="flex-1 bg-zinc-900 border border-zinc-800 rounded-sm px-1.5 py-1 text-[11px] text-zinc-300"
+                            >
+                                {USE_OPTIONS.map((uses) => (
+                                    <option key={uses} value={uses}>{uses === 1 ? "Single use" : `${uses} uses`}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={expiresInMinutes}
+                                onChange={(event) => setExpiresInMinutes(Number(event.target.value))}
+                                className="flex-1 bg-zinc-900 border border-zinc-800 rounded-sm px-1.5 py-1 text-[11px] text-zinc-300"
+                            >
+                                {EXPIRY_OPTIONS.map(([minutes, label]) => (
+                                    <option key={minutes} value={minutes}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <input
+                            value={displayName}
+                            onChange={(event) => setDisplayName(event.target.value)}
+                            maxLength={64}
+                            placeholder="Display name (optional)"
+                            className="w-full bg-zinc-900 border border-zinc-800 focus:border-green-500/40 rounded-sm px-2 py-1 text-[11px] text-zinc-300 outline-none placeholder:text-zinc-600 mb-1.5"
+                        />
+                        <button
+                            onClick={() => createInvite()}
+                            disabled={isPending}
+                            className="w-full py-1.5 rounded-sm border border-green-900/60 bg-green-950/40 hover:bg-green-900/50 text-green-400 text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40"
+                        >
+                            {isPending ? "Creating..." : "Create & copy link"}
+                        </button>
+
+                        <p className="text-[9px] text-zinc-500 font-bold uppercase tracking-wider mt-2.5 mb-1">Outstanding</p>
+                        {invites.length === 0 ? (
+                            <p className="px-2 py-1 text-xs text-zinc-500">No open invites</p>
+                        ) : invites.map((invite) => (
+                            <div key={invite.id} className="flex items-center gap-2 px-2 py-1 rounded-sm hover:bg-zinc-800/50">
+                                <button
+                                    onClick={() => navigator.clipboard.writeText(inviteLink(roomId, invite.token)).catch(() => { })}
+                                    className="flex-1 min-w-0 text-left"
+                                    title="Copy link"
+                                >
+                                    <span className="block truncate text-xs text-zinc-300">{invite.displayName || "Anyone"}</span>
+                                    <span className="block text-[10px] font-mono text-zinc-500">
+                                        {invite.uses}/{invite.maxUses} used · {formatRemaining(invite.expiresAt)} left
+                                    </span>
+                                </button>
+                                <button
+                                    onClick={() => revokeInvite(invite.id)}
+                                    className="text-[10px] font-bold uppercase text-red-400 hover:text-red-300 transition-colors"
+                                >
+                                    Revoke
+                                </button>
+                            </div>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    )
+}
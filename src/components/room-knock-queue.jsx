@@ -0,0 +1,78 @@
+"use client"
+
+import { motion, AnimatePresence } from "framer-motion"
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { client } from "@/lib/client"
+
+/**
+ * @typedef {{ knockId: string, codename: string, requestedAt: number }} LobbyKnock
+ */
+
+/**
+ * Moderator panel listing joiners waiting in the lobby. The room page
+ * invalidates `["knocks", roomId]` on `presence.knock` events.
+ *
+ * @param {{ roomId: string, disabled?: boolean }} props
+ */
+export function RoomKnockQueue({ roomId, disabled = false }) {
+    const queryClient = useQueryClient()
+
+    const { data: knocks = [] } = useQuery({
+        queryKey: ["knocks", roomId],
+        queryFn: async () => {
+            const res = await client.room.knocks.get({ query: { roomId } })
+            return /** @type {LobbyKnock[]} */ (Array.isArray(res.data?.knocks) ? res.data.knocks : [])
+        },
+    })
+
+    const { mutate: decide, isPending } = useMutation({
+        mutationFn: async (/** @type {{ knockId: string, approve: boolean }} */ decision) => {
+            const res = await client.room.knocks.decide.post(decision, { query: { roomId } })
+            if (res.error) throw res.error
+        },
+        onError: () => {
+            toast.error("That knock was already answered", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+        onSettled: () => queryClient.invalidateQueries({ queryKey: ["knocks", roomId] }),
+    })
+
+    return (
+        <AnimatePresence>
+            {knocks.length > 0 && (
+                <motion.div
+                    className="fixed bottom-24 left-4 z-40 w-72 border border-green-900/60 rounded-sm bg-zinc-950 p-3 shadow-2xl"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ type: "spring", stiffness: 400, damping: 30 }}
+                >
+                    <p className="text-[9px] text-zinc-500 font-bold uppercase tracking-wider mb-1.5">
+                        Waiting in lobby ({knocks.length})
+                    </p>
+                    {knocks.map((knock) => (
+                        <div key={knock.knockId} className="flex items-center gap-2 px-2 py-1.5 rounded-sm hover:bg-zinc-800/50">
+                            <span className="flex-1 min-w-0 truncate text-xs text-zinc-300">{knock.codename}</span>
+                            <button
+                                onClick={() => decide({ knockId: knock.knockId, approve: true })}
+                                disabled={disabled || isPending}
+                                className="text-[10px] font-bold uppercase text-green-400 hover:text-green-300 transition-colors disabled:opacity-40"
+                            >
+                                Admit
+                            </button>
+                            <button
+                                onClick={() => decide({ knockId: knock.knockId, approve: false })}
+                                disabled={disabled || isPending}
+                                className="text-[10px] font-bold uppercase text-red-400 hover:text-red-300 transition-colors disabled:opacity-40"
+                            >
+                                Deny
+                            </button>
+                        </div>
+                    ))}
+                </motion.div>
+            )}
+        </AnimatePresence>
+    )
+}
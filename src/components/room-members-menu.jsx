@@ -0,0 +1,131 @@
+"use client"
+
+import { motion, AnimatePresence } from "framer-motion"
+import { useState } from "react"
+
+/** @typedef {"owner" | "admin" | "member"} MemberRole */
+
+/**
+ * Moderator list of online participants. Admins can kick and ban members;
+ * the owner can also remove admins, grant or revoke admin and hand over
+ * ownership.
+ *
+ * @param {{
+ *   members: { memberId: string, username: string, role: MemberRole }[],
+ *   isSecureRoom: boolean,
+ *   viewerRole: MemberRole | null,
+ *   disabled?: boolean,
+ *   compact?: boolean,
+ *   onRemove: (memberId: string, options: { banned: boolean, rotateKeys: boolean }) => void,
+ *   onChangeRole: (memberId: string, role: MemberRole) => void,
+ * }} props
+ */
+export function RoomMembersMenu({ members, isSecureRoom, viewerRole, disabled = false, compact = false, onRemove, onChangeRole }) {
+    const [open, setOpen] = useState(false)
+    const [rotateKeys, setRotateKeys] = useState(true)
+
+    /**
+     * @param {string} memberId
+     * @param {boolean} banned
+     */
+    const remove = (memberId, banned) => {
+        setOpen(false)
+        onRemove(memberId, { banned, rotateKeys: isSecureRoom && rotateKeys })
+    }
+
+    /**
+     * @param {string} memberId
+     * @param {MemberRole} role
+     */
+    const changeRole = (memberId, role) => {
+        setOpen(false)
+        onChangeRole(memberId, role)
+    }
+
+    const isOwner = viewerRole === "owner"
+
+    return (
+        <div className="relative">
+            <motion.button
+                onClick={() => setOpen(!open)}
+                disabled={disabled}
+                className={`flex items-center gap-1 border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 rounded-sm font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${compact ? "px-2 py-1.5 text-[10px]" : "px-2 py-1.5 text-[11px]"}`}
+                whileTap={{ scale: 0.95 }}
+                title="Manage participants"
+            >
+                👥 <span className={compact ? "hidden" : ""}>{members.length}</span>
+            </motion.button>
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        className="absolute top-full right-0 mt-1 z-50 border border-zinc-700/60 bg-zinc-950 rounded-sm p-2 shadow-2xl min-w-[220px]"
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        transition={{ duration: 0.15 }}
+                    >
+                        <p className="text-[9px] text-zinc-500 font-bold uppercase tracking-wider mb-1.5">Participants</p>
+                        {members.length === 0 ? (
+                            <p className="px-2 py-1.5 text-xs text-zinc-500">No one else is online</p>
+                        ) : members.map((member) => {
+                            const canRemove = member.role === "member" || (isOwner && member.role === "admin")
+                            return (
+                                <div key={member.memberId} className="px-2 py-1.5 rounded-sm hover:bg-zinc-800/50">
+                                    <div className="flex items-center gap-2">
+                                        <span className="flex-1 min-w-0 truncate text-xs text-zinc-300">{member.username}</span>
+                                        {member.role !== "member" && (
+                                            <span className="text-[9px] font-bold uppercase text-green-500/80">{member.role}</span>
+                                        )}
+                                        {canRemove && (
+                                            <>
+                                                <button
+                                                    onClick={() => remove(member.memberId, false)}
+                                                    className="text-[10px] font-bold uppercase text-amber-400 hover:text-amber-300 transition-colors"
+                                                >
+                                                    Kick
+                                                </button>
+                                                <button
+                                                    onClick={() => remove(member.memberId, true)}
+                                                    className="text-[10px] font-bold uppercase text-red-400 hover:text-red-300 transition-colors"
+                                                >
+                                                    Ban
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                    {isOwner && member.role !== "owner" && (
+                                        <div className="flex items-center gap-3 mt-1">
+                                            <button
+                                                onClick={() => changeRole(member.memberId, member.role === "admin" ? "member" : "admin")}
+                                                className="text-[10px] font-bold uppercase text-zinc-400 hover:text-zinc-200 transition-colors"
+                                            >
+                                                {member.role === "admin" ? "Remove admin" : "Make admin"}
+                                            </button>
+                                            <button
+                                                onClick={() => changeRole(member.memberId, "owner")}
+                                                className="text-[10px] font-bold uppercase text-green-400 hover:text-green-300 transition-colors"
+                                            >
+                                                Make owner
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            )
+                        })}
+                        {isSecureRoom && (
+                            <label className="flex items-center gap-2 mt-1.5 pt-1.5 px-2 border-t border-zinc-800 text-[10px] text-zinc-400 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={rotateKeys}
+                                    onChange={(event) => setRotateKeys(event.target.checked)}
+                                    className="accent-green-500"
+                                />
+                                Rotate encryption keys
+                            </label>
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    )
+}
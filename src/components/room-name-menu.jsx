@@ -0,0 +1,88 @@
+"use client"
+
+import { motion, AnimatePresence } from "framer-motion"
+import { useMutation } from "@tanstack/react-query"
+import { useState } from "react"
+import { toast } from "sonner"
+import { client } from "@/lib/client"
+
+/**
+ * Popover showing the name the server stamps on your messages, with a form
+ * to change it. Everyone in the room is told about the rename.
+ *
+ * @param {{ roomId: string, name: string, disabled?: boolean, compact?: boolean, onRenamed: (name: string) => void }} props
+ */
+export function RoomNameMenu({ roomId, name, disabled = false, compact = false, onRenamed }) {
+    const [open, setOpen] = useState(false)
+    const [draft, setDraft] = useState("")
+
+    const { mutate: rename, isPending } = useMutation({
+        mutationFn: async (/** @type {string} */ nextName) => {
+            const res = await client.room.rename.post({ name: nextName }, { query: { roomId } })
+            if (res.error) throw new Error(res.error.value?.error ?? "Failed to rename")
+            return res.data.displayName
+        },
+        onSuccess: (displayName) => {
+            setOpen(false)
+            setDraft("")
+            onRenamed(displayName)
+        },
+        onError: (error) => {
+            toast.error(error instanceof Error ? error.message : "Failed to rename", {
+                style: { background: "#18181b", color: "#fca5a5", border: "1px solid #7f1d1d" },
+            })
+        },
+    })
+
+    const nextName = draft.trim()
+    const canSave = !isPending && nextName.length > 0 && nextName !== name
+
+    return (
+        <div className="relative">
+            <motion.button
+                onClick={() => setOpen(!open)}
+                disabled={disabled || !name}
+                className={`flex items-center gap-1 border border-zinc-700/60 bg-zinc-900/50 hover:bg-zinc-800/60 rounded-sm font-bold text-zinc-300 hover:text-zinc-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${compact ? "px-2 py-1.5 text-[10px]" : "px-2 py-1.5 text-[11px]"}`}
+                whileTap={{ scale: 0.95 }}
+                title="Your display name"
+            >
+                🪪 <span className={compact ? "hidden" : "max-w-[120px] truncate"}>{name}</span>
+            </motion.button>
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        className="absolute top-full right-0 mt-1 z-50 border border-zinc-700/60 bg-zinc-950 rounded-sm p-2 shadow-2xl w-[240px]"
+                        initial={{ opacity: 0, y: -5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        transition={{ duration: 0.15 }}
+                    >
+                        <p className="text-[9px] text-zinc-500 font-bold uppercase tracking-wider mb-1">You appear as</p>
+                        <p className="text-xs text-green-400 font-mono truncate mb-2">{name}</p>
+                        <form
+                            onSubmit={(event) => {
+                                event.preventDefault()
+                                if (canSave) rename(nextName)
+                            }}
+                        >
+                            <input
+                                value={draft}
+                                onChange={(event) => setDraft(event.target.value)}
+                                maxLength={64}
+                                placeholder="New display name"
+                                className="w-full bg-zinc-900 border border-zinc-800 focus:border-green-500/40 rounded-sm px-2 py-1 text-[11px] text-zinc-300 outline-none placeholder:text-zinc-600 mb-1.5"
+                            />
+                            <button
+                                type="submit"
+                                disabled={!canSave}
+                                className="w-full py-1.5 rounded-sm border border-green-900/60 bg-green-950/40 hover:bg-green-900/50 text-green-400 text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40"
+                            >
+                                {isPending ? "Renaming..." : "Rename"}
+                            </button>
+                        </form>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    )
+}
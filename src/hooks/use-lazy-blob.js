@@ -0,0 +1,69 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { loadEncryptedBlob } from "@/lib/blob-store"
+
+/**
+ * @typedef {{ status: "idle" | "loading" | "ready" | "error", bytes: Uint8Array | null, url: string | null }} LazyBlobState
+ */
+
+/** @type {LazyBlobState} */
+const IDLE = { status: "idle", bytes: null, url: null }
+
+/**
+ * Fetch and decrypt a blob once `targetRef` scrolls into view. The object URL
+ * is revoked when the ref changes or the component unmounts. State is kept
+ * per blob ref, so a new ref reads as idle until its own load starts.
+ * @param {string | undefined} roomId
+ * @param {import("@/lib/blob-store").BlobRef | null} blobRef
+ * @param {{ current: Element | null }} targetRef
+ * @returns {LazyBlobState}
+ */
+export function useLazyBlob(roomId, blobRef, targetRef) {
+    const [state, setState] = useState(/** @type {{ roomId?: string, blobRef: import("@/lib/blob-store").BlobRef | null, value: LazyBlobState }} */ ({ blobRef: null, value: IDLE }))
+
+    useEffect(() => {
+        if (!roomId || !blobRef) return
+
+        let cancelled = false
+        /** @type {string | null} */
+        let url = null
+        /** @param {LazyBlobState} value */
+        const settle = (value) => setState({ roomId, blobRef, value })
+        const load = () => {
+            settle({ status: "loading", bytes: null, url: null })
+            loadEncryptedBlob(roomId, blobRef)
+                .then((bytes) => {
+                    if (cancelled) return
+                    url = URL.createObjectURL(new Blob([/** @type {BlobPart} */ (bytes)], { type: blobRef.mime }))
+                    settle({ status: "ready", bytes, url })
+                })
+                .catch(() => {
+                    if (!cancelled) settle({ status: "error", bytes: null, url: null })
+                })
+        }
+
+        const target = targetRef.current
+        /** @type {IntersectionObserver | null} */
+        let observer = null
+        if (target && typeof IntersectionObserver !== "undefined") {
+            const current = new IntersectionObserver((entries) => {
+                if (!entries.some((entry) => entry.isIntersecting)) return
+                current.disconnect()
+                load()
+            }, { rootMargin: "200px" })
+            current.observe(target)
+            observer = current
+        } else {
+            load()
+        }
+
+        return () => {
+            cancelled = true
+            observer?.disconnect()
+            if (url) URL.revokeObjectURL(url)
+        }
+    }, [roomId, blobRef, targetRef])
+
+    return blobRef && state.blobRef === blobRef && state.roomId === roomId ? state.value : IDLE
+}
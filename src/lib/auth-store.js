@@ -94,12 +94,26 @@ export async function createPasswordHash(password) {
     return `${salt}:${hash}`
 }
 
+/**
+ * Compare two hex digests without short-circuiting on the first difference.
+ * @param {string} a
+ * @param {string} b
+ */
+function constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false
+    let diff = 0
+    for (let i = 0; i < a.length; i += 1) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+    }
+    return diff === 0
+}
+
 /** @param {string} password @param {string} storedHash */
 export async function verifyPassword(password, storedHash) {
     const [salt, hash] = storedHash.split(":")
     if (!salt || !hash) return false
     const computed = await hashPassword(password, salt)
-    return computed === hash
+    return constantTimeEquals(computed, hash)
 }
 
 /**
@@ -0,0 +1,173 @@
+import { bytesToHex, hexToBytes } from "./secure-crypto"
+
+export const BLOB_REF_PREFIX = "BLOB_REF_V1:"
+export const BLOB_CHUNK_BYTES = 256 * 1024
+export const BLOB_MAX_BYTES = 8 * 1024 * 1024
+const BLOB_CACHE_MAX = 32
+
+const encoder = new TextEncoder()
+
+/**
+ * What a chat message carries instead of the payload itself. The key never
+ * reaches the blob API; it travels inside the (possibly end-to-end encrypted)
+ * message.
+ * @typedef {{ id: string, keyHex: string, mime: string, size: number, chunks: number }} BlobRef
+ */
+
+/** @type {Map<string, Promise<Uint8Array>>} */
+const downloads = new Map()
+
+/** @param {Uint8Array} bytes */
+function bytesToBase64(bytes) {
+    let binary = ""
+    // String.fromCharCode with a spread overflows the stack on large chunks.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+/** @param {string} value */
+function base64ToBytes(value) {
+    const binary = atob(value)
+    const out = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i)
+    return out
+}
+
+/**
+ * Binds each chunk to its blob and position so chunks cannot be swapped,
+ * reordered or dropped from the end.
+ * @param {string} blobId
+ * @param {number} index
+ * @param {number} chunks
+ */
+function chunkAad(blobId, index, chunks) {
+    return encoder.encode(`${blobId}|${index}|${chunks}`)
+}
+
+/**
+ * @param {string} path
+ * @param {string} roomId
+ * @param {RequestInit} [init]
+ */
+async function blobApi(path, roomId, init) {
+    const response = await fetch(`/api/blobs${path}?roomId=${encodeURIComponent(roomId)}`, {
+        credentials: "include",
+        ...init,
+        headers: { "Content-Type": "application/json", ...init?.headers },
+    })
+    const data = await response.json().catch(() => null)
+    if (!response.ok) throw new Error(data?.error || "Blob request failed")
+    return data
+}
+
+/**
+ * Encrypt bytes under a fresh AES-GCM key and upload them chunk by chunk.
+ * @param {string} roomId
+ * @param {Uint8Array} bytes
+ * @param {string} mime
+ * @returns {Promise<BlobRef>}
+ */
+export async function uploadEncryptedBlob(roomId, bytes, mime) {
+    if (bytes.length === 0 || bytes.length > BLOB_MAX_BYTES) {
+        throw new Error("Attachment is empty or too large")
+    }
+    const chunks = Math.ceil(bytes.length / BLOB_CHUNK_BYTES)
+    const { blobId } = await blobApi("", roomId, {
+        method: "POST",
+        body: JSON.stringify({ size: bytes.length, chunks }),
+    })
+
+    const rawKey = new Uint8Array(32)
+    crypto.getRandomValues(rawKey)
+    const key = await crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, ["encrypt"])
+
+    for (let index = 0; index < chunks; index++) {
+        const iv = new Uint8Array(12)
+        crypto.getRandomValues(iv)
+        const plain = /** @type {BufferSource} */ (bytes.subarray(index * BLOB_CHUNK_BYTES, (index + 1) * BLOB_CHUNK_BYTES))
+        const cipher = new Uint8Array(await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv, additionalData: chunkAad(blobId, index, chunks) },
+            key,
+            plain,
+        ))
+        const sealed = new Uint8Array(iv.length + cipher.length)
+        sealed.set(iv, 0)
+        sealed.set(cipher, iv.length)
+        await blobApi(`/${blobId}/chunks/${index}`, roomId, {
+            method: "POST",
+            body: JSON.stringify({ data: bytesToBase64(sealed) }),
+        })
+    }
+
+    return { id: blobId, keyHex: bytesToHex(rawKey), mime, size: bytes.length, chunks }
+}
+
+/**
+ * @param {string} roomId
+ * @param {BlobRef} ref
+ */
+async function downloadBlob(roomId, ref) {
+    const key = await crypto.subtle.importKey("raw", /** @type {BufferSource} */ (hexToBytes(ref.keyHex)), { name: "AES-GCM" }, false, ["decrypt"])
+    const out = new Uint8Array(ref.size)
+    let offset = 0
+    for (let index = 0; index < ref.chunks; index++) {
+        const { data } = await blobApi(`/${ref.id}/chunks/${index}`, roomId)
+        const sealed = base64ToBytes(data)
+        const plain = new Uint8Array(await crypto.subtle.decrypt(
+            { name: "AES-GCM", iv: sealed.subarray(0, 12), additionalData: chunkAad(ref.id, index, ref.chunks) },
+            key,
+            sealed.subarray(12),
+        ))
+        if (offset + plain.length > ref.size) throw new Error("Attachment is larger than announced")
+        out.set(plain, offset)
+        offset += plain.length
+    }
+    if (offset !== ref.size) throw new Error("Attachment is incomplete")
+    return out
+}
+
+/**
+ * Fetch and decrypt a blob. Concurrent and repeated calls share one download.
+ * @param {string} roomId
+ * @param {BlobRef} ref
+ */
+export function loadEncryptedBlob(roomId, ref) {
+    const cacheKey = `${roomId}:${ref.id}`
+    let pending = downloads.get(cacheKey)
+    if (!pending) {
+        pending = downloadBlob(roomId, ref)
+        pending.catch(() => downloads.delete(cacheKey))
+        downloads.set(cacheKey, pending)
+        if (downloads.size > BLOB_CACHE_MAX) {
+            const oldest = downloads.keys().next().value
+            if (oldest !== undefined) downloads.delete(oldest)
+        }
+    }
+    return pending
+}
+
+/** @param {BlobRef} ref */
+export function buildBlobRefPacket(ref) {
+    return `${BLOB_REF_PREFIX}${JSON.stringify(ref)}`
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {BlobRef | null}
+ */
+export function parseBlobRefPacket(raw) {
+    if (typeof raw !== "string" || !raw.startsWith(BLOB_REF_PREFIX)) return null
+    try {
+        const parsed = JSON.parse(raw.slice(BLOB_REF_PREFIX.length))
+        if (typeof parsed?.id !== "string" || !/^[A-Za-z0-9_-]{1,64}$/.test(parsed.id)) return null
+        if (typeof parsed.keyHex !== "string" || !/^[0-9a-f]{64}$/.test(parsed.keyHex)) return null
+        if (typeof parsed.mime !== "string") return null
+        if (!Number.isInteger(parsed.size) || parsed.size <= 0 || parsed.size > BLOB_MAX_BYTES) return null
+        if (parsed.chunks !== Math.ceil(parsed.size / BLOB_CHUNK_BYTES)) return null
+        return { id: parsed.id, keyHex: parsed.keyHex, mime: parsed.mime, size: parsed.size, chunks: parsed.chunks }
+    } catch {
+        return null
+    }
+}
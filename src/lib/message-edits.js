@@ -0,0 +1,44 @@
+import { redis } from "./redis"
+
+// Edits to a legacy room's messages live in `edits:<roomId>`, a hash of
+// message id -> { text, editedAt }. The message list has no in-place update,
+// so reads lay the latest edit over the original entry.
+
+/** @param {string} roomId */
+export const roomEditsKey = (roomId) => `edits:${roomId}`
+
+/**
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {string} text
+ */
+export async function recordEdit(roomId, messageId, text) {
+    const editedAt = Date.now()
+    await redis.hset(roomEditsKey(roomId), { [messageId]: JSON.stringify({ text, editedAt }) })
+    return editedAt
+}
+
+/**
+ * Lay each message's latest edit over it.
+ * @template {{ id: string }} T
+ * @param {string} roomId
+ * @param {T[]} messages
+ * @returns {Promise<Array<T & { text?: string, editedAt?: number }>>}
+ */
+export async function applyEdits(roomId, messages) {
+    const edits = /** @type {Record<string, unknown>} */ ((await redis.hgetall(roomEditsKey(roomId))) ?? {})
+    return messages.map((message) => {
+        const raw = edits[message.id]
+        if (raw === undefined) return message
+        const edit = typeof raw === "string" ? JSON.parse(raw) : raw
+        return { ...message, text: edit.text, editedAt: edit.editedAt }
+    })
+}
+
+/**
+ * @param {string} roomId
+ * @param {string[]} messageIds
+ */
+export async function dropEdits(roomId, messageIds) {
+    if (messageIds.length > 0) await redis.hdel(roomEditsKey(roomId), ...messageIds)
+}
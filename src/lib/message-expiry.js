@@ -0,0 +1,54 @@
+import { redis } from "./redis"
+import { findRoomMessage } from "./message-history"
+
+// Vanishing messages in a legacy room are indexed in `vanish:<roomId>`, a
+// sorted set of message ids scored by the time (ms) they vanish. Reads hide
+// anything past its time; sweeping drops the entries from `messages:<roomId>`,
+// finding each through the message index rather than reading the list.
+// Each id is claimed with ZREM, so only one sweeper reports a given message.
+
+/** @param {string} roomId */
+export const roomVanishKey = (roomId) => `vanish:${roomId}`
+
+/**
+ * When a stored message vanishes, or null for messages that don't.
+ * @param {{ timestamp?: unknown, vanishAfter?: unknown }} message
+ */
+export function messageExpiresAt(message) {
+    const vanishAfter = Number(message?.vanishAfter)
+    const timestamp = Number(message?.timestamp)
+    if (!(vanishAfter > 0) || !Number.isFinite(timestamp)) return null
+    return timestamp + vanishAfter * 1000
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {number} expiresAt
+ */
+export async function scheduleVanish(roomId, messageId, expiresAt) {
+    await redis.zadd(roomVanishKey(roomId), { score: expiresAt, member: messageId })
+}
+
+/**
+ * Remove every message whose time is up from the room's list.
+ * @param {string} roomId
+ * @returns {Promise<string[]>} ids this call removed
+ */
+export async function sweepVanished(roomId) {
+    const key = roomVanishKey(roomId)
+    const due = /** @type {string[]} */ (await redis.zrange(key, "-inf", Date.now(), { byScore: true }))
+    if (due.length === 0) return []
+
+    const claimed = new Set()
+    for (const messageId of due) {
+        if (await redis.zrem(key, messageId)) claimed.add(String(messageId))
+    }
+    if (claimed.size === 0) return []
+
+    for (const messageId of claimed) {
+        const found = await findRoomMessage(roomId, messageId)
+        if (found) await redis.lrem(`messages:${roomId}`, 1, found.raw)
+    }
+    return [...claimed]
+}
@@ -0,0 +1,167 @@
+import { redis } from "./redis"
+
+// A legacy room's history is the list `messages:<roomId>`, oldest first.
+// Pages are read from the tail. A cursor is `<index>.<messageId>` for the
+// oldest message a client holds; indices shift down when earlier entries are
+// swept or trimmed, so the id is looked up at or below its recorded index.
+// `message-index:<roomId>` records each message's index at push time, so
+// finding one by id scans the same way instead of reading the whole list.
+//
+// Permanent rooms carry a retention policy in their meta hash
+// (`retainMessages`, `retainDays`) and are trimmed from the head.
+
+export const HISTORY_PAGE_SIZE = 50
+export const DEFAULT_RETAIN_MESSAGES = 1000
+const CURSOR_PATTERN = /^(\d+)\.([\w-]{1,64})$/
+const SCAN_WINDOW = 100
+
+/** @param {string} roomId */
+const historyKey = (roomId) => `messages:${roomId}`
+
+/** @param {string} roomId */
+export const roomMessageIndexKey = (roomId) => `message-index:${roomId}`
+
+/** @param {unknown} raw */
+const parseEntry = (raw) => (typeof raw === "string" ? JSON.parse(raw) : raw)
+
+/**
+ * @param {string} cursor
+ * @returns {{ index: number, messageId: string } | null}
+ */
+export function parseHistoryCursor(cursor) {
+    const match = CURSOR_PATTERN.exec(cursor)
+    if (!match) return null
+    return { index: Number(match[1]), messageId: match[2] }
+}
+
+/**
+ * Look for a message at or below `from`, a window at a time.
+ * @param {string} key
+ * @param {string} messageId
+ * @param {number} from
+ * @returns {Promise<{ index: number, raw: unknown, message: Record<string, any> } | null>}
+ */
+async function scanDown(key, messageId, from) {
+    let stop = from
+    while (stop >= 0) {
+        const start = Math.max(stop - SCAN_WINDOW + 1, 0)
+        const window = await redis.lrange(key, start, stop)
+        for (let i = window.length - 1; i >= 0; i -= 1) {
+            const message = parseEntry(window[i])
+            if (message?.id === messageId) return { index: start + i, raw: window[i], message }
+        }
+        stop = start - 1
+    }
+    return null
+}
+
+/**
+ * Where the cursor's message sits now, or its old index if it's gone.
+ * @param {string} key
+ * @param {{ index: number, messageId: string }} cursor
+ * @param {number} length
+ */
+async function locateCursor(key, { index, messageId }, length) {
+    const found = await scanDown(key, messageId, Math.min(index, length - 1))
+    return found ? found.index : Math.min(index, length)
+}
+
+/**
+ * Add a message to the end of the history and record where it landed.
+ * @param {string} roomId
+ * @param {{ id: string } & Record<string, unknown>} entry
+ */
+export async function appendHistory(roomId, entry) {
+    const length = await redis.rpush(historyKey(roomId), entry)
+    await redis.hset(roomMessageIndexKey(roomId), { [entry.id]: length - 1 })
+}
+
+/**
+ * Find a stored message along with the raw list entry LREM needs.
+ * @param {string} roomId
+ * @param {string} messageId
+ * @returns {Promise<{ raw: unknown, message: Record<string, any> } | null>}
+ */
+export async function findRoomMessage(roomId, messageId) {
+    const recorded = await redis.hget(roomMessageIndexKey(roomId), messageId)
+    if (recorded === null || recorded === undefined) return null
+    const key = historyKey(roomId)
+    const found = await scanDown(key, messageId, Math.min(Number(recorded), (await redis.llen(key)) - 1))
+    return found && { raw: found.raw, message: found.message }
+}
+
+/**
+ * Forget the recorded index of messages that left the list.
+ * @param {string} roomId
+ * @param {string[]} messageIds
+ */
+export async function dropMessageIndex(roomId, messageIds) {
+    if (messageIds.length > 0) await redis.hdel(roomMessageIndexKey(roomId), ...messageIds)
+}
+
+/**
+ * One page of messages, oldest first, ending just before `before`.
+ * @param {string} roomId
+ * @param {{ before?: { index: number, messageId: string } | null, limit?: number }} [options]
+ * @returns {Promise<{ messages: any[], nextCursor: string | null }>}
+ */
+export async function readHistoryPage(roomId, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    const key = historyKey(roomId)
+    const length = await redis.llen(key)
+    const end = before ? await locateCursor(key, before, length) : length
+    if (end <= 0) return { messages: [], nextCursor: null }
+    const start = Math.max(end - limit, 0)
+
+    const messages = (await redis.lrange(key, start, end - 1)).map(parseEntry).filter(Boolean)
+    return {
+        messages,
+        nextCursor: start > 0 && messages.length > 0 ? `${start}.${messages[0].id}` : null,
+    }
+}
+
+/**
+ * Read a room's retention policy from its meta hash. Rooms with a timer have none.
+ * @param {Record<string, unknown> | null | undefined} meta
+ * @returns {{ maxMessages: number | null, maxAgeDays: number | null } | null}
+ */
+export function parseRetention(meta) {
+    const maxMessages = Number(meta?.retainMessages) || null
+    const maxAgeDays = Number(meta?.retainDays) || null
+    if (!maxMessages && !maxAgeDays) return null
+    return { maxMessages, maxAgeDays }
+}
+
+/**
+ * Drop messages from the head of the list that fall outside the policy.
+ * @param {string} roomId
+ * @param {{ maxMessages: number | null, maxAgeDays: number | null }} retention
+ * @returns {Promise<string[]>} ids of the messages removed
+ */
+export async function trimHistory(roomId, { maxMessages, maxAgeDays }) {
+    const key = historyKey(roomId)
+    const length = await redis.llen(key)
+    let count = maxMessages ? Math.max(length - maxMessages, 0) : 0
+
+    if (maxAgeDays) {
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000
+        // Start with the head alone and widen only while entries keep being
+        // stale, so a fresh head costs one entry rather than a whole window.
+        let stale = 0
+        let size = 1
+        scan: while (stale < length) {
+            const window = await redis.lrange(key, stale, stale + size - 1)
+            if (window.length === 0) break
+            for (const raw of window) {
+                if (!(Number(parseEntry(raw)?.timestamp) < cutoff)) break scan
+                stale += 1
+            }
+            size = Math.min(size * 2, SCAN_WINDOW)
+        }
+        count = Math.max(count, stale)
+    }
+    if (count === 0) return []
+
+    const removed = (await redis.lrange(key, 0, count - 1)).map((raw) => String(parseEntry(raw)?.id ?? ""))
+    await redis.ltrim(key, count, -1)
+    return removed.filter(Boolean)
+}
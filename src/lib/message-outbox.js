@@ -0,0 +1,131 @@
+import { bytesToHex, openJson, sealJson } from "./secure-crypto"
+
+// Sends the server hasn't accepted yet wait in IndexedDB (`redacted-outbox`,
+// store `messages`) so a dropped connection or a reload doesn't lose them.
+// Each entry keeps the request to replay and the bubble to show meanwhile.
+// In secure rooms that payload is sealed under the room key, which only
+// lives in sessionStorage, so a closed tab leaves nothing readable behind.
+// Their envelopes are never stored: a sender chain ends with its tab, so the
+// room page seals each message again with the session that sends it.
+
+const DB_NAME = "redacted-outbox"
+const DB_VERSION = 1
+const STORE = "messages"
+const RETRY_BASE_MS = 1000
+const RETRY_MAX_MS = 30_000
+export const OUTBOX_MAX_ATTEMPTS = 8
+
+const encoder = new TextEncoder()
+
+/**
+ * @typedef {{ request: Record<string, any>, message: Record<string, any> }} OutboxPayload
+ * @typedef {{ id: string, roomId: string, createdAt: number, attempts: number, failed: boolean, retryAt: number, payload: OutboxPayload }} OutboxEntry
+ */
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let database = null
+
+/**
+ * The outbox database, or null where IndexedDB is unavailable (server
+ * rendering, some private modes). Callers then keep entries in memory only.
+ */
+function openOutbox() {
+    if (database) return database
+    database = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") return resolve(null)
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: "id" })
+            store.createIndex("roomId", "roomId")
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => resolve(null)
+    })
+    return database
+}
+
+/**
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} run
+ * @returns {Promise<T | null>}
+ */
+async function withStore(mode, run) {
+    const db = await openOutbox()
+    if (!db) return null
+    return new Promise((resolve, reject) => {
+        const request = run(db.transaction(STORE, mode).objectStore(STORE))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} id
+ */
+function outboxAadHex(roomId, id) {
+    return bytesToHex(encoder.encode(`${roomId}|outbox|${id}`))
+}
+
+/**
+ * Backoff before the next attempt: doubling from a second, capped at 30s,
+ * with jitter so clients that lost the same connection don't retry in step.
+ * @param {number} attempts failed attempts so far
+ */
+export function outboxRetryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS)
+    return Math.round(delay * (0.75 + Math.random() * 0.5))
+}
+
+/**
+ * @param {OutboxEntry} entry
+ * @param {string} [roomKeyHex] seals the payload when given
+ */
+export async function saveOutboxEntry(entry, roomKeyHex) {
+    const { payload, ...record } = entry
+    const stored = roomKeyHex
+        ? { ...record, sealed: await sealJson(roomKeyHex, payload, outboxAadHex(entry.roomId, entry.id)) }
+        : { ...record, payload }
+    await withStore("readwrite", (store) => store.put(stored))
+}
+
+/**
+ * Entries for a room, oldest first. Sealed entries are skipped without the key
+ * and dropped if it can't open them.
+ * @param {string} roomId
+ * @param {string} [roomKeyHex]
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function loadOutbox(roomId, roomKeyHex) {
+    const records = /** @type {any[]} */ ((await withStore("readonly", (store) => store.index("roomId").getAll(roomId))) ?? [])
+    /** @type {OutboxEntry[]} */
+    const entries = []
+    for (const { sealed, ...record } of records) {
+        if (!sealed) {
+            if (record.payload) entries.push(record)
+            continue
+        }
+        if (!roomKeyHex) continue
+        try {
+            entries.push({ ...record, payload: await openJson(roomKeyHex, sealed, outboxAadHex(roomId, record.id)) })
+        } catch {
+            await deleteOutboxEntry(record.id)
+        }
+    }
+    return entries.sort((a, b) => a.createdAt - b.createdAt)
+}
+
+/** @param {string} id */
+export async function deleteOutboxEntry(id) {
+    await withStore("readwrite", (store) => store.delete(id))
+}
+
+/**
+ * Forget every unsent message for a room, e.g. once it has been destroyed.
+ * @param {string} roomId
+ */
+export async function clearOutbox(roomId) {
+    const keys = (await withStore("readonly", (store) => store.index("roomId").getAllKeys(roomId))) ?? []
+    await Promise.all(keys.map((id) => deleteOutboxEntry(String(id))))
+}
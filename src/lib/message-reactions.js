@@ -0,0 +1,74 @@
+import { redis } from "./redis"
+
+// Reactions in a legacy room live in `reactions:<roomId>`, one field per
+// reactor and emoji:
+//   <messageId>|<emoji>|<memberId> -> display name of the reactor
+// Each field is written with HSETNX and removed with HDEL, so concurrent
+// taps settle on a single add or remove event.
+
+/** @typedef {{ emoji: string, name: string, memberId: string }} Reaction */
+
+/** @param {string} roomId */
+export const roomReactionsKey = (roomId) => `reactions:${roomId}`
+
+/**
+ * @param {string} messageId
+ * @param {string} emoji
+ * @param {string} memberId
+ */
+const reactionField = (messageId, emoji, memberId) => `${messageId}|${emoji}|${memberId}`
+
+/**
+ * @param {string} roomId
+ * @param {{ messageId: string, emoji: string, memberId: string, name: string }} reaction
+ * @returns {Promise<boolean>} false when the member had already reacted with it
+ */
+export async function addReaction(roomId, { messageId, emoji, memberId, name }) {
+    return Boolean(await redis.hsetnx(roomReactionsKey(roomId), reactionField(messageId, emoji, memberId), name))
+}
+
+/**
+ * @param {string} roomId
+ * @param {{ messageId: string, emoji: string, memberId: string }} reaction
+ * @returns {Promise<string | null>} the reactor's name, or null if there was nothing to remove
+ */
+export async function removeReaction(roomId, { messageId, emoji, memberId }) {
+    const key = roomReactionsKey(roomId)
+    const field = reactionField(messageId, emoji, memberId)
+    const name = await redis.hget(key, field)
+    if (!(await redis.hdel(key, field))) return null
+    return typeof name === "string" ? name : String(name ?? "")
+}
+
+/**
+ * @param {string} roomId
+ * @param {string[]} messageIds
+ * @returns {Promise<Map<string, Reaction[]>>}
+ */
+export async function getReactions(roomId, messageIds) {
+    /** @type {Map<string, Reaction[]>} */
+    const reactions = new Map()
+    if (messageIds.length === 0) return reactions
+    const wanted = new Set(messageIds)
+    const fields = /** @type {Record<string, unknown>} */ ((await redis.hgetall(roomReactionsKey(roomId))) ?? {})
+    for (const [field, name] of Object.entries(fields)) {
+        const [messageId, emoji, memberId] = field.split("|")
+        if (!wanted.has(messageId)) continue
+        reactions.set(messageId, [...(reactions.get(messageId) ?? []), { emoji, name: String(name), memberId }])
+    }
+    return reactions
+}
+
+/**
+ * Forget reactions on messages that left the room.
+ * @param {string} roomId
+ * @param {string[]} messageIds
+ */
+export async function dropReactions(roomId, messageIds) {
+    if (messageIds.length === 0) return
+    const key = roomReactionsKey(roomId)
+    const prefixes = messageIds.map((messageId) => `${messageId}|`)
+    const fields = Object.keys(/** @type {Record<string, unknown>} */ ((await redis.hgetall(key)) ?? {}))
+        .filter((field) => prefixes.some((prefix) => field.startsWith(prefix)))
+    if (fields.length > 0) await redis.hdel(key, ...fields)
+}
@@ -1,5 +1,243 @@
-"use client";
+"use client"
 
-import { createRealtime } from "@upstash/realtime/client";
+import { createContext, useContext, useEffect, useRef, useState } from "react"
 
-export const { useRealtime } = createRealtime()
\ No newline at end of file
+const RealtimeContext = createContext(/** @type {{ status: RealtimeStatus, hub: RealtimeHub } | null} */ (null))
+const STALE_CONNECTION_MS = 75_000
+const RECONNECT_BASE_DELAY_MS = 1_000
+const RECONNECT_MAX_DELAY_MS = 10_000
+
+/**
+ * @typedef {"connecting" | "connected" | "disconnected" | "error"} RealtimeStatus
+ * @typedef {{ event: string, data: any, channel: string }} RealtimePayload
+ * @typedef {(payload: RealtimePayload & { id: string }) => void} ChannelListener
+ */
+
+/**
+ * One EventSource per channel, shared by every hook listening to it. Tracks the
+ * last event id so manual reconnects resume where the stream left off.
+ */
+class ChannelConnection {
+    /**
+     * @param {string} url
+     * @param {string} channel
+     * @param {number} maxReconnectAttempts
+     * @param {() => void} onStatusChange
+     */
+    constructor(url, channel, maxReconnectAttempts, onStatusChange) {
+        this.url = url
+        this.channel = channel
+        this.maxReconnectAttempts = maxReconnectAttempts
+        this.onStatusChange = onStatusChange
+        /** @type {Set<ChannelListener>} */
+        this.listeners = new Set()
+        /** @type {EventSource | null} */
+        this.source = null
+        /** @type {string | null} */
+        this.lastEventId = null
+        /** @type {RealtimeStatus} */
+        this.status = "disconnected"
+        this.reconnectAttempts = 0
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this.reconnectTimer = null
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this.staleTimer = null
+    }
+
+    /** @param {RealtimeStatus} status */
+    setStatus(status) {
+        if (this.status === status) return
+        this.status = status
+        this.onStatusChange()
+    }
+
+    /** Attempts only reset once a stream delivers, so a failing replay still backs off. */
+    markAlive() {
+        this.reconnectAttempts = 0
+        this.resetStaleTimer()
+    }
+
+    resetStaleTimer() {
+        if (this.staleTimer) clearTimeout(this.staleTimer)
+        this.staleTimer = setTimeout(() => {
+            // No data or ping for too long; the socket is likely dead.
+            this.open()
+        }, STALE_CONNECTION_MS)
+    }
+
+    open() {
+        this.teardown()
+        this.setStatus("connecting")
+
+        const params = new URLSearchParams({ roomId: this.channel })
+        if (this.lastEventId) params.set("lastEventId", this.lastEventId)
+        const source = new EventSource(`${this.url}?${params}`, { withCredentials: true })
+        this.source = source
+
+        source.onopen = () => {
+            this.setStatus("connected")
+            this.resetStaleTimer()
+        }
+        source.onmessage = (evt) => {
+            this.markAlive()
+            if (evt.lastEventId) this.lastEventId = evt.lastEventId
+            let payload
+            try {
+                payload = JSON.parse(evt.data)
+            } catch {
+                return
+            }
+            if (!payload || typeof payload.event !== "string") return
+            const message = { id: evt.lastEventId, event: payload.event, data: payload.data, channel: this.channel }
+            this.listeners.forEach((listener) => listener(message))
+        }
+        source.addEventListener("ping", () => this.markAlive())
+        // The server couldn't replay what we missed and closed the stream.
+        source.addEventListener("replay-error", () => {
+            if (source === this.source) this.scheduleReconnect()
+        })
+        source.onerror = () => {
+            if (source !== this.source) return
+            // CONNECTING means the browser is already retrying with Last-Event-ID.
+            if (source.readyState === EventSource.CONNECTING) {
+                this.setStatus("connecting")
+                return
+            }
+            this.scheduleReconnect()
+        }
+    }
+
+    scheduleReconnect() {
+        this.teardown()
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.setStatus("error")
+            return
+        }
+        this.reconnectAttempts += 1
+        this.setStatus("connecting")
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1), RECONNECT_MAX_DELAY_MS)
+        this.reconnectTimer = setTimeout(() => this.open(), delay)
+    }
+
+    teardown() {
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer)
+        if (this.staleTimer) clearTimeout(this.staleTimer)
+        this.reconnectTimer = null
+        this.staleTimer = null
+        this.source?.close()
+        this.source = null
+    }
+
+    close() {
+        this.teardown()
+        this.setStatus("disconnected")
+    }
+}
+
+/**
+ * Registry of open channel connections for one provider.
+ */
+class RealtimeHub {
+    /**
+     * @param {string} url
+     * @param {number} maxReconnectAttempts
+     * @param {(status: RealtimeStatus) => void} onStatus
+     */
+    constructor(url, maxReconnectAttempts, onStatus) {
+        this.url = url
+        this.maxReconnectAttempts = maxReconnectAttempts
+        this.onStatus = onStatus
+        /** @type {Map<string, ChannelConnection>} */
+        this.connections = new Map()
+    }
+
+    /** @returns {RealtimeStatus} */
+    status() {
+        const statuses = [...this.connections.values()].map((connection) => connection.status)
+        if (statuses.length === 0) return "disconnected"
+        if (statuses.includes("error")) return "error"
+        if (statuses.every((status) => status === "connected")) return "connected"
+        if (statuses.includes("connecting")) return "connecting"
+        return "disconnected"
+    }
+
+    /**
+     * @param {string} channel
+     * @param {ChannelListener} listener
+     * @returns {() => void} stop listening
+     */
+    listen(channel, listener) {
+        let connection = this.connections.get(channel)
+        if (!connection) {
+            connection = new ChannelConnection(this.url, channel, this.maxReconnectAttempts, () => this.onStatus(this.status()))
+            this.connections.set(channel, connection)
+            connection.open()
+        }
+        const current = connection
+        current.listeners.add(listener)
+        return () => {
+            current.listeners.delete(listener)
+            if (current.listeners.size > 0) return
+            this.connections.delete(channel)
+            current.close()
+            this.onStatus(this.status())
+        }
+    }
+
+    closeAll() {
+        this.connections.forEach((connection) => connection.close())
+        this.connections.clear()
+    }
+}
+
+/**
+ * @param {{ children?: any, api?: { url?: string }, maxReconnectAttempts?: number }} props
+ */
+export function RealtimeProvider({ children, api, maxReconnectAttempts = 5 }) {
+    const url = api?.url ?? "/api/realtime"
+    const [status, setStatus] = useState(/** @type {RealtimeStatus} */ ("disconnected"))
+    const [hub] = useState(() => new RealtimeHub(url, maxReconnectAttempts, setStatus))
+
+    useEffect(() => () => hub.closeAll(), [hub])
+
+    return (
+        <RealtimeContext.Provider value={{ status, hub }}>
+            {children}
+        </RealtimeContext.Provider>
+    )
+}
+
+/**
+ * Subscribe to typed room events. `events` filters by name; an empty or
+ * missing list delivers everything on the channels.
+ * @param {{ channels?: string[], events?: string[], onData?: (payload: RealtimePayload) => void, enabled?: boolean }} options
+ * @returns {{ status: RealtimeStatus }}
+ */
+export function useRealtime({ channels = [], events, onData, enabled = true }) {
+    const context = useContext(RealtimeContext)
+    if (!context) {
+        throw new Error("useRealtime must be used inside <RealtimeProvider>")
+    }
+    const { hub, status } = context
+    const onDataRef = useRef(onData)
+    const channelsKey = JSON.stringify(channels.filter(Boolean))
+    const eventsKey = JSON.stringify(events ?? [])
+
+    useEffect(() => {
+        onDataRef.current = onData
+    })
+
+    useEffect(() => {
+        if (!enabled) return
+        /** @type {string[]} */
+        const channelList = JSON.parse(channelsKey)
+        const allowed = new Set(/** @type {string[]} */ (JSON.parse(eventsKey)))
+        const stops = channelList.map((channel) => hub.listen(channel, ({ event, data }) => {
+            if (allowed.size > 0 && !allowed.has(event)) return
+            onDataRef.current?.({ event, data, channel })
+        }))
+        return () => stops.forEach((stop) => stop())
+    }, [hub, channelsKey, eventsKey, enabled])
+
+    return { status }
+}
@@ -3,33 +3,88 @@
 // Sending a message 
 // Detroy the messages after the room is detroyed
 
-import { Realtime } from "@upstash/realtime"
 import z from "zod"
 import { redis } from "@/lib/redis"
+import { STREAM_ID_PATTERN, compareStreamIds } from "@/lib/storage/shared"
+
+const HISTORY_MAXLEN = 500
+const KEEPALIVE_INTERVAL_MS = 25_000
+const CLIENT_RETRY_MS = 1_000
+// Close streams before common serverless limits; EventSource reconnects with Last-Event-ID.
+const STREAM_MAX_DURATION_MS = 280_000
+
+export { STREAM_ID_PATTERN }
 
 const message = z.object({
     id: z.string(),
     sender: z.string(),
+    senderId: z.string().optional(),
     text: z.string(),
     timestamp: z.number(),
     roomId: z.string(),
     token: z.string().optional(),
+    replyTo: z.string().optional(),
+})
+
+const encryptedEnvelope = z.object({
+    v: z.number(),
+    kind: z.string(),
+    senderKeyId: z.string().optional(),
+    deviceId: z.string().optional(),
+    n: z.number().optional(),
+    ivHex: z.string(),
+    cipherHex: z.string(),
+    aadHex: z.string().optional(),
+    createdAt: z.number(),
+})
+
+const reaction = z.object({
+    messageId: z.string(),
+    emoji: z.string(),
+    memberId: z.string(),
+    name: z.string(),
+    timestamp: z.number(),
+})
+
+const voteTally = z.object({
+    voteId: z.string(),
+    kind: z.enum(["destroy", "extend"]),
+    minutes: z.number().nullable(),
+    yes: z.number(),
+    no: z.number(),
+    eligible: z.number(),
+    needed: z.number(),
+    timestamp: z.number(),
 })
 
-const schema = {
+export const schema = {
     chat: {
         message,
         encrypted: z.object({
             id: z.string(),
             roomId: z.string(),
-            envelope: z.object({
-                v: z.number(),
-                kind: z.string(),
-                ivHex: z.string(),
-                cipherHex: z.string(),
-                aadHex: z.string().optional(),
-                createdAt: z.number(),
-            }),
+            envelope: encryptedEnvelope,
+            timestamp: z.number(),
+        }),
+        // A sender's replacement for one of their secure-room messages.
+        "encrypted-edited": z.object({
+            id: z.string(),
+            editOf: z.string(),
+            roomId: z.string(),
+            envelope: encryptedEnvelope,
+            timestamp: z.number(),
+        }),
+        // Legacy rooms carry the new text in the clear.
+        "message-edited": z.object({
+            id: z.string(),
+            text: z.string(),
+            editedAt: z.number(),
+        }),
+        // The sender unsent a message. In secure rooms `slots` names the chain
+        // positions that will never arrive, so receivers don't report a gap.
+        "message-deleted": z.object({
+            id: z.string(),
+            slots: z.array(z.object({ senderKeyId: z.string(), n: z.number() })).optional(),
             timestamp: z.number(),
         }),
         self_destruct: z.object({
@@ -52,25 +107,127 @@ const schema = {
         "timer-extended": z.object({
             newTtl: z.number(),
         }),
+        // A recipient opened a view-once message; its payload is gone for them.
+        viewed: z.object({
+            messageId: z.string(),
+            memberId: z.string(),
+            viewedBy: z.number(),
+            recipients: z.number(),
+            timestamp: z.number(),
+        }),
+        // Legacy-room reactions; secure rooms send them as "reaction" envelopes.
+        "reaction-added": reaction,
+        "reaction-removed": reaction,
+        // Vanishing messages the server has dropped from history.
+        "message-expired": z.object({
+            ids: z.array(z.string()),
+            timestamp: z.number(),
+        }),
         panic: z.object({
             triggered: z.literal(true),
         }),
+        // A participant was removed by the creator.
+        kicked: z.object({
+            memberId: z.string(),
+            banned: z.boolean(),
+            rotateKeys: z.boolean(),
+            timestamp: z.number(),
+        }),
+        // A member changed the display name bound to their seat.
+        "member-renamed": z.object({
+            memberId: z.string(),
+            previous: z.string(),
+            name: z.string(),
+            timestamp: z.number(),
+        }),
+        // Owner and admin member ids after a transfer, promotion or succession.
+        "roles-changed": z.object({
+            ownerId: z.string().nullable(),
+            adminIds: z.array(z.string()),
+            timestamp: z.number(),
+        }),
+        // Live tally of a destroy or extend vote in majority/unanimous rooms.
+        "vote-updated": voteTally.extend({
+            policy: z.enum(["majority", "unanimous"]),
+            requestedBy: z.string(),
+            requesterName: z.string(),
+            expiresAt: z.number(),
+            votedIds: z.array(z.string()),
+        }),
+        "vote-closed": voteTally.extend({
+            outcome: z.enum(["passed", "rejected", "expired"]),
+        }),
     },
     presence: {
         request: z.object({
             clientId: z.string(),
             username: z.string(),
             timestamp: z.number(),
+            memberId: z.string().optional(),    // stamped by the server
         }),
         announce: z.object({
             clientId: z.string(),
             username: z.string(),
             timestamp: z.number(),
+            memberId: z.string().optional(),    // stamped by the server
         }),
         leave: z.object({
             clientId: z.string(),
             username: z.string(),
             timestamp: z.number(),
+            memberId: z.string().optional(),    // stamped by the server
+        }),
+        // Composer activity; `typing: false` clears the indicator early.
+        typing: z.object({
+            clientId: z.string(),
+            username: z.string(),
+            typing: z.boolean(),
+            timestamp: z.number(),
+            memberId: z.string().optional(),    // stamped by the server
+        }),
+        // A batch of delivered/read acknowledgements. Legacy rooms send the ids
+        // in the clear; secure rooms seal them under the room key instead.
+        receipts: z.object({
+            clientId: z.string(),
+            username: z.string(),
+            delivered: z.array(z.string().max(64)).max(200).optional(),
+            read: z.array(z.string().max(64)).max(200).optional(),
+            sealed: z.object({
+                ivHex: z.string().regex(/^[0-9a-f]{24}$/),
+                cipherHex: z.string().regex(/^[0-9a-f]+$/).max(40_000),
+            }).optional(),
+            timestamp: z.number(),
+            memberId: z.string().optional(),    // stamped by the server
+        }),
+        // Lobby traffic is emitted by the server only, never relayed for clients.
+        knock: z.object({
+            knockId: z.string(),
+            codename: z.string(),
+            timestamp: z.number(),
+        }),
+        "knock-resolved": z.object({
+            knockId: z.string(),
+            approved: z.boolean(),
+            timestamp: z.number(),
+        }),
+    },
+    keys: {
+        // Device public key, MAC'd with a key derived from the room gatekeeper key.
+        announce: z.object({
+            deviceId: z.string().regex(/^[0-9a-f]{32}$/),
+            publicKeyHex: z.string().regex(/^[0-9a-f]{130}$/),
+            timestamp: z.number(),
+            request: z.boolean().optional(),
+            macHex: z.string().regex(/^[0-9a-f]{64}$/),
+            memberId: z.string().optional(),    // stamped by the server
+        }),
+        // Sender chain key sealed for one device over the pairwise ECDH key.
+        "sender-key": z.object({
+            from: z.string().regex(/^[0-9a-f]{32}$/),
+            to: z.string().regex(/^[0-9a-f]{32}$/),
+            senderKeyId: z.string().regex(/^[0-9a-f]{32}$/),
+            ivHex: z.string().regex(/^[0-9a-f]{24}$/),
+            cipherHex: z.string().regex(/^[0-9a-f]+$/).max(2_000),
         }),
     },
     file: {
@@ -119,4 +276,239 @@ const schema = {
     },
 }
 
-export const realtime = new Realtime({ schema, redis })
+/**
+ * @typedef {{ id: string, event: string, channel: string, data: unknown }} RealtimeEvent
+ * @typedef {(event: RealtimeEvent) => void} RealtimeListener
+ */
+
+/**
+ * Look up the zod schema for a dotted event name such as "chat.message".
+ * @param {string} event
+ * @returns {z.ZodType | undefined}
+ */
+function findEventSchema(event) {
+    /** @type {any} */
+    let current = schema
+    for (const part of event.split(".")) {
+        if (!current || typeof current !== "object" || !Object.hasOwn(current, part)) return undefined
+        current = current[part]
+    }
+    return current instanceof z.ZodType ? current : undefined
+}
+
+/**
+ * @param {unknown} id
+ * @param {any} value stored or published event fields
+ * @returns {RealtimeEvent | null}
+ */
+function toRealtimeEvent(id, value) {
+    if (typeof id !== "string" || !value || typeof value.event !== "string") return null
+    return { id, event: value.event, channel: value.channel, data: value.data }
+}
+
+/** @param {RealtimeEvent} event */
+function formatSseEvent(event) {
+    return `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`
+}
+
+/**
+ * Typed event channels persisted to a capped stream per channel and fanned
+ * out over storage pub/sub. Local subscribers share one storage subscription
+ * per channel.
+ */
+class Realtime {
+    /**
+     * @param {{ redis: typeof redis, historyMaxLength?: number }} options
+     */
+    constructor({ redis, historyMaxLength = HISTORY_MAXLEN }) {
+        this.redis = redis
+        this.historyMaxLength = historyMaxLength
+        /** @type {Map<string, { listeners: Map<RealtimeListener, ((error: Error) => void) | undefined>, ready: Promise<void>, close: () => Promise<void> }>} */
+        this.hubs = new Map()
+    }
+
+    /** @param {string} channel */
+    channel(channel) {
+        return {
+            /**
+             * Validate and publish an event. Resolves with the stream id.
+             * @param {string} event
+             * @param {unknown} data
+             */
+            emit: async (event, data) => {
+                const eventSchema = findEventSchema(event)
+                if (!eventSchema) throw new Error(`Unknown realtime event: ${event}`)
+                eventSchema.parse(data)
+                const id = await this.redis.xadd(channel, "*", { data, event, channel }, {
+                    trim: { type: "MAXLEN", threshold: this.historyMaxLength, comparison: "~" },
+                })
+                await this.redis.publish(channel, { id, event, channel, data })
+                return id
+            },
+            /**
+             * Events stored after `afterId` (exclusive), oldest first.
+             * @param {string} [afterId]
+             */
+            history: async (afterId) => {
+                const start = afterId ? `(${afterId}` : "-"
+                const entries = await this.redis.xrange(channel, start, "+", this.historyMaxLength)
+                return Object.entries(entries)
+                    .map(([id, value]) => toRealtimeEvent(id, value))
+                    .filter((event) => event !== null)
+            },
+        }
+    }
+
+    /**
+     * Listen for live events on a channel. `ready` resolves once the storage
+     * subscription is active, so history read afterwards cannot miss events,
+     * and rejects if the subscription fails or closes before that.
+     * @param {string} channel
+     * @param {RealtimeListener} listener
+     * @param {(error: Error) => void} [onError]
+     */
+    subscribe(channel, listener, onError) {
+        let hub = this.hubs.get(channel)
+        if (!hub) {
+            /** @type {Map<RealtimeListener, ((error: Error) => void) | undefined>} */
+            const listeners = new Map()
+            const subscriber = this.redis.subscribe([channel])
+            const ready = new Promise((resolve, reject) => {
+                subscriber.on("subscribe", () => resolve(undefined))
+                subscriber.on("error", reject)
+                subscriber.on("unsubscribe", () => reject(new Error("Realtime subscription closed")))
+            })
+            // Each caller awaits `ready` itself; this only keeps an unawaited rejection quiet.
+            ready.catch(() => {})
+            /** @param {Error} error */
+            const fail = (error) => {
+                if (this.hubs.get(channel) === hub) this.hubs.delete(channel)
+                listeners.forEach((handleError) => handleError?.(error))
+                void subscriber.unsubscribe().catch(() => {})
+            }
+            subscriber.on("message", (/** @type {{ message: any }} */ { message }) => {
+                const event = toRealtimeEvent(message?.id, message)
+                if (event) listeners.forEach((_, fn) => fn(event))
+            })
+            subscriber.on("error", fail)
+            // Storage reports a subscription it closed as an unsubscribe.
+            subscriber.on("unsubscribe", () => fail(new Error("Realtime subscription closed")))
+            hub = {
+                listeners,
+                ready: /** @type {Promise<void>} */ (ready),
+                close: () => subscriber.unsubscribe(),
+            }
+            this.hubs.set(channel, hub)
+        }
+
+        const current = hub
+        current.listeners.set(listener, onError)
+        return {
+            ready: current.ready,
+            close: async () => {
+                current.listeners.delete(listener)
+                if (current.listeners.size > 0) return
+                if (this.hubs.get(channel) === current) this.hubs.delete(channel)
+                await current.close()
+            },
+        }
+    }
+
+    /**
+     * Server-sent event stream for one channel. Replays events after
+     * `lastEventId` before switching to live delivery. If the subscription or
+     * the replay fails first, the stream ends with a `replay-error` event
+     * rather than skip what it missed. `closeAfter` ends the stream once it
+     * has delivered an event the predicate matches.
+     * @param {string} channel
+     * @param {{ lastEventId?: string | null, signal?: AbortSignal, closeAfter?: (event: RealtimeEvent) => boolean }} [options]
+     */
+    stream(channel, { lastEventId, signal, closeAfter } = {}) {
+        const encoder = new TextEncoder()
+        const resumeFrom = lastEventId && STREAM_ID_PATTERN.test(lastEventId) ? lastEventId : null
+        /** @type {(() => void) | undefined} */
+        let cleanup
+
+        const body = new ReadableStream({
+            start: async (controller) => {
+                let closed = false
+                let replayed = false
+                let lastSentId = resumeFrom
+                /** @type {RealtimeEvent[]} */
+                const pending = []
+
+                /** @param {string} chunk */
+                const send = (chunk) => {
+                    if (closed) return
+                    try {
+                        controller.enqueue(encoder.encode(chunk))
+                    } catch {
+                        cleanup?.()
+                    }
+                }
+                /** @param {RealtimeEvent} event */
+                const deliver = (event) => {
+                    if (lastSentId && compareStreamIds(event.id, lastSentId) <= 0) return
+                    lastSentId = event.id
+                    send(formatSseEvent(event))
+                    if (closeAfter?.(event)) cleanup?.()
+                }
+
+                // The client reconnects and asks again from the last event it got.
+                const failReplay = () => {
+                    send(`event: replay-error\ndata: ${JSON.stringify({ lastEventId: lastSentId })}\n\n`)
+                    cleanup?.()
+                }
+
+                const subscription = this.subscribe(
+                    channel,
+                    (event) => (replayed ? deliver(event) : pending.push(event)),
+                    () => (replayed ? cleanup?.() : failReplay()),
+                )
+                const keepalive = setInterval(() => send(`event: ping\ndata: ${Date.now()}\n\n`), KEEPALIVE_INTERVAL_MS)
+                const lifetime = setTimeout(() => cleanup?.(), STREAM_MAX_DURATION_MS)
+
+                cleanup = () => {
+                    if (closed) return
+                    closed = true
+                    clearInterval(keepalive)
+                    clearTimeout(lifetime)
+                    signal?.removeEventListener("abort", onAbort)
+                    void subscription.close().catch(() => {})
+                    try {
+                        controller.close()
+                    } catch {
+                        // Already closed by the client.
+                    }
+                }
+                const onAbort = () => cleanup?.()
+                signal?.addEventListener("abort", onAbort)
+
+                send(`retry: ${CLIENT_RETRY_MS}\n\n`)
+                try {
+                    await subscription.ready
+                    if (resumeFrom) {
+                        for (const event of await this.channel(channel).history(resumeFrom)) deliver(event)
+                    }
+                } catch {
+                    failReplay()
+                    return
+                }
+                replayed = true
+                for (const event of pending.splice(0)) deliver(event)
+            },
+            cancel: () => cleanup?.(),
+        })
+
+        return new Response(body, {
+            headers: {
+                "Content-Type": "text/event-stream; charset=utf-8",
+                "Cache-Control": "no-cache, no-transform",
+                Connection: "keep-alive",
+                "X-Accel-Buffering": "no",
+            },
+        })
+    }
+}
+
+export const realtime = new Realtime({ redis })
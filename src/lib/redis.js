@@ -1,3 +1,3 @@
-import { Redis } from "@upstash/redis";
-
-export const redis = Redis.fromEnv()
\ No newline at end of file
+// Kept as the import point for existing call sites; the backend is chosen in
+// ./storage (Upstash, a self-hosted Redis over TCP, or in-memory).
+export { storage as redis } from "./storage";
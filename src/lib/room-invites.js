@@ -0,0 +1,135 @@
+import { redis } from "./redis"
+import { nanoid } from "nanoid"
+
+// Each invite is a hash at `invite:<roomId>:<token>` that expires with the
+// invite itself:
+//   id, maxUses, uses, expiresAt, displayName, createdAt
+// `invites:<roomId>` maps the public invite id to its token so moderators can
+// list and revoke invites. `uses` only moves with HINCRBY, and an invite is
+// deleted as soon as its last use is taken.
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   token: string,
+ *   maxUses: number,
+ *   uses: number,
+ *   expiresAt: number,
+ *   displayName: string,
+ * }} RoomInvite
+ */
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{24}$/
+
+/** @param {string} roomId */
+const inviteIndexKey = (roomId) => `invites:${roomId}`
+/**
+ * @param {string} roomId
+ * @param {string} token
+ */
+const inviteKey = (roomId, token) => `invite:${roomId}:${token}`
+
+/**
+ * @param {string} token
+ * @param {Record<string, unknown>} raw
+ * @returns {RoomInvite}
+ */
+function toInvite(token, raw) {
+    return {
+        id: String(raw.id ?? ""),
+        token,
+        maxUses: Number(raw.maxUses) || 1,
+        uses: Number(raw.uses) || 0,
+        expiresAt: Number(raw.expiresAt) || 0,
+        displayName: typeof raw.displayName === "string" ? raw.displayName : "",
+    }
+}
+
+/**
+ * @param {string} roomId
+ * @param {{ maxUses: number, ttlSeconds: number, displayName?: string }} options
+ * @returns {Promise<RoomInvite>}
+ */
+export async function createInvite(roomId, { maxUses, ttlSeconds, displayName = "" }) {
+    const id = nanoid(10)
+    const token = nanoid(24)
+    const expiresAt = Date.now() + ttlSeconds * 1000
+    await redis.hset(inviteKey(roomId, token), { id, maxUses, uses: 0, expiresAt, displayName, createdAt: Date.now() })
+    await redis.expire(inviteKey(roomId, token), ttlSeconds)
+    await redis.hset(inviteIndexKey(roomId), { [id]: token })
+    // The index lives as long as its longest-lived invite.
+    if (await redis.ttl(inviteIndexKey(roomId)) < ttlSeconds) await redis.expire(inviteIndexKey(roomId), ttlSeconds)
+    return { id, token, maxUses, uses: 0, expiresAt, displayName }
+}
+
+/**
+ * Invites that can still be used, soonest to expire first. Index entries
+ * for spent or expired invites are dropped along the way.
+ * @param {string} roomId
+ */
+export async function listInvites(roomId) {
+    const index = /** @type {Record<string, unknown>} */ ((await redis.hgetall(inviteIndexKey(roomId))) ?? {})
+    /** @type {RoomInvite[]} */
+    const invites = []
+    for (const [id, token] of Object.entries(index)) {
+        const raw = /** @type {Record<string, unknown> | null} */ (await redis.hgetall(inviteKey(roomId, String(token))))
+        if (!raw?.id) {
+            await redis.hdel(inviteIndexKey(roomId), id)
+            continue
+        }
+        invites.push(toInvite(String(token), raw))
+    }
+    return invites.sort((a, b) => a.expiresAt - b.expiresAt)
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} id
+ * @returns {Promise<boolean>} whether an outstanding invite was revoked
+ */
+export async function revokeInvite(roomId, id) {
+    const token = await redis.hget(inviteIndexKey(roomId), id)
+    if (typeof token !== "string") return false
+    await redis.hdel(inviteIndexKey(roomId), id)
+    return (await redis.del(inviteKey(roomId, token))) > 0
+}
+
+/**
+ * Take one use of an invite. Returns null when the token is unknown,
+ * expired, revoked or already used up.
+ * @param {string} roomId
+ * @param {string} token
+ * @returns {Promise<RoomInvite | null>}
+ */
+export async function consumeInvite(roomId, token) {
+    if (!TOKEN_PATTERN.test(token)) return null
+    const key = inviteKey(roomId, token)
+    if (!(await redis.hexists(key, "id"))) return null
+
+    const uses = await redis.hincrby(key, "uses", 1)
+    const raw = /** @type {Record<string, unknown> | null} */ (await redis.hgetall(key))
+    if (!raw?.id) {
+        // Expired or revoked between the check and the increment.
+        await redis.del(key)
+        return null
+    }
+    const invite = toInvite(token, raw)
+    if (uses > invite.maxUses || Date.now() >= invite.expiresAt) {
+        await redis.hincrby(key, "uses", -1)
+        return null
+    }
+    if (uses === invite.maxUses) {
+        await redis.del(key)
+        await redis.hdel(inviteIndexKey(roomId), invite.id)
+    }
+    return invite
+}
+
+/**
+ * Every key holding an invite for the room, including the index.
+ * @param {string} roomId
+ */
+export async function getRoomInviteKeys(roomId) {
+    const tokens = Object.values(/** @type {Record<string, unknown>} */ ((await redis.hgetall(inviteIndexKey(roomId))) ?? {}))
+    return [inviteIndexKey(roomId), ...tokens.map((token) => inviteKey(roomId, String(token)))]
+}
@@ -0,0 +1,105 @@
+import { redis } from "./redis"
+import { nanoid } from "nanoid"
+
+// Knocks waiting on a lobby-mode room live in `lobby:<roomId>`:
+//   identity:<identityKey> -> knock id (one knock per identity, claimed with HSETNX)
+//   knock:<knockId>        -> identity key
+//   name:<knockId>         -> codename shown to moderators
+//   at:<knockId>           -> when the knock arrived (ms)
+//   status:<knockId>       -> "pending" | "approved" | "denied"
+// A decision is latched with HSETNX on decided:<knockId> so two moderators
+// answering at once cannot flip it. An approval is spent when the identity
+// takes its seat; a denial stays until the lobby key expires.
+
+/** @typedef {"pending" | "approved" | "denied"} KnockStatus */
+
+export const LOBBY_TTL_SECONDS = 15 * 60
+
+/** @param {string} roomId */
+export const roomLobbyKey = (roomId) => `lobby:${roomId}`
+
+/** @param {unknown} value */
+const asString = (value) => (typeof value === "string" ? value : "")
+
+/**
+ * Park an identity in the lobby, or return its existing knock.
+ * @param {string} roomId
+ * @param {{ identityKey: string, codename: string }} options
+ * @returns {Promise<{ knockId: string, status: KnockStatus, created: boolean }>}
+ */
+export async function knock(roomId, { identityKey, codename }) {
+    const key = roomLobbyKey(roomId)
+    const knockId = nanoid(12)
+    const created = Boolean(await redis.hsetnx(key, `identity:${identityKey}`, knockId))
+    await redis.expire(key, LOBBY_TTL_SECONDS)
+    if (!created) {
+        const existingId = asString(await redis.hget(key, `identity:${identityKey}`))
+        const status = asString(await redis.hget(key, `status:${existingId}`))
+        return { knockId: existingId, status: status === "approved" || status === "denied" ? status : "pending", created: false }
+    }
+    await redis.hset(key, {
+        [`knock:${knockId}`]: identityKey,
+        [`name:${knockId}`]: codename,
+        [`at:${knockId}`]: Date.now(),
+        [`status:${knockId}`]: "pending",
+    })
+    return { knockId, status: "pending", created: true }
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} identityKey
+ * @returns {Promise<KnockStatus | null>}
+ */
+export async function getKnockStatus(roomId, identityKey) {
+    const key = roomLobbyKey(roomId)
+    const knockId = asString(await redis.hget(key, `identity:${identityKey}`))
+    if (!knockId) return null
+    const status = asString(await redis.hget(key, `status:${knockId}`))
+    return status === "approved" || status === "denied" ? status : "pending"
+}
+
+/**
+ * Knocks still waiting for a decision, oldest first.
+ * @param {string} roomId
+ */
+export async function listKnocks(roomId) {
+    const lobby = /** @type {Record<string, unknown>} */ ((await redis.hgetall(roomLobbyKey(roomId))) ?? {})
+    return Object.keys(lobby)
+        .filter((field) => field.startsWith("status:") && lobby[field] === "pending")
+        .map((field) => {
+            const knockId = field.slice("status:".length)
+            return { knockId, codename: asString(lobby[`name:${knockId}`]), requestedAt: Number(lobby[`at:${knockId}`]) || 0 }
+        })
+        .sort((a, b) => a.requestedAt - b.requestedAt)
+}
+
+/**
+ * Approve or deny a pending knock. Returns null when the knock is unknown or
+ * was already decided.
+ * @param {string} roomId
+ * @param {string} knockId
+ * @param {boolean} approve
+ */
+export async function decideKnock(roomId, knockId, approve) {
+    const key = roomLobbyKey(roomId)
+    const identityKey = asString(await redis.hget(key, `knock:${knockId}`))
+    if (!identityKey) return null
+    if (!(await redis.hsetnx(key, `decided:${knockId}`, "1"))) return null
+    await redis.hset(key, { [`status:${knockId}`]: approve ? "approved" : "denied" })
+    return { identityKey, codename: asString(await redis.hget(key, `name:${knockId}`)) }
+}
+
+/**
+ * Spend an identity's approval as it takes a seat.
+ * @param {string} roomId
+ * @param {string} identityKey
+ * @returns {Promise<boolean>} whether the identity had been approved
+ */
+export async function takeApproval(roomId, identityKey) {
+    const key = roomLobbyKey(roomId)
+    const knockId = asString(await redis.hget(key, `identity:${identityKey}`))
+    if (!knockId || await redis.hget(key, `status:${knockId}`) !== "approved") return false
+    await redis.hdel(key, `identity:${identityKey}`, `knock:${knockId}`, `name:${knockId}`, `at:${knockId}`, `status:${knockId}`, `decided:${knockId}`)
+    return true
+}
@@ -0,0 +1,521 @@
+import { redis } from "./redis"
+import { nanoid } from "nanoid"
+
+// Membership lives in the room meta hash as one field per fact, so every
+// change is a single-field command and it shares the meta key's TTL:
+//   member:<token>     -> identity key that owns the token ("" if unknown)
+//   identity:<key>     -> token issued to that identity
+//   revoked:<key>      -> "1" once the identity (or banned account:<userId>) left or was removed
+//   memberCount        -> seats taken, moved only with HINCRBY
+//   joined:<token>     -> when the token was seated (ms)
+//   seen:<token>       -> last presence heartbeat relayed for the token (ms)
+//   role:<token>       -> "admin" for co-admins
+//   name:<token>       -> display name bound to the token: the invite's, the account's,
+//                         or the codename the member claimed; unique within the room
+//   byname:<lowercased> -> token holding that name, claimed with HSETNX before name:<token> is set
+//   creatorToken       -> the current owner (named for the original creator-only model)
+// Tokens are bearer secrets, so other members only ever see a member id
+// derived from them (see roomMemberId). Writes that can race the room's
+// destruction check afterwards that they didn't recreate the hash.
+const MEMBER_COUNT_FIELD = "memberCount"
+const CREATED_FIELD = "createdAt"
+const OWNER_FIELD = "creatorToken"
+const MEMBER_ID_PATTERN = /^[0-9a-f]{16}$/
+const LEGACY_MEMBERSHIP_FIELDS = ["connected", "participants", "revokedParticipants"]
+const CODENAME_ANIMALS = ["Wolf", "Hawk", "Bear", "Shark"]
+
+/** @param {string} token */
+const memberField = (token) => `member:${token}`
+/** @param {string} identityKey */
+const identityField = (identityKey) => `identity:${identityKey}`
+/** @param {string} identityKey */
+const revokedField = (identityKey) => `revoked:${identityKey}`
+/** @param {string} token */
+const joinedField = (token) => `joined:${token}`
+/** @param {string} token */
+const seenField = (token) => `seen:${token}`
+/** @param {string} token */
+const roleField = (token) => `role:${token}`
+/** @param {string} token */
+const nameField = (token) => `name:${token}`
+/** @param {string} displayName */
+const byNameField = (displayName) => `byname:${displayName.toLowerCase()}`
+
+/** @param {unknown} value */
+const asString = (value) => (typeof value === "string" ? value : "")
+
+/**
+ * Delete a meta hash that a write recreated after the room was destroyed.
+ * Every room is created with `createdAt`, so a hash without it is a leftover
+ * with no TTL.
+ * @param {string} metaKey
+ * @returns {Promise<boolean>} whether the hash was dropped
+ */
+async function dropOrphanedMeta(metaKey) {
+    if (await redis.hexists(metaKey, CREATED_FIELD)) return false
+    await redis.del(metaKey)
+    return true
+}
+
+/**
+ * Public handle for a seated token, safe to show to other members.
+ * @param {string} token
+ */
+export async function roomMemberId(token) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`member-id|${token}`)))
+    return Array.from(digest.subarray(0, 8), (byte) => byte.toString(16).padStart(2, "0")).join("")
+}
+
+/**
+ * Resolve a member id back to its token and identity key.
+ * @param {string} metaKey
+ * @param {string} memberId
+ * @returns {Promise<{ token: string, identityKey: string } | null>}
+ */
+export async function findRoomMember(metaKey, memberId) {
+    if (!MEMBER_ID_PATTERN.test(memberId)) return null
+    await migrateLegacyMembership(metaKey)
+    const meta = /** @type {Record<string, unknown>} */ ((await redis.hgetall(metaKey)) ?? {})
+    for (const [field, identityKey] of Object.entries(meta)) {
+        if (!field.startsWith("member:")) continue
+        const token = field.slice("member:".length)
+        if (await roomMemberId(token) === memberId) return { token, identityKey: asString(identityKey) }
+    }
+    return null
+}
+
+/** @param {unknown} raw */
+function parseLegacyValue(raw) {
+    if (typeof raw !== "string") return raw
+    try {
+        return JSON.parse(raw)
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Fields for a freshly created room.
+ * @returns {Record<string, number>}
+ */
+export function emptyMembershipFields() {
+    return { [MEMBER_COUNT_FIELD]: 0 }
+}
+
+/**
+ * Rooms created before membership moved into per-field entries keep JSON
+ * `connected` / `participants` / `revokedParticipants` blobs. Convert them in
+ * place; every write is idempotent so concurrent migrations agree.
+ * @param {string} metaKey
+ */
+async function migrateLegacyMembership(metaKey) {
+    if (!(await redis.hexists(metaKey, "connected"))) return
+
+    const meta = /** @type {Record<string, unknown>} */ ((await redis.hgetall(metaKey)) ?? {})
+    const connectedRaw = parseLegacyValue(meta.connected)
+    const participantsRaw = parseLegacyValue(meta.participants)
+    const revokedRaw = parseLegacyValue(meta.revokedParticipants)
+
+    const connected = Array.isArray(connectedRaw) ? connectedRaw.filter((token) => typeof token === "string") : []
+    const participants = participantsRaw && typeof participantsRaw === "object" && !Array.isArray(participantsRaw)
+        ? Object.entries(participantsRaw).filter(([, token]) => typeof token === "string" && connected.includes(token))
+        : []
+    const revoked = Array.isArray(revokedRaw) ? revokedRaw.filter((identityKey) => typeof identityKey === "string") : []
+    const identityByToken = new Map(participants.map(([identityKey, token]) => [token, identityKey]))
+
+    await Promise.all([
+        ...connected.map((token) => redis.hsetnx(metaKey, memberField(token), identityByToken.get(token) ?? "")),
+        ...participants.map(([identityKey, token]) => redis.hsetnx(metaKey, identityField(identityKey), token)),
+        redis.hsetnx(metaKey, MEMBER_COUNT_FIELD, connected.length),
+    ])
+    if (revoked.length > 0) {
+        await redis.hset(metaKey, Object.fromEntries(revoked.map((identityKey) => [revokedField(identityKey), "1"])))
+    }
+    await redis.hdel(metaKey, ...LEGACY_MEMBERSHIP_FIELDS)
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ */
+export async function isRoomMember(metaKey, token) {
+    if (!token) return false
+    if (await redis.hexists(metaKey, memberField(token))) return true
+    await migrateLegacyMembership(metaKey)
+    return Boolean(await redis.hexists(metaKey, memberField(token)))
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} identityKey
+ */
+export async function isIdentityRevoked(metaKey, identityKey) {
+    return Boolean(identityKey) && Boolean(await redis.hexists(metaKey, revokedField(identityKey)))
+}
+
+/**
+ * Refuse future joins from an identity (or account key) without touching seats.
+ * @param {string} metaKey
+ * @param {string[]} identityKeys
+ */
+export async function revokeIdentities(metaKey, identityKeys) {
+    const keys = identityKeys.filter(Boolean)
+    if (keys.length === 0) return
+    await redis.hset(metaKey, Object.fromEntries(keys.map((key) => [revokedField(key), "1"])))
+    await dropOrphanedMeta(metaKey)
+}
+
+/**
+ * `token` is set when `ok`, `reason` when not.
+ * @typedef {{ ok: boolean, token?: string, reason?: "revoked" | "full" | "uninvited" | "missing" }} JoinResult
+ */
+
+/**
+ * Admit an identity to the room, reusing its token when it already holds a
+ * seat. The identity is claimed with HSETNX so parallel requests from one
+ * client share a token, then a seat is reserved with HINCRBY and handed back
+ * if that overshoots `maxParticipants`, so concurrent joins can never fill the
+ * room past its limit. The first token seated in an unowned room becomes its owner.
+ * `accountKey` names the signed-in account so a ban survives a new session.
+ * `admit` runs once a new seat is reserved (never for a returning identity)
+ * and can refuse it, e.g. when an invite-only room has no invite to spend.
+ * A join that races the room's destruction fails as `missing`.
+ * @param {string} metaKey
+ * @param {{
+ *   identityKey: string,
+ *   accountKey?: string,
+ *   maxParticipants: number,
+ *   currentToken?: string,
+ *   allowOverCapacity?: () => Promise<boolean>,
+ *   admit?: () => Promise<boolean>,
+ * }} options
+ * @returns {Promise<JoinResult>}
+ */
+export async function joinRoom(metaKey, { identityKey, accountKey = "", maxParticipants, currentToken = "", allowOverCapacity, admit }) {
+    await migrateLegacyMembership(metaKey)
+    const revoked = async () => (await isIdentityRevoked(metaKey, identityKey)) || (await isIdentityRevoked(metaKey, accountKey))
+    if (await revoked()) return { ok: false, reason: "revoked" }
+
+    // A mapped token is either seated or being seated by a parallel request from the same client.
+    const mappedToken = asString(await redis.hget(metaKey, identityField(identityKey)))
+    if (mappedToken) return { ok: true, token: mappedToken }
+
+    // A cookie from before this identity was recorded (e.g. the guest cookie was cleared).
+    if (currentToken && await redis.hexists(metaKey, memberField(currentToken))) {
+        await redis.hsetnx(metaKey, identityField(identityKey), currentToken)
+        if (await dropOrphanedMeta(metaKey)) return { ok: false, reason: "missing" }
+        return { ok: true, token: asString(await redis.hget(metaKey, identityField(identityKey))) || currentToken }
+    }
+
+    const token = nanoid()
+    if (!(await redis.hsetnx(metaKey, identityField(identityKey), token))) {
+        return { ok: true, token: asString(await redis.hget(metaKey, identityField(identityKey))) }
+    }
+
+    const seats = await redis.hincrby(metaKey, MEMBER_COUNT_FIELD, 1)
+    if (seats > maxParticipants && !(allowOverCapacity && await allowOverCapacity())) {
+        await redis.hincrby(metaKey, MEMBER_COUNT_FIELD, -1)
+        await redis.hdel(metaKey, identityField(identityKey))
+        await dropOrphanedMeta(metaKey)
+        return { ok: false, reason: "full" }
+    }
+    if (admit && !(await admit())) {
+        await redis.hincrby(metaKey, MEMBER_COUNT_FIELD, -1)
+        await redis.hdel(metaKey, identityField(identityKey))
+        await dropOrphanedMeta(metaKey)
+        return { ok: false, reason: "uninvited" }
+    }
+    const now = Date.now()
+    await redis.hset(metaKey, { [memberField(token)]: identityKey, [joinedField(token)]: now, [seenField(token)]: now })
+    await redis.hsetnx(metaKey, OWNER_FIELD, token)
+    // The room may have been destroyed while the seat was being taken.
+    if (await dropOrphanedMeta(metaKey)) return { ok: false, reason: "missing" }
+
+    // The identity may have been revoked between the first check and the seat being taken.
+    if (await revoked()) {
+        await leaveRoom(metaKey, token)
+        return { ok: false, reason: "revoked" }
+    }
+    return { ok: true, token }
+}
+
+/**
+ * Give up a token's seat. With `revokeIdentity`, the identity behind the token
+ * (and the caller's own identity key, if different) can no longer rejoin; the
+ * revocation is written before the seat is released so a racing join sees it.
+ * An owner leaving hands the room to the next in line (see pickSuccessor), or
+ * leaves it unowned so the next joiner takes it.
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {{ identityKey?: string, revokeIdentity?: boolean }} [options]
+ * @returns {Promise<string>} the new owner token when ownership moved
+ */
+export async function leaveRoom(metaKey, token, { identityKey = "", revokeIdentity = false } = {}) {
+    await migrateLegacyMembership(metaKey)
+    const holder = asString(await redis.hget(metaKey, memberField(token)))
+    const identityKeys = [...new Set([holder, identityKey].filter(Boolean))]
+
+    const displayName = await getMemberDisplayName(metaKey, token)
+
+    if (revokeIdentity) await revokeIdentities(metaKey, identityKeys)
+    if (await redis.hdel(metaKey, memberField(token))) {
+        await redis.hincrby(metaKey, MEMBER_COUNT_FIELD, -1)
+        await dropOrphanedMeta(metaKey)
+    }
+    await redis.hdel(metaKey, joinedField(token), seenField(token), roleField(token), nameField(token))
+    await releaseDisplayName(metaKey, token, displayName)
+    await Promise.all(identityKeys.map(async (key) => {
+        if (await redis.hget(metaKey, identityField(key)) === token) {
+            await redis.hdel(metaKey, identityField(key))
+        }
+    }))
+
+    if (await redis.hget(metaKey, OWNER_FIELD) !== token) return ""
+    const successor = (await pickSuccessor(metaKey, { presentOnly: true })) || (await pickSuccessor(metaKey, { presentOnly: false }))
+    if (successor) {
+        await setRoomOwner(metaKey, successor)
+    } else {
+        await redis.hdel(metaKey, OWNER_FIELD)
+    }
+    return successor
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {string} displayName
+ */
+export async function setMemberDisplayName(metaKey, token, displayName) {
+    await redis.hset(metaKey, { [nameField(token)]: displayName })
+    await dropOrphanedMeta(metaKey)
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ */
+export async function getMemberDisplayName(metaKey, token) {
+    return asString(await redis.hget(metaKey, nameField(token)))
+}
+
+/**
+ * Whether another seated member already goes by `displayName` (case-insensitive).
+ * @param {Record<string, unknown>} meta
+ * @param {string} token
+ * @param {string} displayName
+ */
+function isDisplayNameTaken(meta, token, displayName) {
+    const wanted = displayName.toLowerCase()
+    return Object.entries(meta).some(([field, name]) => (
+        field.startsWith("name:")
+        && field !== nameField(token)
+        && meta[memberField(field.slice("name:".length))] !== undefined
+        && asString(name).toLowerCase() === wanted
+    ))
+}
+
+/**
+ * Claim `displayName` for the token, so two members racing for one name
+ * can't both get it. A claim left by a token that is no longer seated is
+ * taken over.
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {string} displayName
+ */
+async function reserveDisplayName(metaKey, token, displayName) {
+    const field = byNameField(displayName)
+    if (await redis.hsetnx(metaKey, field, token)) return true
+    const holder = asString(await redis.hget(metaKey, field))
+    if (holder === token) return true
+    if (!holder || await redis.hexists(metaKey, memberField(holder))) return false
+    await redis.hdel(metaKey, field)
+    return Boolean(await redis.hsetnx(metaKey, field, token))
+}
+
+/**
+ * Give up the token's claim on `displayName`, if it still holds it.
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {string} displayName
+ */
+async function releaseDisplayName(metaKey, token, displayName) {
+    if (displayName && await redis.hget(metaKey, byNameField(displayName)) === token) {
+        await redis.hdel(metaKey, byNameField(displayName))
+    }
+}
+
+/**
+ * The token's display name, binding one first if it has none: `preferred`
+ * when free, otherwise a suffixed variant, or a fresh codename without one.
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {string} [preferred]
+ */
+export async function claimMemberDisplayName(metaKey, token, preferred = "") {
+    const current = await getMemberDisplayName(metaKey, token)
+    if (current) return current
+
+    const meta = /** @type {Record<string, unknown>} */ ((await redis.hgetall(metaKey)) ?? {})
+    const base = preferred || `anonymous-${CODENAME_ANIMALS[Math.floor(Math.random() * CODENAME_ANIMALS.length)]}-${nanoid(5)}`
+    let candidate = base
+    while (isDisplayNameTaken(meta, token, candidate) || !(await reserveDisplayName(metaKey, token, candidate))) {
+        candidate = `${base}-${nanoid(4)}`
+    }
+    const bound = await redis.hsetnx(metaKey, nameField(token), candidate)
+    await dropOrphanedMeta(metaKey)
+    if (bound) return candidate
+    // A parallel claim for the same token won with another name.
+    const winner = await getMemberDisplayName(metaKey, token)
+    if (winner.toLowerCase() !== candidate.toLowerCase()) await releaseDisplayName(metaKey, token, candidate)
+    return winner || candidate
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {string} displayName
+ * @returns {Promise<{ ok: true, previous: string } | { ok: false }>} not ok when another member has the name
+ */
+export async function renameMember(metaKey, token, displayName) {
+    const meta = /** @type {Record<string, unknown>} */ ((await redis.hgetall(metaKey)) ?? {})
+    if (isDisplayNameTaken(meta, token, displayName)) return { ok: false }
+    if (!(await reserveDisplayName(metaKey, token, displayName))) return { ok: false }
+    const previous = asString(meta[nameField(token)])
+    await setMemberDisplayName(metaKey, token, displayName)
+    if (previous.toLowerCase() !== displayName.toLowerCase()) await releaseDisplayName(metaKey, token, previous)
+    return { ok: true, previous }
+}
+
+/** @typedef {"owner" | "admin" | "member"} RoomRole */
+
+/** How long the owner may go without a presence heartbeat before succession. */
+export const OWNER_PRESENCE_TIMEOUT_MS = 45_000
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ * @returns {Promise<RoomRole>}
+ */
+export async function getRoomRole(metaKey, token) {
+    const [ownerToken, role] = await Promise.all([
+        redis.hget(metaKey, OWNER_FIELD),
+        redis.hget(metaKey, roleField(token)),
+    ])
+    if (ownerToken === token) return "owner"
+    return role === "admin" ? "admin" : "member"
+}
+
+/**
+ * Seated tokens with their role and timings, oldest seat first.
+ * @param {string} metaKey
+ */
+export async function listRoomMembers(metaKey) {
+    await migrateLegacyMembership(metaKey)
+    const meta = /** @type {Record<string, unknown>} */ ((await redis.hgetall(metaKey)) ?? {})
+    const ownerToken = asString(meta[OWNER_FIELD])
+    return Object.keys(meta)
+        .filter((field) => field.startsWith("member:"))
+        .map((field) => {
+            const token = field.slice("member:".length)
+            /** @type {RoomRole} */
+            const role = token === ownerToken ? "owner" : (meta[roleField(token)] === "admin" ? "admin" : "member")
+            return {
+                token,
+                role,
+                displayName: asString(meta[nameField(token)]),
+                joinedAt: Number(meta[joinedField(token)]) || 0,
+                seenAt: Number(meta[seenField(token)]) || 0,
+            }
+        })
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+}
+
+/**
+ * Member ids of the owner and admins, for clients to render roles.
+ * @param {string} metaKey
+ */
+export async function getRoomRoster(metaKey) {
+    const members = await listRoomMembers(metaKey)
+    const owner = members.find((member) => member.role === "owner")
+    return {
+        ownerId: owner ? await roomMemberId(owner.token) : null,
+        adminIds: await Promise.all(members.filter((member) => member.role === "admin").map((member) => roomMemberId(member.token))),
+    }
+}
+
+/**
+ * @param {string} metaKey
+ * @param {string} token
+ * @param {"admin" | "member"} role
+ */
+export async function setRoomRole(metaKey, token, role) {
+    if (role === "admin") {
+        await redis.hset(metaKey, { [roleField(token)]: "admin" })
+        await dropOrphanedMeta(metaKey)
+    } else {
+        await redis.hdel(metaKey, roleField(token))
+    }
+}
+
+/**
+ * Make `token` the owner. The previous owner, if still seated, stays on as an admin.
+ * @param {string} metaKey
+ * @param {string} token
+ */
+export async function setRoomOwner(metaKey, token) {
+    const previous = asString(await redis.hget(metaKey, OWNER_FIELD))
+    await redis.hset(metaKey, { [OWNER_FIELD]: token })
+    await redis.hdel(metaKey, roleField(token))
+    if (previous && previous !== token && await redis.hexists(metaKey, memberField(previous))) {
+        await redis.hset(metaKey, { [roleField(previous)]: "admin" })
+    }
+    await dropOrphanedMeta(metaKey)
+}
+
+/**
+ * Record a presence heartbeat for a seated token.
+ * @param {string} metaKey
+ * @param {string} token
+ */
+export async function markRoomPresence(metaKey, token) {
+    await redis.hset(metaKey, { [seenField(token)]: Date.now() })
+    await dropOrphanedMeta(metaKey)
+}
+
+/**
+ * Longest-seated admin, falling back to the longest-seated member so a room
+ * never ends up without anyone who can manage it.
+ * @param {string} metaKey
+ * @param {{ presentOnly: boolean }} options
+ */
+async function pickSuccessor(metaKey, { presentOnly }) {
+    const cutoff = Date.now() - OWNER_PRESENCE_TIMEOUT_MS
+    const candidates = (await listRoomMembers(metaKey))
+        .filter((member) => member.role !== "owner" && (!presentOnly || member.seenAt >= cutoff))
+    const successor = candidates.find((member) => member.role === "admin") ?? candidates[0]
+    return successor?.token ?? ""
+}
+
+/**
+ * Pass ownership on when the owner has stopped sending presence heartbeats.
+ * Racing callers pick the same successor, so concurrent runs agree.
+ * @param {string} metaKey
+ * @returns {Promise<string>} the new owner token, or "" when nothing changed
+ */
+export async function succeedAbsentOwner(metaKey) {
+    const ownerToken = asString(await redis.hget(metaKey, OWNER_FIELD))
+    if (!ownerToken) return ""
+    const seenAt = Number(await redis.hget(metaKey, seenField(ownerToken)))
+    if (!seenAt) {
+        // Owners seated before presence tracking start their clock now.
+        await redis.hsetnx(metaKey, seenField(ownerToken), Date.now())
+        await dropOrphanedMeta(metaKey)
+        return ""
+    }
+    if (Date.now() - seenAt < OWNER_PRESENCE_TIMEOUT_MS) return ""
+
+    const successor = await pickSuccessor(metaKey, { presentOnly: true })
+    if (!successor || await redis.hget(metaKey, OWNER_FIELD) !== ownerToken) return ""
+    await setRoomOwner(metaKey, successor)
+    return successor
+}
@@ -0,0 +1,38 @@
+import { redis } from "./redis"
+import { nanoid } from "nanoid"
+
+// Answering a standard room's password or security question issues a grant:
+// `room-verified:<roomId>:<grant>` lives for an hour, and the grant itself
+// travels in the httpOnly `room-verified-<roomId>` cookie, which page scripts
+// can neither read nor forge. The join proxy and the lobby both check it.
+
+export const ROOM_VERIFIED_TTL_SECONDS = 60 * 60
+const GRANT_PATTERN = /^[A-Za-z0-9_-]{24}$/
+
+/** @param {string} roomId */
+export const roomVerifiedCookie = (roomId) => `room-verified-${roomId}`
+
+/**
+ * @param {string} roomId
+ * @param {string} grant
+ */
+const grantKey = (roomId, grant) => `room-verified:${roomId}:${grant}`
+
+/**
+ * @param {string} roomId
+ * @returns {Promise<string>} the grant to set as the cookie value
+ */
+export async function issueRoomVerification(roomId) {
+    const grant = nanoid(24)
+    await redis.set(grantKey(roomId, grant), "1", { ex: ROOM_VERIFIED_TTL_SECONDS })
+    return grant
+}
+
+/**
+ * @param {string} roomId
+ * @param {unknown} grant the cookie value
+ */
+export async function isRoomVerified(roomId, grant) {
+    if (typeof grant !== "string" || !GRANT_PATTERN.test(grant)) return false
+    return Boolean(await redis.exists(grantKey(roomId, grant)))
+}
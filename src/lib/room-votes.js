@@ -0,0 +1,201 @@
+import { redis } from "./redis"
+import { nanoid } from "nanoid"
+import { listRoomMembers, roomMemberId } from "./room-membership"
+
+// A room runs at most one vote at a time, kept in `vote:<roomId>`:
+//   id, kind, minutes, policy, requestedBy, requesterName, createdAt, expiresAt
+//   voter:<memberId>   -> "1" for every member seated when the vote opened
+//   ballot:<memberId>  -> "yes" | "no", written once with HSETNX
+//   outcome            -> written once with HSETNX when the vote closes
+// The electorate is the snapshot of voters that are still seated, so members
+// who leave mid-vote stop counting towards the threshold. Replacing a closed
+// vote first claims `vote-replace:<roomId>:<id>` with SET NX, so only one
+// caller clears it and a racing one can't delete the vote that follows.
+
+/** @typedef {"owner" | "majority" | "unanimous"} VotePolicy */
+/** @typedef {"destroy" | "extend"} VoteKind */
+/** @typedef {"passed" | "rejected" | "expired"} VoteOutcome */
+
+/**
+ * @typedef {{
+ *   voteId: string,
+ *   kind: VoteKind,
+ *   minutes: number | null,
+ *   policy: VotePolicy,
+ *   requestedBy: string,
+ *   requesterName: string,
+ *   expiresAt: number,
+ *   yes: number,
+ *   no: number,
+ *   eligible: number,
+ *   needed: number,
+ *   votedIds: string[],
+ * }} VoteState
+ */
+
+export const VOTE_POLICIES = /** @type {const} */ (["owner", "majority", "unanimous"])
+export const VOTE_TIMEOUT_MS = 60_000
+// Keep closed votes around briefly so late ballots get a clear answer.
+const VOTE_KEY_GRACE_SECONDS = 60
+
+/** @param {string} roomId */
+export const roomVoteKey = (roomId) => `vote:${roomId}`
+
+/** @param {unknown} value */
+export function parseVotePolicy(value) {
+    return VOTE_POLICIES.includes(/** @type {any} */ (value)) ? /** @type {VotePolicy} */ (value) : "owner"
+}
+
+/**
+ * @param {VotePolicy} policy
+ * @param {number} eligible
+ */
+function votesNeeded(policy, eligible) {
+    return policy === "unanimous" ? eligible : Math.floor(eligible / 2) + 1
+}
+
+/**
+ * @param {string} metaKey
+ * @param {Record<string, unknown>} vote
+ * @returns {Promise<VoteState>}
+ */
+async function tallyVote(metaKey, vote) {
+    const seated = new Set(await Promise.all((await listRoomMembers(metaKey)).map((member) => roomMemberId(member.token))))
+    const voters = Object.keys(vote)
+        .filter((field) => field.startsWith("voter:"))
+        .map((field) => field.slice("voter:".length))
+        .filter((memberId) => seated.has(memberId))
+    let yes = 0
+    let no = 0
+    /** @type {string[]} */
+    const votedIds = []
+    for (const memberId of voters) {
+        const ballot = vote[`ballot:${memberId}`]
+        if (ballot === "yes") yes++
+        else if (ballot === "no") no++
+        else continue
+        votedIds.push(memberId)
+    }
+    const policy = parseVotePolicy(vote.policy)
+    const minutes = Number(vote.minutes)
+    return {
+        voteId: String(vote.id),
+        kind: vote.kind === "extend" ? "extend" : "destroy",
+        minutes: minutes > 0 ? minutes : null,
+        policy,
+        requestedBy: String(vote.requestedBy ?? ""),
+        requesterName: String(vote.requesterName ?? ""),
+        expiresAt: Number(vote.expiresAt) || 0,
+        yes,
+        no,
+        eligible: voters.length,
+        needed: votesNeeded(policy, voters.length),
+        votedIds,
+    }
+}
+
+/**
+ * @param {VoteState} state
+ * @returns {VoteOutcome | null}
+ */
+function decide(state) {
+    if (state.yes >= state.needed) return "passed"
+    if (state.eligible - state.no < state.needed) return "rejected"
+    if (Date.now() >= state.expiresAt) return "expired"
+    return null
+}
+
+/**
+ * Latch the outcome so only one caller acts on it.
+ * @param {string} roomId
+ * @param {VoteState} state
+ * @param {VoteOutcome} outcome
+ */
+async function closeVote(roomId, state, outcome) {
+    const won = await redis.hsetnx(roomVoteKey(roomId), "outcome", outcome)
+    return won ? { outcome, state } : null
+}
+
+/**
+ * The open vote, if any. An open vote past its deadline is closed as
+ * "expired" and returned through `closed` so the caller can announce it.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @returns {Promise<{ open: VoteState | null, closed: { outcome: VoteOutcome, state: VoteState } | null }>}
+ */
+export async function getOpenVote(roomId, metaKey) {
+    const vote = /** @type {Record<string, unknown> | null} */ (await redis.hgetall(roomVoteKey(roomId)))
+    // No expiresAt yet means openVote is still writing the vote.
+    if (!vote?.id || vote.outcome || !vote.expiresAt) return { open: null, closed: null }
+    const state = await tallyVote(metaKey, vote)
+    if (Date.now() < state.expiresAt) return { open: state, closed: null }
+    return { open: null, closed: await closeVote(roomId, state, "expired") }
+}
+
+/**
+ * Open a vote with the requester's ballot already cast in favour. Fails with
+ * "busy" while another vote is running; call getOpenVote first so an expired
+ * one is closed out.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @param {{ kind: VoteKind, minutes?: number, policy: VotePolicy, requesterToken: string, requesterName: string }} options
+ * @returns {Promise<{ ok: boolean, reason?: "busy", state?: VoteState, closed?: { outcome: VoteOutcome, state: VoteState } | null }>}
+ */
+export async function openVote(roomId, metaKey, { kind, minutes, policy, requesterToken, requesterName }) {
+    const key = roomVoteKey(roomId)
+    const [currentId, currentOutcome] = await Promise.all([redis.hget(key, "id"), redis.hget(key, "outcome")])
+    if (currentId && !currentOutcome) return { ok: false, reason: "busy" }
+    if (currentId) {
+        const claimed = await redis.set(`vote-replace:${roomId}:${currentId}`, "1", { nx: true, ex: VOTE_KEY_GRACE_SECONDS })
+        if (!claimed) return { ok: false, reason: "busy" }
+        await redis.del(key)
+    }
+
+    const voteId = nanoid(12)
+    if (!(await redis.hsetnx(key, "id", voteId))) return { ok: false, reason: "busy" }
+
+    const now = Date.now()
+    const requestedBy = await roomMemberId(requesterToken)
+    const voterIds = await Promise.all((await listRoomMembers(metaKey)).map((member) => roomMemberId(member.token)))
+    await redis.hset(key, {
+        kind,
+        minutes: minutes ?? 0,
+        policy,
+        requestedBy,
+        requesterName,
+        createdAt: now,
+        expiresAt: now + VOTE_TIMEOUT_MS,
+        ...Object.fromEntries(voterIds.map((memberId) => [`voter:${memberId}`, "1"])),
+        [`ballot:${requestedBy}`]: "yes",
+    })
+    await redis.expire(key, Math.ceil(VOTE_TIMEOUT_MS / 1000) + VOTE_KEY_GRACE_SECONDS)
+
+    const state = await tallyVote(metaKey, /** @type {Record<string, unknown>} */ (await redis.hgetall(key)))
+    const outcome = decide(state)
+    return { ok: true, state, closed: outcome ? await closeVote(roomId, state, outcome) : null }
+}
+
+/**
+ * Record one member's ballot and close the vote once the result is certain.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @param {{ voteId: string, token: string, approve: boolean }} options
+ * @returns {Promise<{ ok: boolean, reason?: "missing" | "ineligible" | "duplicate", state?: VoteState, closed?: { outcome: VoteOutcome, state: VoteState } | null }>}
+ */
+export async function castBallot(roomId, metaKey, { voteId, token, approve }) {
+    const key = roomVoteKey(roomId)
+    const [currentId, outcome, expiresAt] = await Promise.all([
+        redis.hget(key, "id"),
+        redis.hget(key, "outcome"),
+        redis.hget(key, "expiresAt"),
+    ])
+    if (currentId !== voteId || outcome || Date.now() >= Number(expiresAt)) return { ok: false, reason: "missing" }
+
+    const memberId = await roomMemberId(token)
+    if (!(await redis.hexists(key, `voter:${memberId}`))) return { ok: false, reason: "ineligible" }
+    if (!(await redis.hsetnx(key, `ballot:${memberId}`, approve ? "yes" : "no"))) return { ok: false, reason: "duplicate" }
+
+    const state = await tallyVote(metaKey, /** @type {Record<string, unknown>} */ (await redis.hgetall(key)))
+    const decided = decide(state)
+    return { ok: true, state, closed: decided ? await closeVote(roomId, state, decided) : null }
+}
@@ -1,6 +1,10 @@
 const KDF_DEFAULT_ITERATIONS = 100_000
 const ROOM_KEY_BYTES = 32
 const GATEKEEPER_TAG = "redacted:gatekeeper:v1"
+const KEY_AUTH_TAG = "redacted:keys:v2"
+const PAIRWISE_TAG = "redacted:pairwise:v2"
+const CHAIN_MESSAGE_SEED = new Uint8Array([0x01])
+const CHAIN_NEXT_SEED = new Uint8Array([0x02])
 
 const encoder = new TextEncoder()
 const decoder = new TextDecoder()
@@ -8,7 +12,7 @@ const decoder = new TextDecoder()
 /**
  * @param {Uint8Array} bytes
  */
-function bytesToHex(bytes) {
+export function bytesToHex(bytes) {
     return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("")
 }
 
@@ -91,38 +95,179 @@ async function importAesKey(roomKeyHex) {
 }
 
 /**
- * @param {string} roomKeyHex
+ * @param {BufferSource} iv
+ * @param {string} [aadHex]
+ * @returns {AesGcmParams}
+ */
+function gcmParams(iv, aadHex) {
+    if (!aadHex) return { name: "AES-GCM", iv }
+    return { name: "AES-GCM", iv, additionalData: /** @type {BufferSource} */ (hexToBytes(aadHex)) }
+}
+
+/**
+ * AES-GCM encrypt a JSON payload under a hex key or an imported key.
+ * @param {string | CryptoKey} key
  * @param {unknown} payload
- * @param {string} kind
+ * @param {string} [aadHex] authenticated but unencrypted context
  */
-export async function encryptJsonEnvelope(roomKeyHex, payload, kind) {
-    const key = await importAesKey(roomKeyHex)
+export async function sealJson(key, payload, aadHex) {
+    const aesKey = typeof key === "string" ? await importAesKey(key) : key
     const iv = new Uint8Array(12)
     crypto.getRandomValues(iv)
     const plain = encoder.encode(JSON.stringify(payload))
-    const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain)
+    const cipher = await crypto.subtle.encrypt(gcmParams(iv, aadHex), aesKey, plain)
+    return { ivHex: bytesToHex(iv), cipherHex: bytesToHex(new Uint8Array(cipher)) }
+}
+
+/**
+ * @param {string | CryptoKey} key
+ * @param {{ ivHex: string, cipherHex: string }} sealed
+ * @param {string} [aadHex] must match the value used to seal
+ */
+export async function openJson(key, sealed, aadHex) {
+    const aesKey = typeof key === "string" ? await importAesKey(key) : key
+    const plain = await crypto.subtle.decrypt(
+        gcmParams(hexToBytes(sealed.ivHex), aadHex),
+        aesKey,
+        hexToBytes(sealed.cipherHex),
+    )
+    return JSON.parse(decoder.decode(new Uint8Array(plain)))
+}
 
+/**
+ * AAD for a v2 chat envelope. Binds the ciphertext to its room, sender chain,
+ * position in that chain and kind, so it cannot be moved to another room or
+ * replayed under a different counter.
+ * @param {{ roomId: string, senderKeyId: string, counter: number, kind: string }} context
+ */
+export function envelopeAadHex({ roomId, senderKeyId, counter, kind }) {
+    return bytesToHex(encoder.encode(`${roomId}|${senderKeyId}|${counter}|${kind}`))
+}
+
+/**
+ * AAD for a sealed receipt batch, so one device's acknowledgements can't be
+ * replayed as another's or in another room.
+ * @param {string} roomId
+ * @param {string} clientId
+ */
+export function receiptsAadHex(roomId, clientId) {
+    return bytesToHex(encoder.encode(`${roomId}|receipts|${clientId}`))
+}
+
+/**
+ * Static room-key envelope (v1). Kept for reading envelopes cached before
+ * sender keys; new messages use the v2 ratchet in secure-session.js.
+ * @param {string} roomKeyHex
+ * @param {unknown} payload
+ * @param {string} kind
+ */
+export async function encryptJsonEnvelope(roomKeyHex, payload, kind) {
     return {
         v: 1,
         kind,
-        ivHex: bytesToHex(iv),
-        cipherHex: bytesToHex(new Uint8Array(cipher)),
+        ...(await sealJson(roomKeyHex, payload)),
         createdAt: Date.now(),
     }
 }
 
 /**
  * @param {string} roomKeyHex
- * @param {{ ivHex: string, cipherHex: string }} envelope
+ * @param {{ ivHex: string, cipherHex: string, aadHex?: string }} envelope
  */
 export async function decryptJsonEnvelope(roomKeyHex, envelope) {
-    const key = await importAesKey(roomKeyHex)
-    const plain = await crypto.subtle.decrypt(
-        { name: "AES-GCM", iv: hexToBytes(envelope.ivHex) },
-        key,
-        hexToBytes(envelope.cipherHex),
+    return openJson(roomKeyHex, envelope, envelope.aadHex)
+}
+
+/**
+ * @param {BufferSource} keyBytes
+ * @param {BufferSource} data
+ */
+async function hmacSha256(keyBytes, data) {
+    const key = await crypto.subtle.importKey("raw", keyBytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"])
+    return new Uint8Array(await crypto.subtle.sign("HMAC", key, data))
+}
+
+/**
+ * HMAC key that authenticates device key announcements. Derived from the
+ * gatekeeper room key so only people who passed the gate can announce, while
+ * message keys themselves never depend on it.
+ * @param {string} roomKeyHex
+ */
+export async function deriveKeyAuthKey(roomKeyHex) {
+    const bits = await hmacSha256(hexToBytes(roomKeyHex), encoder.encode(KEY_AUTH_TAG))
+    return crypto.subtle.importKey("raw", bits, { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"])
+}
+
+/**
+ * @param {CryptoKey} authKey
+ * @param {string} message
+ */
+export async function signKeyMessage(authKey, message) {
+    return bytesToHex(new Uint8Array(await crypto.subtle.sign("HMAC", authKey, encoder.encode(message))))
+}
+
+/**
+ * Constant-time check via WebCrypto HMAC verify.
+ * @param {CryptoKey} authKey
+ * @param {string} message
+ * @param {string} macHex
+ */
+export async function verifyKeyMessage(authKey, message, macHex) {
+    try {
+        return await crypto.subtle.verify("HMAC", authKey, hexToBytes(macHex), encoder.encode(message))
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Fresh ephemeral P-256 key pair. The private key is non-extractable.
+ */
+export async function generateEcdhKeyPair() {
+    const pair = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, ["deriveBits"])
+    const publicKeyHex = bytesToHex(new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey)))
+    return { privateKey: pair.privateKey, publicKeyHex }
+}
+
+/**
+ * AES-GCM key shared by two devices: ECDH, then HKDF bound to the room and to
+ * both public keys.
+ * @param {CryptoKey} privateKey
+ * @param {string} ownPublicKeyHex
+ * @param {string} peerPublicKeyHex
+ * @param {string} roomId
+ */
+export async function derivePairwiseKey(privateKey, ownPublicKeyHex, peerPublicKeyHex, roomId) {
+    const peerKey = await crypto.subtle.importKey("raw", hexToBytes(peerPublicKeyHex), { name: "ECDH", namedCurve: "P-256" }, false, [])
+    const shared = await crypto.subtle.deriveBits({ name: "ECDH", public: peerKey }, privateKey, 256)
+    const hkdfKey = await crypto.subtle.importKey("raw", shared, "HKDF", false, ["deriveKey"])
+    const [first, second] = [ownPublicKeyHex, peerPublicKeyHex].sort()
+    return crypto.subtle.deriveKey(
+        {
+            name: "HKDF",
+            hash: "SHA-256",
+            salt: new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(roomId))),
+            info: encoder.encode(`${PAIRWISE_TAG}|${first}|${second}`),
+        },
+        hkdfKey,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"],
     )
-    return JSON.parse(decoder.decode(new Uint8Array(plain)))
+}
+
+/**
+ * One step of the sender-key chain: the message key for the current position
+ * and the chain key for the next. Old chain keys cannot be recovered from new ones.
+ * @param {string} chainKeyHex
+ */
+export async function stepSenderChain(chainKeyHex) {
+    const chainKey = hexToBytes(chainKeyHex)
+    const [messageKey, nextChainKey] = await Promise.all([
+        hmacSha256(chainKey, CHAIN_MESSAGE_SEED),
+        hmacSha256(chainKey, CHAIN_NEXT_SEED),
+    ])
+    return { messageKeyHex: bytesToHex(messageKey), nextChainKeyHex: bytesToHex(nextChainKey) }
 }
 
 /**
@@ -0,0 +1,505 @@
+import {
+    decryptJsonEnvelope,
+    deriveKeyAuthKey,
+    derivePairwiseKey,
+    envelopeAadHex,
+    generateEcdhKeyPair,
+    openJson,
+    randomHex,
+    sealJson,
+    signKeyMessage,
+    stepSenderChain,
+    verifyKeyMessage,
+} from "./secure-crypto"
+
+const ENVELOPE_VERSION = 2
+const ROTATE_AFTER_MESSAGES = 100
+const MAX_SKIPPED_KEYS = 256
+const MAX_CHAINS_PER_DEVICE = 3
+const OWN_ECHO_CACHE_MAX = 64
+const ANNOUNCE_MAX_AGE_MS = 10 * 60 * 1000
+const ANNOUNCE_HEARTBEAT_MS = 60_000
+const PEER_TTL_MS = 3 * 60 * 1000
+const SENDER_KEY_WAIT_MS = 5_000
+const GAP_GRACE_MS = 10_000
+
+/**
+ * @typedef {{ v: 2, kind: string, senderKeyId: string, deviceId: string, n: number, ivHex: string, cipherHex: string, aadHex: string, createdAt: number }} EnvelopeV2
+ * @typedef {{ publicKeyHex: string, lastSeen: number, memberId?: string, pairwiseKey?: Promise<CryptoKey> }} Peer
+ * @typedef {{ deviceId: string, chainKeyHex: string, iteration: number, startIteration: number, skipped: Map<number, string>, receivedAt: number }} ReceiveChain
+ * @typedef {"replay" | "gap" | "cross-room" | "unknown-sender" | "tampered" | "unavailable"} EnvelopeRejection
+ * @typedef {{ payload: any, messageKeyHex: string | null }} OpenedEnvelope
+ */
+
+/**
+ * @param {string} messageKeyHex
+ * @param {any} envelope
+ * @param {string} aadHex
+ */
+async function openEnvelope(messageKeyHex, envelope, aadHex) {
+    try {
+        return await openJson(messageKeyHex, envelope, aadHex)
+    } catch {
+        throw new SecureEnvelopeError("tampered", "Envelope failed authentication")
+    }
+}
+
+export class SecureEnvelopeError extends Error {
+    /**
+     * @param {EnvelopeRejection} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message)
+        this.name = "SecureEnvelopeError"
+        this.reason = reason
+    }
+}
+
+/**
+ * Per-tab key state for a secure room.
+ *
+ * Each tab holds an ephemeral P-256 key pair and announces its public key,
+ * signed with a key derived from the gatekeeper room key. Group messages are
+ * encrypted with a per-sender hash ratchet ("sender key") whose chain key is
+ * handed to every peer over a pairwise ECDH channel. Chain keys only move
+ * forward, and both the ECDH pair and the sender key are replaced after
+ * ROTATE_AFTER_MESSAGES messages or when someone leaves, so a leaked room
+ * answer or device state does not expose past or later traffic.
+ *
+ * Flow:
+ *   1. start()            → keys.announce (request: true)
+ *   2. peer announce      → reply once, then keys.sender-key to that peer
+ *   3. encrypt(payload)   → v2 envelope under the next chain message key
+ *   4. decrypt(envelope)  → checks AAD, advances the sender's receive chain
+ *
+ * Envelope AAD binds roomId, senderKeyId, the chain counter and the kind, so a
+ * ciphertext only opens in the room and slot it was sealed for. Each slot
+ * opens once; a reused slot is a replay. Slots skipped by a later message are
+ * kept for GAP_GRACE_MS and reported through onWarning if they never arrive.
+ */
+export class SecureRoomSession {
+    /**
+     * @param {{
+     *   roomId: string,
+     *   roomKeyHex: string,
+     *   emitSignal: (event: string, data: any) => Promise<void> | void,
+     *   onWarning?: (reason: EnvelopeRejection, count: number) => void,
+     * }} opts
+     */
+    constructor({ roomId, roomKeyHex, emitSignal, onWarning }) {
+        this.roomId = roomId
+        this.roomKeyHex = roomKeyHex
+        this.emitSignal = emitSignal
+        this.onWarning = onWarning
+        this.deviceId = randomHex(16)
+        /** @type {{ privateKey: CryptoKey, publicKeyHex: string } | null} */
+        this.ecdh = null
+        /** @type {{ senderKeyId: string, chainKeyHex: string, iteration: number } | null} */
+        this.ownChain = null
+        /** @type {Map<string, Peer>} */
+        this.peers = new Map()
+        /** @type {Map<string, ReceiveChain>} */
+        this.receiveChains = new Map()
+        /** @type {Map<string, OpenedEnvelope>} */
+        this.ownEchoes = new Map()
+        /** @type {Set<string>} */
+        this.retracted = new Set()
+        /** @type {Map<string, Set<() => void>>} */
+        this.keyWaiters = new Map()
+        /** @type {Set<(senderKeyId: string) => void>} */
+        this.senderKeyListeners = new Set()
+        /** @type {CryptoKey | null} */
+        this.authKey = null
+        /** @type {Promise<unknown>} */
+        this.queue = Promise.resolve()
+        this.disposed = false
+        /** @type {ReturnType<typeof setInterval> | null} */
+        this.heartbeat = null
+        /** @type {Set<ReturnType<typeof setTimeout>>} */
+        this.gapTimers = new Set()
+        this.ready = this.start()
+    }
+
+    /**
+     * Run key-state mutations one at a time, in arrival order.
+     * @template T
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    serialize(task) {
+        const run = this.queue.then(task, task)
+        this.queue = run.catch(() => {})
+        return run
+    }
+
+    async start() {
+        this.authKey = await deriveKeyAuthKey(this.roomKeyHex)
+        this.ecdh = await generateEcdhKeyPair()
+        this.ownChain = { senderKeyId: randomHex(16), chainKeyHex: randomHex(32), iteration: 0 }
+        await this.announce(true)
+        if (this.disposed) return
+        this.heartbeat = setInterval(() => void this.announce(false), ANNOUNCE_HEARTBEAT_MS)
+    }
+
+    /** @param {boolean} request ask peers to announce back */
+    async announce(request) {
+        if (this.disposed || !this.ecdh || !this.authKey) return
+        const timestamp = Date.now()
+        const publicKeyHex = this.ecdh.publicKeyHex
+        const macHex = await signKeyMessage(this.authKey, `${this.roomId}|${this.deviceId}|${publicKeyHex}|${timestamp}`)
+        await this.emitSignal("keys.announce", { deviceId: this.deviceId, publicKeyHex, timestamp, request, macHex })
+    }
+
+    /**
+     * @param {string} event
+     * @param {any} data
+     */
+    handleSignal(event, data) {
+        if (this.disposed || !data || typeof data !== "object") return Promise.resolve()
+        if (event === "keys.announce") return this.serialize(() => this.handleAnnounce(data))
+        if (event === "keys.sender-key") return this.serialize(() => this.handleSenderKey(data))
+        return Promise.resolve()
+    }
+
+    /** @param {{ deviceId: string, publicKeyHex: string, timestamp: number, request?: boolean, macHex: string, memberId?: string }} data */
+    async handleAnnounce(data) {
+        await this.ready
+        if (!this.authKey || data.deviceId === this.deviceId) return
+        if (Math.abs(Date.now() - data.timestamp) > ANNOUNCE_MAX_AGE_MS) return
+        const valid = await verifyKeyMessage(this.authKey, `${this.roomId}|${data.deviceId}|${data.publicKeyHex}|${data.timestamp}`, data.macHex)
+        if (!valid) return
+
+        const known = this.peers.get(data.deviceId)
+        if (known && known.publicKeyHex === data.publicKeyHex) {
+            known.lastSeen = Date.now()
+            if (!data.request) return
+        } else {
+            // memberId is stamped by the server relay, outside the MAC.
+            this.peers.set(data.deviceId, { publicKeyHex: data.publicKeyHex, lastSeen: Date.now(), memberId: data.memberId })
+        }
+        if (!known || data.request) await this.announce(false)
+        await this.sendSenderKey(data.deviceId)
+    }
+
+    /** @param {string} deviceId */
+    pairwiseKey(deviceId) {
+        const peer = this.peers.get(deviceId)
+        if (!peer || !this.ecdh) return null
+        if (!peer.pairwiseKey) {
+            peer.pairwiseKey = derivePairwiseKey(this.ecdh.privateKey, this.ecdh.publicKeyHex, peer.publicKeyHex, this.roomId)
+        }
+        return peer.pairwiseKey
+    }
+
+    /** @param {string} deviceId */
+    async sendSenderKey(deviceId) {
+        const key = this.pairwiseKey(deviceId)
+        if (!key || !this.ownChain) return
+        const { senderKeyId, chainKeyHex, iteration } = this.ownChain
+        const sealed = await sealJson(await key, { roomId: this.roomId, from: this.deviceId, to: deviceId, senderKeyId, chainKeyHex, iteration })
+        await this.emitSignal("keys.sender-key", { from: this.deviceId, to: deviceId, senderKeyId, ...sealed })
+    }
+
+    /** @param {{ from: string, to: string, senderKeyId: string, ivHex: string, cipherHex: string }} data */
+    async handleSenderKey(data) {
+        await this.ready
+        if (data.to !== this.deviceId) return
+        const key = this.pairwiseKey(data.from)
+        if (!key) return
+        let secret
+        try {
+            secret = await openJson(await key, data)
+        } catch {
+            return
+        }
+        // The sealed copy must agree with the cleartext routing fields.
+        if (secret?.roomId !== this.roomId || secret.from !== data.from || secret.to !== this.deviceId || secret.senderKeyId !== data.senderKeyId) return
+        if (this.receiveChains.has(data.senderKeyId)) return
+
+        this.receiveChains.set(data.senderKeyId, {
+            deviceId: data.from,
+            chainKeyHex: secret.chainKeyHex,
+            iteration: secret.iteration,
+            startIteration: secret.iteration,
+            skipped: new Map(),
+            receivedAt: Date.now(),
+        })
+        this.pruneReceiveChains(data.from)
+        this.keyWaiters.get(data.senderKeyId)?.forEach((wake) => wake())
+        this.keyWaiters.delete(data.senderKeyId)
+        this.senderKeyListeners.forEach((listener) => listener(data.senderKeyId))
+    }
+
+    /**
+     * Hear about every sender key handed to us, including ones that arrive
+     * after decrypt() gave up waiting for them.
+     * @param {(senderKeyId: string) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    onSenderKey(listener) {
+        this.senderKeyListeners.add(listener)
+        return () => {
+            this.senderKeyListeners.delete(listener)
+        }
+    }
+
+    /** @param {string} deviceId keep only the newest chains for a device */
+    pruneReceiveChains(deviceId) {
+        const chains = [...this.receiveChains].filter(([, chain]) => chain.deviceId === deviceId)
+        chains.sort(([, a], [, b]) => b.receivedAt - a.receivedAt)
+        for (const [senderKeyId] of chains.slice(MAX_CHAINS_PER_DEVICE)) this.receiveChains.delete(senderKeyId)
+    }
+
+    /**
+     * Replace the ECDH pair and sender key, then hand the new key to live peers.
+     * Peers not heard from within PEER_TTL_MS are dropped and get nothing.
+     */
+    rotate() {
+        return this.serialize(async () => {
+            await this.ready
+            if (this.disposed) return
+            this.ecdh = await generateEcdhKeyPair()
+            this.ownChain = { senderKeyId: randomHex(16), chainKeyHex: randomHex(32), iteration: 0 }
+            const cutoff = Date.now() - PEER_TTL_MS
+            for (const [deviceId, peer] of this.peers) {
+                if (peer.lastSeen < cutoff) this.peers.delete(deviceId)
+                else delete peer.pairwiseKey
+            }
+            await this.announce(false)
+            await Promise.all([...this.peers.keys()].map((deviceId) => this.sendSenderKey(deviceId)))
+        })
+    }
+
+    /**
+     * Forget every device of a member the creator removed, then rotate so the
+     * removed devices never receive the new sender key. Their existing receive
+     * chains stay so messages they sent before removal still open.
+     * @param {string} memberId
+     */
+    removeMember(memberId) {
+        for (const [deviceId, peer] of this.peers) {
+            if (peer.memberId === memberId) this.peers.delete(deviceId)
+        }
+        return this.rotate()
+    }
+
+    /**
+     * @param {unknown} payload
+     * @param {string} kind
+     * @returns {Promise<EnvelopeV2>}
+     */
+    encrypt(payload, kind) {
+        return this.serialize(async () => {
+            await this.ready
+            const chain = this.ownChain
+            if (!chain) throw new Error("Secure session is not ready")
+            const n = chain.iteration
+            const { messageKeyHex, nextChainKeyHex } = await stepSenderChain(chain.chainKeyHex)
+            chain.chainKeyHex = nextChainKeyHex
+            chain.iteration += 1
+
+            const aadHex = envelopeAadHex({ roomId: this.roomId, senderKeyId: chain.senderKeyId, counter: n, kind })
+            const envelope = /** @type {EnvelopeV2} */ ({
+                v: ENVELOPE_VERSION,
+                kind,
+                senderKeyId: chain.senderKeyId,
+                deviceId: this.deviceId,
+                n,
+                ...(await sealJson(messageKeyHex, payload, aadHex)),
+                aadHex,
+                createdAt: Date.now(),
+            })
+            this.rememberEcho(`${chain.senderKeyId}:${n}`, { payload, messageKeyHex })
+            if (chain.iteration >= ROTATE_AFTER_MESSAGES) void this.rotate()
+            return envelope
+        })
+    }
+
+    /**
+     * Our own chain has already moved past sent messages, so keep their
+     * plaintext and message key briefly to render the realtime echo.
+     * @param {string} slot
+     * @param {OpenedEnvelope} opened
+     */
+    rememberEcho(slot, opened) {
+        this.ownEchoes.set(slot, opened)
+        if (this.ownEchoes.size > OWN_ECHO_CACHE_MAX) {
+            const oldest = this.ownEchoes.keys().next().value
+            if (oldest !== undefined) this.ownEchoes.delete(oldest)
+        }
+    }
+
+    /**
+     * @param {string} senderKeyId
+     */
+    waitForSenderKey(senderKeyId) {
+        if (this.receiveChains.has(senderKeyId)) return Promise.resolve()
+        return new Promise((resolve) => {
+            const waiters = this.keyWaiters.get(senderKeyId) ?? new Set()
+            const done = () => {
+                clearTimeout(timer)
+                waiters.delete(done)
+                resolve(undefined)
+            }
+            const timer = setTimeout(done, SENDER_KEY_WAIT_MS)
+            waiters.add(done)
+            this.keyWaiters.set(senderKeyId, waiters)
+        })
+    }
+
+    /**
+     * Decrypt a v2 envelope (or a legacy v1 one with the room key).
+     * Throws SecureEnvelopeError when the envelope fails a binding check.
+     * The v2 message key comes back too: the chain has moved past it, so it is
+     * the only way to open this envelope again (see reopen).
+     * @param {any} envelope
+     * @returns {Promise<OpenedEnvelope>}
+     */
+    async decrypt(envelope) {
+        if (envelope?.v === 1) return { payload: await decryptJsonEnvelope(this.roomKeyHex, envelope), messageKeyHex: null }
+        const aadHex = this.bindingAad(envelope)
+
+        if (envelope.deviceId === this.deviceId) {
+            const echoSlot = `${envelope.senderKeyId}:${envelope.n}`
+            const echo = this.ownEchoes.get(echoSlot)
+            if (!echo) throw new SecureEnvelopeError("replay", "Own message was delivered twice")
+            this.ownEchoes.delete(echoSlot)
+            return echo
+        }
+
+        await this.waitForSenderKey(envelope.senderKeyId)
+        const messageKeyHex = await this.serialize(() => this.takeMessageKey(envelope))
+        return { payload: await openEnvelope(messageKeyHex, envelope, aadHex), messageKeyHex }
+    }
+
+    /**
+     * Open an envelope again with the message key decrypt() returned for it.
+     * Leaves the receive chains alone.
+     * @param {any} envelope
+     * @param {string} messageKeyHex
+     */
+    reopen(envelope, messageKeyHex) {
+        return openEnvelope(messageKeyHex, envelope, this.bindingAad(envelope))
+    }
+
+    /**
+     * The message key of an envelope we sealed, while its echo is still held.
+     * @param {any} envelope
+     */
+    ownMessageKey(envelope) {
+        if (envelope?.deviceId !== this.deviceId) return null
+        return this.ownEchoes.get(`${envelope.senderKeyId}:${envelope.n}`)?.messageKeyHex ?? null
+    }
+
+    /**
+     * Rebuild the AAD from our own room id rather than trusting the copy on
+     * the wire; a mismatch means the envelope was sealed elsewhere.
+     * @param {any} envelope
+     */
+    bindingAad(envelope) {
+        if (envelope?.v !== ENVELOPE_VERSION) throw new Error("Unsupported envelope version")
+        const aadHex = envelopeAadHex({ roomId: this.roomId, senderKeyId: envelope.senderKeyId, counter: envelope.n, kind: envelope.kind })
+        if (envelope.aadHex !== aadHex) {
+            throw new SecureEnvelopeError("cross-room", "Envelope is bound to a different room or slot")
+        }
+        return aadHex
+    }
+
+    /**
+     * Advance the receive chain to envelope.n, remembering skipped keys for
+     * out-of-order delivery. Each message key is handed out once.
+     * @param {EnvelopeV2} envelope
+     */
+    async takeMessageKey(envelope) {
+        const chain = this.receiveChains.get(envelope.senderKeyId)
+        if (!chain || chain.deviceId !== envelope.deviceId) {
+            throw new SecureEnvelopeError("unknown-sender", "Unknown sender key")
+        }
+
+        // Backfilled history from before the chain was handed to us is
+        // unreadable by design, not a replay.
+        if (envelope.n < chain.startIteration) {
+            throw new SecureEnvelopeError("unavailable", "Message predates our copy of the sender key")
+        }
+        if (envelope.n < chain.iteration) {
+            const skipped = chain.skipped.get(envelope.n)
+            if (!skipped) throw new SecureEnvelopeError("replay", "Message key already used")
+            chain.skipped.delete(envelope.n)
+            return skipped
+        }
+        if (envelope.n - chain.iteration > MAX_SKIPPED_KEYS) {
+            throw new SecureEnvelopeError("gap", "Too many skipped messages")
+        }
+
+        if (envelope.n > chain.iteration) this.watchGap(chain, chain.iteration, envelope.n)
+        while (chain.iteration < envelope.n) {
+            const step = await stepSenderChain(chain.chainKeyHex)
+            if (!this.retracted.has(`${envelope.senderKeyId}:${chain.iteration}`)) {
+                chain.skipped.set(chain.iteration, step.messageKeyHex)
+            }
+            chain.chainKeyHex = step.nextChainKeyHex
+            chain.iteration += 1
+        }
+        while (chain.skipped.size > MAX_SKIPPED_KEYS) {
+            const oldest = chain.skipped.keys().next().value
+            if (oldest === undefined) break
+            chain.skipped.delete(oldest)
+        }
+        const step = await stepSenderChain(chain.chainKeyHex)
+        chain.chainKeyHex = step.nextChainKeyHex
+        chain.iteration += 1
+        return step.messageKeyHex
+    }
+
+    /**
+     * Drop the keys for slots whose messages were unsent, so the hole they
+     * leave in a chain is not reported as a gap. Slots we have not reached
+     * yet are skipped without keeping a key.
+     * @param {Array<{ senderKeyId: string, n: number }>} slots
+     */
+    retract(slots) {
+        return this.serialize(async () => {
+            for (const { senderKeyId, n } of slots) {
+                this.retracted.add(`${senderKeyId}:${n}`)
+                this.receiveChains.get(senderKeyId)?.skipped.delete(n)
+            }
+        })
+    }
+
+    /**
+     * Give late messages a moment to fill [from, to) before reporting a gap.
+     * @param {ReceiveChain} chain
+     * @param {number} from
+     * @param {number} to
+     */
+    watchGap(chain, from, to) {
+        const timer = setTimeout(() => {
+            this.gapTimers.delete(timer)
+            if (this.disposed) return
+            let missing = 0
+            for (let n = from; n < to; n++) {
+                if (chain.skipped.has(n)) missing++
+            }
+            if (missing > 0) this.onWarning?.("gap", missing)
+        }, GAP_GRACE_MS)
+        this.gapTimers.add(timer)
+    }
+
+    dispose() {
+        this.disposed = true
+        if (this.heartbeat) clearInterval(this.heartbeat)
+        this.heartbeat = null
+        this.gapTimers.forEach((timer) => clearTimeout(timer))
+        this.gapTimers.clear()
+        this.ecdh = null
+        this.ownChain = null
+        this.authKey = null
+        this.peers.clear()
+        this.receiveChains.clear()
+        this.ownEchoes.clear()
+        this.keyWaiters.forEach((waiters) => waiters.forEach((wake) => wake()))
+        this.keyWaiters.clear()
+        this.senderKeyListeners.clear()
+    }
+}
@@ -0,0 +1,57 @@
+import { redis } from "./redis"
+
+// Clients tag each send with an id of their own and reuse it on retries.
+// The first request claims `send:<roomId>:<memberId>:<clientMessageId>` with
+// SET NX, then overwrites the claim with what it stored:
+//   "pending"                       -> the first request is still storing it
+//   { id, timestamp }               -> the message it became
+// A retry that finds a result answers with it instead of storing a copy.
+// The claim only lives long enough for one store; if that request dies, the
+// id frees up again shortly. Settling keeps the result for a day.
+
+const SEND_KEY_TTL_SECONDS = 24 * 60 * 60
+const PENDING_TTL_SECONDS = 30
+const PENDING = "pending"
+
+/** @typedef {{ id: string, timestamp: number }} SendResult */
+
+/**
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} clientMessageId
+ */
+const sendKey = (roomId, memberId, clientMessageId) => `send:${roomId}:${memberId}:${clientMessageId}`
+
+/**
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} clientMessageId
+ * @returns {Promise<{ claimed: boolean, result: SendResult | null }>} an unclaimed
+ *   send has no result while the first request is still in flight
+ */
+export async function claimSend(roomId, memberId, clientMessageId) {
+    const key = sendKey(roomId, memberId, clientMessageId)
+    if (await redis.set(key, PENDING, { nx: true, ex: PENDING_TTL_SECONDS })) return { claimed: true, result: null }
+    const stored = /** @type {any} */ (await redis.get(key))
+    return { claimed: false, result: typeof stored?.id === "string" ? stored : null }
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} clientMessageId
+ * @param {SendResult} result
+ */
+export async function settleSend(roomId, memberId, clientMessageId, result) {
+    await redis.set(sendKey(roomId, memberId, clientMessageId), result, { ex: SEND_KEY_TTL_SECONDS })
+}
+
+/**
+ * Give the id back after a failed store so the next retry can try again.
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} clientMessageId
+ */
+export async function releaseSend(roomId, memberId, clientMessageId) {
+    await redis.del(sendKey(roomId, memberId, clientMessageId))
+}
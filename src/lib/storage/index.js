@@ -0,0 +1,53 @@
+import { Redis } from "@upstash/redis"
+import { MemoryStorage } from "./memory"
+import { TcpStorage } from "./tcp"
+
+const ENV = /** @type {Record<string, string | undefined>} */ ((/** @type {any} */ (globalThis)).process?.env ?? {})
+const STORAGE_DRIVERS = /** @type {const} */ (["upstash", "redis", "memory"])
+
+/** @typedef {typeof STORAGE_DRIVERS[number]} StorageDriver */
+
+/**
+ * Pick the driver from STORAGE_DRIVER, falling back to whichever backend has
+ * credentials configured, and finally to in-memory storage.
+ * @returns {StorageDriver}
+ */
+export function resolveStorageDriver() {
+    const requested = ENV.STORAGE_DRIVER?.trim().toLowerCase()
+    if (requested) {
+        if (!STORAGE_DRIVERS.includes(/** @type {StorageDriver} */ (requested))) {
+            throw new Error(`Unknown STORAGE_DRIVER "${requested}". Expected one of: ${STORAGE_DRIVERS.join(", ")}`)
+        }
+        return /** @type {StorageDriver} */ (requested)
+    }
+    if (ENV.UPSTASH_REDIS_REST_URL && ENV.UPSTASH_REDIS_REST_TOKEN) return "upstash"
+    if (ENV.REDIS_URL) return "redis"
+    return "memory"
+}
+
+/**
+ * @param {StorageDriver} driver
+ * @returns {any}
+ */
+function createStorage(driver) {
+    if (driver === "upstash") return Redis.fromEnv()
+    if (driver === "redis") return new TcpStorage(ENV.REDIS_URL || "redis://127.0.0.1:6379")
+    return new MemoryStorage()
+}
+
+// The proxy and API bundles are evaluated separately (and re-evaluated on dev
+// reloads), so keep one instance per process. This matters most for the
+// in-memory driver, where a second instance would be a second database.
+const globalStorage = /** @type {{ __cypherStorage?: { driver: StorageDriver, client: any } }} */ (globalThis)
+const driver = resolveStorageDriver()
+if (!globalStorage.__cypherStorage || globalStorage.__cypherStorage.driver !== driver) {
+    globalStorage.__cypherStorage = { driver, client: createStorage(driver) }
+}
+
+/**
+ * Key/value store used by the API, auth store, proxy and realtime layer.
+ * Exposes the @upstash/redis call signatures regardless of driver.
+ * @type {import("@upstash/redis").Redis}
+ */
+export const storage = globalStorage.__cypherStorage.client
+export const storageDriver = driver
@@ -0,0 +1,640 @@
+import { compareStreamIds, createPipeline, deserialize, deserializeHash, serialize, StorageSubscriber } from "./shared"
+
+const SWEEP_INTERVAL_MS = 60_000
+const WRONG_TYPE = "WRONGTYPE Operation against a key holding the wrong kind of value"
+
+/**
+ * @typedef {{ type: "string", value: string }
+ *   | { type: "hash", value: Map<string, string> }
+ *   | { type: "list", value: string[] }
+ *   | { type: "set", value: Set<string> }
+ *   | { type: "zset", value: Map<string, number> }
+ *   | { type: "stream", value: { entries: { id: string, fields: string[] }[], lastId: string } }} Entry
+ */
+
+/**
+ * @param {string | number} bound
+ * @returns {{ value: number, exclusive: boolean }}
+ */
+function parseScoreBound(bound) {
+    const raw = String(bound)
+    const exclusive = raw.startsWith("(")
+    const text = exclusive ? raw.slice(1) : raw
+    if (text === "-inf") return { value: -Infinity, exclusive }
+    if (text === "+inf" || text === "inf") return { value: Infinity, exclusive }
+    return { value: Number(text), exclusive }
+}
+
+/**
+ * @param {number} score
+ * @param {{ value: number, exclusive: boolean }} min
+ * @param {{ value: number, exclusive: boolean }} max
+ */
+function scoreInRange(score, min, max) {
+    const aboveMin = min.exclusive ? score > min.value : score >= min.value
+    const belowMax = max.exclusive ? score < max.value : score <= max.value
+    return aboveMin && belowMax
+}
+
+/**
+ * Resolve a stream range bound. Incomplete ids ("1700000000000") expand to the
+ * first or last sequence of that millisecond, as Redis does.
+ * @param {string} bound
+ * @param {"start" | "end"} side
+ */
+function parseStreamBound(bound, side) {
+    const raw = String(bound)
+    if (raw === "-") return { id: "0-0", exclusive: false }
+    if (raw === "+") return { id: `${Number.MAX_SAFE_INTEGER}-${Number.MAX_SAFE_INTEGER}`, exclusive: false }
+    const exclusive = raw.startsWith("(")
+    const text = exclusive ? raw.slice(1) : raw
+    const id = text.includes("-") ? text : `${text}-${side === "start" ? 0 : Number.MAX_SAFE_INTEGER}`
+    return { id, exclusive }
+}
+
+/**
+ * @param {number} start
+ * @param {number} stop
+ * @param {number} length
+ */
+function normalizeRange(start, stop, length) {
+    const from = Math.max(start < 0 ? length + start : start, 0)
+    const to = Math.min(stop < 0 ? length + stop : stop, length - 1)
+    return [from, to]
+}
+
+/**
+ * In-process storage with Redis semantics. Data lives only as long as the
+ * Node process, which is what local development and tests want.
+ */
+export class MemoryStorage {
+    constructor() {
+        /** @type {Map<string, Entry>} */
+        this.data = new Map()
+        /** @type {Map<string, number>} */
+        this.expiries = new Map()
+        /** @type {Set<StorageSubscriber>} */
+        this.subscribers = new Set()
+        const sweep = /** @type {any} */ (setInterval(() => this.sweep(), SWEEP_INTERVAL_MS))
+        sweep.unref?.()
+    }
+
+    sweep() {
+        const now = Date.now()
+        for (const [key, expiresAt] of this.expiries) {
+            if (expiresAt <= now) this.remove(key)
+        }
+    }
+
+    /** @param {string} key */
+    remove(key) {
+        this.expiries.delete(key)
+        return this.data.delete(key)
+    }
+
+    /**
+     * Fetch a live entry, dropping it first if its TTL has passed.
+     * @param {string} key
+     * @returns {Entry | undefined}
+     */
+    entry(key) {
+        const expiresAt = this.expiries.get(key)
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.remove(key)
+            return undefined
+        }
+        return this.data.get(key)
+    }
+
+    /**
+     * Fetch an entry of a given type, creating it when `create` is set.
+     * @template {Entry["type"]} T
+     * @param {string} key
+     * @param {T} type
+     * @param {boolean} [create]
+     * @returns {Extract<Entry, { type: T }>["value"] | undefined}
+     */
+    typed(key, type, create = false) {
+        const current = this.entry(key)
+        if (current) {
+            if (current.type !== type) throw new Error(WRONG_TYPE)
+            return /** @type {any} */ (current.value)
+        }
+        if (!create) return undefined
+        /** @type {any} */
+        let value
+        if (type === "string") value = ""
+        else if (type === "hash" || type === "zset") value = new Map()
+        else if (type === "list") value = []
+        else if (type === "set") value = new Set()
+        else value = { entries: [], lastId: "0-0" }
+        this.data.set(key, /** @type {Entry} */ ({ type, value }))
+        return value
+    }
+
+    /**
+     * Drop empty containers, mirroring Redis deleting keys with no members.
+     * @param {string} key
+     * @param {{ size?: number, length?: number }} value
+     */
+    pruneEmpty(key, value) {
+        if ((value.size ?? value.length) === 0) this.remove(key)
+    }
+
+    // Keys
+
+    /** @param {string} key */
+    async get(key) {
+        const value = this.typed(key, "string")
+        return value === undefined ? null : deserialize(value)
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} value
+     * @param {{ ex?: number, px?: number, nx?: boolean, xx?: boolean, keepTtl?: boolean, get?: boolean }} [opts]
+     */
+    async set(key, value, opts = {}) {
+        const current = this.entry(key)
+        if (opts.nx && current) return null
+        if (opts.xx && !current) return null
+        const previous = current?.type === "string" ? deserialize(current.value) : null
+        this.data.set(key, { type: "string", value: serialize(value) })
+        if (opts.ex) this.expiries.set(key, Date.now() + opts.ex * 1000)
+        else if (opts.px) this.expiries.set(key, Date.now() + opts.px)
+        else if (!opts.keepTtl) this.expiries.delete(key)
+        return opts.get ? previous : "OK"
+    }
+
+    /** @param {string} key */
+    async incr(key) {
+        return this.incrby(key, 1)
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} increment
+     */
+    async incrby(key, increment) {
+        const current = Number(this.typed(key, "string") ?? 0)
+        if (!Number.isInteger(current)) throw new Error("ERR value is not an integer or out of range")
+        const next = current + increment
+        const entry = this.entry(key)
+        if (entry) entry.value = String(next)
+        else this.data.set(key, { type: "string", value: String(next) })
+        return next
+    }
+
+    /** @param {string[]} keys */
+    async del(...keys) {
+        let removed = 0
+        for (const key of keys) {
+            if (this.entry(key) && this.remove(key)) removed += 1
+        }
+        return removed
+    }
+
+    /** @param {string[]} keys */
+    async exists(...keys) {
+        return keys.filter((key) => this.entry(key) !== undefined).length
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} seconds
+     */
+    async expire(key, seconds) {
+        if (!this.entry(key)) return 0
+        if (seconds <= 0) {
+            this.remove(key)
+            return 1
+        }
+        this.expiries.set(key, Date.now() + seconds * 1000)
+        return 1
+    }
+
+    /** @param {string} key */
+    async persist(key) {
+        if (!this.entry(key)) return 0
+        return this.expiries.delete(key) ? 1 : 0
+    }
+
+    /** @param {string} key */
+    async ttl(key) {
+        if (!this.entry(key)) return -2
+        const expiresAt = this.expiries.get(key)
+        if (expiresAt === undefined) return -1
+        return Math.max(Math.round((expiresAt - Date.now()) / 1000), 0)
+    }
+
+    // Hashes
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     */
+    async hget(key, field) {
+        const value = this.typed(key, "hash")?.get(field)
+        return value === undefined ? null : deserialize(value)
+    }
+
+    /** @param {string} key */
+    async hgetall(key) {
+        const hash = this.typed(key, "hash")
+        if (!hash) return null
+        return deserializeHash([...hash].flat())
+    }
+
+    /**
+     * @param {string} key
+     * @param {Record<string, unknown>} fields
+     */
+    async hset(key, fields) {
+        const hash = /** @type {Map<string, string>} */ (this.typed(key, "hash", true))
+        let added = 0
+        for (const [field, value] of Object.entries(fields)) {
+            if (!hash.has(field)) added += 1
+            hash.set(field, serialize(value))
+        }
+        return added
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     * @param {unknown} value
+     */
+    async hsetnx(key, field, value) {
+        const hash = /** @type {Map<string, string>} */ (this.typed(key, "hash", true))
+        if (hash.has(field)) return 0
+        hash.set(field, serialize(value))
+        return 1
+    }
+
+    /**
+     * @param {string} key
+     * @param {string[]} fields
+     */
+    async hdel(key, ...fields) {
+        const hash = this.typed(key, "hash")
+        if (!hash) return 0
+        const removed = fields.filter((field) => hash.delete(field)).length
+        this.pruneEmpty(key, hash)
+        return removed
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     */
+    async hexists(key, field) {
+        return this.typed(key, "hash")?.has(field) ? 1 : 0
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     * @param {number} increment
+     */
+    async hincrby(key, field, increment) {
+        const hash = /** @type {Map<string, string>} */ (this.typed(key, "hash", true))
+        const next = Number(hash.get(field) ?? 0) + increment
+        hash.set(field, String(next))
+        return next
+    }
+
+    // Lists
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} values
+     */
+    async rpush(key, ...values) {
+        const list = /** @type {string[]} */ (this.typed(key, "list", true))
+        list.push(...values.map(serialize))
+        return list.length
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} values
+     */
+    async lpush(key, ...values) {
+        const list = /** @type {string[]} */ (this.typed(key, "list", true))
+        for (const value of values) list.unshift(serialize(value))
+        return list.length
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} start
+     * @param {number} stop
+     */
+    async lrange(key, start, stop) {
+        const list = this.typed(key, "list") ?? []
+        const [from, to] = normalizeRange(start, stop, list.length)
+        return list.slice(from, to + 1).map(deserialize)
+    }
+
+    /** @param {string} key */
+    async llen(key) {
+        return this.typed(key, "list")?.length ?? 0
+    }
+
+    /**
+     * Remove `count` occurrences of value (0 = all, negative = from the tail).
+     * @param {string} key
+     * @param {number} count
+     * @param {unknown} value
+     */
+    async lrem(key, count, value) {
+        const list = this.typed(key, "list")
+        if (!list) return 0
+        const target = serialize(value)
+        const limit = count === 0 ? Infinity : Math.abs(count)
+        let removed = 0
+        if (count >= 0) {
+            for (let i = 0; i < list.length && removed < limit;) {
+                if (list[i] === target) { list.splice(i, 1); removed += 1 } else i += 1
+            }
+        } else {
+            for (let i = list.length - 1; i >= 0 && removed < limit; i -= 1) {
+                if (list[i] === target) { list.splice(i, 1); removed += 1 }
+            }
+        }
+        this.pruneEmpty(key, list)
+        return removed
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} start
+     * @param {number} stop
+     */
+    async ltrim(key, start, stop) {
+        const list = this.typed(key, "list")
+        if (!list) return "OK"
+        const [from, to] = normalizeRange(start, stop, list.length)
+        list.splice(0, list.length, ...list.slice(from, to + 1))
+        this.pruneEmpty(key, list)
+        return "OK"
+    }
+
+    // Sets
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async sadd(key, ...members) {
+        const set = /** @type {Set<string>} */ (this.typed(key, "set", true))
+        let added = 0
+        for (const member of members.map(serialize)) {
+            if (!set.has(member)) { set.add(member); added += 1 }
+        }
+        return added
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async srem(key, ...members) {
+        const set = this.typed(key, "set")
+        if (!set) return 0
+        const removed = members.map(serialize).filter((member) => set.delete(member)).length
+        this.pruneEmpty(key, set)
+        return removed
+    }
+
+    /** @param {string} key */
+    async smembers(key) {
+        return [...(this.typed(key, "set") ?? [])].map(deserialize)
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} member
+     */
+    async sismember(key, member) {
+        return this.typed(key, "set")?.has(serialize(member)) ? 1 : 0
+    }
+
+    /** @param {string} key */
+    async scard(key) {
+        return this.typed(key, "set")?.size ?? 0
+    }
+
+    // Sorted sets
+
+    /**
+     * Upstash signature: `zadd(key, [opts], ...{ score, member })`.
+     * @param {string} key
+     * @param {any[]} args
+     */
+    async zadd(key, ...args) {
+        const opts = args[0] && !("score" in args[0]) ? args.shift() : {}
+        const zset = /** @type {Map<string, number>} */ (this.typed(key, "zset", true))
+        let changed = 0
+        for (const { score, member } of args) {
+            const name = serialize(member)
+            const current = zset.get(name)
+            if (opts.nx && current !== undefined) continue
+            if (opts.xx && current === undefined) continue
+            const next = opts.incr ? (current ?? 0) + score : score
+            if (opts.gt && current !== undefined && next <= current) continue
+            if (opts.lt && current !== undefined && next >= current) continue
+            if (opts.incr) {
+                zset.set(name, next)
+                return next
+            }
+            if (current === undefined || (opts.ch && current !== next)) changed += 1
+            zset.set(name, next)
+        }
+        this.pruneEmpty(key, zset)
+        return changed
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async zrem(key, ...members) {
+        const zset = this.typed(key, "zset")
+        if (!zset) return 0
+        const removed = members.map(serialize).filter((member) => zset.delete(member)).length
+        this.pruneEmpty(key, zset)
+        return removed
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} member
+     */
+    async zscore(key, member) {
+        const score = this.typed(key, "zset")?.get(serialize(member))
+        return score === undefined ? null : score
+    }
+
+    /** @param {string} key */
+    async zcard(key) {
+        return this.typed(key, "zset")?.size ?? 0
+    }
+
+    /**
+     * @param {string} key
+     * @param {number | string} min
+     * @param {number | string} max
+     * @param {{ rev?: boolean, byScore?: boolean, offset?: number, count?: number, withScores?: boolean }} [opts]
+     */
+    async zrange(key, min, max, opts = {}) {
+        const zset = this.typed(key, "zset")
+        if (!zset) return []
+        let ordered = [...zset].sort(([aMember, aScore], [bMember, bScore]) => (aScore - bScore) || (aMember < bMember ? -1 : aMember > bMember ? 1 : 0))
+        if (opts.rev) ordered.reverse()
+        if (opts.byScore) {
+            const low = parseScoreBound(opts.rev ? max : min)
+            const high = parseScoreBound(opts.rev ? min : max)
+            ordered = ordered.filter(([, score]) => scoreInRange(score, low, high))
+        } else {
+            const [from, to] = normalizeRange(Number(min), Number(max), ordered.length)
+            ordered = ordered.slice(from, to + 1)
+        }
+        if (opts.offset !== undefined && opts.count !== undefined) {
+            ordered = ordered.slice(opts.offset, opts.count < 0 ? undefined : opts.offset + opts.count)
+        }
+        return opts.withScores
+            ? ordered.flatMap(([member, score]) => [deserialize(member), score])
+            : ordered.map(([member]) => deserialize(member))
+    }
+
+    /**
+     * @param {string} key
+     * @param {number | string} min
+     * @param {number | string} max
+     */
+    async zremrangebyscore(key, min, max) {
+        const zset = this.typed(key, "zset")
+        if (!zset) return 0
+        const low = parseScoreBound(min)
+        const high = parseScoreBound(max)
+        let removed = 0
+        for (const [member, score] of zset) {
+            if (scoreInRange(score, low, high)) { zset.delete(member); removed += 1 }
+        }
+        this.pruneEmpty(key, zset)
+        return removed
+    }
+
+    // Streams
+
+    /**
+     * @param {string} key
+     * @param {string} id
+     * @param {Record<string, unknown>} fields
+     * @param {{ trim?: { type: string, threshold: number, comparison?: string } }} [opts]
+     */
+    async xadd(key, id, fields, opts = {}) {
+        const stream = /** @type {Extract<Entry, { type: "stream" }>["value"]} */ (this.typed(key, "stream", true))
+        const [lastMs, lastSeq] = stream.lastId.split("-").map(Number)
+        let nextId = id
+        if (id === "*") {
+            const now = Date.now()
+            nextId = now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`
+        } else if (compareStreamIds(id, stream.lastId) <= 0) {
+            throw new Error("ERR The ID specified in XADD is equal or smaller than the target stream top item")
+        }
+        stream.entries.push({ id: nextId, fields: Object.entries(fields).flatMap(([field, value]) => [field, serialize(value)]) })
+        stream.lastId = nextId
+        if (opts.trim) {
+            const { type, threshold } = opts.trim
+            if (type.toUpperCase() === "MAXLEN" && stream.entries.length > threshold) {
+                stream.entries.splice(0, stream.entries.length - threshold)
+            } else if (type.toUpperCase() === "MINID") {
+                stream.entries = stream.entries.filter((entry) => compareStreamIds(entry.id, String(threshold)) >= 0)
+            }
+        }
+        return nextId
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} start
+     * @param {string} end
+     * @param {number} [count]
+     */
+    async xrange(key, start, end, count) {
+        const stream = this.typed(key, "stream")
+        const low = parseStreamBound(start, "start")
+        const high = parseStreamBound(end, "end")
+        const matches = (stream?.entries ?? []).filter(({ id }) => {
+            const fromLow = compareStreamIds(id, low.id)
+            const fromHigh = compareStreamIds(id, high.id)
+            return (low.exclusive ? fromLow > 0 : fromLow >= 0) && (high.exclusive ? fromHigh < 0 : fromHigh <= 0)
+        })
+        return Object.fromEntries(
+            (typeof count === "number" ? matches.slice(0, count) : matches)
+                .map(({ id, fields }) => [id, deserializeHash(fields) ?? {}])
+        )
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} end
+     * @param {string} start
+     * @param {number} [count]
+     */
+    async xrevrange(key, end, start, count) {
+        const ascending = Object.entries(await this.xrange(key, start, end)).reverse()
+        return Object.fromEntries(typeof count === "number" ? ascending.slice(0, count) : ascending)
+    }
+
+    /** @param {string} key */
+    async xlen(key) {
+        return this.typed(key, "stream")?.entries.length ?? 0
+    }
+
+    /**
+     * @param {string} key
+     * @param {string[]} ids
+     */
+    async xdel(key, ...ids) {
+        const stream = this.typed(key, "stream")
+        if (!stream) return 0
+        const before = stream.entries.length
+        stream.entries = stream.entries.filter((entry) => !ids.includes(entry.id))
+        return before - stream.entries.length
+    }
+
+    // Pub/sub
+
+    /**
+     * @param {string} channel
+     * @param {unknown} message
+     */
+    async publish(channel, message) {
+        const raw = serialize(message)
+        let receivers = 0
+        for (const subscriber of this.subscribers) {
+            if (!subscriber.channels.has(channel)) continue
+            receivers += 1
+            queueMicrotask(() => subscriber.deliver(channel, raw))
+        }
+        return receivers
+    }
+
+    /** @param {string | string[]} channels */
+    subscribe(channels) {
+        const list = Array.isArray(channels) ? channels : [channels]
+        const subscriber = new StorageSubscriber(list, async (sub) => {
+            if (sub.channels.size === 0) this.subscribers.delete(sub)
+        })
+        this.subscribers.add(subscriber)
+        setTimeout(() => list.forEach((_, i) => subscriber.dispatch("subscribe", i + 1)), 0)
+        return subscriber
+    }
+
+    pipeline() {
+        return createPipeline(this)
+    }
+}
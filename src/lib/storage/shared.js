@@ -0,0 +1,167 @@
+// Pieces shared by every storage adapter. Values are stored as strings and
+// decoded the same way @upstash/redis does, so call sites behave identically
+// whichever backend is selected.
+
+/**
+ * Encode a value for storage. Objects are JSON-encoded, scalars stringified.
+ * @param {unknown} value
+ */
+export function serialize(value) {
+    switch (typeof value) {
+        case "string":
+            return value
+        case "number":
+        case "boolean":
+        case "bigint":
+            return String(value)
+        default:
+            return JSON.stringify(value)
+    }
+}
+
+/**
+ * Decode a stored value: JSON where possible, raw string otherwise. Numbers
+ * that would lose precision stay strings.
+ * @param {unknown} raw
+ * @returns {any}
+ */
+export function deserialize(raw) {
+    if (typeof raw !== "string") return raw
+    try {
+        const parsed = JSON.parse(raw)
+        if (typeof parsed === "number" && parsed.toString() !== raw) return raw
+        return parsed
+    } catch {
+        return raw
+    }
+}
+
+/**
+ * Decode a flat `[field, value, ...]` reply into an object, or null when empty.
+ * @param {string[]} flat
+ */
+export function deserializeHash(flat) {
+    if (!flat || flat.length === 0) return null
+    /** @type {Record<string, any>} */
+    const obj = {}
+    for (let i = 0; i < flat.length; i += 2) {
+        obj[flat[i]] = deserialize(flat[i + 1])
+    }
+    return obj
+}
+
+/** A complete `<ms>-<seq>` stream entry id. */
+export const STREAM_ID_PATTERN = /^\d+-\d+$/
+
+/**
+ * @param {string} id
+ * @returns {[number, number]}
+ */
+export function parseStreamId(id) {
+    const [ms, seq] = id.split("-")
+    return [Number(ms), Number(seq ?? 0)]
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+export function compareStreamIds(a, b) {
+    const [aMs, aSeq] = parseStreamId(a)
+    const [bMs, bSeq] = parseStreamId(b)
+    return aMs === bMs ? aSeq - bSeq : aMs - bMs
+}
+
+/**
+ * Upstash-compatible subscriber handle. Adapters call `dispatch` with the
+ * decoded pub/sub traffic; consumers use `on` and `unsubscribe`.
+ */
+export class StorageSubscriber {
+    /**
+     * @param {string[]} channels
+     * @param {(subscriber: StorageSubscriber, channels: string[]) => Promise<void>} release
+     */
+    constructor(channels, release) {
+        this.channels = new Set(channels)
+        /** @type {Map<string, Set<(data: any) => void>>} */
+        this.listeners = new Map()
+        this.release = release
+    }
+
+    /**
+     * @param {string} type
+     * @param {(data: any) => void} listener
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+        this.listeners.get(type)?.add(listener)
+    }
+
+    removeAllListeners() {
+        this.listeners.clear()
+    }
+
+    /**
+     * @param {string} type
+     * @param {any} data
+     */
+    dispatch(type, data) {
+        const listeners = this.listeners.get(type)
+        if (!listeners) return
+        for (const listener of listeners) {
+            try {
+                listener(data)
+            } catch (error) {
+                if (type !== "error") this.dispatch("error", error)
+            }
+        }
+    }
+
+    /**
+     * @param {string} channel
+     * @param {string} raw
+     */
+    deliver(channel, raw) {
+        if (!this.channels.has(channel)) return
+        const message = { channel, message: deserialize(raw) }
+        this.dispatch("message", message)
+        this.dispatch(`message:${channel}`, message)
+    }
+
+    /** @param {string[]} [channels] */
+    async unsubscribe(channels) {
+        const targets = channels ?? [...this.channels]
+        for (const channel of targets) this.channels.delete(channel)
+        await this.release(this, targets)
+        if (!channels) this.removeAllListeners()
+    }
+
+    getSubscribedChannels() {
+        return [...this.channels]
+    }
+}
+
+/**
+ * Queue commands and run them together on `exec`. Commands are issued in
+ * order; results come back as an array like Upstash pipelines.
+ * @param {Record<string, any>} storage
+ * @returns {any}
+ */
+export function createPipeline(storage) {
+    /** @type {[string, unknown[]][]} */
+    const queued = []
+    const pipeline = new Proxy({}, {
+        get(_, name) {
+            if (name === "exec") {
+                return () => Promise.all(queued.splice(0).map(([command, args]) => storage[command](...args)))
+            }
+            if (name === "length") return () => queued.length
+            if (typeof name !== "string" || typeof storage[name] !== "function") return undefined
+            return (/** @type {unknown[]} */ ...args) => {
+                queued.push([name, args])
+                return pipeline
+            }
+        },
+    })
+    return pipeline
+}
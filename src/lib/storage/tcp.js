@@ -0,0 +1,736 @@
+import net from "node:net"
+import tls from "node:tls"
+import { createPipeline, deserialize, deserializeHash, serialize, StorageSubscriber } from "./shared"
+
+const CONNECT_TIMEOUT_MS = 10_000
+// A command without a reply by then resets the connection.
+const COMMAND_TIMEOUT_MS = 10_000
+const RECONNECT_BASE_MS = 250
+const RECONNECT_MAX_MS = 10_000
+// A read buffer grown past this for a large reply is dropped once drained.
+const READ_BUFFER_KEEP_BYTES = 64 * 1024
+const CRLF = "\r\n"
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+/**
+ * @typedef {string | number | null | Error | any[]} RespReply
+ * @typedef {{ resolve: (reply: any) => void, reject: (error: Error) => void }} PendingReply
+ */
+
+/** @param {(string | number)[]} args */
+function encodeCommand(args) {
+    let out = `*${args.length}${CRLF}`
+    for (const arg of args) {
+        const text = String(arg)
+        out += `$${encoder.encode(text).length}${CRLF}${text}${CRLF}`
+    }
+    return out
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} from
+ */
+function indexOfCrlf(bytes, from) {
+    for (let i = from; i < bytes.length - 1; i += 1) {
+        if (bytes[i] === 13 && bytes[i + 1] === 10) return i
+    }
+    return -1
+}
+
+/**
+ * Parse one RESP2 reply from `buffer` at `offset`. Returns undefined when the
+ * reply is still incomplete.
+ * @param {Uint8Array} buffer
+ * @param {number} offset
+ * @returns {{ reply: RespReply, next: number } | undefined}
+ */
+function parseReply(buffer, offset) {
+    const lineEnd = indexOfCrlf(buffer, offset)
+    if (lineEnd === -1) return undefined
+    const prefix = String.fromCharCode(buffer[offset])
+    const line = decoder.decode(buffer.subarray(offset + 1, lineEnd))
+    const afterLine = lineEnd + 2
+
+    if (prefix === "+") return { reply: line, next: afterLine }
+    if (prefix === "-") return { reply: new Error(line), next: afterLine }
+    if (prefix === ":") return { reply: Number(line), next: afterLine }
+    if (prefix === "$") {
+        const length = Number(line)
+        if (length === -1) return { reply: null, next: afterLine }
+        if (buffer.length < afterLine + length + 2) return undefined
+        return { reply: decoder.decode(buffer.subarray(afterLine, afterLine + length)), next: afterLine + length + 2 }
+    }
+    if (prefix === "*") {
+        const count = Number(line)
+        if (count === -1) return { reply: null, next: afterLine }
+        /** @type {RespReply[]} */
+        const items = []
+        let cursor = afterLine
+        for (let i = 0; i < count; i += 1) {
+            const parsed = parseReply(buffer, cursor)
+            if (!parsed) return undefined
+            items.push(parsed.reply)
+            cursor = parsed.next
+        }
+        return { reply: items, next: cursor }
+    }
+    throw new Error(`Unexpected RESP prefix: ${prefix}`)
+}
+
+/**
+ * @param {RespReply} reply
+ */
+function streamEntriesToObject(reply) {
+    /** @type {Record<string, Record<string, any>>} */
+    const out = {}
+    for (const entry of /** @type {[string, string[]][]} */ (reply ?? [])) {
+        out[entry[0]] = deserializeHash(entry[1]) ?? {}
+    }
+    return out
+}
+
+/**
+ * A single socket speaking RESP2. Replies resolve in request order; pub/sub
+ * pushes go to `onPush` once the connection has entered subscribe mode.
+ *
+ * A command connection reopens on its next write. A pub/sub connection may
+ * never write again, so it reconnects on its own with backoff, and error
+ * replies it gets (a failed AUTH, NOAUTH on SUBSCRIBE) go to `onError`.
+ * Replies can't be matched to commands once one goes missing, so a command
+ * left unanswered past COMMAND_TIMEOUT_MS fails everything pending and the
+ * next write reconnects.
+ */
+class RespConnection {
+    /**
+     * @param {URL} url
+     * @param {(reply: RespReply[]) => void} [onPush]
+     * @param {() => void} [onReconnect]
+     * @param {(error: Error) => void} [onError]
+     */
+    constructor(url, onPush, onReconnect, onError) {
+        this.url = url
+        this.onPush = onPush
+        this.onReconnect = onReconnect
+        this.onError = onError
+        /** @type {import("node:net").Socket | null} */
+        this.socket = null
+        /** @type {PendingReply[]} */
+        this.pending = []
+        /** Received bytes; [parsed, filled) is the unparsed tail. */
+        this.buffer = new Uint8Array(0)
+        this.parsed = 0
+        this.filled = 0
+        this.connectedOnce = false
+        this.closed = false
+        this.reconnectAttempts = 0
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this.reconnectTimer = null
+    }
+
+    open() {
+        if (this.socket) return this.socket
+        this.closed = false
+        const port = Number(this.url.port || 6379)
+        const host = this.url.hostname || "127.0.0.1"
+        const socket = this.url.protocol === "rediss:"
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port })
+        socket.setNoDelay(true)
+        socket.setKeepAlive(true)
+        const connectTimer = setTimeout(() => socket.destroy(new Error("Redis connection timed out")), CONNECT_TIMEOUT_MS)
+        socket.once(this.url.protocol === "rediss:" ? "secureConnect" : "connect", () => {
+            clearTimeout(connectTimer)
+            this.reconnectAttempts = 0
+        })
+        socket.on("data", (chunk) => this.receive(chunk))
+        socket.on("error", (error) => this.fail(error, socket))
+        socket.on("close", () => {
+            clearTimeout(connectTimer)
+            this.fail(new Error("Redis connection closed"), socket)
+        })
+        this.socket = socket
+        this.buffer = new Uint8Array(0)
+        this.parsed = 0
+        this.filled = 0
+
+        const password = decodeURIComponent(this.url.password)
+        const username = decodeURIComponent(this.url.username)
+        if (password) this.write(username ? ["AUTH", username, password] : ["AUTH", password]).catch(() => {})
+        const db = this.url.pathname.replace(/^\//, "")
+        if (db) this.write(["SELECT", db]).catch(() => {})
+
+        if (this.connectedOnce) this.onReconnect?.()
+        this.connectedOnce = true
+        return socket
+    }
+
+    /**
+     * @param {Error} error
+     * @param {import("node:net").Socket} [socket] ignore events from a socket already replaced
+     */
+    fail(error, socket) {
+        if (!this.socket || (socket && socket !== this.socket)) return
+        this.socket.destroy()
+        this.socket = null
+        for (const pending of this.pending.splice(0)) pending.reject(error)
+        if (this.onPush && !this.closed) this.scheduleReconnect()
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS)
+        this.reconnectAttempts += 1
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null
+            if (!this.closed) this.open()
+        }, delay)
+    }
+
+    /**
+     * Parse whole replies from the unparsed tail. A reply split across chunks
+     * is retried from where it starts; nothing before it is looked at again.
+     * @param {Uint8Array} chunk
+     */
+    receive(chunk) {
+        this.append(chunk)
+        try {
+            while (this.parsed < this.filled) {
+                const parsed = parseReply(this.buffer.subarray(0, this.filled), this.parsed)
+                if (!parsed) break
+                this.parsed = parsed.next
+                this.route(parsed.reply)
+            }
+        } catch (error) {
+            this.fail(/** @type {Error} */ (error))
+            return
+        }
+        if (this.parsed === this.filled) {
+            this.parsed = 0
+            this.filled = 0
+            if (this.buffer.length > READ_BUFFER_KEEP_BYTES) this.buffer = new Uint8Array(0)
+        }
+    }
+
+    /**
+     * Copy only the new bytes in. When they don't fit, the unparsed tail moves
+     * to the front, into a buffer twice the size if it has to grow.
+     * @param {Uint8Array} chunk
+     */
+    append(chunk) {
+        if (this.filled + chunk.length > this.buffer.length) {
+            const pending = this.filled - this.parsed
+            if (pending + chunk.length <= this.buffer.length) {
+                this.buffer.copyWithin(0, this.parsed, this.filled)
+            } else {
+                const grown = new Uint8Array(Math.max(this.buffer.length * 2, pending + chunk.length))
+                grown.set(this.buffer.subarray(this.parsed, this.filled))
+                this.buffer = grown
+            }
+            this.parsed = 0
+            this.filled = pending
+        }
+        this.buffer.set(chunk, this.filled)
+        this.filled += chunk.length
+    }
+
+    /** @param {RespReply} reply */
+    route(reply) {
+        if (this.onPush) {
+            if (Array.isArray(reply) && typeof reply[0] === "string") this.onPush(reply)
+            else if (reply instanceof Error) this.onError?.(reply)
+            return
+        }
+        const pending = this.pending.shift()
+        if (!pending) return
+        if (reply instanceof Error) pending.reject(reply)
+        else pending.resolve(reply)
+    }
+
+    /**
+     * @param {(string | number)[]} args
+     * @returns {Promise<any>}
+     */
+    write(args) {
+        const socket = this.open()
+        return new Promise((resolve, reject) => {
+            if (!this.onPush) {
+                const timer = setTimeout(() => this.fail(new Error("Redis command timed out"), socket), COMMAND_TIMEOUT_MS)
+                this.pending.push({
+                    resolve: (reply) => {
+                        clearTimeout(timer)
+                        resolve(reply)
+                    },
+                    reject: (error) => {
+                        clearTimeout(timer)
+                        reject(error)
+                    },
+                })
+            }
+            socket.write(encodeCommand(args), (error) => {
+                if (error) reject(error)
+                else if (this.onPush) resolve(null)
+            })
+        })
+    }
+
+    close() {
+        this.closed = true
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
+        this.socket?.end()
+        this.socket = null
+    }
+}
+
+/**
+ * Storage backed by a self-hosted Redis server over plain TCP (or TLS for
+ * `rediss://`). Mirrors the @upstash/redis call signatures used in this app.
+ */
+export class TcpStorage {
+    /** @param {string} redisUrl */
+    constructor(redisUrl) {
+        this.url = new URL(redisUrl)
+        this.connection = new RespConnection(this.url)
+        /** @type {RespConnection | null} */
+        this.subscriberConnection = null
+        /** @type {Map<string, Set<StorageSubscriber>>} */
+        this.channels = new Map()
+        /** @type {Set<string>} */
+        this.confirmedChannels = new Set()
+    }
+
+    /**
+     * @param {(string | number)[]} args
+     * @returns {Promise<any>}
+     */
+    command(args) {
+        return this.connection.write(args)
+    }
+
+    // Keys
+
+    /** @param {string} key */
+    async get(key) {
+        return deserialize(await this.command(["GET", key]))
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} value
+     * @param {{ ex?: number, px?: number, nx?: boolean, xx?: boolean, keepTtl?: boolean, get?: boolean }} [opts]
+     */
+    async set(key, value, opts = {}) {
+        /** @type {(string | number)[]} */
+        const args = ["SET", key, serialize(value)]
+        if (opts.ex) args.push("EX", opts.ex)
+        else if (opts.px) args.push("PX", opts.px)
+        else if (opts.keepTtl) args.push("KEEPTTL")
+        if (opts.nx) args.push("NX")
+        else if (opts.xx) args.push("XX")
+        if (opts.get) args.push("GET")
+        const reply = await this.command(args)
+        return opts.get ? deserialize(reply) : reply
+    }
+
+    /** @param {string} key */
+    async incr(key) {
+        return this.command(["INCR", key])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} increment
+     */
+    async incrby(key, increment) {
+        return this.command(["INCRBY", key, increment])
+    }
+
+    /** @param {string[]} keys */
+    async del(...keys) {
+        return this.command(["DEL", ...keys])
+    }
+
+    /** @param {string[]} keys */
+    async exists(...keys) {
+        return this.command(["EXISTS", ...keys])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} seconds
+     */
+    async expire(key, seconds) {
+        return this.command(["EXPIRE", key, seconds])
+    }
+
+    /** @param {string} key */
+    async persist(key) {
+        return this.command(["PERSIST", key])
+    }
+
+    /** @param {string} key */
+    async ttl(key) {
+        return this.command(["TTL", key])
+    }
+
+    // Hashes
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     */
+    async hget(key, field) {
+        return deserialize(await this.command(["HGET", key, field]))
+    }
+
+    /** @param {string} key */
+    async hgetall(key) {
+        return deserializeHash(await this.command(["HGETALL", key]))
+    }
+
+    /**
+     * @param {string} key
+     * @param {Record<string, unknown>} fields
+     */
+    async hset(key, fields) {
+        return this.command(["HSET", key, ...Object.entries(fields).flatMap(([field, value]) => [field, serialize(value)])])
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     * @param {unknown} value
+     */
+    async hsetnx(key, field, value) {
+        return this.command(["HSETNX", key, field, serialize(value)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {string[]} fields
+     */
+    async hdel(key, ...fields) {
+        return this.command(["HDEL", key, ...fields])
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     */
+    async hexists(key, field) {
+        return this.command(["HEXISTS", key, field])
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} field
+     * @param {number} increment
+     */
+    async hincrby(key, field, increment) {
+        return this.command(["HINCRBY", key, field, increment])
+    }
+
+    // Lists
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} values
+     */
+    async rpush(key, ...values) {
+        return this.command(["RPUSH", key, ...values.map(serialize)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} values
+     */
+    async lpush(key, ...values) {
+        return this.command(["LPUSH", key, ...values.map(serialize)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} start
+     * @param {number} stop
+     */
+    async lrange(key, start, stop) {
+        const reply = await this.command(["LRANGE", key, start, stop])
+        return /** @type {string[]} */ (reply).map(deserialize)
+    }
+
+    /** @param {string} key */
+    async llen(key) {
+        return this.command(["LLEN", key])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} count
+     * @param {unknown} value
+     */
+    async lrem(key, count, value) {
+        return this.command(["LREM", key, count, serialize(value)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} start
+     * @param {number} stop
+     */
+    async ltrim(key, start, stop) {
+        return this.command(["LTRIM", key, start, stop])
+    }
+
+    // Sets
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async sadd(key, ...members) {
+        return this.command(["SADD", key, ...members.map(serialize)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async srem(key, ...members) {
+        return this.command(["SREM", key, ...members.map(serialize)])
+    }
+
+    /** @param {string} key */
+    async smembers(key) {
+        const reply = await this.command(["SMEMBERS", key])
+        return /** @type {string[]} */ (reply).map(deserialize)
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} member
+     */
+    async sismember(key, member) {
+        return this.command(["SISMEMBER", key, serialize(member)])
+    }
+
+    /** @param {string} key */
+    async scard(key) {
+        return this.command(["SCARD", key])
+    }
+
+    // Sorted sets
+
+    /**
+     * Upstash signature: `zadd(key, [opts], ...{ score, member })`.
+     * @param {string} key
+     * @param {any[]} args
+     */
+    async zadd(key, ...args) {
+        const opts = args[0] && !("score" in args[0]) ? args.shift() : {}
+        /** @type {(string | number)[]} */
+        const command = ["ZADD", key]
+        if (opts.nx) command.push("NX")
+        else if (opts.xx) command.push("XX")
+        if (opts.gt) command.push("GT")
+        else if (opts.lt) command.push("LT")
+        if (opts.ch) command.push("CH")
+        if (opts.incr) command.push("INCR")
+        for (const { score, member } of args) command.push(score, serialize(member))
+        const reply = await this.command(command)
+        return opts.incr ? deserialize(reply) : reply
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown[]} members
+     */
+    async zrem(key, ...members) {
+        return this.command(["ZREM", key, ...members.map(serialize)])
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} member
+     */
+    async zscore(key, member) {
+        return deserialize(await this.command(["ZSCORE", key, serialize(member)]))
+    }
+
+    /** @param {string} key */
+    async zcard(key) {
+        return this.command(["ZCARD", key])
+    }
+
+    /**
+     * @param {string} key
+     * @param {number | string} min
+     * @param {number | string} max
+     * @param {{ rev?: boolean, byScore?: boolean, offset?: number, count?: number, withScores?: boolean }} [opts]
+     */
+    async zrange(key, min, max, opts = {}) {
+        /** @type {(string | number)[]} */
+        const command = ["ZRANGE", key, min, max]
+        if (opts.byScore) command.push("BYSCORE")
+        if (opts.rev) command.push("REV")
+        if (opts.offset !== undefined && opts.count !== undefined) command.push("LIMIT", opts.offset, opts.count)
+        if (opts.withScores) command.push("WITHSCORES")
+        const reply = await this.command(command)
+        return /** @type {string[]} */ (reply).map(deserialize)
+    }
+
+    /**
+     * @param {string} key
+     * @param {number | string} min
+     * @param {number | string} max
+     */
+    async zremrangebyscore(key, min, max) {
+        return this.command(["ZREMRANGEBYSCORE", key, min, max])
+    }
+
+    // Streams
+
+    /**
+     * @param {string} key
+     * @param {string} id
+     * @param {Record<string, unknown>} fields
+     * @param {{ nomkStream?: boolean, trim?: { type: string, threshold: number, comparison?: string, limit?: number } }} [opts]
+     */
+    async xadd(key, id, fields, opts = {}) {
+        /** @type {(string | number)[]} */
+        const command = ["XADD", key]
+        if (opts.nomkStream) command.push("NOMKSTREAM")
+        if (opts.trim) {
+            command.push(opts.trim.type, opts.trim.comparison ?? "=", opts.trim.threshold)
+            if (opts.trim.limit !== undefined) command.push("LIMIT", opts.trim.limit)
+        }
+        command.push(id)
+        for (const [field, value] of Object.entries(fields)) command.push(field, serialize(value))
+        return this.command(command)
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} start
+     * @param {string} end
+     * @param {number} [count]
+     */
+    async xrange(key, start, end, count) {
+        /** @type {(string | number)[]} */
+        const command = ["XRANGE", key, start, end]
+        if (typeof count === "number") command.push("COUNT", count)
+        return streamEntriesToObject(await this.command(command))
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} end
+     * @param {string} start
+     * @param {number} [count]
+     */
+    async xrevrange(key, end, start, count) {
+        /** @type {(string | number)[]} */
+        const command = ["XREVRANGE", key, end, start]
+        if (typeof count === "number") command.push("COUNT", count)
+        return streamEntriesToObject(await this.command(command))
+    }
+
+    /** @param {string} key */
+    async xlen(key) {
+        return this.command(["XLEN", key])
+    }
+
+    /**
+     * @param {string} key
+     * @param {string[]} ids
+     */
+    async xdel(key, ...ids) {
+        return this.command(["XDEL", key, ...ids])
+    }
+
+    // Pub/sub
+
+    /**
+     * @param {string} channel
+     * @param {unknown} message
+     */
+    async publish(channel, message) {
+        return this.command(["PUBLISH", channel, serialize(message)])
+    }
+
+    subscriberSocket() {
+        if (!this.subscriberConnection) {
+            this.subscriberConnection = new RespConnection(
+                this.url,
+                (reply) => this.handlePush(reply),
+                () => {
+                    // A fresh socket has no subscriptions; re-issue them.
+                    this.confirmedChannels.clear()
+                    const channels = [...this.channels.keys()]
+                    if (channels.length > 0) this.subscriberConnection?.write(["SUBSCRIBE", ...channels]).catch(() => {})
+                },
+                (error) => {
+                    const subscribers = new Set([...this.channels.values()].flatMap((set) => [...set]))
+                    subscribers.forEach((subscriber) => subscriber.dispatch("error", error))
+                },
+            )
+        }
+        return this.subscriberConnection
+    }
+
+    /** @param {RespReply[]} reply */
+    handlePush(reply) {
+        const [kind, channel, payload] = /** @type {[string, string, any]} */ (reply)
+        const subscribers = this.channels.get(channel)
+        if (kind === "message") {
+            subscribers?.forEach((subscriber) => subscriber.deliver(channel, payload))
+        } else if (kind === "subscribe") {
+            this.confirmedChannels.add(channel)
+            subscribers?.forEach((subscriber) => subscriber.dispatch("subscribe", payload))
+        }
+    }
+
+    /** @param {string | string[]} channels */
+    subscribe(channels) {
+        const list = Array.isArray(channels) ? channels : [channels]
+        const connection = this.subscriberSocket()
+        const subscriber = new StorageSubscriber(list, async (sub, released) => {
+            const emptied = released.filter((channel) => {
+                const subscribers = this.channels.get(channel)
+                subscribers?.delete(sub)
+                if (subscribers?.size) return false
+                this.channels.delete(channel)
+                this.confirmedChannels.delete(channel)
+                return true
+            })
+            if (emptied.length > 0) await connection.write(["UNSUBSCRIBE", ...emptied])
+        })
+
+        /** @type {string[]} */
+        const fresh = []
+        for (const channel of list) {
+            const subscribers = this.channels.get(channel)
+            if (subscribers) {
+                subscribers.add(subscriber)
+                if (this.confirmedChannels.has(channel)) setTimeout(() => subscriber.dispatch("subscribe", subscribers.size), 0)
+            } else {
+                this.channels.set(channel, new Set([subscriber]))
+                fresh.push(channel)
+            }
+        }
+        if (fresh.length > 0) {
+            connection.write(["SUBSCRIBE", ...fresh]).catch((error) => subscriber.dispatch("error", error))
+        }
+        return subscriber
+    }
+
+    pipeline() {
+        return createPipeline(this)
+    }
+
+    close() {
+        this.connection.close()
+        this.subscriberConnection?.close()
+    }
+}
@@ -0,0 +1,155 @@
+import { redis } from "./redis"
+import { listRoomMembers, roomMemberId } from "./room-membership"
+
+// View-once payloads for a legacy room live in `viewonce:<roomId>`, apart
+// from `messages:<roomId>` so listing messages never hands them out:
+//   <messageId>:payload         -> message text until it burns
+//   <messageId>:from            -> the sender's member id
+//   <messageId>:for:<memberId>  -> "1" per member seated when it was sent, sender excluded
+//   <messageId>:seen:<memberId> -> reveal time, written once with HSETNX
+// The payload is deleted as soon as every recipient still seated has revealed
+// it; a recipient who leaves first no longer holds it open.
+
+/**
+ * @typedef {{ revealable: boolean, viewedBy: number, recipients: number }} ViewOnceReceipt
+ * @typedef {{ payload: string, senderId: string }} BurnedViewOnce
+ */
+
+/** @param {string} roomId */
+export const roomViewOnceKey = (roomId) => `viewonce:${roomId}`
+
+/** @param {string} metaKey */
+async function seatedMemberIds(metaKey) {
+    const members = await listRoomMembers(metaKey)
+    return new Set(await Promise.all(members.map((member) => roomMemberId(member.token))))
+}
+
+/**
+ * Recipients who revealed the message or are still seated to reveal it.
+ * @param {Record<string, unknown>} fields
+ * @param {string} messageId
+ * @param {Set<string>} seated
+ */
+function countReceipts(fields, messageId, seated) {
+    const prefix = `${messageId}:for:`
+    let recipients = 0
+    let viewedBy = 0
+    for (const field of Object.keys(fields)) {
+        if (!field.startsWith(prefix)) continue
+        const seen = fields[`${messageId}:seen:${field.slice(prefix.length)}`] !== undefined
+        if (seen) viewedBy += 1
+        if (seen || seated.has(field.slice(prefix.length))) recipients += 1
+    }
+    return { recipients, viewedBy }
+}
+
+/**
+ * Hold a view-once payload for everyone seated except the sender. Nothing is
+ * held when nobody else is seated.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @param {{ messageId: string, payload: string, senderToken: string }} options
+ * @returns {Promise<boolean>} whether the payload was held
+ */
+export async function storeViewOnce(roomId, metaKey, { messageId, payload, senderToken }) {
+    const members = await listRoomMembers(metaKey)
+    const recipientIds = await Promise.all(members
+        .filter((member) => member.token !== senderToken)
+        .map((member) => roomMemberId(member.token)))
+    if (recipientIds.length === 0) return false
+    await redis.hset(roomViewOnceKey(roomId), {
+        [`${messageId}:payload`]: payload,
+        [`${messageId}:from`]: await roomMemberId(senderToken),
+        ...Object.fromEntries(recipientIds.map((memberId) => [`${messageId}:for:${memberId}`, "1"])),
+    })
+    return true
+}
+
+/**
+ * Hand a recipient the payload exactly once, burning it after the last reveal.
+ * `burned` is set by the reveal that burned it, so the caller can drop
+ * anything the payload points at.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @param {{ messageId: string, token: string }} options
+ * @returns {Promise<{ ok: boolean, reason?: "missing" | "ineligible" | "viewed", payload?: string, burned?: BurnedViewOnce | null, receipt?: ViewOnceReceipt & { memberId: string } }>}
+ */
+export async function revealViewOnce(roomId, metaKey, { messageId, token }) {
+    const key = roomViewOnceKey(roomId)
+    const memberId = await roomMemberId(token)
+    // Read before claiming: another recipient's reveal may burn it right after our claim.
+    const payload = await redis.hget(key, `${messageId}:payload`)
+    if (typeof payload !== "string") return { ok: false, reason: "missing" }
+    if (!(await redis.hexists(key, `${messageId}:for:${memberId}`))) return { ok: false, reason: "ineligible" }
+    if (!(await redis.hsetnx(key, `${messageId}:seen:${memberId}`, Date.now()))) return { ok: false, reason: "viewed" }
+
+    const fields = /** @type {Record<string, unknown>} */ ((await redis.hgetall(key)) ?? {})
+    const { recipients, viewedBy } = countReceipts(fields, messageId, await seatedMemberIds(metaKey))
+    const burned = viewedBy >= recipients && await redis.hdel(key, `${messageId}:payload`) > 0
+        ? { payload, senderId: String(fields[`${messageId}:from`] ?? "") }
+        : null
+    return { ok: true, payload, burned, receipt: { memberId, revealable: false, viewedBy, recipients } }
+}
+
+/**
+ * Burn payloads no seated recipient is still waiting on, e.g. after someone
+ * leaves the room.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @returns {Promise<BurnedViewOnce[]>}
+ */
+export async function burnSettledViewOnce(roomId, metaKey) {
+    const key = roomViewOnceKey(roomId)
+    const fields = /** @type {Record<string, unknown>} */ ((await redis.hgetall(key)) ?? {})
+    const seated = await seatedMemberIds(metaKey)
+    /** @type {BurnedViewOnce[]} */
+    const burned = []
+    for (const [field, payload] of Object.entries(fields)) {
+        if (!field.endsWith(":payload") || typeof payload !== "string") continue
+        const messageId = field.slice(0, -":payload".length)
+        const { recipients, viewedBy } = countReceipts(fields, messageId, seated)
+        if (viewedBy >= recipients && await redis.hdel(key, field) > 0) {
+            burned.push({ payload, senderId: String(fields[`${messageId}:from`] ?? "") })
+        }
+    }
+    return burned
+}
+
+/**
+ * Per-message receipts as seen by one member.
+ * @param {string} roomId
+ * @param {string} metaKey
+ * @param {string[]} messageIds
+ * @param {string} memberId
+ * @returns {Promise<Map<string, ViewOnceReceipt>>}
+ */
+export async function getViewOnceReceipts(roomId, metaKey, messageIds, memberId) {
+    /** @type {Map<string, ViewOnceReceipt>} */
+    const receipts = new Map()
+    if (messageIds.length === 0) return receipts
+    const fields = /** @type {Record<string, unknown>} */ ((await redis.hgetall(roomViewOnceKey(roomId))) ?? {})
+    const seated = await seatedMemberIds(metaKey)
+    for (const messageId of messageIds) {
+        receipts.set(messageId, {
+            revealable: fields[`${messageId}:payload`] !== undefined
+                && fields[`${messageId}:for:${memberId}`] !== undefined
+                && fields[`${messageId}:seen:${memberId}`] === undefined,
+            ...countReceipts(fields, messageId, seated),
+        })
+    }
+    return receipts
+}
+
+/**
+ * Forget view-once state for messages that left the room, e.g. on vanish.
+ * @param {string} roomId
+ * @param {string[]} messageIds
+ */
+export async function dropViewOnce(roomId, messageIds) {
+    if (messageIds.length === 0) return
+    const key = roomViewOnceKey(roomId)
+    const prefixes = messageIds.map((messageId) => `${messageId}:`)
+    const fields = Object.keys(/** @type {Record<string, unknown>} */ ((await redis.hgetall(key)) ?? {}))
+        .filter((field) => prefixes.some((prefix) => field.startsWith(prefix)))
+    if (fields.length > 0) await redis.hdel(key, ...fields)
+}
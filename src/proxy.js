@@ -1,54 +1,15 @@
 import { NextResponse } from "next/server"
 import { redis } from "./lib/redis"
 import { nanoid } from "nanoid"
+import { claimMemberDisplayName, isRoomMember, joinRoom } from "./lib/room-membership"
+import { consumeInvite } from "./lib/room-invites"
+import { takeApproval } from "./lib/room-lobby"
+import { isRoomVerified, roomVerifiedCookie } from "./lib/room-verification"
 
 const ENV = /** @type {Record<string, string | undefined>} */ ((/** @type {any} */ (globalThis)).process?.env ?? {})
 const GUEST_PARTICIPANT_COOKIE = "x-participant-id"
 const SECURE_ROOM_COOKIE_PREFIX = "room-secure-"
 
-const parseConnectedUsers = (rawValue) => {
-    if (Array.isArray(rawValue)) {
-        return rawValue.filter((value) => typeof value === "string")
-    }
-
-    if (typeof rawValue === "string") {
-        try {
-            const parsed = JSON.parse(rawValue)
-            if (Array.isArray(parsed)) {
-                return parsed.filter((value) => typeof value === "string")
-            }
-        } catch {
-            return []
-        }
-    }
-
-    return []
-}
-
-const parseParticipantMap = (rawValue) => {
-    if (!rawValue || typeof rawValue !== "string") return {}
-    try {
-        const parsed = JSON.parse(rawValue)
-        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {}
-        return Object.fromEntries(
-            Object.entries(parsed).filter(([key, value]) => typeof key === "string" && typeof value === "string")
-        )
-    } catch {
-        return {}
-    }
-}
-
-const parseRevokedParticipantSet = (rawValue) => {
-    if (!rawValue || typeof rawValue !== "string") return new Set()
-    try {
-        const parsed = JSON.parse(rawValue)
-        if (!Array.isArray(parsed)) return new Set()
-        return new Set(parsed.filter((item) => typeof item === "string"))
-    } catch {
-        return new Set()
-    }
-}
-
 export const proxy = async (req) => {
 
     const pathname = req.nextUrl.pathname
@@ -58,6 +19,7 @@ export const proxy = async (req) => {
         return NextResponse.redirect(new URL("/", req.url))
 
     const roomId = roomMatch[1] || ""
+    const inviteToken = req.nextUrl.searchParams.get("invite") ?? ""
     const [legacyMeta, secureMeta] = await Promise.all([
         redis.hgetall(`meta:${roomId}`),
         redis.hgetall(`meta:${roomId}:secure`),
@@ -75,11 +37,11 @@ export const proxy = async (req) => {
         const secureToken = typeof req.cookies.get(secureCookieName)?.value === "string"
             ? req.cookies.get(secureCookieName).value
             : (typeof req.cookies.get("x-auth-token")?.value === "string" ? req.cookies.get("x-auth-token").value : "")
-        const connected = parseConnectedUsers(secureMeta.connected)
-
-        if (!secureToken || !connected.includes(secureToken)) {
+        if (!secureToken || !(await isRoomMember(`meta:${roomId}:secure`, secureToken))) {
             const url = new URL("/?error=room-auth-required", req.url)
             url.searchParams.set("roomId", roomId)
+            // verify-proof spends the invite once the answer checks out.
+            if (inviteToken) url.searchParams.set("invite", inviteToken)
             return NextResponse.redirect(url)
         }
 
@@ -103,20 +65,17 @@ export const proxy = async (req) => {
     const meta = legacyMeta
 
     // Check if the room requires verification (password or security question)
-    const hasPassword = !!meta.password
+    const hasPassword = !!(meta.passwordHash || meta.password)
     const hasSecurityQuestion = !!meta.securityQuestion
     const needsVerification = hasPassword || hasSecurityQuestion
-    const verifiedCookie = req.cookies.get(`room-verified-${roomId}`)?.value
 
-    if (needsVerification && verifiedCookie !== "true") {
+    if (needsVerification && !(await isRoomVerified(roomId, req.cookies.get(roomVerifiedCookie(roomId))?.value))) {
         const url = new URL("/?error=room-auth-required", req.url)
         url.searchParams.set("roomId", roomId)
+        if (inviteToken) url.searchParams.set("invite", inviteToken)
         return NextResponse.redirect(url)
     }
 
-    const connected = parseConnectedUsers(meta.connected)
-    const participants = parseParticipantMap(meta.participants)
-    const revokedParticipants = parseRevokedParticipantSet(meta.revokedParticipants)
     const maxParticipantsRaw = typeof meta.maxParticipants === "string"
         ? meta.maxParticipants
         : `${meta.maxParticipants ?? ""}`
@@ -137,13 +96,44 @@ export const proxy = async (req) => {
         shouldSetGuestParticipantCookie = true
     }
     const identityKey = sessionId ? `session:${sessionId}` : `guest:${guestParticipantId}`
-    const mappedToken = participants[identityKey]
 
-    if (identityKey && revokedParticipants.has(identityKey)) {
-        return NextResponse.redirect(new URL("/?error=room-access-denied", req.url))
-    }
+    let userId = ""
+    let accountName = ""
+    if (sessionId) {
+        const session = await redis.hgetall(`session:${sessionId}`)
+        userId = typeof session?.userId === "string" ? session.userId : ""
+        accountName = typeof session?.username === "string" ? session.username : ""
+    }
+
+    const inviteOnly = Number(meta.inviteOnly) === 1
+    const lobby = Number(meta.lobby) === 1
+    /** @type {import("./lib/room-invites").RoomInvite | null} */
+    let spentInvite = null
+    let waitInLobby = false
+
+    const joined = await joinRoom(`meta:${roomId}`, {
+        identityKey,
+        accountKey: userId ? `account:${userId}` : "",
+        maxParticipants,
+        currentToken: existingToken,
+        // Signed-in members who were in the room before may rejoin a full room.
+        allowOverCapacity: async () => {
+            if (!userId) return false
+            const membershipScore = await redis.zscore(`user:${userId}:rooms`, roomId)
+            return membershipScore !== null && membershipScore !== undefined
+        },
+        // Only new seats spend an invite; invite-only rooms refuse a seat without one.
+        // An invite also stands in for a moderator's approval in lobby rooms.
+        admit: async () => {
+            spentInvite = inviteToken ? await consumeInvite(roomId, inviteToken) : null
+            if (spentInvite) return true
+            if (inviteOnly) return false
+            if (!lobby || await takeApproval(roomId, identityKey)) return true
+            waitInLobby = true
+            return false
+        },
+    })
 
-    const response = NextResponse.next()
     const cookieOptions = {
         path: "/",
         httpOnly: true,
@@ -152,61 +142,35 @@ export const proxy = async (req) => {
         maxAge: 30 * 24 * 60 * 60,
     }
 
-    if (shouldSetGuestParticipantCookie) {
-        response.cookies.set(GUEST_PARTICIPANT_COOKIE, guestParticipantId, cookieOptions)
-    }
-
-    // Returning participant: restore previous room token and allow re-entry.
-    if (mappedToken && connected.includes(mappedToken)) {
-        if (existingToken !== mappedToken) {
-            response.cookies.set("x-auth-token", mappedToken, cookieOptions)
+    if (waitInLobby) {
+        // The lobby knocks with the same guest identity the seat will be given to.
+        const response = NextResponse.redirect(new URL(`/lobby/${roomId}`, req.url))
+        if (shouldSetGuestParticipantCookie) {
+            response.cookies.set(GUEST_PARTICIPANT_COOKIE, guestParticipantId, cookieOptions)
         }
         return response
     }
-
-    let token = mappedToken
-    if (!token && existingToken && connected.includes(existingToken)) {
-        token = existingToken
+    if (!joined.ok) {
+        const error = joined.reason === "missing"
+            ? "room-not-found"
+            : joined.reason === "full" ? "room-full" : joined.reason === "uninvited" ? "room-invite-required" : "room-access-denied"
+        return NextResponse.redirect(new URL(`/?error=${error}`, req.url))
     }
+    // Senders are stamped server-side, so bind the name now: the invite's, else the account's.
+    // Guests claim their codename from the room page.
+    const boundName = spentInvite?.displayName || accountName
+    if (boundName) await claimMemberDisplayName(`meta:${roomId}`, joined.token, boundName)
 
-    if (!token) {
-        // New participant path: enforce capacity.
-        if (connected.length >= maxParticipants) {
-            let canRejoinFromHistory = false
-            if (sessionId) {
-                const session = await redis.hgetall(`session:${sessionId}`)
-                const userId = typeof session?.userId === "string" ? session.userId : ""
-                if (userId) {
-                    const membershipScore = await redis.zscore(`user:${userId}:rooms`, roomId)
-                    canRejoinFromHistory = membershipScore !== null && membershipScore !== undefined
-                }
-            }
-
-            if (!canRejoinFromHistory) {
-                return NextResponse.redirect(new URL("/?error=room-full", req.url))
-            }
-        }
-        token = nanoid()
-    }
+    // Drop the invite from the address bar so it isn't bookmarked or shared on.
+    const response = inviteToken
+        ? NextResponse.redirect(new URL(`/room/${roomId}`, req.url))
+        : NextResponse.next()
 
-    // First user to join becomes the room creator
-    const isCreator = connected.length === 0
-    const nextConnected = connected.includes(token) ? connected : [...connected, token]
-    const nextParticipants = {
-        ...participants,
-        [identityKey]: token,
-    }
-    const updates = {
-        connected: JSON.stringify(nextConnected),
-        participants: JSON.stringify(nextParticipants),
-    }
-    if (isCreator && !meta.creatorToken) {
-        updates.creatorToken = token
+    if (shouldSetGuestParticipantCookie) {
+        response.cookies.set(GUEST_PARTICIPANT_COOKIE, guestParticipantId, cookieOptions)
     }
-
-    await redis.hset(`meta:${roomId}`, updates)
-    if (existingToken !== token) {
-        response.cookies.set("x-auth-token", token, cookieOptions)
+    if (existingToken !== joined.token) {
+        response.cookies.set("x-auth-token", joined.token, cookieOptions)
     }
 
     return response